@@ -11,6 +11,8 @@ CREATE TABLE vehicles (
     vehicle_type VARCHAR(20) DEFAULT 'car',
     registration_number VARCHAR(20),
     owner_info JSONB,
+    speed_unit VARCHAR(10) CHECK (speed_unit IN ('kmh', 'mph', 'mps', 'knots')), -- Unidad de sus payloads sin unit (NULL: la del tópico o km/h)
+    speed_limit_override DECIMAL(5,2) CHECK (speed_limit_override > 0), -- km/h; NULL: límite de su tipo o el general
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     is_active BOOLEAN DEFAULT true
@@ -21,38 +23,162 @@ CREATE TABLE speed_records (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     vehicle_id VARCHAR(20) NOT NULL,
     speed DECIMAL(5,2) NOT NULL,
-    speed_limit DECIMAL(5,2) DEFAULT 60.00,
+    speed_limit DECIMAL(5,2) DEFAULT 60.00, -- Límite vigente para el vehículo al recibir la lectura
     location JSONB, -- {latitude: float, longitude: float}
     metadata JSONB, -- Información adicional
     timestamp TIMESTAMP WITH TIME ZONE NOT NULL,
     received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    dedup_key VARCHAR(160), -- messageId o (vehicleId, timestamp, speed); evita duplicados por reentrega QoS 1
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_speed_records_dedup_key UNIQUE (dedup_key)
+);
+
+-- Tabla de zonas de velocidad geocercadas
+CREATE TABLE speed_zones (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    speed_limit DECIMAL(5,2) NOT NULL CHECK (speed_limit > 0), -- km/h dentro de la zona
+    geometry JSONB NOT NULL, -- GeoJSON Polygon/MultiPolygon o {type: 'Circle', center: [lng, lat], radius: metros}
+    active_hours JSONB, -- [{days: ['mon', ...], start: 'HH:MM', end: 'HH:MM'}] en FLEET_TIMEZONE; NULL: siempre activa
+    description TEXT,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla de horarios de límites de velocidad
+-- Mientras un horario está vigente reemplaza el límite base de su alcance:
+-- global (ALERT_SPEED_LIMIT), vehicle_type (ALERT_SPEED_LIMITS) o zone (speed_zones.speed_limit)
+CREATE TABLE speed_limit_schedules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    scope VARCHAR(20) NOT NULL CHECK (scope IN ('global', 'vehicle_type', 'zone')),
+    vehicle_type VARCHAR(20), -- Solo para scope = 'vehicle_type'
+    zone_id UUID REFERENCES speed_zones(id) ON DELETE CASCADE, -- Solo para scope = 'zone'
+    speed_limit DECIMAL(5,2) NOT NULL CHECK (speed_limit > 0), -- km/h mientras el horario está vigente
+    windows JSONB NOT NULL, -- [{days: ['mon', ...], start: 'HH:MM', end: 'HH:MM'}] en FLEET_TIMEZONE
+    apply_on_holidays BOOLEAN DEFAULT false, -- Los feriados (tabla holidays) suspenden el horario salvo que sea true
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_schedule_vehicle_type CHECK ((scope = 'vehicle_type') = (vehicle_type IS NOT NULL)),
+    CONSTRAINT chk_schedule_zone CHECK ((scope = 'zone') = (zone_id IS NOT NULL))
+);
+
+-- Tabla de feriados (excepciones de los horarios de límites)
+CREATE TABLE holidays (
+    date DATE PRIMARY KEY, -- Fecha local en FLEET_TIMEZONE
+    name VARCHAR(100) NOT NULL,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Tabla de reglas de alerta versionadas
+-- Cada edición agrega una versión; solo la versión actual (is_current) se evalúa.
+-- Las reglas habilitadas se evalúan por evaluation_priority ascendente y gana la primera que coincide.
+CREATE TABLE alert_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    rule_id UUID NOT NULL, -- Identificador estable de la regla entre versiones
+    version INTEGER NOT NULL CHECK (version > 0),
+    name VARCHAR(100) NOT NULL,
+    evaluation_priority INTEGER NOT NULL, -- Menor valor se evalúa primero
+    conditions JSONB NOT NULL DEFAULT '{}', -- {speed: {gt: 100}, exceedPercentage: {...}, vehicleTypes: [...], ...}; {} coincide siempre
+    severity VARCHAR(10) NOT NULL CHECK (severity IN ('LOW', 'MEDIUM', 'HIGH', 'CRITICAL')),
+    alert_priority VARCHAR(10) NOT NULL DEFAULT 'NORMAL' CHECK (alert_priority IN ('LOW', 'NORMAL', 'MEDIUM', 'HIGH', 'CRITICAL')),
+    recommended_action TEXT,
+    message_template TEXT NOT NULL, -- Descripción de la alerta con marcadores {vehicleId}, {speed}, ...
+    is_enabled BOOLEAN DEFAULT true,
+    is_current BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_alert_rules_version UNIQUE (rule_id, version)
+);
+
 -- Tabla de alertas
 CREATE TABLE alerts (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     alert_id VARCHAR(50) UNIQUE NOT NULL,
     vehicle_id VARCHAR(20) NOT NULL,
-    type VARCHAR(20) DEFAULT 'SPEED_VIOLATION',
+    type VARCHAR(20) DEFAULT 'SPEED_VIOLATION', -- SPEED_VIOLATION | VEHICLE_OFFLINE | SENSOR_MISMATCH | DATA_QUALITY | PATTERN
     severity VARCHAR(10) NOT NULL CHECK (severity IN ('LOW', 'MEDIUM', 'HIGH', 'CRITICAL')),
-    speed DECIMAL(5,2) NOT NULL,
-    speed_limit DECIMAL(5,2) NOT NULL,
-    exceed_amount DECIMAL(5,2) NOT NULL,
-    exceed_percentage DECIMAL(5,2) NOT NULL,
+    speed DECIMAL(5,2), -- NULL en alertas sin lectura de velocidad (VEHICLE_OFFLINE)
+    speed_limit DECIMAL(5,2),
+    exceed_amount DECIMAL(5,2),
+    exceed_percentage DECIMAL(7,2), -- Supera 1000% con límites de zona u horario bajos
     is_consecutive BOOLEAN DEFAULT false,
     consecutive_count INTEGER DEFAULT 1,
     location JSONB,
     vehicle_type VARCHAR(20),
-    status VARCHAR(20) DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'RESOLVED', 'DISMISSED')),
+    zone_id UUID REFERENCES speed_zones(id) ON DELETE SET NULL, -- Zona de velocidad donde ocurrió la violación
+    zone_name VARCHAR(100), -- Se conserva aunque la zona se elimine
+    rule_id UUID, -- Regla de alerta (alert_rules.rule_id) que generó la alerta
+    rule_version INTEGER,
+    status VARCHAR(20) DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'ACKNOWLEDGED', 'RESOLVED', 'DISMISSED')),
     priority VARCHAR(10) DEFAULT 'NORMAL',
     recommended_action TEXT,
     description TEXT,
     additional_data JSONB,
+    suppressed_count INTEGER DEFAULT 0, -- Alertas duplicadas suprimidas sobre esta alerta
+    last_suppressed_at TIMESTAMP WITH TIME ZONE,
     violation_timestamp TIMESTAMP WITH TIME ZONE NOT NULL,
     detected_at TIMESTAMP WITH TIME ZONE NOT NULL,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-    resolved_at TIMESTAMP WITH TIME ZONE
+    acknowledged_at TIMESTAMP WITH TIME ZONE,
+    acknowledged_by VARCHAR(100),
+    resolved_at TIMESTAMP WITH TIME ZONE, -- Al pasar a RESOLVED o DISMISSED
+    resolved_by VARCHAR(100), -- Usuario o 'system'
+    resolution_reason VARCHAR(30), -- MANUAL | SPEED_NORMALIZED | VEHICLE_RESUMED
+    resolution_notes TEXT
+);
+
+-- Cambios de estado de las alertas (ACTIVE → ACKNOWLEDGED → RESOLVED/DISMISSED, reabrir → ACTIVE)
+CREATE TABLE alert_transitions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    alert_id VARCHAR(50) NOT NULL REFERENCES alerts(alert_id) ON DELETE CASCADE,
+    from_status VARCHAR(20) NOT NULL,
+    to_status VARCHAR(20) NOT NULL,
+    actor_type VARCHAR(10) NOT NULL CHECK (actor_type IN ('USER', 'SYSTEM')),
+    actor VARCHAR(100) NOT NULL, -- Usuario que hizo el cambio o 'system'
+    reason VARCHAR(30),
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla de episodios de exceso de velocidad (se guardan al cerrarse)
+CREATE TABLE speeding_episodes (
+    id UUID PRIMARY KEY, -- Asignado al abrir el episodio (alerts.additional_data.episode.id)
+    vehicle_id VARCHAR(20) NOT NULL,
+    vehicle_type VARCHAR(20),
+    start_time TIMESTAMP WITH TIME ZONE NOT NULL, -- Primera lectura por encima del límite
+    end_time TIMESTAMP WITH TIME ZONE NOT NULL, -- Lectura que volvió al límite (o la última si end_reason = 'GAP')
+    duration_ms BIGINT NOT NULL,
+    speed_limit DECIMAL(5,2) NOT NULL, -- Límite al iniciar el episodio
+    peak_speed DECIMAL(5,2) NOT NULL,
+    peak_excess DECIMAL(5,2) NOT NULL,
+    average_excess DECIMAL(5,2) NOT NULL, -- Promedio de las lecturas por encima del límite
+    distance_meters DECIMAL(10,1) NOT NULL, -- GPS o, sin posiciones, estimada con la velocidad
+    reading_count INTEGER NOT NULL,
+    zone_id UUID REFERENCES speed_zones(id) ON DELETE SET NULL,
+    zone_name VARCHAR(100),
+    end_reason VARCHAR(20) NOT NULL CHECK (end_reason IN ('SPEED_DROP', 'GAP')),
+    threshold_reached BOOLEAN DEFAULT false, -- Superó SPEEDING_EPISODE_MIN_DURATION y SPEEDING_EPISODE_MIN_EXCESS
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla de mensajes rechazados (dead-letter)
+CREATE TABLE dead_letter_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    source_topic VARCHAR(255) NOT NULL,
+    reason_code VARCHAR(30) NOT NULL CHECK (reason_code IN ('EMPTY_PAYLOAD', 'MALFORMED_JSON', 'INVALID_STRUCTURE', 'VALIDATION_FAILED', 'PROCESSING_ERROR', 'UNDECODABLE_PAYLOAD')),
+    errors JSONB, -- Errores por campo del validador [{field, message, value}]
+    raw_payload BYTEA NOT NULL, -- Payload original tal como llegó
+    content_type VARCHAR(100), -- Content-Type MQTT 5 del mensaje original (JSON, CBOR o protobuf)
+    batch_index INTEGER, -- Posición del item si fue rechazado dentro de un lote
+    vehicle_id VARCHAR(50), -- Mejor esfuerzo: puede no existir en payloads malformados
+    status VARCHAR(20) DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'RESUBMITTED')),
+    resubmit_count INTEGER DEFAULT 0,
+    last_resubmit_error JSONB,
+    last_resubmitted_at TIMESTAMP WITH TIME ZONE,
+    received_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Tabla de estadísticas de vehículos (agregadas)
@@ -81,6 +207,25 @@ CREATE INDEX idx_alerts_severity ON alerts(severity);
 CREATE INDEX idx_alerts_status ON alerts(status);
 CREATE INDEX idx_alerts_created_at ON alerts(created_at);
 CREATE INDEX idx_alerts_vehicle_created ON alerts(vehicle_id, created_at);
+CREATE INDEX idx_alerts_type_status ON alerts(type, status);
+
+CREATE INDEX idx_alerts_zone_id ON alerts(zone_id);
+CREATE INDEX idx_alerts_rule_id ON alerts(rule_id);
+
+CREATE INDEX idx_alert_transitions_alert_created ON alert_transitions(alert_id, created_at);
+
+CREATE UNIQUE INDEX uq_alert_rules_current ON alert_rules(rule_id) WHERE is_current;
+
+CREATE INDEX idx_speeding_episodes_vehicle_start ON speeding_episodes(vehicle_id, start_time);
+CREATE INDEX idx_speeding_episodes_start_time ON speeding_episodes(start_time);
+
+CREATE INDEX idx_speed_zones_active ON speed_zones(is_active);
+
+CREATE INDEX idx_speed_limit_schedules_active ON speed_limit_schedules(is_active);
+
+CREATE INDEX idx_dead_letter_status ON dead_letter_messages(status);
+CREATE INDEX idx_dead_letter_reason ON dead_letter_messages(reason_code);
+CREATE INDEX idx_dead_letter_received_at ON dead_letter_messages(received_at);
 
 CREATE INDEX idx_vehicles_vehicle_id ON vehicles(vehicle_id);
 CREATE INDEX idx_vehicles_active ON vehicles(is_active);
@@ -108,6 +253,16 @@ CREATE TRIGGER update_vehicle_stats_updated_at
     FOR EACH ROW 
     EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_speed_zones_updated_at 
+    BEFORE UPDATE ON speed_zones 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_speed_limit_schedules_updated_at 
+    BEFORE UPDATE ON speed_limit_schedules 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
 -- Función para generar estadísticas diarias
 CREATE OR REPLACE FUNCTION generate_daily_stats(target_date DATE DEFAULT CURRENT_DATE)
 RETURNS INTEGER AS $$
@@ -161,7 +316,8 @@ INSERT INTO vehicles (vehicle_id, vehicle_type, registration_number) VALUES
 -- Comentarios para documentación
 COMMENT ON TABLE vehicles IS 'Información de vehículos registrados en el sistema';
 COMMENT ON TABLE speed_records IS 'Registros de velocidad en tiempo real';
-COMMENT ON TABLE alerts IS 'Alertas generadas por violaciones de velocidad';
+COMMENT ON TABLE alerts IS 'Alertas generadas por violaciones de velocidad y vehículos sin reportar';
+COMMENT ON TABLE dead_letter_messages IS 'Mensajes rechazados con su payload original para inspección y reenvío';
 COMMENT ON TABLE vehicle_stats IS 'Estadísticas agregadas diarias por vehículo';
 
 COMMENT ON FUNCTION generate_daily_stats IS 'Genera estadísticas diarias agregadas para análisis';
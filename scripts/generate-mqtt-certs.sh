@@ -0,0 +1,48 @@
+#!/bin/bash
+
+# Genera una CA local, el certificado del broker, un certificado de cliente
+# y el archivo de contraseñas para el broker MQTT con TLS (docker-compose.tls.yml)
+
+set -e
+
+CERTS_DIR="${CERTS_DIR:-mosquitto/certs}"
+PASSWD_FILE="${PASSWD_FILE:-mosquitto/config/passwd}"
+MQTT_TEST_USER="${MQTT_TEST_USER:-gaus_test}"
+MQTT_TEST_PASSWORD="${MQTT_TEST_PASSWORD:-gaus_test_password}"
+DAYS="${DAYS:-365}"
+
+echo "🔐 Generating MQTT TLS certificates in $CERTS_DIR..."
+mkdir -p "$CERTS_DIR"
+
+# Autoridad certificadora local
+openssl req -x509 -new -nodes -newkey rsa:2048 -days "$DAYS" \
+  -keyout "$CERTS_DIR/ca.key" -out "$CERTS_DIR/ca.crt" \
+  -subj "/CN=GausControl Test CA"
+
+# Certificado del broker (válido para localhost y el nombre del servicio docker)
+cat > "$CERTS_DIR/server.ext" <<EXT
+subjectAltName = DNS:localhost, DNS:mosquitto, DNS:mosquitto-tls, IP:127.0.0.1
+EXT
+
+openssl req -new -nodes -newkey rsa:2048 \
+  -keyout "$CERTS_DIR/server.key" -out "$CERTS_DIR/server.csr" \
+  -subj "/CN=localhost"
+openssl x509 -req -in "$CERTS_DIR/server.csr" -CA "$CERTS_DIR/ca.crt" -CAkey "$CERTS_DIR/ca.key" \
+  -CAcreateserial -out "$CERTS_DIR/server.crt" -days "$DAYS" -extfile "$CERTS_DIR/server.ext"
+
+# Certificado de cliente
+openssl req -new -nodes -newkey rsa:2048 \
+  -keyout "$CERTS_DIR/client.key" -out "$CERTS_DIR/client.csr" \
+  -subj "/CN=$MQTT_TEST_USER"
+openssl x509 -req -in "$CERTS_DIR/client.csr" -CA "$CERTS_DIR/ca.crt" -CAkey "$CERTS_DIR/ca.key" \
+  -CAcreateserial -out "$CERTS_DIR/client.crt" -days "$DAYS"
+
+rm -f "$CERTS_DIR"/*.csr "$CERTS_DIR/server.ext"
+chmod 644 "$CERTS_DIR"/*.crt "$CERTS_DIR"/*.key
+
+echo "🔑 Generating password file $PASSWD_FILE for user $MQTT_TEST_USER..."
+touch "$PASSWD_FILE"
+docker run --rm -v "$(cd "$(dirname "$PASSWD_FILE")" && pwd)":/work eclipse-mosquitto:2.0 \
+  mosquitto_passwd -b -c "/work/$(basename "$PASSWD_FILE")" "$MQTT_TEST_USER" "$MQTT_TEST_PASSWORD"
+
+echo "✅ Done. Start the broker with: docker-compose -f docker-compose.tls.yml up -d"
@@ -1,3 +1,6 @@
+const fs = require('fs');
+const { normalizeUnit } = require('../utils/speedUnits');
+
 /**
  * Configuration manager siguiendo principios SOLID
  * Principio: Single Responsibility - Solo maneja configuración
@@ -22,15 +25,34 @@ class Config {
         env: process.env.NODE_ENV || 'development'
       },
 
-      // Configuración MQTT (sin autenticación)
+      // Configuración MQTT (TLS y credenciales opcionales)
       mqtt: {
+        protocol: process.env.MQTT_PROTOCOL || 'mqtt', // mqtt | mqtts
         broker: process.env.MQTT_BROKER || 'localhost',
-        port: parseInt(process.env.MQTT_PORT) || 1883,
+        port: parseInt(process.env.MQTT_PORT) || (process.env.MQTT_PROTOCOL === 'mqtts' ? 8883 : 1883),
+        username: this.readSecret('MQTT_USERNAME'),
+        password: this.readSecret('MQTT_PASSWORD'),
+        tls: {
+          caFile: process.env.MQTT_CA_FILE || null,
+          certFile: process.env.MQTT_CERT_FILE || null,
+          keyFile: process.env.MQTT_KEY_FILE || null,
+          keyPassphrase: this.readSecret('MQTT_KEY_PASSPHRASE'),
+          rejectUnauthorized: process.env.MQTT_TLS_REJECT_UNAUTHORIZED !== 'false',
+          servername: process.env.MQTT_TLS_SERVERNAME || null
+        },
+        // Versión del protocolo: 5 por defecto cuando se usan suscripciones compartidas
+        protocolVersion: parseInt(process.env.MQTT_PROTOCOL_VERSION) || (process.env.MQTT_SHARED_GROUP ? 5 : 4),
+        sharedGroup: process.env.MQTT_SHARED_GROUP || null, // $share/<grupo>/... reparte mensajes entre instancias
         clientId: process.env.MQTT_CLIENT_ID || 'gaus-control-' + Date.now(),
         keepAlive: parseInt(process.env.MQTT_KEEPALIVE) || 60,
         reconnectPeriod: parseInt(process.env.MQTT_RECONNECT_PERIOD) || 1000,
+        // Formato del payload por filtro de tópico (json | cbor | protobuf); el Content-Type de MQTT 5 tiene prioridad
+        payloadFormats: this.readKeyValueMap('MQTT_PAYLOAD_FORMATS', true),
         topics: {
           vehicleSpeed: process.env.MQTT_TOPIC_SPEED || 'vehicles/speed',
+          vehicleSpeedBatch: process.env.MQTT_TOPIC_SPEED_BATCH || 'vehicles/speed/batch',
+          vehicleSpeedPerVehicle: process.env.MQTT_TOPIC_SPEED_PER_VEHICLE || 'vehicles/+/speed', // El nivel + es el vehicleId
+          deadLetter: process.env.MQTT_TOPIC_DEADLETTER || 'vehicles/speed/deadletter', // Mensajes rechazados
           vehicleAlerts: process.env.MQTT_TOPIC_ALERTS || 'vehicles/alerts',
           systemHealth: process.env.MQTT_TOPIC_HEALTH || 'system/health'
         }
@@ -46,6 +68,10 @@ class Config {
         pool: {
           min: parseInt(process.env.DB_POOL_MIN) || 2,
           max: parseInt(process.env.DB_POOL_MAX) || 10
+        },
+        retry: {
+          attempts: parseInt(process.env.DB_RETRY_ATTEMPTS) || 3,
+          delay: parseInt(process.env.DB_RETRY_DELAY) || 1000 // ms, se duplica en cada intento
         }
       },
 
@@ -65,8 +91,16 @@ class Config {
       // Configuración de alertas
       alerts: {
         speedLimit: parseFloat(process.env.ALERT_SPEED_LIMIT) || 60.0,
+        speedLimitsByType: this.readKeyValueMap('ALERT_SPEED_LIMITS'), // km/h por tipo de vehículo, ej: truck=50,bus=50
         consecutiveLimit: parseInt(process.env.ALERT_CONSECUTIVE_LIMIT) || 3,
         timeWindow: parseInt(process.env.ALERT_TIME_WINDOW) || 60000, // 1 minuto en ms
+        reorderWindow: parseInt(process.env.ALERT_REORDER_WINDOW) || 30000, // Lecturas más viejas se marcan como tardías
+        reorderBufferSize: parseInt(process.env.ALERT_REORDER_BUFFER_SIZE) || 10, // Lecturas por vehículo
+        mode: process.env.ALERT_MODE || 'reading', // reading: alerta por lectura | episode: alerta por episodio de exceso
+        autoResolve: {
+          enabled: process.env.ALERT_AUTO_RESOLVE_ENABLED !== 'false',
+          after: parseInt(process.env.ALERT_AUTO_RESOLVE_AFTER) || 300000 // ms por debajo del límite que resuelven las alertas de velocidad
+        },
         severityLevels: {
           low: 'LOW',
           medium: 'MEDIUM', 
@@ -77,6 +111,123 @@ class Config {
 
 
 
+      // Estado por vehículo (memory | redis); compartido por defecto si hay varias instancias
+      state: {
+        store: process.env.VEHICLE_STATE_STORE || (process.env.MQTT_SHARED_GROUP ? 'redis' : 'memory')
+      },
+
+      // Spool en disco para escrituras mientras Postgres no está disponible
+      spool: {
+        dir: process.env.SPOOL_DIR || './data/spool',
+        replayInterval: parseInt(process.env.SPOOL_REPLAY_INTERVAL) || 5000 // ms
+      },
+
+      // Ventana de deduplicación en memoria (reentregas QoS 1)
+      dedup: {
+        windowSize: parseInt(process.env.DEDUP_WINDOW_SIZE) || 10000, // claves
+        windowMs: parseInt(process.env.DEDUP_WINDOW_MS) || 600000 // 10 minutos
+      },
+
+      // Cola de procesamiento MQTT (orden por vehículo y contrapresión)
+      processing: {
+        concurrency: parseInt(process.env.PROCESSING_CONCURRENCY) || 5, // Vehículos en paralelo (menor que DB_POOL_MAX)
+        highWaterMark: parseInt(process.env.PROCESSING_HIGH_WATER_MARK) || 1000, // Pausa la entrada MQTT
+        lowWaterMark: parseInt(process.env.PROCESSING_LOW_WATER_MARK) || 500 // Reanuda la entrada MQTT
+      },
+
+      // Configuración de ingesta
+      ingestion: {
+        batchMaxSize: parseInt(process.env.BATCH_MAX_SIZE) || 500
+      },
+
+      // Unidad de velocidad por defecto según el tópico (si ni el payload ni el vehículo la indican)
+      units: {
+        topicDefaults: this.readKeyValueMap('SPEED_UNIT_TOPICS', true) // ej: marine/+/speed=knots
+      },
+
+      // Configuración por vehículo leída de la tabla vehicles
+      vehicles: {
+        settingsRefreshInterval: parseInt(process.env.VEHICLE_SETTINGS_REFRESH_INTERVAL) || 60000 // ms
+      },
+
+      // Contraste entre la velocidad reportada y la implícita entre posiciones GPS (alertas SENSOR_MISMATCH)
+      crossCheck: {
+        enabled: process.env.CROSS_CHECK_ENABLED !== 'false',
+        tolerance: parseFloat(process.env.CROSS_CHECK_TOLERANCE) || 20, // km/h
+        tolerancePercent: parseFloat(process.env.CROSS_CHECK_TOLERANCE_PERCENT) || 30, // % de la mayor de ambas velocidades
+        minInterval: parseInt(process.env.CROSS_CHECK_MIN_INTERVAL) || 5000, // ms; por debajo domina el ruido GPS
+        maxInterval: parseInt(process.env.CROSS_CHECK_MAX_INTERVAL) || 120000, // ms; por encima la línea recta subestima el recorrido
+        sustainedCount: parseInt(process.env.CROSS_CHECK_SUSTAINED_COUNT) || 3, // Discrepancias seguidas para alertar
+        maxPlausibleSpeed: parseFloat(process.env.CROSS_CHECK_MAX_PLAUSIBLE_SPEED) || 300 // km/h; por encima es un salto de posición
+      },
+
+      // Detección de fallas del sensor de velocidad (alertas DATA_QUALITY)
+      sensorFaults: {
+        enabled: process.env.SENSOR_FAULTS_ENABLED !== 'false',
+        stuckDuration: parseInt(process.env.SENSOR_STUCK_DURATION) || 600000, // ms con el mismo valor distinto de cero
+        spikeThreshold: parseFloat(process.env.SENSOR_SPIKE_THRESHOLD) || 60, // km/h respecto a ambas lecturas vecinas
+        maxAcceleration: parseFloat(process.env.SENSOR_MAX_ACCELERATION) || 12, // m/s² (≈1.2 g)
+        excludeSpikes: process.env.SENSOR_EXCLUDE_SPIKES === 'true' // Los picos no cuentan como violaciones consecutivas
+      },
+
+      // Watchdog de vehículos sin reportar (alertas VEHICLE_OFFLINE)
+      watchdog: {
+        enabled: process.env.OFFLINE_WATCHDOG_ENABLED !== 'false',
+        checkInterval: parseInt(process.env.OFFLINE_CHECK_INTERVAL) || 60000, // ms
+        offlineThreshold: parseInt(process.env.OFFLINE_THRESHOLD) || 600000, // Silencio máximo por defecto (ms)
+        thresholdsByType: this.readKeyValueMap('OFFLINE_THRESHOLDS') // ej: truck=900000,motorcycle=300000
+      },
+
+      // Flota
+      fleet: {
+        timezone: process.env.FLEET_TIMEZONE || 'UTC' // Zona horaria de los horarios de zonas y límites
+      },
+
+      // Zonas de velocidad geocercadas (tabla speed_zones)
+      zones: {
+        enabled: process.env.SPEED_ZONES_ENABLED !== 'false',
+        refreshInterval: parseInt(process.env.SPEED_ZONES_REFRESH_INTERVAL) || 60000 // Recarga de zonas desde la base de datos (ms)
+      },
+
+      // Horarios de límites de velocidad y feriados (tablas speed_limit_schedules y holidays)
+      schedules: {
+        enabled: process.env.SPEED_SCHEDULES_ENABLED !== 'false',
+        refreshInterval: parseInt(process.env.SPEED_SCHEDULES_REFRESH_INTERVAL) || 60000 // ms
+      },
+
+      // Episodios de exceso de velocidad (tabla speeding_episodes); con ALERT_MODE=episode definen las alertas
+      episodes: {
+        minDuration: parseInt(process.env.SPEEDING_EPISODE_MIN_DURATION) || 30000, // ms por encima del límite para alertar
+        minExcess: parseFloat(process.env.SPEEDING_EPISODE_MIN_EXCESS) || 5, // km/h de exceso promedio para alertar
+        maxGap: parseInt(process.env.SPEEDING_EPISODE_MAX_GAP) || 60000 // ms sin lecturas que cierran el episodio
+      },
+
+      // Detección de patrones sobre el historial de violaciones (alertas PATTERN)
+      patterns: {
+        enabled: process.env.PATTERN_DETECTION_ENABLED !== 'false',
+        checkInterval: parseInt(process.env.PATTERN_CHECK_INTERVAL) || 3600000, // ms entre análisis
+        lookbackDays: parseInt(process.env.PATTERN_LOOKBACK_DAYS) || 14, // Historial para lugar y horario repetidos
+        minDays: parseInt(process.env.PATTERN_MIN_DAYS) || 3, // Días distintos para considerar repetido un lugar u horario
+        placeRadius: parseInt(process.env.PATTERN_PLACE_RADIUS) || 200, // Metros que se consideran el mismo lugar
+        sawtoothCrossings: parseInt(process.env.PATTERN_SAWTOOTH_CROSSINGS) || 6, // Cruces del límite en 10 minutos
+        risingWeeks: parseInt(process.env.PATTERN_RISING_WEEKS) || 3 // Semanas completas con violaciones en aumento
+      },
+
+      // Reglas de alerta declarativas (tabla alert_rules)
+      rules: {
+        refreshInterval: parseInt(process.env.ALERT_RULES_REFRESH_INTERVAL) || 60000 // Recarga de reglas desde la base de datos (ms)
+      },
+
+      // Listener de sentencias NMEA por TCP/UDP (deshabilitado sin puertos)
+      nmea: {
+        host: process.env.NMEA_HOST || '0.0.0.0',
+        tcpPort: parseInt(process.env.NMEA_TCP_PORT) || null,
+        udpPort: parseInt(process.env.NMEA_UDP_PORT) || null,
+        deviceMap: this.readKeyValueMap('NMEA_DEVICE_MAP'), // ip[:puerto]=vehicleId para equipos sin línea LOGIN
+        idleTimeout: parseInt(process.env.NMEA_IDLE_TIMEOUT) || 300000, // Cierra conexiones TCP sin datos (ms)
+        maxLineLength: parseInt(process.env.NMEA_MAX_LINE_LENGTH) || 1024
+      },
+
       // Configuración de WebSockets
       websocket: {
         cors: {
@@ -84,7 +235,8 @@ class Config {
           methods: ["GET", "POST"]
         },
         pingTimeout: parseInt(process.env.WS_PING_TIMEOUT) || 60000,
-        pingInterval: parseInt(process.env.WS_PING_INTERVAL) || 25000
+        pingInterval: parseInt(process.env.WS_PING_INTERVAL) || 25000,
+        statusInterval: parseInt(process.env.WS_STATUS_INTERVAL) || 5000 // Difusión de processor:status
       }
     };
   }
@@ -114,13 +266,108 @@ class Config {
       throw new Error('Speed limit must be greater than 0');
     }
 
+    const invalidLimits = Object.entries(this.config.alerts.speedLimitsByType)
+      .filter(([, limit]) => !(Number(limit) > 0));
+    if (invalidLimits.length > 0) {
+      throw new Error(`Speed limits by vehicle type must be greater than 0 (got: ${invalidLimits.map(entry => entry.join('=')).join(', ')})`);
+    }
+
     if (this.config.alerts.consecutiveLimit < 1) {
       throw new Error('Consecutive limit must be at least 1');
     }
 
+    if (!['mqtt', 'mqtts'].includes(this.config.mqtt.protocol)) {
+      throw new Error('MQTT protocol must be mqtt or mqtts');
+    }
+
+    const { certFile, keyFile } = this.config.mqtt.tls;
+    if (Boolean(certFile) !== Boolean(keyFile)) {
+      throw new Error('MQTT client certificate and key must be configured together');
+    }
+
+    const { sharedGroup, protocolVersion } = this.config.mqtt;
+    if (sharedGroup && (protocolVersion !== 5 || /[/+#]/.test(sharedGroup))) {
+      throw new Error('MQTT shared subscriptions require protocol version 5 and a group name without / + #');
+    }
+
+    const invalidFormats = Object.values(this.config.mqtt.payloadFormats)
+      .filter(format => !['json', 'cbor', 'protobuf'].includes(format));
+    if (invalidFormats.length > 0) {
+      throw new Error(`MQTT payload formats must be json, cbor or protobuf (got: ${invalidFormats.join(', ')})`);
+    }
+
+    const invalidUnits = Object.values(this.config.units.topicDefaults).filter(unit => !normalizeUnit(unit));
+    if (invalidUnits.length > 0) {
+      throw new Error(`Speed units must be kmh, mph, mps or knots (got: ${invalidUnits.join(', ')})`);
+    }
+
+    if (this.config.processing.lowWaterMark >= this.config.processing.highWaterMark) {
+      throw new Error('Processing low-water mark must be lower than the high-water mark');
+    }
+
+    const invalidThresholds = Object.entries(this.config.watchdog.thresholdsByType)
+      .filter(([, threshold]) => !(Number(threshold) > 0));
+    if (invalidThresholds.length > 0) {
+      throw new Error(`Offline thresholds must be positive milliseconds (got: ${invalidThresholds.map(entry => entry.join('=')).join(', ')})`);
+    }
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: this.config.fleet.timezone });
+    } catch (error) {
+      throw new Error(`Invalid fleet timezone: ${this.config.fleet.timezone}`);
+    }
+
+    if (!['reading', 'episode'].includes(this.config.alerts.mode)) {
+      throw new Error('Alert mode must be reading or episode');
+    }
+
+    if (!['memory', 'redis'].includes(this.config.state.store)) {
+      throw new Error('Vehicle state store must be memory or redis');
+    }
+
     console.log('Configuration validated successfully');
   }
 
+  /**
+   * Lee un secreto desde la variable de entorno o desde el archivo indicado en <NOMBRE>_FILE
+   * @param {string} name - Nombre de la variable de entorno
+   * @returns {string|null} Valor del secreto o null si no está definido
+   */
+  readSecret(name) {
+    const filePath = process.env[`${name}_FILE`];
+
+    if (filePath) {
+      try {
+        return fs.readFileSync(filePath, 'utf8').trim();
+      } catch (error) {
+        throw new Error(`Unable to read ${name}_FILE (${filePath}): ${error.message}`);
+      }
+    }
+
+    return process.env[name] || null;
+  }
+
+  /**
+   * Lee un mapa con el formato "clave=valor,clave=valor" (filtros de tópico, direcciones)
+   * @param {string} name - Nombre de la variable de entorno
+   * @param {boolean} lowercase - Convierte los valores a minúsculas
+   * @returns {object} Mapa clave -> valor
+   */
+  readKeyValueMap(name, lowercase = false) {
+    const map = {};
+
+    for (const entry of (process.env[name] || '').split(',')) {
+      const separator = entry.lastIndexOf('=');
+
+      if (separator > 0) {
+        const value = entry.slice(separator + 1).trim();
+        map[entry.slice(0, separator).trim()] = lowercase ? value.toLowerCase() : value;
+      }
+    }
+
+    return map;
+  }
+
   /**
    * Obtiene un valor de configuración usando dot notation
    * @param {string} path - Ruta de la configuración (ej: 'mqtt.broker')
@@ -1,4 +1,12 @@
 const AlertRepository = require('../repositories/alertRepository');
+const AlertTransitionValidator = require('../validators/alertTransitionValidator');
+const { SPEED_UNITS, normalizeUnit, convertSpeedFields } = require('../utils/speedUnits');
+
+const { ACTOR_TYPES } = AlertTransitionValidator;
+const MANUAL_REASON = 'MANUAL'; // resolution_reason de los cambios hechos por usuarios
+
+// Campos en km/h que se convierten a la unidad pedida con ?unit=
+const SPEED_FIELDS = ['speed', 'speed_limit', 'exceed_amount'];
 
 /**
  * Controlador para endpoints de alertas
@@ -6,8 +14,20 @@ const AlertRepository = require('../repositories/alertRepository');
  * Principio: Dependency Inversion - Depende de abstracciones
  */
 class AlertController {
-  constructor() {
+  constructor(realtimeNotifier = null, processorProvider = null) {
     this.alertRepository = new AlertRepository();
+    this.transitionValidator = new AlertTransitionValidator();
+    this.realtimeNotifier = realtimeNotifier; // Inyección de dependencia
+    this.processorProvider = processorProvider; // Función que retorna el procesador activo
+  }
+
+  /**
+   * Obtiene la unidad de velocidad pedida con ?unit= (km/h por defecto)
+   * @param {object} req - Request de Express
+   * @returns {string|null} Unidad canónica o null si no es válida
+   */
+  getRequestedUnit(req) {
+    return req.query.unit === undefined ? SPEED_UNITS.KMH : normalizeUnit(req.query.unit);
   }
 
   /**
@@ -16,6 +36,16 @@ class AlertController {
    */
   async getByVehicle(req, res) {
     try {
+      const unit = this.getRequestedUnit(req);
+
+      if (!unit) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid speed unit',
+          validValues: Object.values(SPEED_UNITS)
+        });
+      }
+
       const { vehicleId } = req.params;
       const { 
         status, 
@@ -44,8 +74,9 @@ class AlertController {
 
       res.json({
         success: true,
-        data: alerts,
+        data: alerts.map(row => convertSpeedFields(row, SPEED_FIELDS, unit)),
         count: alerts.length,
+        unit,
         vehicleId,
         filters: {
           status: status || 'all',
@@ -73,6 +104,16 @@ class AlertController {
    */
   async getBySeverity(req, res) {
     try {
+      const unit = this.getRequestedUnit(req);
+
+      if (!unit) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid speed unit',
+          validValues: Object.values(SPEED_UNITS)
+        });
+      }
+
       const { severity } = req.params;
       const { 
         status, 
@@ -102,8 +143,9 @@ class AlertController {
 
       res.json({
         success: true,
-        data: alerts,
+        data: alerts.map(row => convertSpeedFields(row, SPEED_FIELDS, unit)),
         count: alerts.length,
+        unit,
         severity: severity.toUpperCase(),
         filters: {
           status: status || 'all'
@@ -130,6 +172,16 @@ class AlertController {
    */
   async getByTimeRange(req, res) {
     try {
+      const unit = this.getRequestedUnit(req);
+
+      if (!unit) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid speed unit',
+          validValues: Object.values(SPEED_UNITS)
+        });
+      }
+
       const { 
         startDate, 
         endDate, 
@@ -170,8 +222,9 @@ class AlertController {
 
       res.json({
         success: true,
-        data: alerts,
+        data: alerts.map(row => convertSpeedFields(row, SPEED_FIELDS, unit)),
         count: alerts.length,
+        unit,
         timeRange: {
           startDate: start.toISOString(),
           endDate: end.toISOString()
@@ -203,6 +256,16 @@ class AlertController {
    */
   async getActiveAlerts(req, res) {
     try {
+      const unit = this.getRequestedUnit(req);
+
+      if (!unit) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid speed unit',
+          validValues: Object.values(SPEED_UNITS)
+        });
+      }
+
       const { 
         severity, 
         vehicleId,
@@ -229,8 +292,9 @@ class AlertController {
 
       res.json({
         success: true,
-        data: alerts,
+        data: alerts.map(row => convertSpeedFields(row, SPEED_FIELDS, unit)),
         count: alerts.length,
+        unit,
         status: 'ACTIVE',
         filters: {
           severity: severity || 'all',
@@ -254,6 +318,16 @@ class AlertController {
    */
   async getCriticalAlerts(req, res) {
     try {
+      const unit = this.getRequestedUnit(req);
+
+      if (!unit) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid speed unit',
+          validValues: Object.values(SPEED_UNITS)
+        });
+      }
+
       const { 
         status = 'ACTIVE', 
         limit = 50, 
@@ -271,8 +345,9 @@ class AlertController {
 
       res.json({
         success: true,
-        data: alerts,
+        data: alerts.map(row => convertSpeedFields(row, SPEED_FIELDS, unit)),
         count: alerts.length,
+        unit,
         severity: 'CRITICAL',
         filters: {
           status: status || 'all'
@@ -290,52 +365,73 @@ class AlertController {
   }
 
   /**
-   * Actualiza el estado de una alerta
-   * PUT /api/alerts/:alertId/status
+   * Refleja un cambio de estado en el procesador (supresión, resolución automática) y en tiempo real
+   * @param {object} alert - Fila de alerts actualizada
    */
-  async updateStatus(req, res) {
+  async notifyTransition(alert) {
+    const processor = this.processorProvider ? this.processorProvider() : null;
+
+    if (processor && processor.alertSystem) {
+      await processor.alertSystem.applyTransition(alert);
+    } else if (this.realtimeNotifier) {
+      this.realtimeNotifier.emitAlertUpdated(alert);
+    }
+  }
+
+  /**
+   * Cambia el estado de una alerta en nombre de un usuario
+   * @param {object} req - Request de Express (user en el body o en el header X-User, notes opcional)
+   * @param {object} res - Response de Express
+   * @param {string} status - Nuevo estado
+   */
+  async transition(req, res, status) {
     try {
       const { alertId } = req.params;
-      const { status, notes } = req.body;
+      const body = req.body || {};
+      const validation = this.transitionValidator.validateTransition({
+        status,
+        user: body.user !== undefined ? body.user : req.get('X-User'),
+        notes: body.notes
+      });
 
-      if (!alertId) {
+      if (!validation.isValid) {
         return res.status(400).json({
           success: false,
-          error: 'Alert ID is required'
+          error: 'Validation failed',
+          details: validation.errors
         });
       }
 
-      const validStatuses = ['ACTIVE', 'RESOLVED', 'DISMISSED'];
-      
-      if (!status || !validStatuses.includes(status)) {
-        return res.status(400).json({
+      const { user, notes } = validation.data;
+      const result = await this.alertRepository.transitionStatus(alertId, status, {
+        actorType: ACTOR_TYPES.USER,
+        actor: user,
+        reason: MANUAL_REASON,
+        notes
+      });
+
+      if (!result) {
+        return res.status(404).json({
           success: false,
-          error: 'Invalid status',
-          validValues: validStatuses
+          error: 'Alert not found'
         });
       }
 
-      const additionalData = {};
-      if (notes) {
-        additionalData.resolution_notes = notes;
-      }
-
-      const updatedAlert = await this.alertRepository.updateStatus(
-        alertId, 
-        status, 
-        additionalData
-      );
-
-      if (!updatedAlert) {
-        return res.status(404).json({
+      if (!result.transition) {
+        return res.status(409).json({
           success: false,
-          error: 'Alert not found'
+          error: 'Invalid status transition',
+          message: `Alert ${alertId} is ${result.alert.status} and cannot change to ${status}`,
+          validValues: AlertTransitionValidator.TRANSITIONS[result.alert.status] || []
         });
       }
 
+      await this.notifyTransition(result.alert);
+
       res.json({
         success: true,
-        data: updatedAlert,
+        data: result.alert,
+        transition: result.transition,
         message: `Alert status updated to ${status}`
       });
 
@@ -349,6 +445,81 @@ class AlertController {
     }
   }
 
+  /**
+   * Actualiza el estado de una alerta
+   * PUT /api/alerts/:alertId/status
+   */
+  async updateStatus(req, res) {
+    const status = req.body ? req.body.status : undefined;
+
+    if (!AlertTransitionValidator.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status',
+        validValues: AlertTransitionValidator.STATUSES
+      });
+    }
+
+    return this.transition(req, res, status);
+  }
+
+  /**
+   * Reconoce una alerta
+   * POST /api/alerts/:alertId/acknowledge
+   */
+  async acknowledge(req, res) {
+    return this.transition(req, res, 'ACKNOWLEDGED');
+  }
+
+  /**
+   * Resuelve una alerta
+   * POST /api/alerts/:alertId/resolve
+   */
+  async resolve(req, res) {
+    return this.transition(req, res, 'RESOLVED');
+  }
+
+  /**
+   * Descarta una alerta
+   * POST /api/alerts/:alertId/dismiss
+   */
+  async dismiss(req, res) {
+    return this.transition(req, res, 'DISMISSED');
+  }
+
+  /**
+   * Reabre una alerta resuelta o descartada
+   * POST /api/alerts/:alertId/reopen
+   */
+  async reopen(req, res) {
+    return this.transition(req, res, 'ACTIVE');
+  }
+
+  /**
+   * Obtiene los cambios de estado de una alerta
+   * GET /api/alerts/:alertId/transitions
+   */
+  async getTransitions(req, res) {
+    try {
+      const { alertId } = req.params;
+      const transitions = await this.alertRepository.getTransitions(alertId);
+
+      res.json({
+        success: true,
+        data: transitions,
+        count: transitions.length
+      });
+
+    } catch (error) {
+      console.error('Error getting alert transitions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Obtiene estadísticas de alertas
    * GET /api/alerts/stats
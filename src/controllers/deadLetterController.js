@@ -0,0 +1,201 @@
+const DeadLetterRepository = require('../repositories/deadLetterRepository');
+const DeadLetterService = require('../services/deadLetterService');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Controlador para endpoints de mensajes rechazados (dead-letter)
+ * Principio: Single Responsibility - Solo maneja requests de dead-letter
+ * Principio: Dependency Inversion - Depende de abstracciones
+ */
+class DeadLetterController {
+  constructor(processorProvider = null) {
+    this.deadLetterRepository = new DeadLetterRepository();
+    this.processorProvider = processorProvider; // Función que retorna el procesador activo
+  }
+
+  /**
+   * Obtiene el procesador de velocidad si está en ejecución
+   * @returns {object|null} Procesador activo o null
+   */
+  getRunningProcessor() {
+    const processor = this.processorProvider ? this.processorProvider() : null;
+    return processor && processor.isRunning ? processor : null;
+  }
+
+  /**
+   * Lista mensajes rechazados
+   * GET /api/deadletters
+   */
+  async list(req, res) {
+    try {
+      const {
+        status,
+        reasonCode,
+        sourceTopic,
+        vehicleId,
+        limit = 100,
+        offset = 0
+      } = req.query;
+
+      const validReasons = Object.values(DeadLetterService.REASON_CODES);
+
+      if (reasonCode && !validReasons.includes(reasonCode)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid reason code',
+          validValues: validReasons
+        });
+      }
+
+      const options = {
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      };
+
+      const deadLetters = await this.deadLetterRepository.listDeadLetters(
+        { status, reasonCode, sourceTopic, vehicleId },
+        options
+      );
+
+      res.json({
+        success: true,
+        data: deadLetters,
+        count: deadLetters.length,
+        filters: {
+          status: status || 'all',
+          reasonCode: reasonCode || 'all',
+          sourceTopic: sourceTopic || 'all',
+          vehicleId: vehicleId || 'all'
+        },
+        pagination: options
+      });
+
+    } catch (error) {
+      console.error('Error listing dead letters:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Obtiene un mensaje rechazado con su payload original
+   * GET /api/deadletters/:id
+   */
+  async getById(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!UUID_PATTERN.test(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid dead letter ID'
+        });
+      }
+
+      const deadLetter = await this.deadLetterRepository.getDeadLetter(id);
+
+      if (!deadLetter) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dead letter not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: deadLetter
+      });
+
+    } catch (error) {
+      console.error('Error getting dead letter:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Reenvía un mensaje rechazado
+   * POST /api/deadletters/:id/resubmit
+   */
+  async resubmitOne(req, res) {
+    return this.resubmit(res, [req.params.id]);
+  }
+
+  /**
+   * Reenvía varios mensajes rechazados
+   * POST /api/deadletters/resubmit  { ids: [...] }
+   */
+  async resubmitMany(req, res) {
+    const ids = req.body && req.body.ids;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Request body must include a non-empty ids array'
+      });
+    }
+
+    return this.resubmit(res, ids);
+  }
+
+  /**
+   * Reenvía mensajes al procesador activo
+   * @param {object} res - Response de Express
+   * @param {Array} ids - IDs de los mensajes
+   */
+  async resubmit(res, ids) {
+    try {
+      const invalidIds = ids.filter(id => !UUID_PATTERN.test(String(id)));
+
+      if (invalidIds.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid dead letter ID',
+          invalidIds
+        });
+      }
+
+      const processor = this.getRunningProcessor();
+
+      if (!processor) {
+        return res.status(503).json({
+          success: false,
+          error: 'Speed processor is not running'
+        });
+      }
+
+      const results = await processor.resubmitDeadLetters(ids);
+      const accepted = results.filter(result => result.status === 'accepted').length;
+
+      if (ids.length === 1 && results[0].status === 'not_found') {
+        return res.status(404).json({
+          success: false,
+          error: 'Dead letter not found'
+        });
+      }
+
+      res.json({
+        success: accepted > 0,
+        data: results,
+        message: `${accepted} of ${ids.length} dead letters resubmitted`
+      });
+
+    } catch (error) {
+      console.error('Error resubmitting dead letters:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = DeadLetterController;
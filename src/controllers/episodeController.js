@@ -0,0 +1,163 @@
+const SpeedingEpisodeRepository = require('../repositories/speedingEpisodeRepository');
+const { SPEED_UNITS, normalizeUnit, convertSpeedFields } = require('../utils/speedUnits');
+
+// Campos en km/h que se convierten a la unidad pedida con ?unit=
+const SPEED_FIELDS = ['speed_limit', 'peak_speed', 'peak_excess', 'average_excess'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Controlador para endpoints de episodios de exceso de velocidad
+ * Principio: Single Responsibility - Solo maneja requests de episodios
+ * Principio: Dependency Inversion - Depende de abstracciones
+ */
+class EpisodeController {
+  constructor() {
+    this.episodeRepository = new SpeedingEpisodeRepository();
+  }
+
+  /**
+   * Obtiene la unidad de velocidad pedida con ?unit= (km/h por defecto)
+   * @param {object} req - Request de Express
+   * @returns {string|null} Unidad canónica o null si no es válida
+   */
+  getRequestedUnit(req) {
+    return req.query.unit === undefined ? SPEED_UNITS.KMH : normalizeUnit(req.query.unit);
+  }
+
+  /**
+   * Lista episodios cerrados, los más recientes primero
+   * GET /api/episodes
+   */
+  async list(req, res) {
+    try {
+      const unit = this.getRequestedUnit(req);
+
+      if (!unit) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid speed unit',
+          validValues: Object.values(SPEED_UNITS)
+        });
+      }
+
+      const { vehicleId, startDate, endDate, minDuration, thresholdReached, limit = 100, offset = 0 } = req.query;
+      const filters = { vehicleId };
+
+      for (const [field, value] of [['startDate', startDate], ['endDate', endDate]]) {
+        if (value !== undefined) {
+          filters[field] = new Date(value);
+
+          if (isNaN(filters[field].getTime())) {
+            return res.status(400).json({
+              success: false,
+              error: 'Invalid date format'
+            });
+          }
+        }
+      }
+
+      if (minDuration !== undefined) {
+        filters.minDuration = parseInt(minDuration);
+
+        if (isNaN(filters.minDuration) || filters.minDuration < 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'minDuration must be a non-negative number of milliseconds'
+          });
+        }
+      }
+
+      if (thresholdReached !== undefined) {
+        if (!['true', 'false'].includes(thresholdReached)) {
+          return res.status(400).json({
+            success: false,
+            error: 'thresholdReached must be true or false'
+          });
+        }
+
+        filters.thresholdReached = thresholdReached === 'true';
+      }
+
+      const options = {
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      };
+
+      const episodes = await this.episodeRepository.listEpisodes(filters, options);
+
+      res.json({
+        success: true,
+        data: episodes.map(row => convertSpeedFields(row, SPEED_FIELDS, unit)),
+        count: episodes.length,
+        unit,
+        filters: {
+          vehicleId: vehicleId || 'all',
+          startDate: filters.startDate ? filters.startDate.toISOString() : null,
+          endDate: filters.endDate ? filters.endDate.toISOString() : null,
+          minDuration: filters.minDuration || null,
+          thresholdReached: thresholdReached || 'all'
+        },
+        pagination: options
+      });
+
+    } catch (error) {
+      console.error('Error listing speeding episodes:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Obtiene un episodio
+   * GET /api/episodes/:id
+   */
+  async getById(req, res) {
+    try {
+      const unit = this.getRequestedUnit(req);
+      const { id } = req.params;
+
+      if (!unit) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid speed unit',
+          validValues: Object.values(SPEED_UNITS)
+        });
+      }
+
+      if (!UUID_PATTERN.test(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid episode ID'
+        });
+      }
+
+      const episode = await this.episodeRepository.getEpisode(id);
+
+      if (!episode) {
+        return res.status(404).json({
+          success: false,
+          error: 'Episode not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: convertSpeedFields(episode, SPEED_FIELDS, unit),
+        unit
+      });
+
+    } catch (error) {
+      console.error('Error getting speeding episode:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = EpisodeController;
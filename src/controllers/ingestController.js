@@ -0,0 +1,181 @@
+/**
+ * Controlador para ingesta HTTP de aplicaciones de rastreo (protocolo OsmAnd / Traccar)
+ * Principio: Single Responsibility - Solo traduce requests de rastreo a mensajes de velocidad
+ * Principio: Dependency Inversion - Depende de abstracciones
+ *
+ * Las lecturas pasan por el mismo flujo que MQTT (validación, deduplicación,
+ * violaciones consecutivas y alertas) a través del procesador activo.
+ */
+class IngestController {
+  constructor(processorProvider = null) {
+    this.processorProvider = processorProvider; // Función que retorna el procesador activo
+  }
+
+  /**
+   * Obtiene el procesador de velocidad si está en ejecución
+   * @returns {object|null} Procesador activo o null
+   */
+  getRunningProcessor() {
+    const processor = this.processorProvider ? this.processorProvider() : null;
+    return processor && processor.isRunning ? processor : null;
+  }
+
+  /**
+   * Ingesta una posición en formato OsmAnd (query string o formulario)
+   * GET|POST /api/ingest/osmand?id=...&lat=...&lon=...&speed=...&timestamp=...
+   */
+  async osmand(req, res) {
+    try {
+      const params = {
+        ...req.query,
+        ...(req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {})
+      };
+
+      if (!params.id && !params.deviceid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Device id is required (id or deviceid)'
+        });
+      }
+
+      if (!this.parseLocation(params)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Position is required (lat and lon, or location)'
+        });
+      }
+
+      const processor = this.getRunningProcessor();
+
+      if (!processor) {
+        return res.status(503).json({
+          success: false,
+          error: 'Speed processor is not running'
+        });
+      }
+
+      const result = await processor.ingestMessage('http/osmand', this.fromOsmAnd(params));
+
+      // Cola llena: el cliente de rastreo conserva la posición y la reintenta
+      if (result.busy) {
+        res.set('Retry-After', '5');
+        return res.status(503).json({
+          success: false,
+          error: 'Processing queue is full, retry later'
+        });
+      }
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          reasonCode: result.reasonCode,
+          details: result.errors
+        });
+      }
+
+      res.json({
+        success: true,
+        duplicate: Boolean(result.duplicate),
+        data: result.data
+      });
+
+    } catch (error) {
+      console.error('Error ingesting OsmAnd position:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Convierte los parámetros OsmAnd al formato del payload JSON
+   * La velocidad OsmAnd viene en nudos; se convierte a km/h al validar.
+   * @param {object} params - Parámetros de query o formulario
+   * @returns {object} Mensaje de velocidad
+   */
+  fromOsmAnd(params) {
+    const message = {
+      vehicleId: String(params.id || params.deviceid).trim(),
+      speed: this.toNumber(params.speed),
+      unit: 'knots',
+      timestamp: this.parseTimestamp(params.timestamp),
+      location: this.parseLocation(params)
+    };
+
+    const metadata = { source: 'osmand' };
+    const extras = {
+      bearing: params.bearing !== undefined ? params.bearing : params.heading,
+      altitude: params.altitude,
+      accuracy: params.accuracy,
+      battery: params.batt
+    };
+
+    for (const [key, value] of Object.entries(extras)) {
+      const number = this.toNumber(value);
+
+      if (number !== undefined && !isNaN(number)) {
+        metadata[key] = number;
+      }
+    }
+
+    message.metadata = metadata;
+    return message;
+  }
+
+  /**
+   * Convierte el timestamp OsmAnd (segundos o milisegundos epoch, o fecha en texto)
+   * @param {string|number} value - Timestamp recibido
+   * @returns {string|undefined} Fecha ISO, el texto original o undefined si no viene
+   */
+  parseTimestamp(value) {
+    if (value === undefined || value === null || value === '') {
+      return undefined;
+    }
+
+    if (/^\d+(\.\d+)?$/.test(String(value))) {
+      const number = Number(value);
+      // Valores menores a 1e12 son segundos (1e12 ms = septiembre de 2001)
+      return new Date(number < 1e12 ? number * 1000 : number).toISOString();
+    }
+
+    return String(value);
+  }
+
+  /**
+   * Obtiene la ubicación de lat/lon o del parámetro location=lat,lon
+   * @param {object} params - Parámetros recibidos
+   * @returns {object|null} { lat, lng } o null
+   */
+  parseLocation(params) {
+    let lat = params.lat;
+    let lon = params.lon;
+
+    if ((lat === undefined || lon === undefined) && typeof params.location === 'string') {
+      [lat, lon] = params.location.split(',');
+    }
+
+    if (lat === undefined || lon === undefined) {
+      return null;
+    }
+
+    return { lat: this.toNumber(lat), lng: this.toNumber(lon) };
+  }
+
+  /**
+   * Convierte un parámetro de texto a número
+   * @param {string|number} value - Valor recibido
+   * @returns {number|undefined} Número (NaN si no es numérico) o undefined si no viene
+   */
+  toNumber(value) {
+    if (value === undefined || value === null || value === '') {
+      return undefined;
+    }
+
+    return Number(value);
+  }
+}
+
+module.exports = IngestController;
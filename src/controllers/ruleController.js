@@ -0,0 +1,314 @@
+const RuleRepository = require('../repositories/ruleRepository');
+const RuleValidator = require('../validators/ruleValidator');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Controlador para endpoints de reglas de alerta
+ * Principio: Single Responsibility - Solo maneja requests de reglas de alerta
+ * Principio: Dependency Inversion - Depende de abstracciones
+ *
+ * Las modificaciones nunca sobrescriben una regla: crean una nueva versión.
+ */
+class RuleController {
+  constructor(processorProvider = null) {
+    this.ruleRepository = new RuleRepository();
+    this.validator = new RuleValidator();
+    this.processorProvider = processorProvider; // Función que retorna el procesador activo
+  }
+
+  /**
+   * Fuerza al procesador a recargar las reglas tras un cambio
+   */
+  invalidateRules() {
+    const processor = this.processorProvider ? this.processorProvider() : null;
+
+    if (processor && processor.ruleEngine) {
+      processor.ruleEngine.invalidate();
+    }
+  }
+
+  /**
+   * Lista las versiones actuales de las reglas en orden de evaluación
+   * GET /api/rules
+   */
+  async list(req, res) {
+    try {
+      const { enabled, limit = 100, offset = 0 } = req.query;
+
+      if (enabled !== undefined && !['true', 'false'].includes(enabled)) {
+        return res.status(400).json({
+          success: false,
+          error: 'enabled must be true or false'
+        });
+      }
+
+      const options = {
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      };
+
+      const rules = await this.ruleRepository.listRules(
+        { isEnabled: enabled === undefined ? undefined : enabled === 'true' },
+        options
+      );
+
+      res.json({
+        success: true,
+        data: rules,
+        count: rules.length,
+        filters: {
+          enabled: enabled || 'all'
+        },
+        pagination: options
+      });
+
+    } catch (error) {
+      console.error('Error listing alert rules:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Obtiene la versión actual de una regla
+   * GET /api/rules/:ruleId
+   */
+  async getById(req, res) {
+    try {
+      const { ruleId } = req.params;
+
+      if (!UUID_PATTERN.test(ruleId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid rule ID'
+        });
+      }
+
+      const rule = await this.ruleRepository.getRule(ruleId);
+
+      if (!rule) {
+        return res.status(404).json({
+          success: false,
+          error: 'Rule not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: rule
+      });
+
+    } catch (error) {
+      console.error('Error getting alert rule:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Obtiene el historial de versiones de una regla
+   * GET /api/rules/:ruleId/versions
+   */
+  async getVersions(req, res) {
+    try {
+      const { ruleId } = req.params;
+
+      if (!UUID_PATTERN.test(ruleId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid rule ID'
+        });
+      }
+
+      const versions = await this.ruleRepository.getRuleVersions(ruleId);
+
+      if (versions.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Rule not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: versions,
+        count: versions.length
+      });
+
+    } catch (error) {
+      console.error('Error getting alert rule versions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Crea una regla
+   * POST /api/rules
+   */
+  async create(req, res) {
+    try {
+      const validation = this.validator.validateRule(req.body);
+
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: validation.errors
+        });
+      }
+
+      const rule = await this.ruleRepository.createRule(validation.data);
+      this.invalidateRules();
+
+      res.status(201).json({
+        success: true,
+        data: rule
+      });
+
+    } catch (error) {
+      console.error('Error creating alert rule:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Crea una nueva versión de una regla con los campos indicados
+   * PUT /api/rules/:ruleId
+   */
+  async update(req, res) {
+    try {
+      const { ruleId } = req.params;
+
+      if (!UUID_PATTERN.test(ruleId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid rule ID'
+        });
+      }
+
+      const validation = this.validator.validateRule(req.body, { partial: true });
+
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: validation.errors
+        });
+      }
+
+      await this.respondWithVersion(res, () => this.ruleRepository.createVersion(ruleId, validation.data));
+
+    } catch (error) {
+      console.error('Error updating alert rule:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Deshabilita una regla (nueva versión con isEnabled = false; el historial se conserva)
+   * DELETE /api/rules/:ruleId
+   */
+  async remove(req, res) {
+    try {
+      const { ruleId } = req.params;
+
+      if (!UUID_PATTERN.test(ruleId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid rule ID'
+        });
+      }
+
+      await this.respondWithVersion(res, () => this.ruleRepository.createVersion(ruleId, { isEnabled: false }));
+
+    } catch (error) {
+      console.error('Error disabling alert rule:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Restaura el contenido de una versión anterior como nueva versión
+   * POST /api/rules/:ruleId/restore  { version }
+   */
+  async restore(req, res) {
+    try {
+      const { ruleId } = req.params;
+      const version = req.body ? req.body.version : undefined;
+
+      if (!UUID_PATTERN.test(ruleId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid rule ID'
+        });
+      }
+
+      if (!Number.isInteger(version) || version < 1) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: [{ field: 'version', message: 'version is required and must be a positive integer', value: version }]
+        });
+      }
+
+      await this.respondWithVersion(res, () => this.ruleRepository.createVersion(ruleId, {}, version), 'Rule or version not found');
+
+    } catch (error) {
+      console.error('Error restoring alert rule:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Crea una versión y responde con ella (404 si la regla no existe)
+   * @param {object} res - Response de Express
+   * @param {function} createVersion - Crea la versión en el repositorio
+   * @param {string} notFoundMessage - Error si no se creó la versión
+   */
+  async respondWithVersion(res, createVersion, notFoundMessage = 'Rule not found') {
+    const rule = await createVersion();
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: notFoundMessage
+      });
+    }
+
+    this.invalidateRules();
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  }
+}
+
+module.exports = RuleController;
@@ -0,0 +1,372 @@
+const ScheduleRepository = require('../repositories/scheduleRepository');
+const ScheduleValidator = require('../validators/scheduleValidator');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const FOREIGN_KEY_VIOLATION = '23503'; // Código PostgreSQL: zone_id inexistente
+
+/**
+ * Controlador para endpoints de horarios de límites de velocidad y feriados
+ * Principio: Single Responsibility - Solo maneja requests de horarios
+ * Principio: Dependency Inversion - Depende de abstracciones
+ */
+class ScheduleController {
+  constructor(processorProvider = null) {
+    this.scheduleRepository = new ScheduleRepository();
+    this.validator = new ScheduleValidator();
+    this.processorProvider = processorProvider; // Función que retorna el procesador activo
+  }
+
+  /**
+   * Fuerza al procesador a recargar horarios y feriados tras un cambio
+   */
+  invalidateSchedules() {
+    const processor = this.processorProvider ? this.processorProvider() : null;
+
+    if (processor && processor.scheduleService) {
+      processor.scheduleService.invalidate();
+    }
+  }
+
+  /**
+   * Lista horarios de límites
+   * GET /api/schedules
+   */
+  async list(req, res) {
+    try {
+      const { scope, vehicleType, zoneId, active, limit = 100, offset = 0 } = req.query;
+
+      if (scope && !ScheduleValidator.SCOPES.includes(scope)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid scope',
+          validValues: ScheduleValidator.SCOPES
+        });
+      }
+
+      if (active !== undefined && !['true', 'false'].includes(active)) {
+        return res.status(400).json({
+          success: false,
+          error: 'active must be true or false'
+        });
+      }
+
+      const options = {
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      };
+
+      const schedules = await this.scheduleRepository.listSchedules(
+        { scope, vehicleType, zoneId, isActive: active === undefined ? undefined : active === 'true' },
+        options
+      );
+
+      res.json({
+        success: true,
+        data: schedules,
+        count: schedules.length,
+        filters: {
+          scope: scope || 'all',
+          vehicleType: vehicleType || 'all',
+          zoneId: zoneId || 'all',
+          active: active || 'all'
+        },
+        pagination: options
+      });
+
+    } catch (error) {
+      console.error('Error listing speed limit schedules:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Obtiene un horario de límite
+   * GET /api/schedules/:id
+   */
+  async getById(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!UUID_PATTERN.test(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid schedule ID'
+        });
+      }
+
+      const schedule = await this.scheduleRepository.getSchedule(id);
+
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          error: 'Schedule not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: schedule
+      });
+
+    } catch (error) {
+      console.error('Error getting speed limit schedule:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Crea un horario de límite
+   * POST /api/schedules
+   */
+  async create(req, res) {
+    try {
+      const validation = this.validator.validateSchedule(req.body);
+
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: validation.errors
+        });
+      }
+
+      const schedule = await this.scheduleRepository.createSchedule(validation.data);
+      this.invalidateSchedules();
+
+      res.status(201).json({
+        success: true,
+        data: schedule
+      });
+
+    } catch (error) {
+      this.handleWriteError(res, error, 'Error creating speed limit schedule:');
+    }
+  }
+
+  /**
+   * Actualiza los campos indicados de un horario de límite
+   * PUT /api/schedules/:id
+   */
+  async update(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!UUID_PATTERN.test(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid schedule ID'
+        });
+      }
+
+      const validation = this.validator.validateSchedule(req.body, { partial: true });
+
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: validation.errors
+        });
+      }
+
+      const schedule = await this.scheduleRepository.updateSchedule(id, validation.data);
+
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          error: 'Schedule not found'
+        });
+      }
+
+      this.invalidateSchedules();
+
+      res.json({
+        success: true,
+        data: schedule
+      });
+
+    } catch (error) {
+      this.handleWriteError(res, error, 'Error updating speed limit schedule:');
+    }
+  }
+
+  /**
+   * Elimina un horario de límite
+   * DELETE /api/schedules/:id
+   */
+  async remove(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!UUID_PATTERN.test(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid schedule ID'
+        });
+      }
+
+      const deleted = await this.scheduleRepository.deleteSchedule(id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Schedule not found'
+        });
+      }
+
+      this.invalidateSchedules();
+
+      res.json({
+        success: true,
+        message: 'Schedule deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Error deleting speed limit schedule:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Lista feriados
+   * GET /api/schedules/holidays
+   */
+  async listHolidays(req, res) {
+    try {
+      const { from } = req.query;
+
+      if (from && !this.validator.isValidDate(from)) {
+        return res.status(400).json({
+          success: false,
+          error: 'from must be a valid YYYY-MM-DD date'
+        });
+      }
+
+      const holidays = await this.scheduleRepository.listHolidays({ from });
+
+      res.json({
+        success: true,
+        data: holidays,
+        count: holidays.length
+      });
+
+    } catch (error) {
+      console.error('Error listing holidays:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Registra (o renombra) un feriado
+   * POST /api/schedules/holidays  { date: 'YYYY-MM-DD', name }
+   */
+  async saveHoliday(req, res) {
+    try {
+      const validation = this.validator.validateHoliday(req.body);
+
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: validation.errors
+        });
+      }
+
+      const holiday = await this.scheduleRepository.saveHoliday(validation.data);
+      this.invalidateSchedules();
+
+      res.status(201).json({
+        success: true,
+        data: holiday
+      });
+
+    } catch (error) {
+      console.error('Error saving holiday:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Elimina un feriado
+   * DELETE /api/schedules/holidays/:date
+   */
+  async removeHoliday(req, res) {
+    try {
+      const { date } = req.params;
+
+      if (!this.validator.isValidDate(date)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid holiday date'
+        });
+      }
+
+      const deleted = await this.scheduleRepository.deleteHoliday(date);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Holiday not found'
+        });
+      }
+
+      this.invalidateSchedules();
+
+      res.json({
+        success: true,
+        message: 'Holiday deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Error deleting holiday:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Responde un error al escribir un horario (zona inexistente o error interno)
+   * @param {object} res - Response de Express
+   * @param {Error} error - Error de la escritura
+   * @param {string} logMessage - Mensaje para el log
+   */
+  handleWriteError(res, error, logMessage) {
+    if (error.code === FOREIGN_KEY_VIOLATION) {
+      return res.status(400).json({
+        success: false,
+        error: 'Zone not found'
+      });
+    }
+
+    console.error(logMessage, error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+module.exports = ScheduleController;
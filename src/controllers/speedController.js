@@ -1,5 +1,13 @@
 const SpeedRecordRepository = require('../repositories/speedRecordRepository');
 const SimpleSpeedValidator = require('../validators/simpleSpeedValidator');
+const { SPEED_UNITS, normalizeUnit, convertSpeedFields } = require('../utils/speedUnits');
+
+// Campos en km/h que se convierten a la unidad pedida con ?unit=
+const SPEED_FIELDS = [
+  'speed', 'speed_limit', 'exceed_amount',
+  'avg_speed', 'max_speed', 'min_speed', 'avg_speed_limit',
+  'overall_avg_speed', 'overall_max_speed'
+];
 
 /**
  * Controlador para endpoints de velocidad
@@ -7,9 +15,28 @@ const SimpleSpeedValidator = require('../validators/simpleSpeedValidator');
  * Principio: Dependency Inversion - Depende de abstracciones
  */
 class SpeedController {
-  constructor() {
+  constructor(processorProvider = null) {
     this.speedRepository = new SpeedRecordRepository();
     this.validator = new SimpleSpeedValidator();
+    this.processorProvider = processorProvider; // Función que retorna el procesador activo
+  }
+
+  /**
+   * Obtiene el procesador de velocidad si está en ejecución
+   * @returns {object|null} Procesador activo o null
+   */
+  getRunningProcessor() {
+    const processor = this.processorProvider ? this.processorProvider() : null;
+    return processor && processor.isRunning ? processor : null;
+  }
+
+  /**
+   * Obtiene la unidad de velocidad pedida con ?unit= (km/h por defecto)
+   * @param {object} req - Request de Express
+   * @returns {string|null} Unidad canónica o null si no es válida
+   */
+  getRequestedUnit(req) {
+    return req.query.unit === undefined ? SPEED_UNITS.KMH : normalizeUnit(req.query.unit);
   }
 
   /**
@@ -18,6 +45,16 @@ class SpeedController {
    */
   async getByVehicle(req, res) {
     try {
+      const unit = this.getRequestedUnit(req);
+
+      if (!unit) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid speed unit',
+          validValues: Object.values(SPEED_UNITS)
+        });
+      }
+
       const { vehicleId } = req.params;
       const { limit = 100, offset = 0, orderBy = 'timestamp DESC' } = req.query;
 
@@ -38,8 +75,9 @@ class SpeedController {
 
       res.json({
         success: true,
-        data: records,
+        data: records.map(row => convertSpeedFields(row, SPEED_FIELDS, unit)),
         count: records.length,
+        unit,
         vehicleId,
         pagination: {
           limit: options.limit,
@@ -63,6 +101,16 @@ class SpeedController {
    */
   async getByTimeRange(req, res) {
     try {
+      const unit = this.getRequestedUnit(req);
+
+      if (!unit) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid speed unit',
+          validValues: Object.values(SPEED_UNITS)
+        });
+      }
+
       const { startDate, endDate, vehicleId, limit = 1000, offset = 0 } = req.query;
 
       if (!startDate || !endDate) {
@@ -93,8 +141,9 @@ class SpeedController {
 
       res.json({
         success: true,
-        data: records,
+        data: records.map(row => convertSpeedFields(row, SPEED_FIELDS, unit)),
         count: records.length,
+        unit,
         timeRange: {
           startDate: start.toISOString(),
           endDate: end.toISOString()
@@ -121,6 +170,16 @@ class SpeedController {
    */
   async getViolations(req, res) {
     try {
+      const unit = this.getRequestedUnit(req);
+
+      if (!unit) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid speed unit',
+          validValues: Object.values(SPEED_UNITS)
+        });
+      }
+
       const { vehicleId, startDate, endDate, limit = 100 } = req.query;
 
       const options = {
@@ -145,8 +204,9 @@ class SpeedController {
 
       res.json({
         success: true,
-        data: violations,
+        data: violations.map(row => convertSpeedFields(row, SPEED_FIELDS, unit)),
         count: violations.length,
+        unit,
         filters: {
           vehicleId: vehicleId || 'all',
           startDate: options.startDate?.toISOString(),
@@ -170,6 +230,16 @@ class SpeedController {
    */
   async getVehicleStats(req, res) {
     try {
+      const unit = this.getRequestedUnit(req);
+
+      if (!unit) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid speed unit',
+          validValues: Object.values(SPEED_UNITS)
+        });
+      }
+
       const { vehicleId } = req.params;
       const { startDate, endDate } = req.query;
 
@@ -205,7 +275,8 @@ class SpeedController {
 
       res.json({
         success: true,
-        data: stats,
+        data: convertSpeedFields(stats, SPEED_FIELDS, unit),
+        unit,
         vehicleId,
         timeRange: {
           startDate: options.startDate?.toISOString(),
@@ -229,6 +300,16 @@ class SpeedController {
    */
   async getSystemStats(req, res) {
     try {
+      const unit = this.getRequestedUnit(req);
+
+      if (!unit) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid speed unit',
+          validValues: Object.values(SPEED_UNITS)
+        });
+      }
+
       const { startDate, endDate } = req.query;
 
       const options = {};
@@ -249,7 +330,8 @@ class SpeedController {
 
       res.json({
         success: true,
-        data: stats,
+        data: convertSpeedFields(stats, SPEED_FIELDS, unit),
+        unit,
         timeRange: {
           startDate: options.startDate?.toISOString(),
           endDate: options.endDate?.toISOString()
@@ -304,6 +386,79 @@ class SpeedController {
     }
   }
 
+  /**
+   * Ingesta un lote de registros de velocidad con alertas
+   * POST /api/speed/records
+   */
+  async createBatch(req, res) {
+    try {
+      const records = Array.isArray(req.body) ? req.body : req.body && req.body.records;
+
+      if (!Array.isArray(records)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Request body must be an array of speed records or { records: [...] }'
+        });
+      }
+
+      const processor = this.getRunningProcessor();
+
+      if (!processor) {
+        return res.status(503).json({
+          success: false,
+          error: 'Speed processor is not running'
+        });
+      }
+
+      const batchResult = await processor.ingestBatch(records);
+
+      // Cola llena: el cliente conserva el lote y lo reintenta
+      if (batchResult.busy) {
+        res.set('Retry-After', '5');
+        return res.status(503).json({
+          success: false,
+          error: 'Processing queue is full, retry later'
+        });
+      }
+
+      if (!batchResult.success) {
+        const statusCode = batchResult.error === 'Batch validation failed' ? 400 : 500;
+
+        return res.status(statusCode).json({
+          success: false,
+          error: batchResult.error,
+          details: batchResult.details,
+          stats: batchResult.stats
+        });
+      }
+
+      const { stats } = batchResult;
+
+      // Un lote solo con duplicados ya fue aceptado antes (reintento idempotente)
+      let statusCode = 400;
+      if (stats.accepted > 0) {
+        statusCode = 201;
+      } else if (stats.duplicates > 0) {
+        statusCode = 200;
+      }
+
+      res.status(statusCode).json({
+        success: stats.accepted + stats.duplicates > 0,
+        data: batchResult.results,
+        stats,
+        message: `${stats.accepted} of ${stats.total} speed records accepted, ${stats.duplicates} duplicates ignored`
+      });
+
+    } catch (error) {
+      console.error('Error creating speed record batch:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Health check específico para el módulo de velocidad
    * GET /api/speed/health
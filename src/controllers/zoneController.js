@@ -0,0 +1,304 @@
+const ZoneRepository = require('../repositories/zoneRepository');
+const ZoneValidator = require('../validators/zoneValidator');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Controlador para endpoints de zonas de velocidad
+ * Principio: Single Responsibility - Solo maneja requests de zonas
+ * Principio: Dependency Inversion - Depende de abstracciones
+ */
+class ZoneController {
+  constructor(processorProvider = null) {
+    this.zoneRepository = new ZoneRepository();
+    this.validator = new ZoneValidator();
+    this.processorProvider = processorProvider; // Función que retorna el procesador activo
+  }
+
+  /**
+   * Fuerza al procesador a recargar las zonas tras un cambio
+   */
+  invalidateZones() {
+    const processor = this.processorProvider ? this.processorProvider() : null;
+
+    if (processor && processor.zoneService) {
+      processor.zoneService.invalidate();
+    }
+  }
+
+  /**
+   * Lista zonas de velocidad
+   * GET /api/zones
+   */
+  async list(req, res) {
+    try {
+      const { active, limit = 100, offset = 0 } = req.query;
+
+      if (active !== undefined && !['true', 'false'].includes(active)) {
+        return res.status(400).json({
+          success: false,
+          error: 'active must be true or false'
+        });
+      }
+
+      const options = {
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      };
+
+      const zones = await this.zoneRepository.listZones(
+        { isActive: active === undefined ? undefined : active === 'true' },
+        options
+      );
+
+      res.json({
+        success: true,
+        data: zones,
+        count: zones.length,
+        filters: {
+          active: active || 'all'
+        },
+        pagination: options
+      });
+
+    } catch (error) {
+      console.error('Error listing speed zones:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Obtiene una zona de velocidad
+   * GET /api/zones/:id
+   */
+  async getById(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!UUID_PATTERN.test(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid zone ID'
+        });
+      }
+
+      const zone = await this.zoneRepository.getZone(id);
+
+      if (!zone) {
+        return res.status(404).json({
+          success: false,
+          error: 'Zone not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: zone
+      });
+
+    } catch (error) {
+      console.error('Error getting speed zone:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Crea una zona de velocidad
+   * POST /api/zones
+   */
+  async create(req, res) {
+    try {
+      const validation = this.validator.validateZone(req.body);
+
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: validation.errors
+        });
+      }
+
+      const zone = await this.zoneRepository.createZone(validation.data);
+      this.invalidateZones();
+
+      res.status(201).json({
+        success: true,
+        data: zone
+      });
+
+    } catch (error) {
+      console.error('Error creating speed zone:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Actualiza los campos indicados de una zona de velocidad
+   * PUT /api/zones/:id
+   */
+  async update(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!UUID_PATTERN.test(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid zone ID'
+        });
+      }
+
+      const validation = this.validator.validateZone(req.body, { partial: true });
+
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: validation.errors
+        });
+      }
+
+      const zone = await this.zoneRepository.updateZone(id, validation.data);
+
+      if (!zone) {
+        return res.status(404).json({
+          success: false,
+          error: 'Zone not found'
+        });
+      }
+
+      this.invalidateZones();
+
+      res.json({
+        success: true,
+        data: zone
+      });
+
+    } catch (error) {
+      console.error('Error updating speed zone:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Elimina una zona de velocidad
+   * DELETE /api/zones/:id
+   */
+  async remove(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!UUID_PATTERN.test(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid zone ID'
+        });
+      }
+
+      const deleted = await this.zoneRepository.deleteZone(id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Zone not found'
+        });
+      }
+
+      this.invalidateZones();
+
+      res.json({
+        success: true,
+        message: 'Zone deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Error deleting speed zone:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Importa zonas desde GeoJSON (FeatureCollection o Feature)
+   * Todas las zonas se crean en una sola transacción: si alguna es inválida no se importa ninguna
+   * POST /api/zones/import
+   */
+  async importGeoJson(req, res) {
+    try {
+      const geojson = req.body;
+      let features = null;
+
+      if (geojson && geojson.type === 'FeatureCollection' && Array.isArray(geojson.features)) {
+        features = geojson.features;
+      } else if (geojson && geojson.type === 'Feature') {
+        features = [geojson];
+      }
+
+      if (!features || features.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Request body must be a GeoJSON Feature or a non-empty FeatureCollection'
+        });
+      }
+
+      const zones = [];
+      const invalid = [];
+
+      features.forEach((feature, index) => {
+        const validation = this.validator.validateZone(this.validator.featureToZone(feature));
+
+        if (validation.isValid) {
+          zones.push(validation.data);
+        } else {
+          invalid.push({ index, errors: validation.errors });
+        }
+      });
+
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: invalid
+        });
+      }
+
+      const created = await this.zoneRepository.createZones(zones);
+      this.invalidateZones();
+
+      res.status(201).json({
+        success: true,
+        data: created,
+        count: created.length,
+        message: `${created.length} zones imported`
+      });
+
+    } catch (error) {
+      console.error('Error importing speed zones:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = ZoneController;
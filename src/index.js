@@ -7,14 +7,25 @@ require('dotenv').config();
 
 // Importar servicios principales
 const MqttSpeedProcessor = require('./services/mqttSpeedProcessor');
+const RealtimeNotifier = require('./services/realtimeNotifier');
+const NmeaListener = require('./services/nmeaListener');
 const SpeedRoutes = require('./routes/speedRoutes');
 const AlertRoutes = require('./routes/alertRoutes');
+const DeadLetterRoutes = require('./routes/deadLetterRoutes');
+const IngestRoutes = require('./routes/ingestRoutes');
+const ZoneRoutes = require('./routes/zoneRoutes');
+const ScheduleRoutes = require('./routes/scheduleRoutes');
+const RuleRoutes = require('./routes/ruleRoutes');
+const EpisodeRoutes = require('./routes/episodeRoutes');
 const config = require('./config/config');
 
 const app = express();
 const server = http.createServer(app);
+const websocketConfig = config.getModule('websocket');
 const io = new Server(server, {
-  cors: config.getModule('websocket').cors
+  cors: websocketConfig.cors,
+  pingTimeout: websocketConfig.pingTimeout,
+  pingInterval: websocketConfig.pingInterval
 });
 
 const PORT = config.get('server.port');
@@ -30,19 +41,20 @@ app.use(express.static('public'));
 
 // Variables globales
 let mqttProcessor = null;
+let nmeaListener = null;
 
 // Configurar WebSocket para notificaciones en tiempo real
-io.on('connection', (socket) => {
-  console.log(`🔌 Client connected: ${socket.id}`);
-  
-  socket.on('disconnect', () => {
-    console.log(`🔌 Client disconnected: ${socket.id}`);
-  });
-});
+const realtimeNotifier = new RealtimeNotifier(io);
 
 // Rutas de API
-app.use('/api/speed', new SpeedRoutes().getRouter());
-app.use('/api/alerts', new AlertRoutes().getRouter());
+app.use('/api/speed', new SpeedRoutes(() => mqttProcessor).getRouter());
+app.use('/api/alerts', new AlertRoutes(realtimeNotifier, () => mqttProcessor).getRouter());
+app.use('/api/deadletters', new DeadLetterRoutes(() => mqttProcessor).getRouter());
+app.use('/api/ingest', new IngestRoutes(() => mqttProcessor).getRouter());
+app.use('/api/zones', new ZoneRoutes(() => mqttProcessor).getRouter());
+app.use('/api/schedules', new ScheduleRoutes(() => mqttProcessor).getRouter());
+app.use('/api/rules', new RuleRoutes(() => mqttProcessor).getRouter());
+app.use('/api/episodes', new EpisodeRoutes().getRouter());
 
 // Rutas básicas
 app.get('/', (req, res) => {
@@ -66,7 +78,8 @@ app.get('/health', (req, res) => {
     status: 'healthy',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    mqttProcessor: status
+    mqttProcessor: status,
+    nmeaListener: nmeaListener ? nmeaListener.getStatus() : null
   });
 });
 
@@ -74,7 +87,7 @@ app.get('/health', (req, res) => {
 app.post('/api/processor/start', async (req, res) => {
   try {
     if (!mqttProcessor) {
-      mqttProcessor = new MqttSpeedProcessor();
+      mqttProcessor = new MqttSpeedProcessor(realtimeNotifier);
     }
     
     await mqttProcessor.start();
@@ -145,7 +158,26 @@ app.use('*', (req, res) => {
       'POST /api/processor/stop',
       'GET /api/processor/status',
       'GET /api/speed/*',
-      'GET /api/alerts/*'
+      'POST /api/speed/records',
+      'GET /api/alerts/*',
+      'PUT /api/alerts/:alertId/status',
+      'POST /api/alerts/:alertId/acknowledge|resolve|dismiss|reopen',
+      'GET /api/deadletters',
+      'POST /api/deadletters/:id/resubmit',
+      'GET|POST /api/ingest/osmand',
+      'GET|POST /api/zones',
+      'GET|PUT|DELETE /api/zones/:id',
+      'POST /api/zones/import',
+      'GET|POST /api/schedules',
+      'GET|PUT|DELETE /api/schedules/:id',
+      'GET|POST /api/schedules/holidays',
+      'DELETE /api/schedules/holidays/:date',
+      'GET|POST /api/rules',
+      'GET|PUT|DELETE /api/rules/:ruleId',
+      'GET /api/rules/:ruleId/versions',
+      'POST /api/rules/:ruleId/restore',
+      'GET /api/episodes',
+      'GET /api/episodes/:id'
     ]
   });
 });
@@ -156,13 +188,20 @@ async function initializeSystem() {
     console.log('🚀 Initializing GausControl IoT System...');
     
     // Crear procesador MQTT
-    mqttProcessor = new MqttSpeedProcessor();
+    mqttProcessor = new MqttSpeedProcessor(realtimeNotifier);
     
     // Auto-iniciar el procesador si está configurado
     if (process.env.AUTO_START_PROCESSOR !== 'false') {
       console.log('📡 Auto-starting MQTT processor...');
       await mqttProcessor.start();
     }
+
+    // Listener NMEA por TCP/UDP junto al procesador (solo si hay puertos configurados)
+    const listener = new NmeaListener(() => mqttProcessor);
+    if (listener.isEnabled()) {
+      await listener.start();
+      nmeaListener = listener;
+    }
     
     console.log('✅ System initialization complete');
     
@@ -177,6 +216,10 @@ process.on('SIGINT', async () => {
   console.log('\n🛑 Received SIGINT, shutting down gracefully...');
   
   try {
+    if (nmeaListener) {
+      await nmeaListener.stop();
+    }
+
     if (mqttProcessor) {
       await mqttProcessor.stop();
     }
@@ -196,6 +239,10 @@ process.on('SIGTERM', async () => {
   console.log('\n🛑 Received SIGTERM, shutting down gracefully...');
   
   try {
+    if (nmeaListener) {
+      await nmeaListener.stop();
+    }
+
     if (mqttProcessor) {
       await mqttProcessor.stop();
     }
@@ -1,4 +1,5 @@
 const BaseRepository = require('./baseRepository');
+const AlertTransitionValidator = require('../validators/alertTransitionValidator');
 
 /**
  * Repositorio para alertas
@@ -31,6 +32,10 @@ class AlertRepository extends BaseRepository {
         consecutive_count: alertData.consecutiveCount || 1,
         location: alertData.location ? JSON.stringify(alertData.location) : null,
         vehicle_type: alertData.vehicleType || 'unknown',
+        zone_id: alertData.zone ? alertData.zone.id : null,
+        zone_name: alertData.zone ? alertData.zone.name : null,
+        rule_id: alertData.rule ? alertData.rule.id : null, // null con las reglas predeterminadas en memoria
+        rule_version: alertData.rule ? alertData.rule.version : null,
         status: alertData.status || 'ACTIVE',
         priority: alertData.priority || 'NORMAL',
         recommended_action: alertData.recommendedAction,
@@ -43,17 +48,40 @@ class AlertRepository extends BaseRepository {
       const savedAlert = await this.insert(this.tableName, recordData);
       
       // Convertir JSON strings de vuelta a objetos
-      if (savedAlert.location) {
-        savedAlert.location = JSON.parse(savedAlert.location);
-      }
-      if (savedAlert.additional_data) {
-        savedAlert.additional_data = JSON.parse(savedAlert.additional_data);
+      return this.parseJsonFields([savedAlert])[0];
+
+    } catch (error) {
+      console.error('Error saving alert:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registra una alerta duplicada suprimida como contador sobre la alerta existente
+   * @param {string} alertId - ID de la alerta existente
+   * @param {Date} suppressedAt - Momento de la supresión
+   * @returns {Promise<object|null>} Alerta actualizada o null si no existe
+   */
+  async incrementSuppressedCount(alertId, suppressedAt = new Date()) {
+    try {
+      const query = `
+        UPDATE ${this.tableName}
+        SET suppressed_count = suppressed_count + 1,
+            last_suppressed_at = $2
+        WHERE alert_id = $1
+        RETURNING *
+      `;
+
+      const result = await this.query(query, [alertId, suppressedAt]);
+
+      if (result.rows[0]) {
+        return this.parseJsonFields(result.rows)[0];
       }
 
-      return savedAlert;
+      return null;
 
     } catch (error) {
-      console.error('Error saving alert:', error);
+      console.error('Error incrementing suppressed alert count:', error);
       throw error;
     }
   }
@@ -100,7 +128,11 @@ class AlertRepository extends BaseRepository {
    */
   async getBySeverity(severity, options = {}) {
     try {
-      const conditions = { severity };
+      const conditions = {};
+
+      if (severity) {
+        conditions.severity = severity;
+      }
       
       if (options.status) {
         conditions.status = options.status;
@@ -178,7 +210,7 @@ class AlertRepository extends BaseRepository {
    */
   async getActiveAlerts(options = {}) {
     try {
-      return await this.getBySeverity(null, { 
+      return await this.getBySeverity(options.severity || null, { 
         ...options, 
         status: 'ACTIVE' 
       });
@@ -189,6 +221,26 @@ class AlertRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Obtiene las alertas abiertas (ACTIVE o ACKNOWLEDGED) de un tipo (ej: VEHICLE_OFFLINE)
+   * @param {string} type - Tipo de alerta
+   * @returns {Promise<array>} Alertas abiertas del tipo
+   */
+  async getActiveByType(type) {
+    try {
+      const result = await this.query(
+        `SELECT * FROM ${this.tableName} WHERE type = $1 AND status IN ('ACTIVE', 'ACKNOWLEDGED') ORDER BY created_at DESC`,
+        [type]
+      );
+
+      return this.parseJsonFields(result.rows);
+
+    } catch (error) {
+      console.error('Error getting active alerts by type:', error);
+      throw error;
+    }
+  }
+
   /**
    * Obtiene alertas críticas
    * @param {object} options - Opciones de búsqueda
@@ -205,30 +257,73 @@ class AlertRepository extends BaseRepository {
   }
 
   /**
-   * Actualiza el estado de una alerta
+   * Cambia el estado de una alerta y registra el cambio en alert_transitions
+   * La alerta se bloquea mientras se valida el cambio, así dos cambios simultáneos no se pisan
    * @param {string} alertId - ID de la alerta
    * @param {string} status - Nuevo estado
-   * @param {object} additionalData - Datos adicionales
-   * @returns {Promise<object|null>} Alerta actualizada
+   * @param {object} transition - { actorType, actor, reason, notes, at }
+   * @returns {Promise<object|null>} { alert, transition } (transition null si el cambio no está permitido) o null si no existe
    */
-  async updateStatus(alertId, status, additionalData = {}) {
+  async transitionStatus(alertId, status, transition) {
     try {
-      const updateData = { 
-        status,
-        ...additionalData
-      };
+      return await this.transaction(async (client) => {
+        const currentResult = await client.query(
+          `SELECT * FROM ${this.tableName} WHERE alert_id = $1 FOR UPDATE`,
+          [alertId]
+        );
+        const current = currentResult.rows[0];
+
+        if (!current) {
+          return null;
+        }
 
-      if (status === 'RESOLVED') {
-        updateData.resolved_at = new Date();
-      }
+        if (!AlertTransitionValidator.canTransition(current.status, status)) {
+          return { alert: this.parseJsonFields([current])[0], transition: null };
+        }
 
-      const updatedAlert = await this.update(this.tableName, alertId, updateData, 'alert_id');
-      
-      if (updatedAlert) {
-        return this.parseJsonFields([updatedAlert])[0];
-      }
+        const at = transition.at || new Date();
+        const notes = transition.notes || null;
+        const updateData = { status };
+
+        if (status === 'ACKNOWLEDGED') {
+          Object.assign(updateData, { acknowledged_at: at, acknowledged_by: transition.actor });
+        } else if (AlertTransitionValidator.isClosed(status)) {
+          Object.assign(updateData, {
+            resolved_at: at,
+            resolved_by: transition.actor,
+            resolution_reason: transition.reason,
+            resolution_notes: notes
+          });
+        } else {
+          // Reabrir: la alerta vuelve a estar pendiente de reconocimiento y resolución
+          Object.assign(updateData, {
+            acknowledged_at: null,
+            acknowledged_by: null,
+            resolved_at: null,
+            resolved_by: null,
+            resolution_reason: null,
+            resolution_notes: null
+          });
+        }
 
-      return null;
+        const columns = Object.keys(updateData);
+        const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+        const updateResult = await client.query(
+          `UPDATE ${this.tableName} SET ${assignments.join(', ')} WHERE alert_id = $1 RETURNING *`,
+          [alertId, ...Object.values(updateData)]
+        );
+
+        const transitionResult = await client.query(
+          `INSERT INTO alert_transitions (alert_id, from_status, to_status, actor_type, actor, reason, notes, created_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+          [alertId, current.status, status, transition.actorType, transition.actor, transition.reason, notes, at]
+        );
+
+        return {
+          alert: this.parseJsonFields(updateResult.rows)[0],
+          transition: transitionResult.rows[0]
+        };
+      });
 
     } catch (error) {
       console.error('Error updating alert status:', error);
@@ -236,6 +331,21 @@ class AlertRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Obtiene los cambios de estado de una alerta, del más antiguo al más reciente
+   * @param {string} alertId - ID de la alerta
+   * @returns {Promise<array>} Filas de alert_transitions
+   */
+  async getTransitions(alertId) {
+    try {
+      return await this.findWhere('alert_transitions', { alert_id: alertId }, { orderBy: 'created_at ASC' });
+
+    } catch (error) {
+      console.error('Error getting alert transitions:', error);
+      throw error;
+    }
+  }
+
   /**
    * Obtiene estadísticas de alertas
    * @param {object} options - Opciones de tiempo
@@ -260,7 +370,9 @@ class AlertRepository extends BaseRepository {
           COUNT(CASE WHEN severity = 'HIGH' THEN 1 END) as high_severity,
           COUNT(CASE WHEN severity = 'CRITICAL' THEN 1 END) as critical_severity,
           COUNT(CASE WHEN status = 'ACTIVE' THEN 1 END) as active_alerts,
+          COUNT(CASE WHEN status = 'ACKNOWLEDGED' THEN 1 END) as acknowledged_alerts,
           COUNT(CASE WHEN status = 'RESOLVED' THEN 1 END) as resolved_alerts,
+          COUNT(CASE WHEN status = 'DISMISSED' THEN 1 END) as dismissed_alerts,
           COUNT(CASE WHEN is_consecutive = true THEN 1 END) as consecutive_violations,
           ROUND(AVG(exceed_percentage), 2) as avg_exceed_percentage,
           ROUND(MAX(exceed_percentage), 2) as max_exceed_percentage
@@ -351,7 +463,8 @@ class AlertRepository extends BaseRepository {
    */
   parseJsonFields(alerts) {
     return alerts.map(alert => {
-      if (alert.location) {
+      // JSONB ya llega como objeto desde pg; solo parsear si viene como string
+      if (alert.location && typeof alert.location === 'string') {
         try {
           alert.location = JSON.parse(alert.location);
         } catch (e) {
@@ -359,7 +472,7 @@ class AlertRepository extends BaseRepository {
         }
       }
       
-      if (alert.additional_data) {
+      if (alert.additional_data && typeof alert.additional_data === 'string') {
         try {
           alert.additional_data = JSON.parse(alert.additional_data);
         } catch (e) {
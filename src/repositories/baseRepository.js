@@ -1,6 +1,22 @@
 const { Pool } = require('pg');
 const config = require('../config/config');
 
+// Códigos de error que indican una indisponibilidad temporal de la base de datos
+const TRANSIENT_ERROR_CODES = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'EPIPE',
+  'ENOTFOUND',
+  '57P01', // admin_shutdown
+  '57P02', // crash_shutdown
+  '57P03', // cannot_connect_now
+  '08000', // connection_exception
+  '08003', // connection_does_not_exist
+  '08006', // connection_failure
+  '53300' // too_many_connections
+];
+
 /**
  * Repositorio base siguiendo principios SOLID
  * Principio: Single Responsibility - Solo maneja acceso a datos
@@ -46,6 +62,13 @@ class BaseRepository {
 
     } catch (error) {
       console.error('Error initializing database connection:', error);
+
+      // Liberar el pool fallido para no acumular pools en cada reintento
+      if (this.pool) {
+        this.pool.end().catch(() => {});
+        this.pool = null;
+      }
+
       throw error;
     }
   }
@@ -83,6 +106,57 @@ class BaseRepository {
     }
   }
 
+  /**
+   * Indica si un error corresponde a una indisponibilidad temporal de la base de datos
+   * @param {Error} error - Error capturado
+   * @returns {boolean} True si vale la pena reintentar
+   */
+  isTransientError(error) {
+    if (!error) {
+      return false;
+    }
+
+    if (TRANSIENT_ERROR_CODES.includes(error.code)) {
+      return true;
+    }
+
+    const message = error.message || '';
+    return /Connection terminated|timeout exceeded when trying to connect|Cannot use a pool after calling end/i.test(message);
+  }
+
+  /**
+   * Ejecuta una operación reintentando ante errores transitorios de conexión
+   * @param {function} operation - Función asíncrona a ejecutar
+   * @param {object} options - Opciones de reintento (attempts, delay)
+   * @returns {Promise<any>} Resultado de la operación
+   */
+  async withRetry(operation, options = {}) {
+    const retryConfig = config.get('database.retry') || {};
+    const attempts = options.attempts || retryConfig.attempts || 3;
+    const baseDelay = options.delay || retryConfig.delay || 1000;
+
+    let lastError;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        return await operation();
+
+      } catch (error) {
+        lastError = error;
+
+        if (!this.isTransientError(error) || attempt === attempts) {
+          throw error;
+        }
+
+        const delay = baseDelay * Math.pow(2, attempt - 1);
+        console.warn(`Database unavailable (${error.code || error.message}), retrying in ${delay}ms (attempt ${attempt}/${attempts})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    throw lastError;
+  }
+
   /**
    * Ejecuta una transacción
    * @param {function} callback - Función que ejecuta las queries
@@ -167,21 +241,24 @@ class BaseRepository {
    * Inserta un nuevo registro
    * @param {string} tableName - Nombre de la tabla
    * @param {object} data - Datos a insertar
-   * @returns {Promise<object>} Registro insertado
+   * @param {object} options - Opciones (conflictTarget: columna para ON CONFLICT DO NOTHING)
+   * @returns {Promise<object|null>} Registro insertado o null si hubo conflicto
    */
-  async insert(tableName, data) {
+  async insert(tableName, data, options = {}) {
     const columns = Object.keys(data);
     const values = Object.values(data);
     const placeholders = values.map((_, index) => `$${index + 1}`);
+    const conflictClause = options.conflictTarget ? `ON CONFLICT (${options.conflictTarget}) DO NOTHING` : '';
 
     const query = `
       INSERT INTO ${tableName} (${columns.join(', ')}) 
       VALUES (${placeholders.join(', ')}) 
+      ${conflictClause}
       RETURNING *
     `;
 
     const result = await this.query(query, values);
-    return result.rows[0];
+    return result.rows[0] || null;
   }
 
   /**
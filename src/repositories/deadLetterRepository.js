@@ -0,0 +1,168 @@
+const BaseRepository = require('./baseRepository');
+
+/**
+ * Repositorio para mensajes rechazados (dead-letter)
+ * Principio: Single Responsibility - Solo maneja datos de mensajes rechazados
+ * Principio: Liskov Substitution - Puede sustituir al BaseRepository
+ */
+class DeadLetterRepository extends BaseRepository {
+  constructor() {
+    super();
+    this.tableName = 'dead_letter_messages';
+  }
+
+  /**
+   * Guarda un mensaje rechazado
+   * @param {object} entry - Datos del mensaje rechazado
+   * @returns {Promise<object>} Registro guardado
+   */
+  async saveDeadLetter(entry) {
+    try {
+      const recordData = {
+        source_topic: entry.sourceTopic,
+        reason_code: entry.reasonCode,
+        errors: entry.errors ? JSON.stringify(entry.errors) : null,
+        raw_payload: entry.rawPayload,
+        content_type: entry.contentType ? String(entry.contentType).substring(0, 100) : null,
+        batch_index: Number.isInteger(entry.batchIndex) ? entry.batchIndex : null,
+        vehicle_id: entry.vehicleId ? String(entry.vehicleId).substring(0, 50) : null,
+        received_at: entry.receivedAt || new Date()
+      };
+
+      const saved = await this.insert(this.tableName, recordData);
+      return this.formatRow(saved);
+
+    } catch (error) {
+      console.error('Error saving dead letter:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene un mensaje rechazado por ID
+   * @param {string} id - ID del registro
+   * @returns {Promise<object|null>} Registro o null
+   */
+  async getDeadLetter(id) {
+    try {
+      const row = await this.findById(this.tableName, id);
+      return row ? this.formatRow(row) : null;
+
+    } catch (error) {
+      console.error('Error getting dead letter:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lista mensajes rechazados con filtros opcionales
+   * @param {object} filters - Filtros (status, reasonCode, sourceTopic, vehicleId)
+   * @param {object} options - Opciones de búsqueda (limit, offset)
+   * @returns {Promise<array>} Mensajes rechazados
+   */
+  async listDeadLetters(filters = {}, options = {}) {
+    try {
+      const conditions = {};
+
+      if (filters.status) {
+        conditions.status = filters.status;
+      }
+
+      if (filters.reasonCode) {
+        conditions.reason_code = filters.reasonCode;
+      }
+
+      if (filters.sourceTopic) {
+        conditions.source_topic = filters.sourceTopic;
+      }
+
+      if (filters.vehicleId) {
+        conditions.vehicle_id = filters.vehicleId;
+      }
+
+      const rows = await this.findWhere(this.tableName, conditions, {
+        orderBy: 'received_at DESC',
+        limit: options.limit || 100,
+        offset: options.offset || 0
+      });
+
+      return rows.map(row => this.formatRow(row));
+
+    } catch (error) {
+      console.error('Error listing dead letters:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Marca un mensaje como reenviado con éxito
+   * @param {string} id - ID del registro
+   * @returns {Promise<object|null>} Registro actualizado
+   */
+  async markResubmitted(id) {
+    try {
+      const query = `
+        UPDATE ${this.tableName}
+        SET status = 'RESUBMITTED',
+            resubmit_count = resubmit_count + 1,
+            last_resubmit_error = NULL,
+            last_resubmitted_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `;
+
+      const result = await this.query(query, [id]);
+      return result.rows[0] ? this.formatRow(result.rows[0]) : null;
+
+    } catch (error) {
+      console.error('Error marking dead letter as resubmitted:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registra un reenvío fallido; el mensaje sigue pendiente
+   * @param {string} id - ID del registro
+   * @param {object} failure - { reasonCode, errors }
+   * @returns {Promise<object|null>} Registro actualizado
+   */
+  async recordResubmitFailure(id, failure) {
+    try {
+      const query = `
+        UPDATE ${this.tableName}
+        SET resubmit_count = resubmit_count + 1,
+            last_resubmit_error = $2,
+            last_resubmitted_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `;
+
+      const result = await this.query(query, [id, JSON.stringify(failure)]);
+      return result.rows[0] ? this.formatRow(result.rows[0]) : null;
+
+    } catch (error) {
+      console.error('Error recording dead letter resubmit failure:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convierte el payload binario a texto (utf8) o base64 si no es texto válido
+   * @param {object} row - Fila de la base de datos
+   * @returns {object} Fila con payload legible
+   */
+  formatRow(row) {
+    const { raw_payload: rawPayload, ...rest } = row;
+    const buffer = Buffer.isBuffer(rawPayload) ? rawPayload : Buffer.from(rawPayload || '');
+    const text = buffer.toString('utf8');
+    const isUtf8 = Buffer.from(text, 'utf8').equals(buffer);
+
+    return {
+      ...rest,
+      payload: isUtf8 ? text : buffer.toString('base64'),
+      payload_encoding: isUtf8 ? 'utf8' : 'base64'
+    };
+  }
+}
+
+module.exports = DeadLetterRepository;
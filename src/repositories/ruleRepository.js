@@ -0,0 +1,256 @@
+const { randomUUID } = require('crypto');
+const BaseRepository = require('./baseRepository');
+
+// Columnas que forman el contenido de una versión (se copian al crear la siguiente)
+const CONTENT_COLUMNS = [
+  'name', 'evaluation_priority', 'conditions', 'severity', 'alert_priority',
+  'recommended_action', 'message_template', 'is_enabled'
+];
+
+/**
+ * Repositorio para reglas de alerta versionadas
+ * Principio: Single Responsibility - Solo maneja datos de reglas de alerta
+ * Principio: Liskov Substitution - Puede sustituir al BaseRepository
+ *
+ * Las versiones son inmutables: cada cambio inserta una versión nueva y marca la
+ * anterior como no actual, dentro de una transacción.
+ */
+class RuleRepository extends BaseRepository {
+  constructor() {
+    super();
+    this.tableName = 'alert_rules';
+  }
+
+  /**
+   * Crea una regla (versión 1)
+   * @param {object} rule - Datos validados por RuleValidator
+   * @returns {Promise<object>} Regla creada
+   */
+  async createRule(rule) {
+    try {
+      return await this.insert(this.tableName, {
+        rule_id: randomUUID(),
+        version: 1,
+        ...this.toRecord(rule)
+      });
+
+    } catch (error) {
+      console.error('Error creating alert rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Crea una nueva versión de una regla a partir de la actual
+   * @param {string} ruleId - ID estable de la regla
+   * @param {object} changes - Campos validados por RuleValidator (parcial)
+   * @param {number|null} fromVersion - Versión cuyo contenido se restaura (null: la actual)
+   * @returns {Promise<object|null>} Nueva versión o null si la regla (o la versión) no existe
+   */
+  async createVersion(ruleId, changes = {}, fromVersion = null) {
+    try {
+      return await this.transaction(async (client) => {
+        const currentResult = await client.query(
+          `SELECT * FROM ${this.tableName} WHERE rule_id = $1 AND is_current FOR UPDATE`,
+          [ruleId]
+        );
+        const current = currentResult.rows[0];
+
+        if (!current) {
+          return null;
+        }
+
+        let base = current;
+        if (fromVersion !== null) {
+          const baseResult = await client.query(
+            `SELECT * FROM ${this.tableName} WHERE rule_id = $1 AND version = $2`,
+            [ruleId, fromVersion]
+          );
+          base = baseResult.rows[0];
+
+          if (!base) {
+            return null;
+          }
+        }
+
+        await client.query(`UPDATE ${this.tableName} SET is_current = false WHERE id = $1`, [current.id]);
+
+        const content = Object.fromEntries(CONTENT_COLUMNS.map(column => [column, base[column]]));
+        const record = {
+          rule_id: ruleId,
+          version: current.version + 1,
+          ...content,
+          conditions: JSON.stringify(content.conditions),
+          ...this.toRecord(changes)
+        };
+        const columns = Object.keys(record);
+        const placeholders = columns.map((_, index) => `$${index + 1}`);
+
+        const result = await client.query(
+          `INSERT INTO ${this.tableName} (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+          Object.values(record)
+        );
+
+        return result.rows[0];
+      });
+
+    } catch (error) {
+      console.error('Error creating alert rule version:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene la versión actual de una regla
+   * @param {string} ruleId - ID estable de la regla
+   * @returns {Promise<object|null>} Regla o null
+   */
+  async getRule(ruleId) {
+    try {
+      const rules = await this.findWhere(this.tableName, { rule_id: ruleId, is_current: true });
+      return rules[0] || null;
+
+    } catch (error) {
+      console.error('Error getting alert rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene el historial de versiones de una regla
+   * @param {string} ruleId - ID estable de la regla
+   * @returns {Promise<array>} Versiones, la más reciente primero
+   */
+  async getRuleVersions(ruleId) {
+    try {
+      return await this.findWhere(this.tableName, { rule_id: ruleId }, { orderBy: 'version DESC' });
+
+    } catch (error) {
+      console.error('Error getting alert rule versions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lista las versiones actuales de las reglas en orden de evaluación
+   * @param {object} filters - Filtros (isEnabled)
+   * @param {object} options - Opciones de búsqueda (limit, offset)
+   * @returns {Promise<array>} Reglas
+   */
+  async listRules(filters = {}, options = {}) {
+    try {
+      const conditions = { is_current: true };
+
+      if (filters.isEnabled !== undefined) {
+        conditions.is_enabled = filters.isEnabled;
+      }
+
+      return await this.findWhere(this.tableName, conditions, {
+        orderBy: 'evaluation_priority ASC, created_at ASC',
+        limit: options.limit || 100,
+        offset: options.offset || 0
+      });
+
+    } catch (error) {
+      console.error('Error listing alert rules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene las reglas habilitadas en orden de evaluación (caché de RuleEngine)
+   * @returns {Promise<array>} Versiones actuales con is_enabled = true
+   */
+  async getEnabledRules() {
+    try {
+      return await this.findWhere(this.tableName, { is_current: true, is_enabled: true }, {
+        orderBy: 'evaluation_priority ASC, created_at ASC'
+      });
+
+    } catch (error) {
+      console.error('Error getting enabled alert rules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Inserta las reglas indicadas solo si la tabla está vacía
+   * El bloqueo evita que dos instancias siembren las reglas a la vez
+   * @param {Array} rules - Reglas en el formato de RuleValidator
+   * @returns {Promise<number>} Reglas insertadas (0 si ya existían reglas)
+   */
+  async seedRules(rules) {
+    try {
+      return await this.transaction(async (client) => {
+        await client.query(`LOCK TABLE ${this.tableName} IN EXCLUSIVE MODE`);
+
+        const existing = await client.query(`SELECT 1 FROM ${this.tableName} LIMIT 1`);
+        if (existing.rows.length > 0) {
+          return 0;
+        }
+
+        for (const rule of rules) {
+          const record = { rule_id: randomUUID(), version: 1, ...this.toRecord(rule) };
+          const columns = Object.keys(record);
+          const placeholders = columns.map((_, index) => `$${index + 1}`);
+
+          await client.query(
+            `INSERT INTO ${this.tableName} (${columns.join(', ')}) VALUES (${placeholders.join(', ')})`,
+            Object.values(record)
+          );
+        }
+
+        return rules.length;
+      });
+
+    } catch (error) {
+      console.error('Error seeding alert rules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convierte los datos de una regla a columnas de la tabla
+   * @param {object} rule - Datos validados (solo se incluyen los campos presentes)
+   * @returns {object} Columnas a escribir
+   */
+  toRecord(rule) {
+    const record = {};
+
+    if (rule.name !== undefined) {
+      record.name = rule.name;
+    }
+
+    if (rule.evaluationPriority !== undefined) {
+      record.evaluation_priority = rule.evaluationPriority;
+    }
+
+    if (rule.conditions !== undefined) {
+      record.conditions = JSON.stringify(rule.conditions);
+    }
+
+    if (rule.severity !== undefined) {
+      record.severity = rule.severity;
+    }
+
+    if (rule.alertPriority !== undefined) {
+      record.alert_priority = rule.alertPriority;
+    }
+
+    if (rule.recommendedAction !== undefined) {
+      record.recommended_action = rule.recommendedAction;
+    }
+
+    if (rule.messageTemplate !== undefined) {
+      record.message_template = rule.messageTemplate;
+    }
+
+    if (rule.isEnabled !== undefined) {
+      record.is_enabled = rule.isEnabled;
+    }
+
+    return record;
+  }
+}
+
+module.exports = RuleRepository;
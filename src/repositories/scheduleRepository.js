@@ -0,0 +1,229 @@
+const BaseRepository = require('./baseRepository');
+
+/**
+ * Repositorio para horarios de límites de velocidad y feriados
+ * Principio: Single Responsibility - Solo maneja datos de horarios y sus excepciones
+ * Principio: Liskov Substitution - Puede sustituir al BaseRepository
+ */
+class ScheduleRepository extends BaseRepository {
+  constructor() {
+    super();
+    this.tableName = 'speed_limit_schedules';
+    this.holidaysTable = 'holidays';
+  }
+
+  /**
+   * Crea un horario
+   * @param {object} schedule - Datos validados por ScheduleValidator
+   * @returns {Promise<object>} Horario creado
+   */
+  async createSchedule(schedule) {
+    try {
+      return await this.insert(this.tableName, this.toRecord(schedule));
+
+    } catch (error) {
+      console.error('Error creating speed limit schedule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Actualiza los campos indicados de un horario
+   * @param {string} id - ID del horario
+   * @param {object} schedule - Campos validados por ScheduleValidator (parcial)
+   * @returns {Promise<object|null>} Horario actualizado o null si no existe
+   */
+  async updateSchedule(id, schedule) {
+    try {
+      return await this.update(this.tableName, id, this.toRecord(schedule));
+
+    } catch (error) {
+      console.error('Error updating speed limit schedule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina un horario
+   * @param {string} id - ID del horario
+   * @returns {Promise<boolean>} True si se eliminó
+   */
+  async deleteSchedule(id) {
+    try {
+      return await this.delete(this.tableName, id);
+
+    } catch (error) {
+      console.error('Error deleting speed limit schedule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene un horario por ID
+   * @param {string} id - ID del horario
+   * @returns {Promise<object|null>} Horario o null
+   */
+  async getSchedule(id) {
+    try {
+      return await this.findById(this.tableName, id);
+
+    } catch (error) {
+      console.error('Error getting speed limit schedule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lista horarios con filtros opcionales
+   * @param {object} filters - Filtros (scope, vehicleType, zoneId, isActive)
+   * @param {object} options - Opciones de búsqueda (limit, offset)
+   * @returns {Promise<array>} Horarios
+   */
+  async listSchedules(filters = {}, options = {}) {
+    try {
+      const conditions = {};
+
+      if (filters.scope) {
+        conditions.scope = filters.scope;
+      }
+
+      if (filters.vehicleType) {
+        conditions.vehicle_type = filters.vehicleType;
+      }
+
+      if (filters.zoneId) {
+        conditions.zone_id = filters.zoneId;
+      }
+
+      if (filters.isActive !== undefined) {
+        conditions.is_active = filters.isActive;
+      }
+
+      return await this.findWhere(this.tableName, conditions, {
+        orderBy: 'scope ASC, name ASC',
+        limit: options.limit || 100,
+        offset: options.offset || 0
+      });
+
+    } catch (error) {
+      console.error('Error listing speed limit schedules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene todos los horarios habilitados (caché de SpeedLimitScheduleService)
+   * @returns {Promise<array>} Horarios con is_active = true
+   */
+  async getActiveSchedules() {
+    try {
+      return await this.findWhere(this.tableName, { is_active: true });
+
+    } catch (error) {
+      console.error('Error getting active speed limit schedules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Crea o renombra un feriado
+   * @param {object} holiday - { date: 'YYYY-MM-DD', name }
+   * @returns {Promise<object>} Feriado guardado
+   */
+  async saveHoliday(holiday) {
+    try {
+      const query = `
+        INSERT INTO ${this.holidaysTable} (date, name)
+        VALUES ($1, $2)
+        ON CONFLICT (date) DO UPDATE SET name = EXCLUDED.name
+        RETURNING to_char(date, 'YYYY-MM-DD') AS date, name, created_at
+      `;
+
+      const result = await this.query(query, [holiday.date, holiday.name]);
+      return result.rows[0];
+
+    } catch (error) {
+      console.error('Error saving holiday:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina un feriado
+   * @param {string} date - Fecha 'YYYY-MM-DD'
+   * @returns {Promise<boolean>} True si se eliminó
+   */
+  async deleteHoliday(date) {
+    try {
+      return await this.delete(this.holidaysTable, date, 'date');
+
+    } catch (error) {
+      console.error('Error deleting holiday:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lista feriados, opcionalmente desde una fecha
+   * Las fechas se devuelven como 'YYYY-MM-DD' (pg convertiría DATE a medianoche local)
+   * @param {object} filters - Filtros (from: 'YYYY-MM-DD')
+   * @returns {Promise<array>} Feriados ordenados por fecha
+   */
+  async listHolidays(filters = {}) {
+    try {
+      const params = filters.from ? [filters.from] : [];
+      const query = `
+        SELECT to_char(date, 'YYYY-MM-DD') AS date, name, created_at
+        FROM ${this.holidaysTable}
+        ${filters.from ? 'WHERE date >= $1' : ''}
+        ORDER BY date ASC
+      `;
+
+      const result = await this.query(query, params);
+      return result.rows;
+
+    } catch (error) {
+      console.error('Error listing holidays:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convierte los datos de un horario a columnas de la tabla
+   * @param {object} schedule - Datos validados (solo se incluyen los campos presentes)
+   * @returns {object} Columnas a escribir
+   */
+  toRecord(schedule) {
+    const record = {};
+
+    if (schedule.name !== undefined) {
+      record.name = schedule.name;
+    }
+
+    if (schedule.scope !== undefined) {
+      record.scope = schedule.scope;
+      record.vehicle_type = schedule.vehicleType;
+      record.zone_id = schedule.zoneId;
+    }
+
+    if (schedule.speedLimit !== undefined) {
+      record.speed_limit = schedule.speedLimit;
+    }
+
+    if (schedule.windows !== undefined) {
+      record.windows = JSON.stringify(schedule.windows);
+    }
+
+    if (schedule.applyOnHolidays !== undefined) {
+      record.apply_on_holidays = schedule.applyOnHolidays;
+    }
+
+    if (schedule.isActive !== undefined) {
+      record.is_active = schedule.isActive;
+    }
+
+    return record;
+  }
+}
+
+module.exports = ScheduleRepository;
@@ -14,7 +14,7 @@ class SpeedRecordRepository extends BaseRepository {
   /**
    * Guarda un registro de velocidad
    * @param {object} speedData - Datos de velocidad validados
-   * @returns {Promise<object>} Registro guardado
+   * @returns {Promise<object|null>} Registro guardado o null si es duplicado
    */
   async saveSpeedRecord(speedData) {
     try {
@@ -25,10 +25,16 @@ class SpeedRecordRepository extends BaseRepository {
         location: speedData.location ? JSON.stringify(speedData.location) : null,
         metadata: speedData.metadata ? JSON.stringify(speedData.metadata) : null,
         timestamp: speedData.timestamp,
-        received_at: speedData.receivedAt || new Date()
+        received_at: speedData.receivedAt || new Date(),
+        dedup_key: speedData.dedupKey || null
       };
 
-      const savedRecord = await this.insert(this.tableName, recordData);
+      // Un duplicado (misma dedup_key) no inserta fila y retorna null
+      const savedRecord = await this.insert(this.tableName, recordData, { conflictTarget: 'dedup_key' });
+
+      if (!savedRecord) {
+        return null;
+      }
       
       // Convertir JSON strings de vuelta a objetos
       if (savedRecord.location) {
@@ -63,7 +69,7 @@ class SpeedRecordRepository extends BaseRepository {
   /**
    * Guarda múltiples registros en una transacción
    * @param {array} speedDataArray - Array de datos de velocidad
-   * @returns {Promise<array>} Registros guardados
+   * @returns {Promise<array>} Registros guardados (null en la posición de cada duplicado)
    */
   async saveBatch(speedDataArray) {
     try {
@@ -78,7 +84,8 @@ class SpeedRecordRepository extends BaseRepository {
             location: speedData.location ? JSON.stringify(speedData.location) : null,
             metadata: speedData.metadata ? JSON.stringify(speedData.metadata) : null,
             timestamp: speedData.timestamp,
-            received_at: speedData.receivedAt || new Date()
+            received_at: speedData.receivedAt || new Date(),
+            dedup_key: speedData.dedupKey || null
           };
 
           const columns = Object.keys(recordData);
@@ -88,12 +95,19 @@ class SpeedRecordRepository extends BaseRepository {
           const query = `
             INSERT INTO ${this.tableName} (${columns.join(', ')}) 
             VALUES (${placeholders.join(', ')}) 
+            ON CONFLICT (dedup_key) DO NOTHING
             RETURNING *
           `;
 
           const result = await client.query(query, values);
           const savedRecord = result.rows[0];
 
+          // Duplicado: se conserva la posición con null
+          if (!savedRecord) {
+            savedRecords.push(null);
+            continue;
+          }
+
           // Convertir JSON strings
           if (savedRecord.location) {
             try {
@@ -303,6 +317,72 @@ class SpeedRecordRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Obtiene los vehículos con violaciones en un período
+   * @param {Date} startDate - Fecha inicio
+   * @param {Date} endDate - Fecha fin
+   * @returns {Promise<array>} IDs de vehículo ordenados
+   */
+  async getViolatingVehicles(startDate, endDate) {
+    try {
+      const query = `
+        SELECT DISTINCT vehicle_id
+        FROM ${this.tableName}
+        WHERE speed > speed_limit AND timestamp >= $1 AND timestamp <= $2
+        ORDER BY vehicle_id
+      `;
+
+      const result = await this.query(query, [startDate, endDate]);
+      return result.rows.map(row => row.vehicle_id);
+
+    } catch (error) {
+      console.error('Error getting violating vehicles:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene los cruces del límite entre lecturas consecutivas cercanas a él
+   * Un cruce es una lectura que pasa de un lado al otro del límite respecto a la anterior
+   * del mismo vehículo, con ambas dentro de la banda (ej: 0.1 = ±10 % del límite)
+   * @param {Date} startDate - Fecha inicio
+   * @param {number} band - Fracción del límite que se considera cercana
+   * @param {string|null} vehicleId - Solo los cruces de este vehículo (null para toda la flota)
+   * @returns {Promise<array>} Lecturas de cruce ordenadas por vehículo y timestamp
+   */
+  async getLimitCrossings(startDate, band, vehicleId = null) {
+    try {
+      const params = [startDate, band];
+      const vehicleFilter = vehicleId ? 'AND vehicle_id = $3' : '';
+      if (vehicleId) {
+        params.push(vehicleId);
+      }
+
+      const query = `
+        SELECT id, vehicle_id, speed, speed_limit, location, timestamp
+        FROM (
+          SELECT id, vehicle_id, speed, speed_limit, location, timestamp,
+                 speed > speed_limit AS over_limit,
+                 ABS(speed - speed_limit) <= speed_limit * $2 AS near_limit,
+                 LAG(speed > speed_limit) OVER readings AS previous_over_limit,
+                 LAG(ABS(speed - speed_limit) <= speed_limit * $2) OVER readings AS previous_near_limit
+          FROM ${this.tableName}
+          WHERE timestamp >= $1 ${vehicleFilter}
+          WINDOW readings AS (PARTITION BY vehicle_id ORDER BY timestamp)
+        ) consecutive_readings
+        WHERE near_limit AND previous_near_limit AND over_limit <> previous_over_limit
+        ORDER BY vehicle_id, timestamp
+      `;
+
+      const result = await this.query(query, params);
+      return result.rows;
+
+    } catch (error) {
+      console.error('Error getting speed limit crossings:', error);
+      throw error;
+    }
+  }
+
   /**
    * Obtiene estadísticas de velocidad por vehículo
    * @param {string} vehicleId - ID del vehículo
@@ -0,0 +1,117 @@
+const BaseRepository = require('./baseRepository');
+
+/**
+ * Repositorio para episodios de exceso de velocidad
+ * Principio: Single Responsibility - Solo maneja datos de episodios
+ * Principio: Liskov Substitution - Puede sustituir al BaseRepository
+ */
+class SpeedingEpisodeRepository extends BaseRepository {
+  constructor() {
+    super();
+    this.tableName = 'speeding_episodes';
+  }
+
+  /**
+   * Guarda un episodio cerrado
+   * El ID se asigna al abrir el episodio, por lo que reintentar la escritura (spool) no lo duplica
+   * @param {object} episode - Episodio cerrado (SpeedingEpisodeTracker.close)
+   * @returns {Promise<object|null>} Episodio guardado o null si ya existía
+   */
+  async saveEpisode(episode) {
+    try {
+      const recordData = {
+        id: episode.id,
+        vehicle_id: episode.vehicleId,
+        vehicle_type: episode.vehicleType,
+        start_time: episode.startTime,
+        end_time: episode.endTime,
+        duration_ms: episode.durationMs,
+        speed_limit: episode.speedLimit,
+        peak_speed: episode.peakSpeed,
+        peak_excess: episode.peakExcess,
+        average_excess: episode.averageExcess,
+        distance_meters: episode.distance,
+        reading_count: episode.readingCount,
+        zone_id: episode.zone ? episode.zone.id : null,
+        zone_name: episode.zone ? episode.zone.name : null,
+        end_reason: episode.endReason,
+        threshold_reached: Boolean(episode.thresholdReached)
+      };
+
+      return await this.insert(this.tableName, recordData, { conflictTarget: 'id' });
+
+    } catch (error) {
+      console.error('Error saving speeding episode:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene un episodio por ID
+   * @param {string} id - ID del episodio
+   * @returns {Promise<object|null>} Episodio o null
+   */
+  async getEpisode(id) {
+    try {
+      return await this.findById(this.tableName, id);
+
+    } catch (error) {
+      console.error('Error getting speeding episode:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lista episodios con filtros opcionales, los más recientes primero
+   * @param {object} filters - Filtros (vehicleId, startDate, endDate, minDuration, thresholdReached)
+   * @param {object} options - Opciones de búsqueda (limit, offset)
+   * @returns {Promise<array>} Episodios
+   */
+  async listEpisodes(filters = {}, options = {}) {
+    try {
+      const conditions = [];
+      const params = [];
+      const addCondition = (clause, value) => {
+        params.push(value);
+        conditions.push(clause.replace('?', `$${params.length}`));
+      };
+
+      if (filters.vehicleId) {
+        addCondition('vehicle_id = ?', filters.vehicleId);
+      }
+
+      if (filters.startDate) {
+        addCondition('start_time >= ?', filters.startDate);
+      }
+
+      if (filters.endDate) {
+        addCondition('start_time <= ?', filters.endDate);
+      }
+
+      if (filters.minDuration) {
+        addCondition('duration_ms >= ?', filters.minDuration);
+      }
+
+      if (filters.thresholdReached !== undefined) {
+        addCondition('threshold_reached = ?', filters.thresholdReached);
+      }
+
+      const query = `
+        SELECT * FROM ${this.tableName}
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY start_time DESC
+        LIMIT ${options.limit || 100}
+        OFFSET ${options.offset || 0}
+      `;
+
+      const result = await this.query(query, params);
+      return result.rows;
+
+    } catch (error) {
+      console.error('Error listing speeding episodes:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SpeedingEpisodeRepository;
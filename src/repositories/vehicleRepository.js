@@ -0,0 +1,36 @@
+const BaseRepository = require('./baseRepository');
+
+/**
+ * Repositorio para el registro de vehículos
+ * Principio: Single Responsibility - Solo maneja datos de vehículos
+ * Principio: Liskov Substitution - Puede sustituir al BaseRepository
+ */
+class VehicleRepository extends BaseRepository {
+  constructor() {
+    super();
+    this.tableName = 'vehicles';
+  }
+
+  /**
+   * Obtiene la configuración de ingesta y monitoreo de los vehículos activos
+   * @returns {Promise<Array>} Filas { vehicle_id, vehicle_type, speed_unit, speed_limit_override }
+   */
+  async getVehicleSettings() {
+    try {
+      const query = `
+        SELECT vehicle_id, vehicle_type, speed_unit, speed_limit_override
+        FROM ${this.tableName}
+        WHERE is_active = true
+      `;
+
+      const result = await this.query(query);
+      return result.rows;
+
+    } catch (error) {
+      console.error('Error getting vehicle settings:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = VehicleRepository;
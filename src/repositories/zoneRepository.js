@@ -0,0 +1,183 @@
+const BaseRepository = require('./baseRepository');
+
+/**
+ * Repositorio para zonas de velocidad geocercadas
+ * Principio: Single Responsibility - Solo maneja datos de zonas
+ * Principio: Liskov Substitution - Puede sustituir al BaseRepository
+ */
+class ZoneRepository extends BaseRepository {
+  constructor() {
+    super();
+    this.tableName = 'speed_zones';
+  }
+
+  /**
+   * Crea una zona
+   * @param {object} zone - Datos validados por ZoneValidator
+   * @returns {Promise<object>} Zona creada
+   */
+  async createZone(zone) {
+    try {
+      return await this.insert(this.tableName, this.toRecord(zone));
+
+    } catch (error) {
+      console.error('Error creating speed zone:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Crea varias zonas en una sola transacción (importación GeoJSON)
+   * @param {Array} zones - Datos validados por ZoneValidator
+   * @returns {Promise<Array>} Zonas creadas
+   */
+  async createZones(zones) {
+    try {
+      return await this.transaction(async (client) => {
+        const created = [];
+
+        for (const zone of zones) {
+          const record = this.toRecord(zone);
+          const columns = Object.keys(record);
+          const placeholders = columns.map((_, index) => `$${index + 1}`);
+
+          const result = await client.query(
+            `INSERT INTO ${this.tableName} (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+            Object.values(record)
+          );
+
+          created.push(result.rows[0]);
+        }
+
+        return created;
+      });
+
+    } catch (error) {
+      console.error('Error importing speed zones:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Actualiza los campos indicados de una zona
+   * @param {string} id - ID de la zona
+   * @param {object} zone - Campos validados por ZoneValidator (parcial)
+   * @returns {Promise<object|null>} Zona actualizada o null si no existe
+   */
+  async updateZone(id, zone) {
+    try {
+      return await this.update(this.tableName, id, this.toRecord(zone));
+
+    } catch (error) {
+      console.error('Error updating speed zone:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina una zona (las alertas conservan zone_name)
+   * @param {string} id - ID de la zona
+   * @returns {Promise<boolean>} True si se eliminó
+   */
+  async deleteZone(id) {
+    try {
+      return await this.delete(this.tableName, id);
+
+    } catch (error) {
+      console.error('Error deleting speed zone:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene una zona por ID
+   * @param {string} id - ID de la zona
+   * @returns {Promise<object|null>} Zona o null
+   */
+  async getZone(id) {
+    try {
+      return await this.findById(this.tableName, id);
+
+    } catch (error) {
+      console.error('Error getting speed zone:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lista zonas con filtros opcionales
+   * @param {object} filters - Filtros (isActive)
+   * @param {object} options - Opciones de búsqueda (limit, offset)
+   * @returns {Promise<array>} Zonas
+   */
+  async listZones(filters = {}, options = {}) {
+    try {
+      const conditions = {};
+
+      if (filters.isActive !== undefined) {
+        conditions.is_active = filters.isActive;
+      }
+
+      return await this.findWhere(this.tableName, conditions, {
+        orderBy: 'name ASC',
+        limit: options.limit || 100,
+        offset: options.offset || 0
+      });
+
+    } catch (error) {
+      console.error('Error listing speed zones:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene todas las zonas habilitadas (caché de ZoneService)
+   * @returns {Promise<array>} Zonas con is_active = true
+   */
+  async getActiveZones() {
+    try {
+      return await this.findWhere(this.tableName, { is_active: true });
+
+    } catch (error) {
+      console.error('Error getting active speed zones:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convierte los datos de una zona a columnas de la tabla
+   * @param {object} zone - Datos validados (solo se incluyen los campos presentes)
+   * @returns {object} Columnas a escribir
+   */
+  toRecord(zone) {
+    const record = {};
+
+    if (zone.name !== undefined) {
+      record.name = zone.name;
+    }
+
+    if (zone.speedLimit !== undefined) {
+      record.speed_limit = zone.speedLimit;
+    }
+
+    if (zone.geometry !== undefined) {
+      record.geometry = JSON.stringify(zone.geometry);
+    }
+
+    if (zone.activeHours !== undefined) {
+      record.active_hours = zone.activeHours ? JSON.stringify(zone.activeHours) : null;
+    }
+
+    if (zone.description !== undefined) {
+      record.description = zone.description;
+    }
+
+    if (zone.isActive !== undefined) {
+      record.is_active = zone.isActive;
+    }
+
+    return record;
+  }
+}
+
+module.exports = ZoneRepository;
@@ -6,9 +6,9 @@ const AlertController = require('../controllers/alertController');
  * Principio: Single Responsibility - Solo define rutas de alertas
  */
 class AlertRoutes {
-  constructor() {
+  constructor(realtimeNotifier = null, processorProvider = null) {
     this.router = express.Router();
-    this.alertController = new AlertController();
+    this.alertController = new AlertController(realtimeNotifier, processorProvider);
     this.initializeRoutes();
   }
 
@@ -32,8 +32,13 @@ class AlertRoutes {
     this.router.get('/severity/:severity', this.alertController.getBySeverity.bind(this.alertController));
     this.router.get('/range', this.alertController.getByTimeRange.bind(this.alertController));
 
-    // Actualización de estado
+    // Ciclo de vida (ACTIVE → ACKNOWLEDGED → RESOLVED/DISMISSED, reabrir)
     this.router.put('/:alertId/status', this.alertController.updateStatus.bind(this.alertController));
+    this.router.post('/:alertId/acknowledge', this.alertController.acknowledge.bind(this.alertController));
+    this.router.post('/:alertId/resolve', this.alertController.resolve.bind(this.alertController));
+    this.router.post('/:alertId/dismiss', this.alertController.dismiss.bind(this.alertController));
+    this.router.post('/:alertId/reopen', this.alertController.reopen.bind(this.alertController));
+    this.router.get('/:alertId/transitions', this.alertController.getTransitions.bind(this.alertController));
   }
 
   /**
@@ -0,0 +1,37 @@
+const express = require('express');
+const DeadLetterController = require('../controllers/deadLetterController');
+
+/**
+ * Rutas para endpoints de mensajes rechazados (dead-letter)
+ * Principio: Single Responsibility - Solo define rutas de dead-letter
+ */
+class DeadLetterRoutes {
+  constructor(processorProvider = null) {
+    this.router = express.Router();
+    this.deadLetterController = new DeadLetterController(processorProvider);
+    this.initializeRoutes();
+  }
+
+  /**
+   * Inicializa todas las rutas de dead-letter
+   */
+  initializeRoutes() {
+    // Consultas
+    this.router.get('/', this.deadLetterController.list.bind(this.deadLetterController));
+    this.router.get('/:id', this.deadLetterController.getById.bind(this.deadLetterController));
+
+    // Reenvío tras corregir el origen del rechazo
+    this.router.post('/resubmit', this.deadLetterController.resubmitMany.bind(this.deadLetterController));
+    this.router.post('/:id/resubmit', this.deadLetterController.resubmitOne.bind(this.deadLetterController));
+  }
+
+  /**
+   * Obtiene el router configurado
+   * @returns {express.Router} Router de Express
+   */
+  getRouter() {
+    return this.router;
+  }
+}
+
+module.exports = DeadLetterRoutes;
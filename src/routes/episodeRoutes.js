@@ -0,0 +1,32 @@
+const express = require('express');
+const EpisodeController = require('../controllers/episodeController');
+
+/**
+ * Rutas para endpoints de episodios de exceso de velocidad
+ * Principio: Single Responsibility - Solo define rutas de episodios
+ */
+class EpisodeRoutes {
+  constructor() {
+    this.router = express.Router();
+    this.episodeController = new EpisodeController();
+    this.initializeRoutes();
+  }
+
+  /**
+   * Inicializa todas las rutas de episodios
+   */
+  initializeRoutes() {
+    this.router.get('/', this.episodeController.list.bind(this.episodeController));
+    this.router.get('/:id', this.episodeController.getById.bind(this.episodeController));
+  }
+
+  /**
+   * Obtiene el router configurado
+   * @returns {express.Router} Router de Express
+   */
+  getRouter() {
+    return this.router;
+  }
+}
+
+module.exports = EpisodeRoutes;
@@ -0,0 +1,33 @@
+const express = require('express');
+const IngestController = require('../controllers/ingestController');
+
+/**
+ * Rutas para ingesta HTTP de aplicaciones de rastreo
+ * Principio: Single Responsibility - Solo define rutas de ingesta
+ */
+class IngestRoutes {
+  constructor(processorProvider = null) {
+    this.router = express.Router();
+    this.ingestController = new IngestController(processorProvider);
+    this.initializeRoutes();
+  }
+
+  /**
+   * Inicializa todas las rutas de ingesta
+   */
+  initializeRoutes() {
+    // Protocolo OsmAnd (Traccar Client y compatibles): parámetros en query o formulario
+    this.router.get('/osmand', this.ingestController.osmand.bind(this.ingestController));
+    this.router.post('/osmand', this.ingestController.osmand.bind(this.ingestController));
+  }
+
+  /**
+   * Obtiene el router configurado
+   * @returns {express.Router} Router de Express
+   */
+  getRouter() {
+    return this.router;
+  }
+}
+
+module.exports = IngestRoutes;
@@ -0,0 +1,37 @@
+const express = require('express');
+const RuleController = require('../controllers/ruleController');
+
+/**
+ * Rutas para endpoints de reglas de alerta
+ * Principio: Single Responsibility - Solo define rutas de reglas
+ */
+class RuleRoutes {
+  constructor(processorProvider = null) {
+    this.router = express.Router();
+    this.ruleController = new RuleController(processorProvider);
+    this.initializeRoutes();
+  }
+
+  /**
+   * Inicializa todas las rutas de reglas
+   */
+  initializeRoutes() {
+    this.router.get('/', this.ruleController.list.bind(this.ruleController));
+    this.router.get('/:ruleId', this.ruleController.getById.bind(this.ruleController));
+    this.router.get('/:ruleId/versions', this.ruleController.getVersions.bind(this.ruleController));
+    this.router.post('/', this.ruleController.create.bind(this.ruleController));
+    this.router.put('/:ruleId', this.ruleController.update.bind(this.ruleController));
+    this.router.delete('/:ruleId', this.ruleController.remove.bind(this.ruleController));
+    this.router.post('/:ruleId/restore', this.ruleController.restore.bind(this.ruleController));
+  }
+
+  /**
+   * Obtiene el router configurado
+   * @returns {express.Router} Router de Express
+   */
+  getRouter() {
+    return this.router;
+  }
+}
+
+module.exports = RuleRoutes;
@@ -0,0 +1,41 @@
+const express = require('express');
+const ScheduleController = require('../controllers/scheduleController');
+
+/**
+ * Rutas para endpoints de horarios de límites de velocidad y feriados
+ * Principio: Single Responsibility - Solo define rutas de horarios
+ */
+class ScheduleRoutes {
+  constructor(processorProvider = null) {
+    this.router = express.Router();
+    this.scheduleController = new ScheduleController(processorProvider);
+    this.initializeRoutes();
+  }
+
+  /**
+   * Inicializa todas las rutas de horarios
+   */
+  initializeRoutes() {
+    // Feriados (antes de /:id)
+    this.router.get('/holidays', this.scheduleController.listHolidays.bind(this.scheduleController));
+    this.router.post('/holidays', this.scheduleController.saveHoliday.bind(this.scheduleController));
+    this.router.delete('/holidays/:date', this.scheduleController.removeHoliday.bind(this.scheduleController));
+
+    // CRUD
+    this.router.get('/', this.scheduleController.list.bind(this.scheduleController));
+    this.router.get('/:id', this.scheduleController.getById.bind(this.scheduleController));
+    this.router.post('/', this.scheduleController.create.bind(this.scheduleController));
+    this.router.put('/:id', this.scheduleController.update.bind(this.scheduleController));
+    this.router.delete('/:id', this.scheduleController.remove.bind(this.scheduleController));
+  }
+
+  /**
+   * Obtiene el router configurado
+   * @returns {express.Router} Router de Express
+   */
+  getRouter() {
+    return this.router;
+  }
+}
+
+module.exports = ScheduleRoutes;
@@ -6,9 +6,9 @@ const SpeedController = require('../controllers/speedController');
  * Principio: Single Responsibility - Solo define rutas de velocidad
  */
 class SpeedRoutes {
-  constructor() {
+  constructor(processorProvider = null) {
     this.router = express.Router();
-    this.speedController = new SpeedController();
+    this.speedController = new SpeedController(processorProvider);
     this.initializeRoutes();
   }
 
@@ -30,6 +30,9 @@ class SpeedRoutes {
 
     // Creación de registros (para testing)
     this.router.post('/record', this.speedController.createRecord.bind(this.speedController));
+
+    // Ingesta de lotes con alertas
+    this.router.post('/records', this.speedController.createBatch.bind(this.speedController));
   }
 
   /**
@@ -0,0 +1,39 @@
+const express = require('express');
+const ZoneController = require('../controllers/zoneController');
+
+/**
+ * Rutas para endpoints de zonas de velocidad
+ * Principio: Single Responsibility - Solo define rutas de zonas
+ */
+class ZoneRoutes {
+  constructor(processorProvider = null) {
+    this.router = express.Router();
+    this.zoneController = new ZoneController(processorProvider);
+    this.initializeRoutes();
+  }
+
+  /**
+   * Inicializa todas las rutas de zonas
+   */
+  initializeRoutes() {
+    // Importación GeoJSON (antes de /:id)
+    this.router.post('/import', this.zoneController.importGeoJson.bind(this.zoneController));
+
+    // CRUD
+    this.router.get('/', this.zoneController.list.bind(this.zoneController));
+    this.router.get('/:id', this.zoneController.getById.bind(this.zoneController));
+    this.router.post('/', this.zoneController.create.bind(this.zoneController));
+    this.router.put('/:id', this.zoneController.update.bind(this.zoneController));
+    this.router.delete('/:id', this.zoneController.remove.bind(this.zoneController));
+  }
+
+  /**
+   * Obtiene el router configurado
+   * @returns {express.Router} Router de Express
+   */
+  getRouter() {
+    return this.router;
+  }
+}
+
+module.exports = ZoneRoutes;
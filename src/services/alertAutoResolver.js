@@ -0,0 +1,209 @@
+const config = require('../config/config');
+const AlertTransitionValidator = require('../validators/alertTransitionValidator');
+
+const ALERT_TYPE = 'SPEED_VIOLATION';
+const RESOLUTION_REASON = 'SPEED_NORMALIZED';
+
+/**
+ * Resolución automática de alertas de velocidad
+ * Principio: Single Responsibility - Solo decide cuándo una alerta de velocidad dejó de aplicar
+ * Principio: Dependency Inversion - Recibe el sistema de alertas y el repositorio por inyección
+ *
+ * Se registra como handler del AlertSystem para conocer las alertas SPEED_VIOLATION abiertas
+ * (ACTIVE o ACKNOWLEDGED) de cada vehículo y recibe cada lectura procesada. Cuando una lectura
+ * en orden está dentro del límite y pasaron ALERT_AUTO_RESOLVE_AFTER ms (tiempo del dispositivo)
+ * desde la última lectura por encima del límite, resuelve las alertas abiertas del vehículo
+ * (resolution_reason SPEED_NORMALIZED, actor 'system').
+ */
+class AlertAutoResolver {
+  constructor(alertSystem, alertRepository = null, options = {}) {
+    const autoResolveConfig = { ...config.get('alerts.autoResolve'), ...options };
+
+    this.name = 'autoResolver';
+    this.alertSystem = alertSystem; // Inyección de dependencia
+    this.alertRepository = alertRepository; // Inyección de dependencia
+    this.enabled = autoResolveConfig.enabled !== false;
+    this.resolveAfter = autoResolveConfig.after;
+
+    this.openAlerts = new Map(); // vehicleId -> Map(alertId -> alerta abierta)
+    this.lastViolationAt = new Map(); // vehicleId -> ms (dispositivo) de la última lectura por encima del límite
+    this.lastReadingAt = new Map(); // vehicleId -> ms (dispositivo) de la última lectura en orden
+    this.stopped = false;
+    this.stats = { tracked: 0, resolved: 0 };
+  }
+
+  /**
+   * Recupera de la base de datos las alertas de velocidad abiertas
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.stopped = false;
+
+    if (!this.enabled || !this.alertRepository) {
+      return;
+    }
+
+    try {
+      const alerts = await this.alertRepository.getActiveByType(ALERT_TYPE);
+
+      for (const row of alerts) {
+        this.track({
+          id: row.alert_id,
+          type: row.type,
+          severity: row.severity,
+          vehicleId: row.vehicle_id,
+          vehicleType: row.vehicle_type,
+          timestamp: row.violation_timestamp,
+          status: row.status
+        });
+      }
+
+      console.log(`✅ Auto-resolving speed alerts after ${this.resolveAfter}ms under the limit (${alerts.length} open)`);
+
+    } catch (error) {
+      console.warn(`⚠️  Unable to load open speed alerts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registra una lectura procesada y resuelve las alertas del vehículo si volvió al límite
+   * @param {object} speedData - Lectura procesada (vehicleId, speed, speedLimit, timestamp, late)
+   * @returns {Promise<void>}
+   */
+  async recordReading(speedData) {
+    if (!this.enabled || this.stopped || speedData.late) {
+      return;
+    }
+
+    const { vehicleId } = speedData;
+    const time = new Date(speedData.timestamp).getTime();
+
+    this.lastReadingAt.set(vehicleId, Math.max(this.lastReadingAt.get(vehicleId) || 0, time));
+
+    if (speedData.speed > speedData.speedLimit) {
+      this.lastViolationAt.set(vehicleId, Math.max(this.lastViolationAt.get(vehicleId) || 0, time));
+      return;
+    }
+
+    const alerts = this.openAlerts.get(vehicleId);
+
+    if (!alerts) {
+      return;
+    }
+
+    const lastViolation = Math.max(
+      this.lastViolationAt.get(vehicleId) || 0,
+      ...[...alerts.values()].map(alert => new Date(alert.timestamp).getTime())
+    );
+
+    if (time - lastViolation < this.resolveAfter) {
+      return;
+    }
+
+    this.openAlerts.delete(vehicleId);
+    this.lastViolationAt.delete(vehicleId);
+
+    for (const alert of alerts.values()) {
+      await this.alertSystem.resolveAlert(alert, {
+        reason: RESOLUTION_REASON,
+        notes: `Vehicle stayed under the speed limit for ${Math.round((time - lastViolation) / 1000)}s`
+      });
+      this.stats.resolved++;
+    }
+
+    console.log(`✅ Vehicle ${vehicleId} back under the speed limit, ${alerts.size} speed alert(s) resolved`);
+  }
+
+  /**
+   * Deja de resolver alertas y descarta el seguimiento; start() lo recupera de la base de datos
+   * Las lecturas ya encoladas deben terminar antes (las resoluciones en curso se esperan en la cola)
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.stopped = true;
+    this.openAlerts.clear();
+    this.lastViolationAt.clear();
+    this.lastReadingAt.clear();
+  }
+
+  /**
+   * Agrega una alerta de velocidad abierta
+   * @param {object} alert - Alerta (id, type, vehicleId, timestamp)
+   */
+  track(alert) {
+    if (alert.type !== ALERT_TYPE) {
+      return;
+    }
+
+    if (!this.openAlerts.has(alert.vehicleId)) {
+      this.openAlerts.set(alert.vehicleId, new Map());
+    }
+
+    const alerts = this.openAlerts.get(alert.vehicleId);
+    if (!alerts.has(alert.id)) {
+      alerts.set(alert.id, alert);
+      this.stats.tracked++;
+    }
+  }
+
+  /**
+   * Quita una alerta cerrada
+   * @param {string} vehicleId - ID del vehículo
+   * @param {string} alertId - ID de la alerta
+   */
+  untrack(vehicleId, alertId) {
+    const alerts = this.openAlerts.get(vehicleId);
+
+    if (alerts && alerts.delete(alertId) && alerts.size === 0) {
+      this.openAlerts.delete(vehicleId);
+    }
+  }
+
+  /**
+   * Handler de notificaciones del AlertSystem: alerta creada
+   * @param {object} alert - Alerta creada
+   */
+  async sendNotification(alert) {
+    this.track(alert);
+  }
+
+  /**
+   * Handler de notificaciones del AlertSystem: cambio en una alerta
+   * Las alertas cerradas dejan de seguirse; las reabiertas vuelven a seguirse contando
+   * el tiempo por debajo del límite desde la última lectura del vehículo, en tiempo del
+   * dispositivo como el resto de la comparación (la hora del servidor solo si no hay lecturas)
+   * @param {object} update - Datos actualizados de la alerta
+   */
+  async sendUpdate(update) {
+    if (AlertTransitionValidator.isClosed(update.status)) {
+      this.untrack(update.vehicleId, update.id);
+    } else if (update.change === 'ACTIVE') {
+      const lastReading = this.lastReadingAt.get(update.vehicleId);
+
+      this.track({ ...update, timestamp: lastReading ? new Date(lastReading) : new Date() });
+    }
+  }
+
+  /**
+   * Obtiene el estado del resolutor
+   * @returns {object} Configuración y contadores
+   */
+  getStatus() {
+    let open = 0;
+    for (const alerts of this.openAlerts.values()) {
+      open += alerts.size;
+    }
+
+    return {
+      enabled: this.enabled,
+      resolveAfter: this.resolveAfter,
+      openAlerts: open,
+      ...this.stats
+    };
+  }
+}
+
+AlertAutoResolver.ALERT_TYPE = ALERT_TYPE;
+AlertAutoResolver.RESOLUTION_REASON = RESOLUTION_REASON;
+
+module.exports = AlertAutoResolver;
@@ -1,68 +1,82 @@
+const { randomUUID } = require('crypto');
 const config = require('../config/config');
+const AlertTransitionValidator = require('../validators/alertTransitionValidator');
+
+const { ACTOR_TYPES } = AlertTransitionValidator;
+const SYSTEM_ACTOR = 'system'; // Actor de los cambios de estado automáticos
 
 /**
  * Sistema de alertas siguiendo principios SOLID
  * Principio: Single Responsibility - Solo maneja alertas
  * Principio: Open/Closed - Abierto para nuevos tipos de alerta
- * Principio: Strategy Pattern - Diferentes estrategias de alerta
+ *
+ * Severidad, prioridad, acción recomendada y descripción de las alertas de velocidad
+ * provienen de la regla de alerta que coincidió con la violación (RuleEngine).
+ * Los cambios de estado (ACTIVE → ACKNOWLEDGED → RESOLVED/DISMISSED, reabrir) se registran
+ * en alert_transitions con el usuario o el sistema que los hizo.
  */
 class AlertSystem {
-  constructor(mqttClient = null, notificationHandlers = []) {
+  constructor(mqttClient = null, notificationHandlers = [], alertRepository = null, spool = null) {
     this.mqttClient = mqttClient; // Inyección de dependencia
     this.notificationHandlers = notificationHandlers; // Inyección de dependencia
+    this.alertRepository = alertRepository; // Inyección de dependencia
+    this.spool = spool; // Spool en disco si la base de datos no está disponible
     this.alertHistory = []; // Historial de alertas en memoria
-    this.activeAlerts = new Map(); // Alertas activas por vehículo
-    this.alertStrategies = new Map(); // Estrategias de procesamiento
+    this.activeAlerts = new Map(); // Última alerta de velocidad abierta por vehículo (supresión de duplicados)
     this.maxHistorySize = 1000;
     this.suppressionWindow = 30000; // 30 segundos para evitar spam
-    
-    this.initializeStrategies();
-  }
-
-  /**
-   * Inicializa las estrategias de alerta
-   */
-  initializeStrategies() {
-    // Estrategia para violaciones simples
-    this.alertStrategies.set('simple', new SimpleViolationStrategy());
-    
-    // Estrategia para violaciones consecutivas
-    this.alertStrategies.set('consecutive', new ConsecutiveViolationStrategy());
-    
-    // Estrategia para violaciones críticas
-    this.alertStrategies.set('critical', new CriticalViolationStrategy());
-    
-    // Estrategia para patrones de velocidad
-    this.alertStrategies.set('pattern', new PatternViolationStrategy());
   }
 
   /**
    * Procesa una violación de velocidad
-   * @param {object} violation - Datos de la violación
+   * @param {object} violation - Datos de la violación (con la regla de alerta que coincidió)
    * @returns {object} Resultado del procesamiento
    */
   async processViolation(violation) {
     try {
+      // Ninguna regla de alerta coincidió: la violación no genera alerta
+      if (!violation.rule) {
+        return {
+          success: true,
+          skipped: true,
+          reason: 'No alert rule matched the violation'
+        };
+      }
+
       // Verificar supresión de alertas duplicadas
       if (this.shouldSuppressAlert(violation)) {
+        const activeAlert = this.activeAlerts.get(violation.vehicleId);
+        activeAlert.suppressedCount = (activeAlert.suppressedCount || 0) + 1;
+        activeAlert.lastSuppressedAt = new Date();
+
+        await this.recordSuppressedAlert(activeAlert.alertId);
+        await this.sendUpdateNotifications({
+          id: activeAlert.alertId,
+          vehicleId: violation.vehicleId,
+          vehicleType: activeAlert.vehicleType,
+          severity: activeAlert.severity,
+          status: 'ACTIVE',
+          suppressedCount: activeAlert.suppressedCount,
+          lastSuppressedAt: activeAlert.lastSuppressedAt,
+          change: 'SUPPRESSED_DUPLICATE'
+        });
+
         return {
           success: true,
           suppressed: true,
+          alertId: activeAlert.alertId,
           reason: 'Alert suppressed due to recent similar alert'
         };
       }
 
-      // Determinar estrategia de alerta
-      const strategy = this.determineStrategy(violation);
-      
-      // Procesar violación con la estrategia adecuada
-      const alertData = await strategy.processViolation(violation);
-      
-      // Crear alerta
-      const alert = this.createAlert(violation, alertData);
+      // Crear alerta con los datos de la regla
+      const alert = this.createAlert(violation, violation.rule);
       
       // Almacenar alerta
       this.storeAlert(alert);
+
+      // Persistir alerta en base de datos
+      await this.persistAlert(alert);
       
       // Enviar notificaciones
       await this.sendNotifications(alert);
@@ -70,7 +84,7 @@ class AlertSystem {
       return {
         success: true,
         alert,
-        strategy: strategy.name
+        rule: violation.rule.name
       };
 
     } catch (error) {
@@ -85,23 +99,111 @@ class AlertSystem {
   }
 
   /**
-   * Determina la estrategia de alerta basada en la violación
-   * @param {object} violation - Datos de la violación
-   * @returns {object} Estrategia seleccionada
+   * Genera una alerta que no proviene de una violación de velocidad (ej: VEHICLE_OFFLINE)
+   * Se almacena y notifica igual que las alertas de velocidad, sin reglas ni supresión
+   * @param {object} alertData - Datos de la alerta (type, severity, vehicleId, description...)
+   * @returns {Promise<object>} Alerta creada
    */
-  determineStrategy(violation) {
-    // Violación crítica (velocidad muy alta)
-    if (violation.severity === 'CRITICAL') {
-      return this.alertStrategies.get('critical');
+  async raiseAlert(alertData) {
+    const alert = {
+      id: randomUUID(), // Único aunque un mismo vehículo genere varias alertas en el mismo milisegundo
+      priority: 'NORMAL',
+      createdAt: new Date(),
+      detectedAt: new Date(),
+      status: 'ACTIVE',
+      ...alertData
+    };
+
+    this.addToHistory(alert);
+    await this.persistAlert(alert);
+    await this.sendNotifications(alert);
+
+    return alert;
+  }
+
+  /**
+   * Resuelve automáticamente una alerta y publica el cambio
+   * @param {object} alert - Alerta abierta
+   * @param {object} resolution - { reason, notes } motivo de la resolución
+   * @returns {Promise<object>} Alerta resuelta
+   */
+  async resolveAlert(alert, resolution = {}) {
+    return this.transitionAlert(alert, 'RESOLVED', {
+      actorType: ACTOR_TYPES.SYSTEM,
+      actor: SYSTEM_ACTOR,
+      reason: resolution.reason || null,
+      notes: resolution.notes || null
+    });
+  }
+
+  /**
+   * Cambia el estado de una alerta desde el sistema, lo persiste y publica el cambio
+   * @param {object} alert - Alerta (id, type, vehicleId, vehicleType, severity)
+   * @param {string} status - Nuevo estado
+   * @param {object} transition - { actorType, actor, reason, notes }
+   * @returns {Promise<object>} Alerta actualizada
+   */
+  async transitionAlert(alert, status, transition) {
+    const at = new Date();
+    const updatedAlert = { ...alert, status };
+
+    if (AlertTransitionValidator.isClosed(status)) {
+      Object.assign(updatedAlert, {
+        resolvedAt: at,
+        resolvedBy: transition.actor,
+        resolutionReason: transition.reason,
+        resolutionNotes: transition.notes
+      });
     }
-    
-    // Violaciones consecutivas
-    if (violation.isConsecutive) {
-      return this.alertStrategies.get('consecutive');
+
+    await this.persistTransition(alert.id, status, { ...transition, at });
+
+    try {
+      if (this.mqttClient) {
+        await this.mqttClient.publishAlert(updatedAlert);
+      }
+    } catch (error) {
+      console.error(`Error publishing status change of alert ${alert.id}:`, error);
     }
-    
-    // Violación simple
-    return this.alertStrategies.get('simple');
+
+    await this.applyTransition(updatedAlert);
+
+    return updatedAlert;
+  }
+
+  /**
+   * Refleja en memoria un cambio de estado ya persistido y lo notifica
+   * Una alerta cerrada deja de ser la alerta activa del vehículo (ya no suprime duplicados)
+   * @param {object} alert - Alerta actualizada (objeto de alerta o fila de alerts)
+   */
+  async applyTransition(alert) {
+    const alertId = alert.alert_id || alert.id;
+    const vehicleId = alert.vehicleId || alert.vehicle_id;
+    const closed = AlertTransitionValidator.isClosed(alert.status);
+
+    const historyEntry = this.alertHistory.find(entry => entry.id === alertId);
+    if (historyEntry) {
+      historyEntry.status = alert.status;
+      historyEntry.resolvedAt = closed ? alert.resolvedAt || alert.resolved_at : null;
+    }
+
+    const activeAlert = this.activeAlerts.get(vehicleId);
+    if (closed && activeAlert && activeAlert.alertId === alertId) {
+      this.activeAlerts.delete(vehicleId);
+    }
+
+    await this.sendUpdateNotifications({
+      id: alertId,
+      type: alert.type,
+      vehicleId,
+      vehicleType: alert.vehicleType || alert.vehicle_type,
+      severity: alert.severity,
+      status: alert.status,
+      timestamp: alert.timestamp || alert.violation_timestamp,
+      resolvedAt: closed ? alert.resolvedAt || alert.resolved_at : null,
+      resolutionReason: closed ? alert.resolutionReason || alert.resolution_reason : null,
+      change: alert.status
+    });
   }
 
   /**
@@ -123,14 +225,14 @@ class AlertSystem {
   /**
    * Crea un objeto de alerta estructurado
    * @param {object} violation - Datos de la violación
-   * @param {object} alertData - Datos adicionales de la estrategia
+   * @param {object} rule - Regla de alerta que coincidió (RuleEngine.evaluate)
    * @returns {object} Alerta creada
    */
-  createAlert(violation, alertData) {
+  createAlert(violation, rule) {
     const alert = {
-      id: `alert_${Date.now()}_${violation.vehicleId}`,
+      id: randomUUID(),
       type: 'SPEED_VIOLATION',
-      severity: violation.severity,
+      severity: rule.severity,
       vehicleId: violation.vehicleId,
       speed: violation.speed,
       speedLimit: violation.speedLimit,
@@ -138,13 +240,18 @@ class AlertSystem {
       exceedPercentage: violation.exceedPercentage,
       location: violation.location,
       vehicleType: violation.vehicleType,
+      zone: violation.zone || null,
       timestamp: violation.timestamp,
       detectedAt: violation.detectedAt,
       createdAt: new Date(),
       isConsecutive: violation.isConsecutive,
       consecutiveCount: violation.consecutiveCount,
       status: 'ACTIVE',
-      ...alertData // Datos adicionales de la estrategia
+      priority: rule.priority,
+      recommendedAction: rule.recommendedAction,
+      description: rule.description,
+      rule: { id: rule.id, version: rule.version, name: rule.name },
+      additionalData: violation.episode ? { episode: violation.episode } : null // Episodio de exceso en curso
     };
 
     return alert;
@@ -155,20 +262,103 @@ class AlertSystem {
    * @param {object} alert - Alerta a almacenar
    */
   storeAlert(alert) {
-    // Agregar al historial
+    this.addToHistory(alert);
+
+    // Actualizar alertas activas
+    this.activeAlerts.set(alert.vehicleId, {
+      lastAlert: Date.now(),
+      alertId: alert.id,
+      severity: alert.severity,
+      vehicleType: alert.vehicleType,
+      suppressedCount: 0
+    });
+  }
+
+  /**
+   * Agrega una alerta al historial en memoria
+   * @param {object} alert - Alerta a agregar
+   */
+  addToHistory(alert) {
     this.alertHistory.unshift(alert);
     
     // Mantener tamaño del historial
     if (this.alertHistory.length > this.maxHistorySize) {
       this.alertHistory.pop();
     }
+  }
 
-    // Actualizar alertas activas
-    this.activeAlerts.set(alert.vehicleId, {
-      lastAlert: Date.now(),
-      alertId: alert.id,
-      severity: alert.severity
-    });
+  /**
+   * Persiste la alerta en la base de datos, reintentando si no está disponible
+   * @param {object} alert - Alerta a persistir
+   * @returns {Promise<boolean>} True si se persistió correctamente
+   */
+  async persistAlert(alert) {
+    if (!this.alertRepository) {
+      return false;
+    }
+
+    try {
+      if (this.spool) {
+        await this.spool.persist('alert', alert);
+      } else {
+        await this.alertRepository.withRetry(() => this.alertRepository.saveAlert(alert));
+      }
+      return true;
+
+    } catch (error) {
+      console.error(`Error persisting alert ${alert.id}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Persiste un cambio de estado, reintentando si la base de datos no está disponible
+   * @param {string} alertId - ID de la alerta
+   * @param {string} status - Nuevo estado
+   * @param {object} transition - { actorType, actor, reason, notes, at }
+   * @returns {Promise<boolean>} True si se persistió correctamente
+   */
+  async persistTransition(alertId, status, transition) {
+    if (!this.alertRepository) {
+      return false;
+    }
+
+    try {
+      if (this.spool) {
+        await this.spool.persist('alert_transition', { alertId, status, ...transition });
+      } else {
+        await this.alertRepository.withRetry(() => this.alertRepository.transitionStatus(alertId, status, transition));
+      }
+      return true;
+
+    } catch (error) {
+      console.error(`Error persisting status change of alert ${alertId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Registra una alerta suprimida como contador sobre la alerta existente
+   * @param {string} alertId - ID de la alerta activa
+   * @returns {Promise<boolean>} True si se registró correctamente
+   */
+  async recordSuppressedAlert(alertId) {
+    if (!this.alertRepository) {
+      return false;
+    }
+
+    try {
+      if (this.spool) {
+        await this.spool.persist('alert_suppressed', { alertId, suppressedAt: new Date() });
+      } else {
+        await this.alertRepository.withRetry(() => this.alertRepository.incrementSuppressedCount(alertId));
+      }
+      return true;
+
+    } catch (error) {
+      console.error(`Error recording suppressed alert for ${alertId}:`, error.message);
+      return false;
+    }
   }
 
   /**
@@ -203,6 +393,32 @@ class AlertSystem {
     }
   }
 
+  /**
+   * Agrega un handler de notificaciones (recibe las alertas nuevas y, si lo soporta, sus cambios)
+   * @param {object} handler - Handler con name, sendNotification(alert) y opcionalmente sendUpdate(update)
+   */
+  addNotificationHandler(handler) {
+    this.notificationHandlers.push(handler);
+  }
+
+  /**
+   * Notifica a los handlers que soportan actualizaciones sobre un cambio en una alerta
+   * @param {object} alertUpdate - Datos actualizados de la alerta
+   */
+  async sendUpdateNotifications(alertUpdate) {
+    for (const handler of this.notificationHandlers) {
+      if (typeof handler.sendUpdate !== 'function') {
+        continue;
+      }
+
+      try {
+        await handler.sendUpdate(alertUpdate);
+      } catch (error) {
+        console.error(`Error in notification handler ${handler.name}:`, error);
+      }
+    }
+  }
+
   /**
    * Obtiene alertas por criterios
    * @param {object} criteria - Criterios de búsqueda
@@ -290,76 +506,4 @@ class AlertSystem {
   }
 }
 
-/**
- * Estrategia para violaciones simples
- */
-class SimpleViolationStrategy {
-  constructor() {
-    this.name = 'simple';
-  }
-
-  async processViolation(violation) {
-    return {
-      priority: 'NORMAL',
-      recommendedAction: 'Monitor vehicle speed',
-      description: `Vehicle ${violation.vehicleId} exceeded speed limit by ${violation.exceedAmount.toFixed(1)} km/h`
-    };
-  }
-}
-
-/**
- * Estrategia para violaciones consecutivas
- */
-class ConsecutiveViolationStrategy {
-  constructor() {
-    this.name = 'consecutive';
-  }
-
-  async processViolation(violation) {
-    return {
-      priority: 'HIGH',
-      recommendedAction: 'Immediate intervention required',
-      description: `Vehicle ${violation.vehicleId} has ${violation.consecutiveCount} consecutive violations`,
-      escalated: true
-    };
-  }
-}
-
-/**
- * Estrategia para violaciones críticas
- */
-class CriticalViolationStrategy {
-  constructor() {
-    this.name = 'critical';
-  }
-
-  async processViolation(violation) {
-    return {
-      priority: 'CRITICAL',
-      recommendedAction: 'Emergency response required',
-      description: `CRITICAL: Vehicle ${violation.vehicleId} at ${violation.speed} km/h (${violation.exceedPercentage}% over limit)`,
-      requiresImmediate: true,
-      escalated: true
-    };
-  }
-}
-
-/**
- * Estrategia para patrones de violación
- */
-class PatternViolationStrategy {
-  constructor() {
-    this.name = 'pattern';
-  }
-
-  async processViolation(violation) {
-    return {
-      priority: 'MEDIUM',
-      recommendedAction: 'Pattern analysis required',
-      description: `Pattern violation detected for vehicle ${violation.vehicleId}`,
-      patternDetected: true
-    };
-  }
-}
-
 module.exports = AlertSystem;
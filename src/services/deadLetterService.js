@@ -0,0 +1,169 @@
+const config = require('../config/config');
+
+// Motivos de rechazo registrados en dead_letter_messages.reason_code
+const REASON_CODES = Object.freeze({
+  EMPTY_PAYLOAD: 'EMPTY_PAYLOAD',
+  MALFORMED_JSON: 'MALFORMED_JSON',
+  INVALID_STRUCTURE: 'INVALID_STRUCTURE',
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  PROCESSING_ERROR: 'PROCESSING_ERROR',
+  UNDECODABLE_PAYLOAD: 'UNDECODABLE_PAYLOAD'
+});
+
+/**
+ * Servicio de mensajes rechazados (dead-letter)
+ * Principio: Single Responsibility - Solo conserva y reenvía mensajes rechazados
+ * Principio: Dependency Inversion - Recibe cliente MQTT y repositorio por inyección
+ *
+ * Cada mensaje rechazado se publica en el tópico dead-letter y se guarda con su
+ * payload original, para poder reenviarlo tras corregir el firmware del dispositivo.
+ */
+class DeadLetterService {
+  constructor(mqttClient = null, deadLetterRepository = null) {
+    this.mqttClient = mqttClient; // Inyección de dependencia
+    this.deadLetterRepository = deadLetterRepository; // Inyección de dependencia
+    this.deadLetterCount = 0;
+    this.reasonCounts = {};
+  }
+
+  /**
+   * Registra un mensaje rechazado: lo publica y lo almacena
+   * Nunca lanza errores para no interrumpir el procesamiento de mensajes
+   * @param {object} entry - { sourceTopic, rawPayload, contentType, reasonCode, errors, vehicleId, batchIndex }
+   * @returns {Promise<object|null>} Registro guardado o null
+   */
+  async record(entry) {
+    const rawPayload = this.toBuffer(entry.rawPayload);
+    const receivedAt = entry.receivedAt || new Date();
+
+    this.deadLetterCount++;
+    this.reasonCounts[entry.reasonCode] = (this.reasonCounts[entry.reasonCode] || 0) + 1;
+
+    let saved = null;
+
+    if (this.deadLetterRepository) {
+      try {
+        saved = await this.deadLetterRepository.withRetry(() =>
+          this.deadLetterRepository.saveDeadLetter({ ...entry, rawPayload, receivedAt })
+        );
+      } catch (error) {
+        console.error(`❌ Failed to store dead letter from ${entry.sourceTopic}:`, error.message);
+      }
+    }
+
+    await this.publish({
+      id: saved ? saved.id : null,
+      sourceTopic: entry.sourceTopic,
+      reasonCode: entry.reasonCode,
+      errors: entry.errors || [],
+      batchIndex: Number.isInteger(entry.batchIndex) ? entry.batchIndex : null,
+      contentType: entry.contentType || null,
+      ...this.encodePayload(rawPayload),
+      receivedAt
+    });
+
+    return saved;
+  }
+
+  /**
+   * Publica el mensaje rechazado en el tópico dead-letter
+   * @param {object} envelope - Mensaje rechazado con metadatos
+   */
+  async publish(envelope) {
+    if (!this.mqttClient || !this.mqttClient.isConnected) {
+      return;
+    }
+
+    try {
+      await this.mqttClient.publish(config.get('mqtt.topics.deadLetter'), envelope);
+    } catch (error) {
+      console.error('Error publishing dead letter to MQTT:', error.message);
+    }
+  }
+
+  /**
+   * Reenvía mensajes rechazados al procesamiento
+   * @param {Array} ids - IDs de los mensajes
+   * @param {function} reprocess - Recibe (payload Buffer, entrada) y retorna { success, reasonCode, errors }
+   * @returns {Promise<Array>} Resultado por mensaje
+   */
+  async resubmit(ids, reprocess) {
+    const results = [];
+
+    for (const id of ids) {
+      const entry = await this.deadLetterRepository.getDeadLetter(id);
+
+      if (!entry) {
+        results.push({ id, status: 'not_found' });
+        continue;
+      }
+
+      if (entry.status === 'RESUBMITTED') {
+        results.push({ id, status: 'skipped', reason: 'Message was already resubmitted' });
+        continue;
+      }
+
+      const outcome = await reprocess(Buffer.from(entry.payload, entry.payload_encoding), entry);
+
+      if (outcome.success) {
+        await this.deadLetterRepository.markResubmitted(id);
+        results.push({ id, status: 'accepted' });
+      } else {
+        await this.deadLetterRepository.recordResubmitFailure(id, {
+          reasonCode: outcome.reasonCode,
+          errors: outcome.errors || []
+        });
+        results.push({ id, status: 'rejected', reasonCode: outcome.reasonCode, errors: outcome.errors || [] });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Convierte un payload a Buffer
+   * @param {Buffer|string|object} payload - Payload original
+   * @returns {Buffer} Payload binario
+   */
+  toBuffer(payload) {
+    if (Buffer.isBuffer(payload)) {
+      return payload;
+    }
+
+    if (payload === null || payload === undefined) {
+      return Buffer.alloc(0);
+    }
+
+    return Buffer.from(typeof payload === 'string' ? payload : JSON.stringify(payload));
+  }
+
+  /**
+   * Codifica el payload para el mensaje MQTT (texto o base64)
+   * @param {Buffer} buffer - Payload original
+   * @returns {object} { payload, payloadEncoding }
+   */
+  encodePayload(buffer) {
+    const text = buffer.toString('utf8');
+
+    if (Buffer.from(text, 'utf8').equals(buffer)) {
+      return { payload: text, payloadEncoding: 'utf8' };
+    }
+
+    return { payload: buffer.toString('base64'), payloadEncoding: 'base64' };
+  }
+
+  /**
+   * Obtiene estadísticas del servicio
+   * @returns {object} Estadísticas
+   */
+  getStats() {
+    return {
+      deadLetterCount: this.deadLetterCount,
+      byReason: { ...this.reasonCounts }
+    };
+  }
+}
+
+DeadLetterService.REASON_CODES = REASON_CODES;
+
+module.exports = DeadLetterService;
@@ -0,0 +1,82 @@
+const config = require('../config/config');
+
+/**
+ * Detector de mensajes duplicados (reentregas QoS 1)
+ * Principio: Single Responsibility - Solo reconoce mensajes ya procesados
+ *
+ * La clave es el messageId del dispositivo o, si no viene, (vehicleId, timestamp, speed).
+ * Mantiene una ventana acotada en memoria (LRU por tamaño y antigüedad); detrás de ella
+ * la restricción UNIQUE de speed_records.dedup_key descarta duplicados que llegan tras
+ * un reinicio o a otra instancia.
+ */
+class DuplicateDetector {
+  constructor(options = {}) {
+    const dedupConfig = config.getModule('dedup');
+
+    this.windowSize = options.windowSize || dedupConfig.windowSize;
+    this.windowMs = options.windowMs || dedupConfig.windowMs;
+    this.seen = new Map(); // clave -> momento en que se vio (orden de inserción = LRU)
+  }
+
+  /**
+   * Construye la clave de deduplicación de un registro validado
+   * @param {object} speedData - Datos de velocidad validados
+   * @returns {string} Clave de deduplicación
+   */
+  static buildKey(speedData) {
+    if (speedData.messageId) {
+      return `msg:${speedData.vehicleId}:${speedData.messageId}`;
+    }
+
+    const timestamp = new Date(speedData.timestamp).toISOString();
+    return `rec:${speedData.vehicleId}:${timestamp}:${speedData.speed}`;
+  }
+
+  /**
+   * Indica si la clave se vio dentro de la ventana en memoria
+   * @param {string} key - Clave de deduplicación
+   * @returns {boolean} True si es un duplicado reciente
+   */
+  isRecent(key) {
+    const seenAt = this.seen.get(key);
+
+    if (seenAt === undefined) {
+      return false;
+    }
+
+    if (Date.now() - seenAt > this.windowMs) {
+      this.seen.delete(key);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Registra una clave como procesada
+   * @param {string} key - Clave de deduplicación
+   */
+  remember(key) {
+    this.seen.delete(key);
+    this.seen.set(key, Date.now());
+
+    // Expulsar las claves más antiguas al superar el tamaño de la ventana
+    while (this.seen.size > this.windowSize) {
+      this.seen.delete(this.seen.keys().next().value);
+    }
+  }
+
+  /**
+   * Obtiene estadísticas de la ventana
+   * @returns {object} Estadísticas
+   */
+  getStats() {
+    return {
+      windowEntries: this.seen.size,
+      windowSize: this.windowSize,
+      windowMs: this.windowMs
+    };
+  }
+}
+
+module.exports = DuplicateDetector;
@@ -0,0 +1,122 @@
+const config = require('../config/config');
+const { toLatLng, haversineDistance } = require('../utils/geo');
+
+const ALERT_TYPE = 'SENSOR_MISMATCH';
+const MIN_JUMP_DISTANCE = 1000; // m; saltos menores pueden ser ruido GPS en intervalos cortos
+
+/**
+ * Contraste de la velocidad reportada con la implícita entre dos posiciones GPS
+ * Principio: Single Responsibility - Solo compara lecturas consecutivas y arma la alerta
+ * Principio: Open/Closed - Las tolerancias se ajustan por configuración
+ *
+ * La velocidad implícita es la distancia en línea recta dividida por el tiempo entre
+ * fixes, y se compara con el promedio de las dos velocidades reportadas. Solo se
+ * comparan intervalos entre CROSS_CHECK_MIN_INTERVAL y CROSS_CHECK_MAX_INTERVAL.
+ * Un salto de posición imposible (más de CROSS_CHECK_MAX_PLAUSIBLE_SPEED) se reporta
+ * de inmediato; una discrepancia, solo si se repite CROSS_CHECK_SUSTAINED_COUNT veces seguidas.
+ */
+class GpsSpeedCrossCheck {
+  constructor(options = {}) {
+    const crossCheckConfig = { ...config.getModule('crossCheck'), ...options };
+
+    this.enabled = crossCheckConfig.enabled !== false;
+    this.tolerance = crossCheckConfig.tolerance;
+    this.tolerancePercent = crossCheckConfig.tolerancePercent;
+    this.minInterval = crossCheckConfig.minInterval;
+    this.maxInterval = crossCheckConfig.maxInterval;
+    this.sustainedCount = crossCheckConfig.sustainedCount;
+    this.maxPlausibleSpeed = crossCheckConfig.maxPlausibleSpeed;
+  }
+
+  /**
+   * Compara una lectura con la anterior del mismo vehículo
+   * @param {object} previous - Lectura anterior { speed, timestamp, location }
+   * @param {object} current - Lectura actual { speed, timestamp, location }
+   * @returns {object|null} Resultado de la comparación o null si no son comparables
+   */
+  compare(previous, current) {
+    if (!this.enabled || !previous || !current) {
+      return null;
+    }
+
+    const distance = haversineDistance(previous.location, current.location);
+    const interval = new Date(current.timestamp).getTime() - new Date(previous.timestamp).getTime();
+
+    if (distance === null || !(interval > 0) || interval > this.maxInterval) {
+      return null;
+    }
+
+    const impliedSpeed = (distance / 1000) / (interval / 3600000);
+    const jump = distance >= MIN_JUMP_DISTANCE && impliedSpeed > this.maxPlausibleSpeed;
+
+    if (!jump && interval < this.minInterval) {
+      return null;
+    }
+
+    const reportedSpeed = (previous.speed + current.speed) / 2;
+    const difference = impliedSpeed - reportedSpeed;
+    const allowed = Math.max(this.tolerance, Math.max(impliedSpeed, reportedSpeed) * this.tolerancePercent / 100);
+
+    return {
+      impliedSpeed: this.round(impliedSpeed),
+      reportedSpeed: this.round(reportedSpeed),
+      difference: this.round(difference),
+      distanceMeters: Math.round(distance),
+      intervalMs: interval,
+      mismatch: jump || Math.abs(difference) > allowed,
+      jump
+    };
+  }
+
+  /**
+   * Indica si una comparación debe generar alerta
+   * Una discrepancia sostenida alerta una sola vez, al alcanzar el número configurado
+   * @param {object|null} check - Resultado de compare() con mismatchRun
+   * @returns {boolean} True si corresponde alertar
+   */
+  shouldAlert(check) {
+    return Boolean(check && (check.jump || check.mismatchRun === this.sustainedCount));
+  }
+
+  /**
+   * Construye los datos de la alerta SENSOR_MISMATCH
+   * @param {object} speedData - Lectura que completó la discrepancia
+   * @param {object} check - Resultado de la comparación
+   * @param {number} speedLimit - Límite de velocidad vigente
+   * @returns {object} Datos para AlertSystem.raiseAlert
+   */
+  buildAlert(speedData, check, speedLimit) {
+    // Un velocímetro que oculta una violación real es más grave que una discrepancia cualquiera
+    const hidesViolation = check.impliedSpeed > speedLimit && check.reportedSpeed <= speedLimit;
+
+    return {
+      type: ALERT_TYPE,
+      severity: check.jump || hidesViolation ? 'HIGH' : 'MEDIUM',
+      priority: check.jump || hidesViolation ? 'HIGH' : 'NORMAL',
+      vehicleId: speedData.vehicleId,
+      vehicleType: speedData.vehicleType || 'unknown',
+      speed: speedData.speed,
+      speedLimit,
+      location: toLatLng(speedData.location),
+      timestamp: speedData.timestamp,
+      recommendedAction: check.jump ? 'Verify GPS receiver and position source' : 'Inspect speed sensor',
+      description: check.jump
+        ? `Vehicle ${speedData.vehicleId} jumped ${check.distanceMeters} m in ${Math.round(check.intervalMs / 1000)} s (${check.impliedSpeed} km/h implied)`
+        : `Vehicle ${speedData.vehicleId} reports ${check.reportedSpeed} km/h but GPS implies ${check.impliedSpeed} km/h (${check.mismatchRun} consecutive readings)`,
+      additionalData: check
+    };
+  }
+
+  /**
+   * Redondea a 2 decimales
+   * @param {number} value - Valor
+   * @returns {number} Valor redondeado
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+GpsSpeedCrossCheck.ALERT_TYPE = ALERT_TYPE;
+
+module.exports = GpsSpeedCrossCheck;
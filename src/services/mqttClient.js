@@ -1,3 +1,4 @@
+const fs = require('fs');
 const mqtt = require('mqtt');
 const config = require('../config/config');
 
@@ -14,6 +15,7 @@ class MqttClient {
     this.messageHandlers = new Map();
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 10;
+    this.intakeGate = null; // Función que retorna una promesa cuando se puede recibir el siguiente mensaje
   }
 
   /**
@@ -26,6 +28,7 @@ class MqttClient {
       
       const options = {
         clientId: mqttConfig.clientId,
+        protocolVersion: mqttConfig.protocolVersion,
         keepalive: mqttConfig.keepAlive,
         reconnectPeriod: mqttConfig.reconnectPeriod,
         clean: true,
@@ -42,11 +45,28 @@ class MqttClient {
         }
       };
 
-      const brokerUrl = `mqtt://${mqttConfig.broker}:${mqttConfig.port}`;
-      console.log(`Connecting to MQTT broker: ${brokerUrl}`);
+      // Credenciales opcionales
+      if (mqttConfig.username) {
+        options.username = mqttConfig.username;
+        options.password = mqttConfig.password || undefined;
+      }
+
+      // Opciones TLS para mqtts://
+      if (mqttConfig.protocol === 'mqtts') {
+        Object.assign(options, this.buildTlsOptions(mqttConfig.tls));
+      }
+
+      const brokerUrl = `${mqttConfig.protocol}://${mqttConfig.broker}:${mqttConfig.port}`;
+      console.log(`Connecting to MQTT broker: ${brokerUrl}${mqttConfig.username ? ` as ${mqttConfig.username}` : ''}`);
 
       this.client = mqtt.connect(brokerUrl, options);
 
+      // mqtt.js no lee el siguiente paquete ni envía el PUBACK hasta invocar el callback:
+      // retenerlo mientras la cola está llena aplica contrapresión sobre el broker
+      this.client.handleMessage = (packet, callback) => {
+        this.waitForIntake().then(() => callback(), callback);
+      };
+
       return new Promise((resolve, reject) => {
         const connectTimeout = setTimeout(() => {
           reject(new Error('MQTT connection timeout'));
@@ -67,6 +87,12 @@ class MqttClient {
         this.client.on('error', (error) => {
           clearTimeout(connectTimeout);
           console.error('MQTT connection error:', error);
+
+          // Credenciales rechazadas: reintentar no tiene sentido
+          if (error.code === 4 || error.code === 5 || error.code === 134 || error.code === 135) {
+            this.client.end(true);
+          }
+
           reject(error);
         });
 
@@ -85,8 +111,8 @@ class MqttClient {
           }
         });
 
-        this.client.on('message', (topic, message) => {
-          this.handleMessage(topic, message);
+        this.client.on('message', (topic, message, packet) => {
+          this.handleMessage(topic, message, packet);
         });
       });
 
@@ -96,6 +122,52 @@ class MqttClient {
     }
   }
 
+  /**
+   * Configura la función que retiene la entrada de mensajes
+   * @param {function} gate - Retorna una promesa que se resuelve cuando hay capacidad
+   */
+  setIntakeGate(gate) {
+    this.intakeGate = gate;
+  }
+
+  /**
+   * Espera a que la entrada de mensajes esté habilitada
+   * @returns {Promise<void>}
+   */
+  waitForIntake() {
+    return this.intakeGate ? Promise.resolve(this.intakeGate()) : Promise.resolve();
+  }
+
+  /**
+   * Construye las opciones TLS a partir de la configuración
+   * @param {object} tlsConfig - Configuración TLS (rutas de archivos)
+   * @returns {object} Opciones TLS para mqtt.connect
+   */
+  buildTlsOptions(tlsConfig = {}) {
+    const tlsOptions = {
+      rejectUnauthorized: tlsConfig.rejectUnauthorized !== false
+    };
+
+    if (tlsConfig.caFile) {
+      tlsOptions.ca = fs.readFileSync(tlsConfig.caFile);
+    }
+
+    if (tlsConfig.certFile && tlsConfig.keyFile) {
+      tlsOptions.cert = fs.readFileSync(tlsConfig.certFile);
+      tlsOptions.key = fs.readFileSync(tlsConfig.keyFile);
+
+      if (tlsConfig.keyPassphrase) {
+        tlsOptions.passphrase = tlsConfig.keyPassphrase;
+      }
+    }
+
+    if (tlsConfig.servername) {
+      tlsOptions.servername = tlsConfig.servername;
+    }
+
+    return tlsOptions;
+  }
+
   /**
    * Suscribe a un topic
    * @param {string} topic - Topic a suscribir
@@ -129,6 +201,22 @@ class MqttClient {
     });
   }
 
+  /**
+   * Convierte un filtro en suscripción compartida si hay grupo configurado
+   * Con $share/<grupo>/<filtro> el broker entrega cada mensaje a una sola instancia del grupo.
+   * @param {string} topic - Filtro de suscripción
+   * @returns {string} Filtro con prefijo $share o el original
+   */
+  buildSharedTopic(topic) {
+    const sharedGroup = config.get('mqtt.sharedGroup');
+
+    if (!sharedGroup || topic.startsWith('$share/')) {
+      return topic;
+    }
+
+    return `$share/${sharedGroup}/${topic}`;
+  }
+
   /**
    * Publica un mensaje a un topic
    * @param {string} topic - Topic de destino
@@ -217,30 +305,110 @@ class MqttClient {
    * Maneja mensajes recibidos
    * @param {string} topic - Topic del mensaje
    * @param {Buffer} message - Mensaje recibido
+   * @param {object} packet - Paquete PUBLISH (properties con contentType en MQTT 5)
+   * @returns {Promise<void>}
    */
-  handleMessage(topic, message) {
+  async handleMessage(topic, message, packet = {}) {
     try {
-      const handler = this.messageHandlers.get(topic);
+      const handler = this.findHandler(topic);
       
       if (!handler) {
         console.warn(`No handler registered for topic: ${topic}`);
         return;
       }
 
-      let parsedMessage;
-      try {
-        parsedMessage = JSON.parse(message.toString());
-      } catch (parseError) {
-        parsedMessage = message.toString();
-      }
-
-      handler(topic, parsedMessage);
+      // El payload original se entrega también para conservarlo si el mensaje se rechaza
+      await handler(topic, MqttClient.parsePayload(message), message, packet.properties || {});
 
     } catch (error) {
       console.error(`Error handling message from topic ${topic}:`, error);
     }
   }
 
+  /**
+   * Parsea un payload como JSON, o lo retorna como texto si no es JSON válido
+   * @param {Buffer|string} payload - Payload recibido
+   * @returns {object|string} Payload parseado
+   */
+  static parsePayload(payload) {
+    const text = payload.toString();
+
+    try {
+      return JSON.parse(text);
+    } catch (parseError) {
+      return text;
+    }
+  }
+
+  /**
+   * Busca el handler para un topic, priorizando coincidencias exactas sobre wildcards
+   * @param {string} topic - Topic del mensaje recibido
+   * @returns {function|null} Handler registrado o null
+   */
+  findHandler(topic) {
+    for (const [filter, handler] of this.messageHandlers.entries()) {
+      if (MqttClient.stripSharePrefix(filter) === topic) {
+        return handler;
+      }
+    }
+
+    for (const [filter, handler] of this.messageHandlers.entries()) {
+      if (MqttClient.topicMatches(filter, topic)) {
+        return handler;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Quita el prefijo $share/<grupo>/ de un filtro
+   * Las suscripciones compartidas reciben mensajes publicados en el filtro real.
+   * @param {string} filter - Filtro de suscripción
+   * @returns {string} Filtro sin prefijo
+   */
+  static stripSharePrefix(filter) {
+    if (!filter.startsWith('$share/')) {
+      return filter;
+    }
+
+    return filter.split('/').slice(2).join('/');
+  }
+
+  /**
+   * Verifica si un topic coincide con un filtro MQTT (soporta + y #)
+   * @param {string} filter - Filtro de suscripción (puede incluir $share/<grupo>/)
+   * @param {string} topic - Topic concreto
+   * @returns {boolean} True si el topic coincide con el filtro
+   */
+  static topicMatches(filter, topic) {
+    const filterLevels = MqttClient.stripSharePrefix(filter).split('/');
+    const topicLevels = topic.split('/');
+
+    // Los wildcards del primer nivel no coinciden con topics de sistema ($SYS, etc.)
+    if (topic.startsWith('$') && (filterLevels[0] === '+' || filterLevels[0] === '#')) {
+      return false;
+    }
+
+    for (let i = 0; i < filterLevels.length; i++) {
+      const level = filterLevels[i];
+
+      if (level === '#') {
+        return true;
+      }
+
+      if (i >= topicLevels.length) {
+        return false;
+      }
+
+      if (level !== '+' && level !== topicLevels[i]) {
+        return false;
+      }
+    }
+
+    return filterLevels.length === topicLevels.length;
+  }
+
   /**
    * Desconecta del broker MQTT
    * @returns {Promise<void>} Promesa que se resuelve cuando se desconecta
@@ -276,6 +444,10 @@ class MqttClient {
       reconnectAttempts: this.reconnectAttempts,
       subscriptionsCount: this.subscriptions.size,
       broker: config.get('mqtt.broker'),
+      protocol: config.get('mqtt.protocol'),
+      protocolVersion: config.get('mqtt.protocolVersion'),
+      sharedGroup: config.get('mqtt.sharedGroup'),
+      authenticated: Boolean(config.get('mqtt.username')),
       clientId: config.get('mqtt.clientId')
     };
   }
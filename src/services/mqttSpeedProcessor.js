@@ -1,36 +1,204 @@
+const { randomUUID } = require('crypto');
 const MqttClient = require('./mqttClient');
 const SpeedProcessor = require('./speedProcessor');
 const AlertSystem = require('./alertSystem');
+const VehicleStateStore = require('./vehicleStateStore');
+const RedisVehicleStateStore = require('./redisVehicleStateStore');
 const SpeedRecordRepository = require('../repositories/speedRecordRepository');
 const AlertRepository = require('../repositories/alertRepository');
+const DeadLetterRepository = require('../repositories/deadLetterRepository');
+const VehicleRepository = require('../repositories/vehicleRepository');
+const ZoneRepository = require('../repositories/zoneRepository');
+const ScheduleRepository = require('../repositories/scheduleRepository');
+const RuleRepository = require('../repositories/ruleRepository');
+const SpeedingEpisodeRepository = require('../repositories/speedingEpisodeRepository');
+const DeadLetterService = require('./deadLetterService');
+const PersistenceSpool = require('./persistenceSpool');
+const ProcessingQueue = require('./processingQueue');
+const PayloadDecoder = require('./payloadDecoder');
+const VehicleSettingsCache = require('./vehicleSettingsCache');
+const VehicleWatchdog = require('./vehicleWatchdog');
+const PatternDetector = require('./patternDetector');
+const AlertAutoResolver = require('./alertAutoResolver');
+const ZoneService = require('./zoneService');
+const SpeedLimitScheduleService = require('./speedLimitScheduleService');
+const RuleEngine = require('./ruleEngine');
 const config = require('../config/config');
 
+const { REASON_CODES } = DeadLetterService;
+
 /**
  * Procesador MQTT para mensajes de velocidad en tiempo real
  * Principio: Single Responsibility - Solo procesa mensajes MQTT de velocidad
  * Principio: Dependency Inversion - Depende de abstracciones
  */
 class MqttSpeedProcessor {
-  constructor() {
+  constructor(realtimeNotifier = null) {
     this.mqttClient = new MqttClient();
     this.speedRepository = new SpeedRecordRepository();
     this.alertRepository = new AlertRepository();
-    this.alertSystem = new AlertSystem(this.mqttClient);
-    this.speedProcessor = new SpeedProcessor(this.alertSystem, this.speedRepository);
+    this.episodeRepository = new SpeedingEpisodeRepository();
+    this.realtimeNotifier = realtimeNotifier; // Inyección de dependencia
+    this.deadLetterRepository = new DeadLetterRepository();
+    this.vehicleRepository = new VehicleRepository();
+    this.vehicleSettings = new VehicleSettingsCache(this.vehicleRepository);
+    this.zoneRepository = new ZoneRepository();
+    this.zoneService = new ZoneService(this.zoneRepository);
+    this.scheduleRepository = new ScheduleRepository();
+    this.scheduleService = new SpeedLimitScheduleService(this.scheduleRepository);
+    this.ruleRepository = new RuleRepository();
+    this.ruleEngine = new RuleEngine(this.ruleRepository);
+    this.deadLetterService = new DeadLetterService(this.mqttClient, this.deadLetterRepository);
+    this.payloadDecoder = new PayloadDecoder();
+    this.spool = this.createSpool();
+    this.alertSystem = new AlertSystem(
+      this.mqttClient,
+      realtimeNotifier ? [realtimeNotifier] : [],
+      this.alertRepository,
+      this.spool
+    );
+    this.alertResolver = new AlertAutoResolver(this.alertSystem, this.alertRepository);
+    this.alertSystem.addNotificationHandler(this.alertResolver);
+    this.stateStore = config.get('state.store') === 'redis'
+      ? new RedisVehicleStateStore()
+      : new VehicleStateStore();
+    this.speedProcessor = new SpeedProcessor(this.alertSystem, this.speedRepository, {
+      stateStore: this.stateStore,
+      spool: this.spool,
+      vehicleSettings: this.vehicleSettings,
+      zoneService: this.zoneService,
+      scheduleService: this.scheduleService,
+      ruleEngine: this.ruleEngine,
+      episodeStore: this.episodeRepository
+    });
+    this.vehicleWatchdog = new VehicleWatchdog(this.stateStore, this.vehicleSettings, this.alertSystem, this.alertRepository, {
+      episodeCloser: this.speedProcessor
+    });
+    this.patternDetector = new PatternDetector(this.speedRepository, this.alertSystem, this.alertRepository, this.vehicleSettings);
+    this.processingQueue = this.createProcessingQueue();
     
     this.isRunning = false;
     this.messageCount = 0;
     this.errorCount = 0;
+    this.batchCount = 0;
     this.lastMessageTime = null;
     this.startTime = null;
+    this.statusTimer = null;
 
     // Configuración
     this.speedLimit = config.get('alerts.speedLimit') || 60;
-    this.consecutiveLimit = config.get('alerts.consecutiveLimit') || 3;
     
     console.log(`Speed processor initialized - Speed limit: ${this.speedLimit} km/h`);
   }
 
+  /**
+   * Crea el spool de persistencia con un handler por tipo de escritura
+   * @returns {PersistenceSpool} Spool configurado
+   */
+  createSpool() {
+    const spool = new PersistenceSpool({
+      isTransientError: (error) => this.speedRepository.isTransientError(error)
+    });
+
+    spool.registerHandler('speed_record', speedData => this.speedRepository.saveSpeedRecord(speedData));
+    spool.registerHandler('speed_batch', records => this.speedRepository.saveBatch(records));
+    spool.registerHandler('alert', alert => this.alertRepository.saveAlert(alert));
+    spool.registerHandler('speeding_episode', episode => this.episodeRepository.saveEpisode(episode));
+    spool.registerHandler('alert_suppressed', ({ alertId, suppressedAt }) =>
+      this.alertRepository.incrementSuppressedCount(alertId, suppressedAt)
+    );
+    spool.registerHandler('alert_transition', ({ alertId, status, at, ...transition }) =>
+      this.alertRepository.transitionStatus(alertId, status, { ...transition, at: new Date(at) })
+    );
+
+    return spool;
+  }
+
+  /**
+   * Crea la cola de procesamiento y conecta su contrapresión con la entrada MQTT
+   * @returns {ProcessingQueue} Cola configurada
+   */
+  createProcessingQueue() {
+    const queue = new ProcessingQueue();
+
+    queue.on('pause', depth => {
+      console.warn(`⏸️  Processing queue reached ${depth} messages, pausing MQTT intake`);
+    });
+    queue.on('resume', depth => {
+      console.log(`▶️  Processing queue drained to ${depth} messages, resuming MQTT intake`);
+    });
+
+    this.mqttClient.setIntakeGate(() => queue.waitForCapacity());
+
+    return queue;
+  }
+
+  /**
+   * Envuelve un handler para que se ejecute a través de la cola de procesamiento
+   * Los mensajes de un mismo vehículo se procesan en orden. Los lotes no ocupan la cola
+   * como un todo: queueBatch encola los registros de cada vehículo en su propia clave.
+   * @param {function} handler - Handler (topic, message, rawPayload, delivery)
+   * @param {boolean} batch - true si el tópico recibe lotes
+   * @returns {function} Handler encolado
+   */
+  queued(handler, batch = false) {
+    return (topic, message, rawPayload, properties = {}) => {
+      const delivery = this.decodeDelivery(topic, message, rawPayload, properties.contentType, batch);
+      const run = () => handler.call(this, topic, delivery.message, rawPayload, delivery);
+      const task = batch ? run() : this.processingQueue.push(this.getQueueKey(topic, delivery.message), run);
+
+      return task
+        .catch(error => {
+          this.errorCount++;
+          console.error(`Error processing queued message from ${topic}:`, error);
+        });
+    };
+  }
+
+  /**
+   * Decodifica un payload binario (CBOR o protobuf) según su Content-Type o tópico
+   * Los payloads JSON ya vienen parseados por MqttClient
+   * @param {string} topic - Tópico MQTT
+   * @param {object|string} message - Mensaje parseado como JSON o texto
+   * @param {Buffer} rawPayload - Payload original
+   * @param {string|null} contentType - Content-Type de MQTT 5
+   * @param {boolean} batch - true si el tópico recibe lotes
+   * @returns {object} { message, contentType, decodeError }
+   */
+  decodeDelivery(topic, message, rawPayload, contentType = null, batch = false) {
+    const delivery = { message, contentType: contentType || null, decodeError: null };
+
+    if (!rawPayload || this.payloadDecoder.resolveFormat(topic, contentType) === PayloadDecoder.FORMATS.JSON) {
+      return delivery;
+    }
+
+    const decoded = this.payloadDecoder.decode(rawPayload, { topic, contentType, batch });
+
+    return decoded.success
+      ? { ...delivery, message: decoded.message }
+      : { ...delivery, message: null, decodeError: decoded.error };
+  }
+
+  /**
+   * Determina la clave de orden de un mensaje
+   * @param {string} topic - Tópico MQTT
+   * @param {object|string} message - Mensaje parseado
+   * @returns {string} vehicleId o el tópico si no se puede determinar
+   */
+  getQueueKey(topic, message) {
+    const topicVehicleId = this.extractVehicleIdFromTopic(topic);
+
+    if (topicVehicleId) {
+      return topicVehicleId;
+    }
+
+    if (message && typeof message === 'object' && !Array.isArray(message) && message.vehicleId) {
+      return String(message.vehicleId).trim();
+    }
+
+    return `topic:${topic}`;
+  }
+
   /**
    * Inicia el procesador MQTT
    * @returns {Promise<void>}
@@ -44,86 +212,579 @@ class MqttSpeedProcessor {
 
       console.log('Starting MQTT Speed Processor...');
 
+      // Abrir el spool y reproducir escrituras pendientes de una caída anterior
+      await this.spool.open();
+
       // Inicializar repositorios
       await this.speedRepository.initialize();
       await this.alertRepository.initialize();
+      await this.episodeRepository.initialize();
+      await this.deadLetterRepository.initialize();
+      await this.vehicleRepository.initialize();
+      await this.vehicleSettings.refresh();
+      await this.zoneRepository.initialize();
+      await this.zoneService.refresh();
+      await this.scheduleRepository.initialize();
+      await this.scheduleService.refresh();
+      await this.ruleRepository.initialize();
+      await this.ruleEngine.initialize();
+
+      // Conectar el almacén de estado de vehículos (compartido si es Redis)
+      await this.stateStore.connect();
 
       // Conectar al broker MQTT
       await this.mqttClient.connect();
 
-      // Suscribirse al tópico de velocidad
-      const speedTopic = config.get('mqtt.topics.vehicleSpeed');
-      await this.mqttClient.subscribe(speedTopic, this.handleSpeedMessage.bind(this));
+      // Suscribirse a los tópicos de velocidad
+      await this.subscribeTopics();
 
       this.isRunning = true;
       this.startTime = new Date();
       this.messageCount = 0;
       this.errorCount = 0;
+      this.batchCount = 0;
+
+      this.startStatusBroadcast();
+      await this.vehicleWatchdog.start();
+      await this.alertResolver.start();
+      this.patternDetector.start();
 
       console.log(`✅ MQTT Speed Processor started successfully`);
-      console.log(`📡 Listening on topic: ${speedTopic}`);
+      if (config.get('mqtt.sharedGroup')) {
+        console.log(`🤝 Shared subscription group: ${config.get('mqtt.sharedGroup')} (state store: ${this.stateStore.type})`);
+      }
+      console.log(`📡 Listening on topics: ${this.mqttClient.getSubscriptions().map(sub => sub.topic).join(', ')}`);
       console.log(`🚗 Speed limit set to: ${this.speedLimit} km/h`);
-      console.log(`⚠️  Critical alert after ${this.consecutiveLimit} consecutive violations`);
+      const typeLimits = Object.entries(config.get('alerts.speedLimitsByType') || {});
+      if (typeLimits.length > 0) {
+        console.log(`🚚 Speed limits by vehicle type: ${typeLimits.map(([type, limit]) => `${type}=${limit}`).join(', ')} km/h`);
+      }
+      if (this.zoneService.enabled) {
+        console.log(`🗺️  Speed zones loaded: ${this.zoneService.zones.length} (timezone ${this.zoneService.timezone})`);
+      }
+      if (this.scheduleService.enabled) {
+        console.log(`🕒 Speed limit schedules loaded: ${this.scheduleService.schedules.length}, holidays: ${this.scheduleService.holidays.size}`);
+      }
+      console.log(`📐 Alert rules loaded: ${this.ruleEngine.rules.length} (${this.ruleEngine.source})`);
+      if (config.get('alerts.mode') === 'episode') {
+        const { minDuration, minExcess } = config.getModule('episodes');
+        console.log(`⏱️  Episode alerts: speeding for ${minDuration} ms with ${minExcess} km/h average excess`);
+      }
 
     } catch (error) {
       console.error('❌ Error starting MQTT Speed Processor:', error);
+      await this.spool.close();
       throw error;
     }
   }
 
+  /**
+   * Suscribe los handlers a los tópicos de velocidad configurados
+   * Con MQTT_SHARED_GROUP las suscripciones son compartidas ($share/<grupo>/...)
+   * y el broker reparte los mensajes entre las instancias del grupo.
+   * @returns {Promise<void>}
+   */
+  async subscribeTopics() {
+    const topics = config.get('mqtt.topics');
+    const shared = (topic) => this.mqttClient.buildSharedTopic(topic);
+
+    await this.mqttClient.subscribe(shared(topics.vehicleSpeed), this.queued(this.handleSpeedMessage));
+    await this.mqttClient.subscribe(shared(topics.vehicleSpeedBatch), this.queued(this.handleBatchMessage, true));
+
+    if (topics.vehicleSpeedPerVehicle) {
+      await this.mqttClient.subscribe(shared(topics.vehicleSpeedPerVehicle), this.queued(this.handleSpeedMessage));
+    }
+  }
+
+  /**
+   * Extrae el vehicleId de un tópico por vehículo (vehicles/{vehicleId}/speed)
+   * @param {string} topic - Tópico MQTT
+   * @returns {string|null} vehicleId del tópico o null si no aplica
+   */
+  extractVehicleIdFromTopic(topic) {
+    const pattern = config.get('mqtt.topics.vehicleSpeedPerVehicle');
+
+    if (!pattern || !MqttClient.topicMatches(pattern, topic)) {
+      return null;
+    }
+
+    const position = pattern.split('/').indexOf('+');
+    const vehicleId = position >= 0 ? topic.split('/')[position] : null;
+
+    return vehicleId ? vehicleId.trim() : null;
+  }
+
   /**
    * Maneja mensajes de velocidad recibidos por MQTT
+   * Los mensajes rechazados se envían al dead-letter con su payload original
    * @param {string} topic - Tópico MQTT
    * @param {object|string} message - Mensaje recibido
+   * @param {Buffer} rawPayload - Payload original sin parsear
+   * @param {object} delivery - { contentType, decodeError } del payload original
    */
-  async handleSpeedMessage(topic, message) {
-    const messageTimestamp = new Date();
-    this.lastMessageTime = messageTimestamp;
+  async handleSpeedMessage(topic, message, rawPayload = null, delivery = {}) {
+    this.lastMessageTime = new Date();
     this.messageCount++;
 
+    const result = delivery.decodeError
+      ? { success: false, ...this.describeUndecodablePayload(delivery.decodeError), vehicleId: this.extractVehicleIdFromTopic(topic) }
+      : await this.processSpeedMessage(topic, message);
+
+    if (!result.success) {
+      this.errorCount++;
+      console.warn(`⚠️  Speed message rejected on ${topic}: ${result.reasonCode} (${this.errorCount} errors total)`);
+      // Log del error detallado solo en debug
+      if (process.env.NODE_ENV === 'development') {
+        console.debug('Rejection details:', result.errors);
+      }
+
+      await this.deadLetterService.record({
+        sourceTopic: topic,
+        rawPayload: rawPayload || message,
+        contentType: delivery.contentType,
+        reasonCode: result.reasonCode,
+        errors: result.errors,
+        vehicleId: result.vehicleId
+      });
+      return;
+    }
+
+    // Mostrar estadísticas cada 50 mensajes
+    if (this.messageCount % 50 === 0) {
+      this.showProcessingStats();
+    }
+  }
+
+  /**
+   * Ingresa un mensaje de velocidad recibido fuera de MQTT (HTTP, NMEA) con el mismo flujo
+   * Se encola por vehículo para conservar el orden junto a los mensajes MQTT
+   * @param {string} topic - Pseudo-tópico de origen (ej: 'http/osmand', 'nmea/tcp')
+   * @param {object} message - Mensaje con los campos del payload JSON
+   * @returns {Promise<object>} Resultado de processSpeedMessage o { success: false, busy: true } si la cola está llena
+   */
+  async ingestMessage(topic, message) {
+    if (this.processingQueue.paused) {
+      return { success: false, busy: true };
+    }
+
+    return this.processingQueue.push(this.getQueueKey(topic, message), async () => {
+      this.lastMessageTime = new Date();
+      this.messageCount++;
+
+      const result = await this.processSpeedMessage(topic, message);
+
+      if (!result.success) {
+        this.errorCount++;
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * Procesa un mensaje de velocidad individual
+   * @param {string} topic - Tópico de origen
+   * @param {object|string} message - Mensaje recibido
+   * @returns {Promise<object>} { success, data } o { success: false, reasonCode, errors, vehicleId }
+   */
+  async processSpeedMessage(topic, message) {
     try {
+      // vehicleId del tópico para dispositivos que publican en vehicles/{vehicleId}/speed
+      const topicVehicleId = this.extractVehicleIdFromTopic(topic);
+
       // Validar y parsear mensaje
-      const speedData = this.parseSpeedMessage(message);
+      const speedData = this.parseSpeedMessage(message, topicVehicleId);
       
       if (!speedData) {
-        this.errorCount++;
-        console.warn(`⚠️  Invalid message format (${this.errorCount} errors total)`);
-        return;
+        return { success: false, ...this.describeInvalidSpeedMessage(message, topicVehicleId) };
       }
 
       // Procesar datos de velocidad
-      const processingResult = await this.speedProcessor.processSpeedData(speedData);
+      const processingResult = await this.speedProcessor.processSpeedData(speedData, { topicVehicleId, topic });
 
       if (!processingResult.success) {
-        this.errorCount++;
-        console.warn(`⚠️  Processing failed for vehicle ${speedData.vehicleId}: Processing error`);
-        // Log del error detallado solo en debug
-        if (process.env.NODE_ENV === 'development') {
-          console.debug('Processing error details:', processingResult.error);
-        }
-        return;
+        const isValidationError = processingResult.error === 'Validation failed';
+
+        return {
+          success: false,
+          reasonCode: isValidationError ? REASON_CODES.VALIDATION_FAILED : REASON_CODES.PROCESSING_ERROR,
+          errors: isValidationError
+            ? processingResult.details
+            : [{ field: 'processing', message: processingResult.details }],
+          vehicleId: speedData.vehicleId
+        };
+      }
+
+      // Reentrega QoS 1 ya procesada: sin notificaciones ni alertas (se cuenta en processingStats.duplicateCount)
+      if (processingResult.duplicate) {
+        return { success: true, duplicate: true, data: processingResult.data };
       }
 
+      // Notificar el registro a los clientes en tiempo real
+      if (this.realtimeNotifier) {
+        this.realtimeNotifier.emitSpeedRecord(processingResult.data);
+      }
+
+      // Un vehículo que vuelve a reportar resuelve su alerta VEHICLE_OFFLINE
+      await this.vehicleWatchdog.recordActivity(processingResult.data.vehicleId);
+      await this.alertResolver.recordReading(processingResult.data);
+
       // Generar alertas según los requerimientos
       await this.generateAlerts(processingResult);
 
-      // Mostrar estadísticas cada 50 mensajes
-      if (this.messageCount % 50 === 0) {
-        this.showProcessingStats();
-      }
+      return { success: true, data: processingResult.data };
 
     } catch (error) {
-      this.errorCount++;
       console.error(`❌ Error processing speed message:`, error);
+
+      return {
+        success: false,
+        reasonCode: REASON_CODES.PROCESSING_ERROR,
+        errors: [{ field: 'processing', message: error.message }]
+      };
+    }
+  }
+
+  /**
+   * Maneja lotes de mensajes de velocidad recibidos por MQTT
+   * @param {string} topic - Tópico MQTT
+   * @param {array|object|string} message - Lote recibido
+   * @param {Buffer} rawPayload - Payload original sin parsear
+   * @param {object} delivery - { contentType, decodeError } del payload original
+   */
+  async handleBatchMessage(topic, message, rawPayload = null, delivery = {}) {
+    this.lastMessageTime = new Date();
+    this.messageCount++;
+
+    const result = delivery.decodeError
+      ? { success: false, ...this.describeUndecodablePayload(delivery.decodeError) }
+      : await this.processBatchMessage(topic, message);
+
+    if (!result.success) {
+      this.errorCount++;
+      console.warn(`⚠️  Batch rejected on ${topic}: ${result.reasonCode} (${this.errorCount} errors total)`);
+
+      await this.deadLetterService.record({
+        sourceTopic: topic,
+        rawPayload: rawPayload || message,
+        contentType: delivery.contentType,
+        reasonCode: result.reasonCode,
+        errors: result.errors
+      });
+      return;
+    }
+
+    console.log(`📦 Batch processed: ${result.stats.accepted}/${result.stats.total} accepted, ${result.stats.duplicates} duplicates, ${result.stats.violations} violations`);
+  }
+
+  /**
+   * Procesa un lote recibido por MQTT; los items rechazados van al dead-letter
+   * @param {string} topic - Tópico de origen
+   * @param {array|object|string} message - Lote recibido
+   * @returns {Promise<object>} { success, stats } o { success: false, reasonCode, errors }
+   */
+  async processBatchMessage(topic, message) {
+    try {
+      const records = this.parseBatchMessage(message);
+
+      if (!records) {
+        return { success: false, ...this.describeInvalidBatchMessage(message) };
+      }
+
+      const batchResult = await this.queueBatch(records, { topic });
+
+      if (!batchResult.success) {
+        return {
+          success: false,
+          reasonCode: batchResult.error === 'Batch validation failed'
+            ? REASON_CODES.VALIDATION_FAILED
+            : REASON_CODES.PROCESSING_ERROR,
+          errors: Array.isArray(batchResult.details)
+            ? batchResult.details
+            : [{ field: 'processing', message: batchResult.details }]
+        };
+      }
+
+      // Cada item rechazado se conserva por separado con su posición en el lote
+      for (const item of batchResult.results.filter(result => result.status === 'rejected')) {
+        const record = records[item.index];
+
+        // El item se conserva como JSON sin importar el formato del lote
+        await this.deadLetterService.record({
+          sourceTopic: topic,
+          rawPayload: record,
+          contentType: 'application/json',
+          reasonCode: item.reasonCode || REASON_CODES.VALIDATION_FAILED,
+          errors: item.errors,
+          vehicleId: record && typeof record === 'object' ? record.vehicleId : null,
+          batchIndex: item.index
+        });
+      }
+
+      return { success: true, stats: batchResult.stats };
+
+    } catch (error) {
+      console.error(`❌ Error processing batch message:`, error);
+
+      return {
+        success: false,
+        reasonCode: REASON_CODES.PROCESSING_ERROR,
+        errors: [{ field: 'processing', message: error.message }]
+      };
+    }
+  }
+
+  /**
+   * Reenvía mensajes del dead-letter al procesamiento
+   * @param {Array} ids - IDs de los mensajes rechazados
+   * @returns {Promise<Array>} Resultado por mensaje
+   */
+  async resubmitDeadLetters(ids) {
+    return this.deadLetterService.resubmit(ids, (payload, entry) => {
+      const batchTopic = config.get('mqtt.topics.vehicleSpeedBatch');
+      const isBatch = entry.batch_index === null && MqttClient.topicMatches(batchTopic, entry.source_topic);
+      const decoded = this.payloadDecoder.decode(payload, {
+        topic: entry.source_topic,
+        contentType: entry.content_type,
+        batch: isBatch
+      });
+
+      if (!decoded.success) {
+        return { success: false, ...this.describeUndecodablePayload(decoded.error) };
+      }
+
+      // Un lote completo vuelve a procesarse como lote; un item de lote, como registro individual
+      if (isBatch) {
+        return this.processBatchMessage(entry.source_topic, decoded.message);
+      }
+
+      // Por la cola del vehículo, para no adelantarse a sus mensajes en curso
+      return this.processingQueue.push(
+        this.getQueueKey(entry.source_topic, decoded.message),
+        () => this.processSpeedMessage(entry.source_topic, decoded.message)
+      );
+    });
+  }
+
+  /**
+   * Describe un payload binario que no se pudo decodificar
+   * @param {string} error - Error del decodificador
+   * @returns {object} { reasonCode, errors }
+   */
+  describeUndecodablePayload(error) {
+    return {
+      reasonCode: REASON_CODES.UNDECODABLE_PAYLOAD,
+      errors: [{ field: 'payload', message: error }]
+    };
+  }
+
+  /**
+   * Determina el motivo de rechazo de un payload antes de validar sus campos
+   * @param {object|string} message - Mensaje recibido
+   * @returns {object|null} { reasonCode, errors } o null si el payload es JSON
+   */
+  describeUnreadablePayload(message) {
+    if (message === null || message === undefined || (typeof message === 'string' && message.trim().length === 0)) {
+      return {
+        reasonCode: REASON_CODES.EMPTY_PAYLOAD,
+        errors: [{ field: 'payload', message: 'Payload is empty' }]
+      };
+    }
+
+    if (typeof message === 'string') {
+      try {
+        JSON.parse(message);
+      } catch (error) {
+        return {
+          reasonCode: REASON_CODES.MALFORMED_JSON,
+          errors: [{ field: 'payload', message: error.message }]
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Describe por qué parseSpeedMessage rechazó un mensaje
+   * @param {object|string} message - Mensaje recibido
+   * @param {string|null} topicVehicleId - vehicleId del tópico
+   * @returns {object} { reasonCode, errors, vehicleId }
+   */
+  describeInvalidSpeedMessage(message, topicVehicleId = null) {
+    const unreadable = this.describeUnreadablePayload(message);
+
+    if (unreadable) {
+      return { ...unreadable, vehicleId: topicVehicleId };
+    }
+
+    const parsedMessage = typeof message === 'string' ? JSON.parse(message) : message;
+    const errors = [];
+
+    if (!parsedMessage || typeof parsedMessage !== 'object' || Array.isArray(parsedMessage)) {
+      errors.push({ field: 'payload', message: 'Payload must be a JSON object', value: Array.isArray(parsedMessage) ? 'array' : typeof parsedMessage });
+    } else {
+      if (!parsedMessage.vehicleId && !topicVehicleId) {
+        errors.push({ field: 'vehicleId', message: 'vehicleId is required' });
+      }
+
+      if (typeof parsedMessage.speed !== 'number' || isNaN(parsedMessage.speed)) {
+        errors.push({ field: 'speed', message: 'speed must be a number', value: parsedMessage.speed });
+      } else if (parsedMessage.speed < 0) {
+        errors.push({ field: 'speed', message: 'speed must not be negative', value: parsedMessage.speed });
+      }
+    }
+
+    return {
+      reasonCode: REASON_CODES.INVALID_STRUCTURE,
+      errors,
+      vehicleId: parsedMessage && parsedMessage.vehicleId ? String(parsedMessage.vehicleId) : topicVehicleId
+    };
+  }
+
+  /**
+   * Describe por qué parseBatchMessage rechazó un lote
+   * @param {array|object|string} message - Lote recibido
+   * @returns {object} { reasonCode, errors }
+   */
+  describeInvalidBatchMessage(message) {
+    return this.describeUnreadablePayload(message) || {
+      reasonCode: REASON_CODES.INVALID_STRUCTURE,
+      errors: [{ field: 'payload', message: 'Batch must be an array of speed records or { records: [...] }' }]
+    };
+  }
+
+  /**
+   * Ingresa un lote de registros recibido por HTTP
+   * @param {array} records - Registros sin procesar
+   * @returns {Promise<object>} Reporte del lote por item o { success: false, busy: true } si la cola está llena
+   */
+  async ingestBatch(records) {
+    if (this.processingQueue.paused) {
+      return { success: false, busy: true };
+    }
+
+    return this.queueBatch(records);
+  }
+
+  /**
+   * Procesa un lote de registros de velocidad (MQTT, HTTP o dead-letter)
+   * El lote se valida y se almacena en una sola transacción. Después los registros se
+   * agrupan por vehículo y cada grupo actualiza el estado y genera alertas a través de la
+   * cola de ese vehículo, así se ordenan con sus mensajes individuales y cuentan para las
+   * marcas de agua. Si falla el procesamiento de un grupo, sus registros siguen
+   * almacenados y se reportan aceptados con el error.
+   * @param {array} records - Registros sin procesar
+   * @param {object} context - Contexto de recepción (topic)
+   * @returns {Promise<object>} Reporte del lote por item
+   */
+  async queueBatch(records, context = {}) {
+    this.batchCount++;
+
+    const stored = await this.speedProcessor.storeBatch(records, context);
+
+    if (!stored.success) {
+      this.errorCount += stored.stats.rejected;
+      return stored;
+    }
+
+    const processedRecords = [];
+    const failures = new Map();
+
+    await Promise.all([...this.groupStoredByVehicle(records, stored.records, context.topic)].map(([key, group]) =>
+      this.processingQueue.push(key, () => this.processVehicleRecords(group))
+        .then(results => processedRecords.push(...results))
+        .catch((error) => {
+          console.error(`Error processing batch records of ${key}:`, error);
+          group.forEach(record => failures.set(record.index, error.message));
+        })
+    ));
+
+    const { processed, ...report } = this.speedProcessor.buildBatchReport(stored, processedRecords, failures);
+    this.errorCount += report.stats.rejected + report.stats.processingErrors;
+
+    return report;
+  }
+
+  /**
+   * Agrupa los registros almacenados de un lote por clave de cola conservando su orden
+   * @param {array} records - Registros sin procesar (para la clave de cola)
+   * @param {Array} storedRecords - Registros almacenados ({ index, data, recordId })
+   * @param {string} topic - Tópico de origen (undefined para HTTP)
+   * @returns {Map} clave -> registros almacenados
+   */
+  groupStoredByVehicle(records, storedRecords, topic = 'http/batch') {
+    const groups = new Map();
+
+    for (const storedRecord of storedRecords) {
+      const key = this.getQueueKey(topic, records[storedRecord.index]);
+
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+
+      groups.get(key).push(storedRecord);
+    }
+
+    return groups;
+  }
+
+  /**
+   * Actualiza el estado y genera alertas de registros almacenados de un vehículo
+   * @param {Array} storedRecords - Registros almacenados ({ index, data, recordId })
+   * @returns {Promise<Array>} Resultado por registro
+   */
+  async processVehicleRecords(storedRecords) {
+    const processed = await this.speedProcessor.processStoredRecords(storedRecords);
+
+    for (const processingResult of processed) {
+      if (this.realtimeNotifier) {
+        this.realtimeNotifier.emitSpeedRecord(processingResult.data);
+      }
+
+      await this.vehicleWatchdog.recordActivity(processingResult.data.vehicleId);
+      await this.alertResolver.recordReading(processingResult.data);
+      await this.generateAlerts(processingResult);
+    }
+
+    return processed;
+  }
+
+
+  /**
+   * Parsea un lote recibido: array de registros o { records: [...] }
+   * @param {array|object|string} message - Mensaje recibido
+   * @returns {array|null} Registros o null si el formato es inválido
+   */
+  parseBatchMessage(message) {
+    try {
+      const parsedMessage = typeof message === 'string' ? JSON.parse(message) : message;
+
+      if (Array.isArray(parsedMessage)) {
+        return parsedMessage;
+      }
+
+      if (parsedMessage && Array.isArray(parsedMessage.records)) {
+        return parsedMessage.records;
+      }
+
+      return null;
+
+    } catch (error) {
+      if (process.env.NODE_ENV === 'development') {
+        console.debug('Batch parsing error:', error.message);
+      }
+      return null;
     }
   }
 
   /**
    * Parsea y valida un mensaje de velocidad
    * @param {object|string} message - Mensaje recibido
+   * @param {string|null} topicVehicleId - vehicleId del tópico si el payload no lo incluye
    * @returns {object|null} Datos parseados o null si es inválido
    */
-  parseSpeedMessage(message) {
+  parseSpeedMessage(message, topicVehicleId = null) {
     try {
       let parsedMessage;
 
@@ -147,23 +808,25 @@ class MqttSpeedProcessor {
       }
 
       // Validar campos requeridos según especificación
-      if (!parsedMessage.vehicleId || typeof parsedMessage.speed !== 'number') {
+      if ((!parsedMessage.vehicleId && !topicVehicleId) || typeof parsedMessage.speed !== 'number') {
         return null;
       }
 
-      // Validar que la velocidad sea un número válido
-      if (isNaN(parsedMessage.speed) || parsedMessage.speed < 0 || parsedMessage.speed > 500) {
+      // Validar que la velocidad sea un número válido (el máximo depende de la unidad y lo valida SimpleSpeedValidator)
+      if (isNaN(parsedMessage.speed) || parsedMessage.speed < 0) {
         return null;
       }
 
       // Normalizar estructura
       return {
-        vehicleId: String(parsedMessage.vehicleId).trim(),
+        vehicleId: parsedMessage.vehicleId ? String(parsedMessage.vehicleId).trim() : topicVehicleId,
         speed: Number(parsedMessage.speed),
+        unit: parsedMessage.unit !== undefined ? parsedMessage.unit : null,
         timestamp: parsedMessage.timestamp || new Date().toISOString(),
         location: parsedMessage.location || null,
         vehicleType: parsedMessage.vehicleType || 'unknown',
-        metadata: parsedMessage.metadata || null
+        metadata: parsedMessage.metadata || null,
+        messageId: parsedMessage.messageId !== undefined ? parsedMessage.messageId : null
       };
 
     } catch (error) {
@@ -176,51 +839,36 @@ class MqttSpeedProcessor {
   }
 
   /**
-   * Genera alertas según los requerimientos específicos
+   * Publica en vehicles/alerts la alerta de la regla que coincidió con la violación
+   * El mensaje es la plantilla de la regla; las reglas con condición de violaciones
+   * consecutivas publican alertas CRITICAL y el resto alertas SIMPLE
    * @param {object} processingResult - Resultado del procesamiento
    */
   async generateAlerts(processingResult) {
-    const { data: speedData, violation, vehicleState } = processingResult;
+    const { data: speedData, violation } = processingResult;
 
-    if (!violation) {
-      return; // No hay violación
+    if (!violation || !violation.alertable) {
+      return; // Sin violación, sin regla de alerta o (modo episodio) sin superar los umbrales
     }
 
-    const timestamp = new Date(speedData.timestamp).toLocaleTimeString();
+    const { rule } = violation;
+    const type = rule.consecutive ? 'CRITICAL' : 'SIMPLE';
 
     try {
-      // ALERTA SIMPLE: Si speed > 60
-      if (violation.speed > this.speedLimit) {
-        const simpleAlert = `ALERT: ${violation.vehicleId} exceeded speed at ${violation.speed} km/h at ${timestamp}`;
-        console.log(`🚨 ${simpleAlert}`);
-
-        // Publicar alerta simple en MQTT
-        await this.publishAlert({
-          type: 'SIMPLE',
-          vehicleId: violation.vehicleId,
-          speed: violation.speed,
-          speedLimit: this.speedLimit,
-          timestamp: speedData.timestamp,
-          message: simpleAlert
-        });
-      }
+      console.log(`${rule.consecutive ? '🚨🚨' : '🚨'} ${type} ALERT: ${rule.description}`);
 
-      // ALERTA CRÍTICA: 3 o más violaciones consecutivas
-      if (violation.isConsecutive && violation.consecutiveCount >= this.consecutiveLimit) {
-        const criticalAlert = `CRITICAL ALERT: ${violation.vehicleId} exceeded speed consecutively ${violation.consecutiveCount} times`;
-        console.log(`🚨🚨 ${criticalAlert}`);
-
-        // Publicar alerta crítica en MQTT
-        await this.publishAlert({
-          type: 'CRITICAL',
-          vehicleId: violation.vehicleId,
-          speed: violation.speed,
-          speedLimit: this.speedLimit,
-          consecutiveCount: violation.consecutiveCount,
-          timestamp: speedData.timestamp,
-          message: criticalAlert
-        });
-      }
+      await this.publishAlert({
+        type,
+        vehicleId: violation.vehicleId,
+        speed: violation.speed,
+        speedLimit: violation.speedLimit,
+        severity: rule.severity,
+        rule: rule.name,
+        zone: violation.zone || null,
+        consecutiveCount: violation.consecutiveCount,
+        timestamp: speedData.timestamp,
+        message: rule.description
+      });
 
     } catch (error) {
       console.error('Error generating alerts:', error);
@@ -237,7 +885,7 @@ class MqttSpeedProcessor {
       
       const alertMessage = {
         ...alertData,
-        alertId: `alert_${Date.now()}_${alertData.vehicleId}`,
+        alertId: randomUUID(),
         generatedAt: new Date().toISOString()
       };
 
@@ -248,6 +896,39 @@ class MqttSpeedProcessor {
     }
   }
 
+  /**
+   * Inicia la difusión periódica del estado del procesador por WebSocket
+   */
+  startStatusBroadcast() {
+    if (!this.realtimeNotifier) {
+      return;
+    }
+
+    this.broadcastStatus();
+
+    const interval = config.get('websocket.statusInterval');
+    this.statusTimer = setInterval(() => this.broadcastStatus(), interval);
+  }
+
+  /**
+   * Detiene la difusión periódica del estado del procesador
+   */
+  stopStatusBroadcast() {
+    if (this.statusTimer) {
+      clearInterval(this.statusTimer);
+      this.statusTimer = null;
+    }
+  }
+
+  /**
+   * Emite el estado actual del procesador a los clientes WebSocket
+   */
+  broadcastStatus() {
+    if (this.realtimeNotifier) {
+      this.realtimeNotifier.emitProcessorStatus(this.getStatus());
+    }
+  }
+
   /**
    * Muestra estadísticas de procesamiento
    */
@@ -266,6 +947,7 @@ class MqttSpeedProcessor {
     const processingStats = this.speedProcessor.getProcessingStats();
     console.log(`🚗 Active vehicles: ${processingStats.activeVehicles}`);
     console.log(`⚠️  Violations: ${processingStats.violationCount} (${processingStats.violationRate}%)`);
+    console.log(`🔁 Duplicates ignored: ${processingStats.duplicateCount}`);
     console.log('================================\n');
   }
 
@@ -281,14 +963,31 @@ class MqttSpeedProcessor {
 
       console.log('Stopping MQTT Speed Processor...');
 
+      this.stopStatusBroadcast();
+      await this.vehicleWatchdog.stop();
+      await this.patternDetector.stop();
+
       // Desconectar MQTT
       await this.mqttClient.disconnect();
 
+      // Terminar los mensajes ya recibidos antes de cerrar los repositorios
+      await this.processingQueue.onIdle();
+      await this.alertResolver.stop();
+
       // Cerrar conexiones de base de datos
       await this.speedRepository.close();
       await this.alertRepository.close();
+      await this.episodeRepository.close();
+      await this.deadLetterRepository.close();
+      await this.vehicleRepository.close();
+      await this.zoneRepository.close();
+      await this.scheduleRepository.close();
+      await this.ruleRepository.close();
+      await this.stateStore.close();
+      await this.spool.close();
 
       this.isRunning = false;
+      this.broadcastStatus();
 
       console.log('✅ MQTT Speed Processor stopped successfully');
       this.showProcessingStats();
@@ -310,13 +1009,24 @@ class MqttSpeedProcessor {
       isRunning: this.isRunning,
       messageCount: this.messageCount,
       errorCount: this.errorCount,
+      batchCount: this.batchCount,
       lastMessageTime: this.lastMessageTime,
       startTime: this.startTime,
       uptime,
       speedLimit: this.speedLimit,
-      consecutiveLimit: this.consecutiveLimit,
+      consecutiveLimit: this.speedProcessor.consecutiveLimit, // Racha que marca isConsecutive; la escalada la define la regla
       mqttStatus: this.mqttClient.getConnectionStatus(),
-      processingStats: this.speedProcessor.getProcessingStats()
+      stateStore: this.stateStore.type,
+      processingStats: this.speedProcessor.getProcessingStats(),
+      deadLetterStats: this.deadLetterService.getStats(),
+      spool: this.spool.getStatus(),
+      queue: this.processingQueue.getMetrics(),
+      watchdog: this.vehicleWatchdog.getStatus(),
+      patterns: this.patternDetector.getStatus(),
+      autoResolve: this.alertResolver.getStatus(),
+      zones: this.zoneService.getStatus(),
+      schedules: this.scheduleService.getStatus(),
+      rules: this.ruleEngine.getStatus()
     };
   }
 
@@ -329,9 +1039,8 @@ class MqttSpeedProcessor {
     try {
       await this.mqttClient.connect();
       
-      // Re-suscribirse al tópico
-      const speedTopic = config.get('mqtt.topics.vehicleSpeed');
-      await this.mqttClient.subscribe(speedTopic, this.handleSpeedMessage.bind(this));
+      // Re-suscribirse a los tópicos
+      await this.subscribeTopics();
       
       console.log('✅ MQTT reconnection successful');
       
@@ -0,0 +1,359 @@
+const net = require('net');
+const dgram = require('dgram');
+const config = require('../config/config');
+const { NMEA_ERRORS, parseLogin, parseSentence } = require('../utils/nmeaParser');
+
+/**
+ * Listener de sentencias NMEA por TCP y UDP para equipos GPS sin MQTT
+ * Principio: Single Responsibility - Solo recibe sentencias y las traduce a mensajes de velocidad
+ * Principio: Dependency Inversion - Entrega las lecturas al procesador activo
+ *
+ * Cada equipo se identifica con una línea LOGIN,<id> (o ID:<id>) o por su dirección
+ * de origen según NMEA_DEVICE_MAP. Las sentencias RMC generan una lectura por fix;
+ * las VTG solo se usan en equipos que no envían RMC, con la hora de recepción.
+ */
+class NmeaListener {
+  constructor(processorProvider = null, options = {}) {
+    const nmeaConfig = config.getModule('nmea');
+
+    this.processorProvider = processorProvider; // Función que retorna el procesador activo
+    this.host = options.host || nmeaConfig.host;
+    this.tcpPort = options.tcpPort !== undefined ? options.tcpPort : nmeaConfig.tcpPort;
+    this.udpPort = options.udpPort !== undefined ? options.udpPort : nmeaConfig.udpPort;
+    this.deviceMap = options.deviceMap || nmeaConfig.deviceMap;
+    this.idleTimeout = options.idleTimeout || nmeaConfig.idleTimeout;
+    this.maxLineLength = options.maxLineLength || nmeaConfig.maxLineLength;
+
+    this.tcpServer = null;
+    this.udpSocket = null;
+    this.udpChain = Promise.resolve();
+    this.connections = new Set();
+    this.udpLogins = new Map(); // dirección:puerto -> vehicleId identificado por LOGIN
+    this.deviceStates = new Map(); // vehicleId -> { sendsRmc, location }
+
+    this.stats = {
+      sentences: 0,
+      readings: 0,
+      duplicates: 0,
+      checksumErrors: 0,
+      malformed: 0,
+      unsupported: 0,
+      noFix: 0,
+      unidentified: 0,
+      rejected: 0,
+      dropped: 0
+    };
+  }
+
+  /**
+   * Indica si hay algún puerto configurado
+   * @returns {boolean} True si el listener debe iniciarse
+   */
+  isEnabled() {
+    return Boolean(this.tcpPort || this.udpPort);
+  }
+
+  /**
+   * Inicia los listeners TCP y UDP configurados
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.tcpPort) {
+      this.tcpServer = net.createServer(socket => this.handleTcpConnection(socket));
+      await new Promise((resolve, reject) => {
+        this.tcpServer.once('error', reject);
+        this.tcpServer.listen(this.tcpPort, this.host, resolve);
+      });
+      this.tcpServer.on('error', error => console.error('NMEA TCP server error:', error.message));
+      console.log(`🛰️  NMEA TCP listener on ${this.host}:${this.tcpServer.address().port}`);
+    }
+
+    if (this.udpPort) {
+      this.udpSocket = dgram.createSocket('udp4');
+      this.udpSocket.on('message', (message, remote) => this.handleUdpMessage(message, remote));
+      await new Promise((resolve, reject) => {
+        this.udpSocket.once('error', reject);
+        this.udpSocket.bind(this.udpPort, this.host, resolve);
+      });
+      this.udpSocket.on('error', error => console.error('NMEA UDP socket error:', error.message));
+      console.log(`🛰️  NMEA UDP listener on ${this.host}:${this.udpSocket.address().port}`);
+    }
+  }
+
+  /**
+   * Detiene los listeners y cierra las conexiones abiertas
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    for (const socket of this.connections) {
+      socket.destroy();
+    }
+
+    if (this.tcpServer) {
+      await new Promise(resolve => this.tcpServer.close(() => resolve()));
+      this.tcpServer = null;
+    }
+
+    if (this.udpSocket) {
+      await new Promise(resolve => this.udpSocket.close(() => resolve()));
+      this.udpSocket = null;
+    }
+
+    await this.udpChain;
+  }
+
+  /**
+   * Atiende una conexión TCP: una sesión por equipo
+   * El socket se pausa mientras se procesan sus líneas (contrapresión)
+   * @param {net.Socket} socket - Conexión entrante
+   */
+  handleTcpConnection(socket) {
+    const session = {
+      transport: 'tcp',
+      address: this.normalizeAddress(socket.remoteAddress),
+      port: socket.remotePort,
+      vehicleId: null,
+      buffer: ''
+    };
+    session.vehicleId = this.resolveDevice(session.address, session.port);
+
+    this.connections.add(socket);
+    socket.setTimeout(this.idleTimeout, () => socket.destroy());
+
+    socket.on('data', chunk => {
+      socket.pause();
+      this.processChunk(session, chunk)
+        .catch(error => console.error(`Error processing NMEA data from ${session.address}:`, error.message))
+        .finally(() => socket.resume());
+    });
+
+    socket.on('error', error => {
+      console.warn(`NMEA TCP connection error (${session.address}):`, error.message);
+    });
+
+    socket.on('close', () => {
+      this.connections.delete(socket);
+    });
+  }
+
+  /**
+   * Atiende un datagrama UDP (puede traer varias sentencias)
+   * @param {Buffer} message - Datagrama recibido
+   * @param {object} remote - { address, port }
+   */
+  handleUdpMessage(message, remote) {
+    const address = this.normalizeAddress(remote.address);
+
+    // La sesión se arma al procesar el datagrama: un LOGIN anterior aún en la cadena ya quedó registrado
+    const createSession = () => ({
+      transport: 'udp',
+      address,
+      port: remote.port,
+      vehicleId: this.udpLogins.get(`${address}:${remote.port}`) || this.resolveDevice(address, remote.port),
+      buffer: ''
+    });
+
+    // Un datagrama es completo: se agrega un salto de línea final
+    this.udpChain = this.udpChain
+      .then(() => this.processChunk(createSession(), Buffer.concat([message, Buffer.from('\n')])))
+      .catch(error => console.error(`Error processing NMEA datagram from ${address}:`, error.message));
+  }
+
+  /**
+   * Separa un bloque de datos en líneas y las procesa en orden
+   * @param {object} session - Sesión del equipo
+   * @param {Buffer} chunk - Datos recibidos
+   * @returns {Promise<void>}
+   */
+  async processChunk(session, chunk) {
+    session.buffer += chunk.toString('ascii');
+
+    const lines = session.buffer.split(/\r?\n/);
+    session.buffer = lines.pop();
+
+    // Línea sin terminador demasiado larga: no es NMEA
+    if (session.buffer.length > this.maxLineLength) {
+      session.buffer = '';
+      this.stats.malformed++;
+    }
+
+    for (const line of lines) {
+      if (line.trim().length > 0) {
+        await this.handleLine(session, line.trim());
+      }
+    }
+  }
+
+  /**
+   * Procesa una línea: login o sentencia NMEA
+   * @param {object} session - Sesión del equipo
+   * @param {string} line - Línea recibida
+   * @returns {Promise<void>}
+   */
+  async handleLine(session, line) {
+    const loginId = parseLogin(line);
+
+    if (loginId) {
+      session.vehicleId = loginId;
+
+      if (session.transport === 'udp') {
+        this.udpLogins.set(`${session.address}:${session.port}`, loginId);
+      }
+
+      console.log(`🛰️  NMEA device ${loginId} identified (${session.transport} ${session.address})`);
+      return;
+    }
+
+    this.stats.sentences++;
+    const sentence = parseSentence(line);
+
+    if (!sentence.valid) {
+      this.countInvalidSentence(sentence.error);
+      return;
+    }
+
+    if (!session.vehicleId) {
+      this.stats.unidentified++;
+      return;
+    }
+
+    const message = this.toSpeedMessage(session.vehicleId, sentence);
+
+    if (message) {
+      await this.ingest(session, message);
+    }
+  }
+
+  /**
+   * Cuenta una sentencia rechazada por el parser
+   * @param {string} error - Código de NMEA_ERRORS
+   */
+  countInvalidSentence(error) {
+    if (error === NMEA_ERRORS.CHECKSUM) {
+      this.stats.checksumErrors++;
+    } else if (error === NMEA_ERRORS.UNSUPPORTED) {
+      this.stats.unsupported++;
+    } else {
+      this.stats.malformed++;
+    }
+  }
+
+  /**
+   * Convierte una sentencia en mensaje de velocidad
+   * @param {string} vehicleId - Equipo identificado
+   * @param {object} sentence - Sentencia parseada
+   * @returns {object|null} Mensaje con los campos del payload JSON o null si no genera lectura
+   */
+  toSpeedMessage(vehicleId, sentence) {
+    let state = this.deviceStates.get(vehicleId);
+
+    if (!state) {
+      state = { sendsRmc: false, location: null };
+      this.deviceStates.set(vehicleId, state);
+    }
+
+    if (sentence.type === 'RMC') {
+      state.sendsRmc = true;
+
+      if (sentence.status !== 'A') {
+        this.stats.noFix++;
+        return null;
+      }
+
+      state.location = sentence.location;
+
+      return {
+        vehicleId,
+        speed: sentence.speedKnots,
+        unit: 'knots',
+        timestamp: sentence.timestamp || undefined,
+        location: sentence.location,
+        metadata: { source: 'nmea', sentence: `${sentence.talker}RMC`, course: sentence.course }
+      };
+    }
+
+    // VTG repite la velocidad del RMC del mismo fix
+    if (state.sendsRmc) {
+      return null;
+    }
+
+    const hasKmh = sentence.speedKmh !== null;
+
+    return {
+      vehicleId,
+      speed: hasKmh ? sentence.speedKmh : sentence.speedKnots,
+      unit: hasKmh ? 'kmh' : 'knots',
+      location: state.location,
+      metadata: { source: 'nmea', sentence: `${sentence.talker}VTG`, course: sentence.course }
+    };
+  }
+
+  /**
+   * Entrega un mensaje al procesador activo
+   * Con la cola llena, TCP espera capacidad (el socket sigue pausado) y UDP descarta
+   * @param {object} session - Sesión del equipo
+   * @param {object} message - Mensaje de velocidad
+   * @returns {Promise<void>}
+   */
+  async ingest(session, message) {
+    const processor = this.processorProvider ? this.processorProvider() : null;
+
+    if (!processor || !processor.isRunning) {
+      this.stats.dropped++;
+      return;
+    }
+
+    const topic = `nmea/${session.transport}`;
+    let result = await processor.ingestMessage(topic, message);
+
+    while (result.busy && session.transport === 'tcp') {
+      await processor.processingQueue.waitForCapacity();
+      result = await processor.ingestMessage(topic, message);
+    }
+
+    if (result.busy) {
+      this.stats.dropped++;
+    } else if (!result.success) {
+      this.stats.rejected++;
+    } else if (result.duplicate) {
+      this.stats.duplicates++;
+    } else {
+      this.stats.readings++;
+    }
+  }
+
+  /**
+   * Identifica un equipo por su dirección de origen (NMEA_DEVICE_MAP)
+   * @param {string} address - Dirección IP
+   * @param {number} port - Puerto de origen
+   * @returns {string|null} vehicleId o null si no está mapeado
+   */
+  resolveDevice(address, port) {
+    return this.deviceMap[`${address}:${port}`] || this.deviceMap[address] || null;
+  }
+
+  /**
+   * Quita el prefijo IPv4 mapeado en IPv6 (::ffff:)
+   * @param {string} address - Dirección remota
+   * @returns {string} Dirección normalizada
+   */
+  normalizeAddress(address) {
+    return String(address || '').replace(/^::ffff:/, '');
+  }
+
+  /**
+   * Obtiene el estado del listener
+   * @returns {object} Puertos, conexiones y contadores
+   */
+  getStatus() {
+    return {
+      tcpPort: this.tcpServer ? this.tcpServer.address().port : null,
+      udpPort: this.udpSocket ? this.udpSocket.address().port : null,
+      connections: this.connections.size,
+      devices: this.deviceStates.size,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = NmeaListener;
@@ -0,0 +1,567 @@
+const config = require('../config/config');
+const { toLatLng, haversineDistance } = require('../utils/geo');
+const { WEEK_DAYS, getLocalTime } = require('../utils/timeWindows');
+
+const ALERT_TYPE = 'PATTERN';
+const DAY_MS = 86400000;
+const METERS_PER_DEGREE = 111320; // Metros por grado de latitud
+const SAWTOOTH_BAND = 0.1; // Lecturas a ±10 % del límite
+const SAWTOOTH_WINDOW = 600000; // ms en los que deben ocurrir los cruces
+const SAWTOOTH_LOOKBACK = DAY_MS; // Los cruces de días anteriores ya se analizaron
+const RISING_MIN_VIOLATIONS = 5; // Violaciones mínimas en la última semana del aumento
+const MAX_LINKED_RECORDS = 50; // IDs de speed_records guardados en la alerta
+
+// Patrones detectados
+const PATTERNS = Object.freeze({
+  PLACE: 'REPEATED_PLACE',
+  TIME: 'REPEATED_TIME',
+  SAWTOOTH: 'SAWTOOTH',
+  RISING: 'RISING_FREQUENCY'
+});
+
+/**
+ * Detector de patrones de exceso de velocidad sobre el historial de cada vehículo
+ * Principio: Single Responsibility - Solo encuentra patrones y genera sus alertas
+ * Principio: Dependency Inversion - Recibe repositorios y alertas por inyección
+ *
+ * Cada PATTERN_CHECK_INTERVAL ms analiza speed_records:
+ * - Lugar repetido: violaciones a menos de PATTERN_PLACE_RADIUS m de un mismo punto en PATTERN_MIN_DAYS días distintos
+ * - Horario repetido: violaciones en la misma hora local (FLEET_TIMEZONE) en PATTERN_MIN_DAYS días distintos
+ * - Serrucho: PATTERN_SAWTOOTH_CROSSINGS cruces del límite en 10 minutos con lecturas a ±10 % de él
+ * - Frecuencia en aumento: violaciones crecientes durante PATTERN_RISING_WEEKS semanas completas
+ * Cada patrón genera una alerta PATTERN (prioridad MEDIUM) con los IDs de las lecturas.
+ * Un patrón no se repite mientras su alerta siga activa ni dentro del período analizado.
+ */
+class PatternDetector {
+  constructor(speedRepository, alertSystem, alertRepository = null, vehicleSettings = null, options = {}) {
+    const patternConfig = { ...config.getModule('patterns'), ...options };
+
+    this.speedRepository = speedRepository; // Inyección de dependencia
+    this.alertSystem = alertSystem; // Inyección de dependencia
+    this.alertRepository = alertRepository; // Inyección de dependencia
+    this.vehicleSettings = vehicleSettings; // Inyección de dependencia (tipo de vehículo)
+    this.enabled = patternConfig.enabled !== false;
+    this.checkInterval = patternConfig.checkInterval;
+    this.lookbackDays = patternConfig.lookbackDays;
+    this.minDays = patternConfig.minDays;
+    this.placeRadius = patternConfig.placeRadius;
+    this.sawtoothCrossings = patternConfig.sawtoothCrossings;
+    this.risingWeeks = patternConfig.risingWeeks;
+    this.timezone = options.timezone || config.get('fleet.timezone');
+
+    this.timer = null;
+    this.checking = null;
+    this.raisedKeys = new Map(); // patternKey -> ms en que se alertó
+    this.stats = { checks: 0, raised: 0, byPattern: {}, lastCheckAt: null };
+  }
+
+  /**
+   * Inicia los análisis periódicos
+   */
+  start() {
+    if (!this.enabled || this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.check(), this.checkInterval);
+    console.log(`🔎 Pattern detector started (last ${this.lookbackDays} days, every ${this.checkInterval}ms)`);
+  }
+
+  /**
+   * Detiene los análisis y espera el análisis en curso
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    await this.checking;
+  }
+
+  /**
+   * Ejecuta un análisis (uno solo a la vez)
+   * @returns {Promise<void>}
+   */
+  check() {
+    if (!this.checking) {
+      this.checking = this.detectPatterns()
+        .catch(error => console.error('Error detecting speeding patterns:', error))
+        .finally(() => {
+          this.checking = null;
+        });
+    }
+
+    return this.checking;
+  }
+
+  /**
+   * Analiza el historial y genera las alertas de los patrones nuevos
+   * El historial se lee de a un vehículo por vez para no cargar el de toda la flota
+   * @param {number} now - Momento del análisis (ms)
+   * @returns {Promise<Array>} Patrones alertados
+   */
+  async detectPatterns(now = Date.now()) {
+    const historyDays = Math.max(this.lookbackDays, (this.risingWeeks + 1) * 7);
+    const historyStart = new Date(now - historyDays * DAY_MS);
+    const vehicleIds = await this.speedRepository.getViolatingVehicles(historyStart, new Date(now));
+
+    const activeKeys = await this.getActiveKeys();
+    const raised = [];
+
+    for (const [key, raisedAt] of this.raisedKeys) {
+      if (now - raisedAt >= this.lookbackDays * DAY_MS) {
+        this.raisedKeys.delete(key);
+      }
+    }
+
+    for (const vehicleId of vehicleIds) {
+      for (const pattern of await this.detectVehiclePatterns(vehicleId, historyStart, now)) {
+        if (this.isKnownPattern(pattern, activeKeys)) {
+          continue;
+        }
+
+        await this.raisePatternAlert(pattern);
+        this.raisedKeys.set(pattern.key, now);
+        raised.push(pattern);
+      }
+    }
+
+    this.stats.checks++;
+    this.stats.lastCheckAt = new Date(now);
+
+    return raised;
+  }
+
+  /**
+   * Busca los patrones en el historial de un vehículo
+   * @param {string} vehicleId - ID del vehículo
+   * @param {Date} historyStart - Inicio del historial analizado
+   * @param {number} now - Momento del análisis (ms)
+   * @returns {Promise<Array>} Patrones del vehículo
+   */
+  async detectVehiclePatterns(vehicleId, historyStart, now) {
+    const violations = await this.speedRepository.getViolations({
+      vehicleId,
+      startDate: historyStart,
+      endDate: new Date(now),
+      orderBy: 'timestamp ASC'
+    });
+    const crossings = await this.speedRepository.getLimitCrossings(new Date(now - SAWTOOTH_LOOKBACK), SAWTOOTH_BAND, vehicleId);
+
+    const lookbackStart = now - this.lookbackDays * DAY_MS;
+    const recent = violations.filter(record => new Date(record.timestamp).getTime() >= lookbackStart);
+
+    return [
+      ...this.findRepeatedPlaces(recent),
+      ...this.findRepeatedTimes(recent),
+      ...this.findSawtooth(crossings),
+      ...this.findRisingFrequency(violations, now)
+    ];
+  }
+
+  /**
+   * Violaciones en el mismo lugar en varios días distintos
+   * Los lugares se agrupan por distancia (PATTERN_PLACE_RADIUS) y no por celdas fijas, así
+   * dos violaciones cercanas a ambos lados del borde de una celda quedan en el mismo lugar.
+   * @param {Array} violations - Filas de speed_records por encima del límite
+   * @returns {Array} Patrones
+   */
+  findRepeatedPlaces(violations) {
+    const patterns = [];
+    const byVehicle = this.groupBy(violations, record => (toLatLng(record.location) ? record.vehicle_id : null));
+
+    for (const [vehicleId, records] of byVehicle) {
+      for (const { members, days } of this.clusterPlaces(records)) {
+        const positions = members.map(record => toLatLng(record.location));
+        const location = {
+          latitude: positions.reduce((sum, position) => sum + position.lat, 0) / positions.length,
+          longitude: positions.reduce((sum, position) => sum + position.lng, 0) / positions.length
+        };
+
+        patterns.push(this.buildPattern(PATTERNS.PLACE, `${vehicleId}:${location.latitude.toFixed(5)},${location.longitude.toFixed(5)}`, members, {
+          location,
+          description: `Vehicle ${vehicleId} repeatedly speeds at the same place (${members.length} violations on ${days.length} days)`,
+          details: { days, radiusMeters: this.placeRadius }
+        }));
+      }
+    }
+
+    return patterns;
+  }
+
+  /**
+   * Agrupa las violaciones de un vehículo en lugares de PATTERN_PLACE_RADIUS m
+   * Toma primero el lugar con violaciones en más días distintos (alrededor de una de las
+   * violaciones) y sigue con las que quedan, hasta que ninguno llega a PATTERN_MIN_DAYS días.
+   * @param {Array} records - Filas con posición de un mismo vehículo, en orden de timestamp
+   * @returns {Array} Lugares { members, days }
+   */
+  clusterPlaces(records) {
+    const positions = records.map(record => toLatLng(record.location));
+    const dates = records.map(record => this.getLocalDate(record.timestamp));
+    const neighbours = this.findNeighbours(positions);
+    const remaining = new Set(records.keys());
+    const places = [];
+
+    while (remaining.size > 0) {
+      let best = null;
+
+      for (const center of remaining) {
+        const members = neighbours[center].filter(index => remaining.has(index));
+        const dayCount = new Set(members.map(index => dates[index])).size;
+
+        if (!best || dayCount > best.dayCount || (dayCount === best.dayCount && members.length > best.members.length)) {
+          best = { members, dayCount };
+        }
+      }
+
+      if (best.dayCount < this.minDays) {
+        break;
+      }
+
+      best.members.sort((a, b) => a - b);
+      best.members.forEach(index => remaining.delete(index));
+      places.push({
+        members: best.members.map(index => records[index]),
+        days: [...new Set(best.members.map(index => dates[index]))].sort()
+      });
+    }
+
+    return places;
+  }
+
+  /**
+   * Posiciones a menos de PATTERN_PLACE_RADIUS m de cada posición (incluida ella misma)
+   * Una grilla de celdas de al menos ese tamaño limita las comparaciones a las celdas vecinas.
+   * @param {Array} positions - Posiciones { lat, lng }
+   * @returns {Array} Por posición, los índices de sus vecinas
+   */
+  findNeighbours(positions) {
+    const latStep = this.placeRadius / METERS_PER_DEGREE;
+    // El grado de longitud se achica hacia los polos: usar el de la latitud más alejada del ecuador
+    const maxLat = Math.min(89, positions.reduce((max, position) => Math.max(max, Math.abs(position.lat)), 0));
+    const lngStep = latStep / Math.cos(maxLat * Math.PI / 180);
+    const cellOf = position => [Math.floor(position.lat / latStep), Math.floor(position.lng / lngStep)];
+
+    const grid = this.groupBy(positions.map((position, index) => index), index => cellOf(positions[index]).join(':'));
+
+    return positions.map((position) => {
+      const [row, column] = cellOf(position);
+      const found = [];
+
+      for (let dRow = -1; dRow <= 1; dRow++) {
+        for (let dColumn = -1; dColumn <= 1; dColumn++) {
+          for (const index of grid.get(`${row + dRow}:${column + dColumn}`) || []) {
+            if (haversineDistance(position, positions[index]) <= this.placeRadius) {
+              found.push(index);
+            }
+          }
+        }
+      }
+
+      return found;
+    });
+  }
+
+  /**
+   * Violaciones en la misma hora local en varios días distintos
+   * @param {Array} violations - Filas de speed_records por encima del límite
+   * @returns {Array} Patrones
+   */
+  findRepeatedTimes(violations) {
+    const hours = this.groupBy(violations, record => {
+      const localTime = getLocalTime(record.timestamp, this.timezone);
+      return localTime ? `${record.vehicle_id}:${Math.floor(localTime.minutes / 60)}` : null;
+    });
+
+    return this.repeatedOnDays(hours, PATTERNS.TIME, (records, days, key) => {
+      const hour = String(key.split(':').pop()).padStart(2, '0');
+
+      return {
+        description: `Vehicle ${records[0].vehicle_id} repeatedly speeds between ${hour}:00 and ${hour}:59 (${days.length} days)`,
+        details: { days, hour: Number(hour), timezone: this.timezone }
+      };
+    });
+  }
+
+  /**
+   * Grupos de violaciones que ocurren en al menos PATTERN_MIN_DAYS días locales distintos
+   * @param {Map} groups - Clave 'vehicleId:...' -> filas
+   * @param {string} patternName - Patrón (PATTERNS)
+   * @param {function} describe - (records, days, key) => { description, details, location? }
+   * @returns {Array} Patrones
+   */
+  repeatedOnDays(groups, patternName, describe) {
+    const patterns = [];
+
+    for (const [key, records] of groups) {
+      const days = [...new Set(records.map(record => this.getLocalDate(record.timestamp)))].sort();
+
+      if (days.length >= this.minDays) {
+        patterns.push(this.buildPattern(patternName, key, records, describe(records, days, key)));
+      }
+    }
+
+    return patterns;
+  }
+
+  /**
+   * Lecturas que cruzan el límite una y otra vez (velocidad en serrucho)
+   * Se reporta como máximo un serrucho por vehículo y día
+   * @param {Array} crossings - Cruces ordenados por vehículo y timestamp (getLimitCrossings)
+   * @returns {Array} Patrones
+   */
+  findSawtooth(crossings) {
+    const patterns = [];
+
+    for (const [vehicleId, records] of this.groupBy(crossings, record => record.vehicle_id)) {
+      const reportedDays = new Set();
+      let start = 0;
+
+      for (let end = 0; end < records.length; end++) {
+        const endTime = new Date(records[end].timestamp).getTime();
+
+        while (endTime - new Date(records[start].timestamp).getTime() > SAWTOOTH_WINDOW) {
+          start++;
+        }
+
+        const day = this.getLocalDate(records[start].timestamp);
+
+        if (end - start + 1 < this.sawtoothCrossings || reportedDays.has(day)) {
+          continue;
+        }
+
+        const window = records.slice(start, end + 1);
+        reportedDays.add(day);
+        patterns.push(this.buildPattern(PATTERNS.SAWTOOTH, `${vehicleId}:${day}`, window, {
+          description: `Vehicle ${vehicleId} crossed the speed limit ${window.length} times in ${Math.round((endTime - new Date(window[0].timestamp).getTime()) / 60000)} min`,
+          details: { day, crossings: window.length, bandPercentage: SAWTOOTH_BAND * 100 }
+        }));
+      }
+    }
+
+    return patterns;
+  }
+
+  /**
+   * Violaciones en aumento semana a semana (semanas locales completas, de lunes a domingo)
+   * @param {Array} violations - Filas de speed_records por encima del límite
+   * @param {number} now - Momento del análisis (ms)
+   * @returns {Array} Patrones
+   */
+  findRisingFrequency(violations, now) {
+    const currentWeek = this.getWeekStart(now);
+    const weeks = [];
+    for (let i = this.risingWeeks; i >= 1; i--) {
+      weeks.push(this.shiftDate(currentWeek, -7 * i));
+    }
+
+    const patterns = [];
+
+    for (const [vehicleId, records] of this.groupBy(violations, record => record.vehicle_id)) {
+      const byWeek = this.groupBy(records, record => this.getWeekStart(record.timestamp));
+      const counts = weeks.map(week => (byWeek.get(week) || []).length);
+      const rising = counts.every((count, index) => index === 0 || count > counts[index - 1]);
+
+      if (!rising || counts[counts.length - 1] < RISING_MIN_VIOLATIONS) {
+        continue;
+      }
+
+      const lastWeek = weeks[weeks.length - 1];
+      patterns.push(this.buildPattern(PATTERNS.RISING, `${vehicleId}:${lastWeek}`, byWeek.get(lastWeek), {
+        description: `Vehicle ${vehicleId} violations rising week over week (${counts.join(' → ')})`,
+        details: { weeks, counts }
+      }));
+    }
+
+    return patterns;
+  }
+
+  /**
+   * Arma un patrón con las lecturas en las que se encontró
+   * @param {string} patternName - Patrón (PATTERNS)
+   * @param {string} key - Clave 'vehicleId:...' del patrón
+   * @param {Array} records - Filas de speed_records
+   * @param {object} data - { description, details, location? }
+   * @returns {object} Patrón
+   */
+  buildPattern(patternName, key, records, data) {
+    const [, ...detailKey] = key.split(':');
+    const latest = records[records.length - 1];
+
+    return {
+      pattern: patternName,
+      key: `${records[0].vehicle_id}:${patternName}:${detailKey.join(':')}`,
+      vehicleId: records[0].vehicle_id,
+      timestamp: new Date(latest.timestamp).toISOString(),
+      location: data.location || latest.location || null,
+      description: data.description,
+      details: data.details,
+      recordIds: records.slice(-MAX_LINKED_RECORDS).map(record => record.id),
+      recordCount: records.length
+    };
+  }
+
+  /**
+   * Genera la alerta PATTERN de un patrón
+   * @param {object} pattern - Patrón detectado
+   * @returns {Promise<object>} Alerta creada
+   */
+  async raisePatternAlert(pattern) {
+    const vehicle = this.vehicleSettings ? await this.vehicleSettings.get(pattern.vehicleId) : null;
+
+    const alert = await this.alertSystem.raiseAlert({
+      type: ALERT_TYPE,
+      severity: 'MEDIUM',
+      priority: 'MEDIUM',
+      vehicleId: pattern.vehicleId,
+      vehicleType: vehicle ? vehicle.vehicle_type : 'unknown',
+      location: pattern.location,
+      timestamp: pattern.timestamp,
+      recommendedAction: 'Review driving pattern with the driver',
+      description: pattern.description,
+      additionalData: {
+        pattern: pattern.pattern,
+        patternKey: pattern.key,
+        ...pattern.details,
+        recordIds: pattern.recordIds, // Últimas lecturas (speed_records.id) en las que se encontró
+        recordCount: pattern.recordCount
+      }
+    });
+
+    this.stats.raised++;
+    this.stats.byPattern[pattern.pattern] = (this.stats.byPattern[pattern.pattern] || 0) + 1;
+
+    console.log(`🔎 ${pattern.description}`);
+    return alert;
+  }
+
+  /**
+   * Indica si un patrón ya tiene alerta activa o se alertó dentro del período analizado
+   * El centro de un lugar se corre al sumarse violaciones: un lugar es conocido si hay
+   * otro del mismo vehículo a menos de PATTERN_PLACE_RADIUS m.
+   * @param {object} pattern - Patrón detectado
+   * @param {Set} activeKeys - Claves de los patrones con alerta activa
+   * @returns {boolean} True si no hay que alertarlo
+   */
+  isKnownPattern(pattern, activeKeys) {
+    if (activeKeys.has(pattern.key) || this.raisedKeys.has(pattern.key)) {
+      return true;
+    }
+
+    if (pattern.pattern !== PATTERNS.PLACE) {
+      return false;
+    }
+
+    return [...activeKeys, ...this.raisedKeys.keys()].some((key) => {
+      const [vehicleId, patternName, coordinates] = key.split(':');
+
+      if (vehicleId !== pattern.vehicleId || patternName !== PATTERNS.PLACE || !coordinates) {
+        return false;
+      }
+
+      const [lat, lng] = coordinates.split(',').map(Number);
+      return haversineDistance({ lat, lng }, pattern.location) <= this.placeRadius;
+    });
+  }
+
+  /**
+   * Claves de los patrones con alerta PATTERN activa
+   * @returns {Promise<Set>} Claves
+   */
+  async getActiveKeys() {
+    if (!this.alertRepository) {
+      return new Set();
+    }
+
+    try {
+      const alerts = await this.alertRepository.getActiveByType(ALERT_TYPE);
+      return new Set(alerts.map(row => row.additional_data && row.additional_data.patternKey).filter(Boolean));
+
+    } catch (error) {
+      console.warn(`⚠️  Unable to load active pattern alerts: ${error.message}`);
+      return new Set();
+    }
+  }
+
+  /**
+   * Agrupa filas por clave conservando el orden (las claves null se descartan)
+   * @param {Array} rows - Filas
+   * @param {function} keyOf - Clave de cada fila
+   * @returns {Map} Clave -> filas
+   */
+  groupBy(rows, keyOf) {
+    const groups = new Map();
+
+    for (const row of rows) {
+      const key = keyOf(row);
+
+      if (key === null) {
+        continue;
+      }
+
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(row);
+    }
+
+    return groups;
+  }
+
+  /**
+   * Fecha local 'YYYY-MM-DD' de un momento en FLEET_TIMEZONE
+   * @param {string|number|Date} timestamp - Momento
+   * @returns {string|null} Fecha local
+   */
+  getLocalDate(timestamp) {
+    const localTime = getLocalTime(timestamp, this.timezone);
+    return localTime ? localTime.date : null;
+  }
+
+  /**
+   * Lunes (fecha local) de la semana de un momento
+   * @param {string|number|Date} timestamp - Momento
+   * @returns {string|null} Fecha 'YYYY-MM-DD'
+   */
+  getWeekStart(timestamp) {
+    const localTime = getLocalTime(timestamp, this.timezone);
+
+    if (!localTime) {
+      return null;
+    }
+
+    return this.shiftDate(localTime.date, -((WEEK_DAYS.indexOf(localTime.day) + 6) % 7));
+  }
+
+  /**
+   * Suma días a una fecha 'YYYY-MM-DD'
+   * @param {string} date - Fecha
+   * @param {number} days - Días (negativo para restar)
+   * @returns {string} Fecha resultante
+   */
+  shiftDate(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().substring(0, 10);
+  }
+
+  /**
+   * Obtiene el estado del detector
+   * @returns {object} Configuración y contadores
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      running: this.timer !== null,
+      lookbackDays: this.lookbackDays,
+      minDays: this.minDays,
+      ...this.stats
+    };
+  }
+}
+
+PatternDetector.ALERT_TYPE = ALERT_TYPE;
+PatternDetector.PATTERNS = PATTERNS;
+
+module.exports = PatternDetector;
@@ -0,0 +1,179 @@
+const path = require('path');
+const protobuf = require('protobufjs');
+const { decode: decodeCbor } = require('cbor-x');
+const MqttClient = require('./mqttClient');
+const config = require('../config/config');
+
+// Formatos de payload soportados
+const FORMATS = Object.freeze({
+  JSON: 'json',
+  CBOR: 'cbor',
+  PROTOBUF: 'protobuf'
+});
+
+// Content-Type de MQTT 5 reconocidos (sin parámetros)
+const CONTENT_TYPES = Object.freeze({
+  'application/json': FORMATS.JSON,
+  'text/json': FORMATS.JSON,
+  'application/cbor': FORMATS.CBOR,
+  'application/protobuf': FORMATS.PROTOBUF,
+  'application/x-protobuf': FORMATS.PROTOBUF,
+  'application/vnd.google.protobuf': FORMATS.PROTOBUF
+});
+
+const SCHEMA_PATH = path.join(__dirname, '..', 'schemas', 'speedMessage.proto');
+
+/**
+ * Decodificador de payloads de velocidad (JSON, CBOR y Protocol Buffers)
+ * Principio: Single Responsibility - Solo convierte payloads binarios en mensajes
+ * Principio: Open/Closed - Nuevos formatos se agregan sin tocar el procesador
+ *
+ * El formato se elige por el Content-Type de MQTT 5 y, si no viene, por el mapa
+ * de tópicos MQTT_PAYLOAD_FORMATS; JSON es el formato por defecto.
+ */
+class PayloadDecoder {
+  constructor(topicFormats = config.get('mqtt.payloadFormats'), schemaPath = SCHEMA_PATH) {
+    this.topicFormats = topicFormats || {};
+    this.root = protobuf.loadSync(schemaPath);
+    this.messageTypes = {
+      single: this.root.lookupType('gaus.SpeedMessage'),
+      batch: this.root.lookupType('gaus.SpeedBatch')
+    };
+  }
+
+  /**
+   * Determina el formato de un payload
+   * @param {string} topic - Tópico de origen
+   * @param {string|null} contentType - Content-Type de MQTT 5
+   * @returns {string} Formato (json | cbor | protobuf)
+   */
+  resolveFormat(topic, contentType = null) {
+    if (contentType) {
+      const mediaType = String(contentType).split(';')[0].trim().toLowerCase();
+
+      if (CONTENT_TYPES[mediaType]) {
+        return CONTENT_TYPES[mediaType];
+      }
+    }
+
+    for (const [filter, format] of Object.entries(this.topicFormats)) {
+      if (MqttClient.topicMatches(filter, topic)) {
+        return format;
+      }
+    }
+
+    return FORMATS.JSON;
+  }
+
+  /**
+   * Decodifica un payload
+   * @param {Buffer} payload - Payload original
+   * @param {object} options - { topic, contentType, batch }
+   * @returns {object} { success, format, message } o { success: false, format, error }
+   */
+  decode(payload, { topic, contentType = null, batch = false } = {}) {
+    const format = this.resolveFormat(topic, contentType);
+    const buffer = Buffer.isBuffer(payload) ? payload : Buffer.from(payload || '');
+
+    try {
+      let message;
+
+      if (buffer.length === 0) {
+        message = null; // Se reporta como payload vacío
+      } else if (format === FORMATS.CBOR) {
+        message = this.normalizeCbor(decodeCbor(buffer));
+      } else if (format === FORMATS.PROTOBUF) {
+        message = this.decodeProtobuf(buffer, batch);
+      } else {
+        message = MqttClient.parsePayload(buffer);
+      }
+
+      return { success: true, format, message };
+
+    } catch (error) {
+      return { success: false, format, error: `Unable to decode ${format} payload: ${error.message}` };
+    }
+  }
+
+  /**
+   * Convierte fechas CBOR (tag 0/1) a ISO 8601 como en los payloads JSON
+   * @param {any} value - Valor decodificado
+   * @returns {any} Valor normalizado
+   */
+  normalizeCbor(value) {
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.normalizeCbor(item));
+    }
+
+    if (value instanceof Map) {
+      return this.normalizeCbor(Object.fromEntries(value));
+    }
+
+    if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.normalizeCbor(item)]));
+    }
+
+    return value;
+  }
+
+  /**
+   * Decodifica un SpeedMessage o SpeedBatch del esquema incluido
+   * @param {Buffer} buffer - Payload protobuf
+   * @param {boolean} batch - true para el tópico de lotes
+   * @returns {object} Mensaje o { records: [...] }
+   */
+  decodeProtobuf(buffer, batch) {
+    const type = batch ? this.messageTypes.batch : this.messageTypes.single;
+    const decoded = type.toObject(type.decode(buffer), { longs: Number, defaults: true });
+
+    if (batch) {
+      return { records: decoded.records.map(record => this.fromProtobufRecord(record)) };
+    }
+
+    return this.fromProtobufRecord(decoded);
+  }
+
+  /**
+   * Mapea un SpeedMessage a los campos del payload JSON
+   * Los valores por defecto de proto3 (cadena vacía, 0) se tratan como ausentes
+   * @param {object} record - SpeedMessage como objeto plano
+   * @returns {object} Mensaje equivalente al JSON
+   */
+  fromProtobufRecord(record) {
+    const message = {
+      vehicleId: record.vehicleId || undefined,
+      speed: record.speed
+    };
+
+    if (record.timestamp) {
+      message.timestamp = new Date(record.timestamp).toISOString();
+    }
+
+    if (record.location) {
+      message.location = { lat: record.location.lat, lng: record.location.lng };
+    }
+
+    if (record.vehicleType) {
+      message.vehicleType = record.vehicleType;
+    }
+
+    if (record.messageId) {
+      message.messageId = record.messageId;
+    }
+
+    if (record.metadata && Object.keys(record.metadata).length > 0) {
+      message.metadata = record.metadata;
+    }
+
+    return message;
+  }
+}
+
+PayloadDecoder.FORMATS = FORMATS;
+PayloadDecoder.SCHEMA_PATH = SCHEMA_PATH;
+
+module.exports = PayloadDecoder;
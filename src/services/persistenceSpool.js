@@ -0,0 +1,282 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+
+/**
+ * Spool local en disco para escrituras que no pudieron llegar a la base de datos
+ * Principio: Single Responsibility - Solo conserva y reproduce escrituras pendientes
+ * Principio: Open/Closed - Nuevos tipos de escritura se registran como handlers
+ *
+ * Cada escritura se identifica por un tipo (speed_record, alert, ...) con su handler.
+ * Si el handler falla por un error transitorio la escritura se agrega al archivo
+ * spool.jsonl; mientras queden entradas pendientes las nuevas escrituras también van
+ * al spool para conservar el orden. Un temporizador las reproduce en orden cuando la
+ * base de datos vuelve. spool.offset guarda cuántas líneas ya se reprodujeron, así
+ * que tras un reinicio se continúa donde se quedó (una entrada puede repetirse si el
+ * proceso cae justo entre la escritura y la actualización del offset).
+ */
+class PersistenceSpool {
+  constructor(options = {}) {
+    const spoolConfig = config.getModule('spool');
+
+    this.dir = options.dir || spoolConfig.dir;
+    this.replayInterval = options.replayInterval || spoolConfig.replayInterval;
+    this.isTransientError = options.isTransientError || (() => false); // Inyección de dependencia
+    this.dataFile = path.join(this.dir, 'spool.jsonl');
+    this.offsetFile = path.join(this.dir, 'spool.offset');
+
+    this.handlers = new Map();
+    this.pending = []; // Entradas aún no reproducidas, en orden de llegada
+    this.offset = 0;
+    this.writeChain = Promise.resolve(); // Serializa escrituras al disco
+    this.replayTimer = null;
+    this.isReplaying = false;
+    this.isOpen = false;
+
+    this.spooledCount = 0;
+    this.replayedCount = 0;
+    this.failedCount = 0;
+  }
+
+  /**
+   * Registra el handler que persiste un tipo de escritura
+   * @param {string} kind - Tipo de escritura
+   * @param {function} handler - Función asíncrona que recibe el payload
+   */
+  registerHandler(kind, handler) {
+    this.handlers.set(kind, handler);
+  }
+
+  /**
+   * Abre el spool, carga las entradas pendientes e inicia la reproducción periódica
+   * @returns {Promise<void>}
+   */
+  async open() {
+    if (this.isOpen) {
+      return;
+    }
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await this.load();
+
+    this.isOpen = true;
+    this.replayTimer = setInterval(() => this.replay(), this.replayInterval);
+
+    if (this.pending.length > 0) {
+      console.log(`💾 Persistence spool has ${this.pending.length} pending writes, replaying...`);
+      this.replay();
+    }
+  }
+
+  /**
+   * Detiene la reproducción y espera las escrituras en curso
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.replayTimer) {
+      clearInterval(this.replayTimer);
+      this.replayTimer = null;
+    }
+
+    await this.writeChain;
+    this.isOpen = false;
+  }
+
+  /**
+   * Carga las entradas pendientes desde disco
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const offset = parseInt(await this.readFile(this.offsetFile), 10) || 0;
+    const lines = (await this.readFile(this.dataFile)).split('\n').filter(Boolean);
+
+    this.pending = [];
+    lines.slice(offset).forEach((line) => {
+      try {
+        this.pending.push(JSON.parse(line));
+      } catch (error) {
+        // Línea truncada por una caída durante la escritura
+        console.warn('Skipping unreadable spool entry:', error.message);
+      }
+    });
+
+    // Reescribir solo lo pendiente: descarta lo ya reproducido y líneas truncadas
+    const content = this.pending.map(entry => `${JSON.stringify(entry)}\n`).join('');
+    await fs.promises.writeFile(this.dataFile, content);
+    await fs.promises.writeFile(this.offsetFile, '0');
+    this.offset = 0;
+  }
+
+  /**
+   * Lee un archivo del spool, retornando vacío si no existe
+   * @param {string} filePath - Ruta del archivo
+   * @returns {Promise<string>} Contenido
+   */
+  async readFile(filePath) {
+    try {
+      return await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return '';
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Persiste un payload o lo guarda en el spool si la base de datos no está disponible
+   * @param {string} kind - Tipo de escritura registrado
+   * @param {object} payload - Datos serializables
+   * @returns {Promise<object>} { spooled, result }
+   * @throws {Error} Si el error de persistencia no es transitorio
+   */
+  async persist(kind, payload) {
+    const handler = this.handlers.get(kind);
+
+    if (!handler) {
+      throw new Error(`No spool handler registered for ${kind}`);
+    }
+
+    // Con entradas pendientes, escribir directo alteraría el orden
+    if (this.pending.length > 0) {
+      await this.append(kind, payload);
+      return { spooled: true, result: null };
+    }
+
+    try {
+      return { spooled: false, result: await handler(payload) };
+
+    } catch (error) {
+      if (!this.isTransientError(error)) {
+        throw error;
+      }
+
+      console.warn(`💾 Database unavailable (${error.code || error.message}), spooling ${kind}`);
+      await this.append(kind, payload);
+      return { spooled: true, result: null };
+    }
+  }
+
+  /**
+   * Agrega una entrada al final del spool
+   * @param {string} kind - Tipo de escritura
+   * @param {object} payload - Datos serializables
+   * @returns {Promise<void>}
+   */
+  async append(kind, payload) {
+    const entry = { kind, payload, spooledAt: new Date().toISOString() };
+
+    this.pending.push(entry);
+    this.spooledCount++;
+
+    await this.enqueueWrite(() => fs.promises.appendFile(this.dataFile, `${JSON.stringify(entry)}\n`));
+  }
+
+  /**
+   * Encola una operación de disco para ejecutarla en orden
+   * @param {function} operation - Operación asíncrona
+   * @returns {Promise<void>}
+   */
+  enqueueWrite(operation) {
+    const next = this.writeChain.then(operation);
+    this.writeChain = next.catch((error) => {
+      console.error('❌ Persistence spool write error:', error.message);
+    });
+    return next;
+  }
+
+  /**
+   * Reproduce las entradas pendientes en orden hasta vaciar el spool o
+   * encontrar la base de datos todavía caída
+   * @returns {Promise<number>} Número de entradas reproducidas
+   */
+  async replay() {
+    if (this.isReplaying || this.pending.length === 0) {
+      return 0;
+    }
+
+    this.isReplaying = true;
+    let replayed = 0;
+
+    try {
+      while (this.pending.length > 0) {
+        const entry = this.pending[0];
+        const handler = this.handlers.get(entry.kind);
+
+        try {
+          if (!handler) {
+            throw new Error(`No spool handler registered for ${entry.kind}`);
+          }
+
+          await handler(entry.payload);
+          this.replayedCount++;
+          replayed++;
+
+        } catch (error) {
+          if (this.isTransientError(error)) {
+            break; // Base de datos aún no disponible; reintentar en el siguiente ciclo
+          }
+
+          // Un error permanente no debe bloquear el resto del spool
+          this.failedCount++;
+          console.error(`❌ Dropping spooled ${entry.kind} from ${entry.spooledAt}:`, error.message, entry.payload);
+        }
+
+        this.pending.shift();
+        this.offset++;
+        await this.enqueueWrite(() => fs.promises.writeFile(this.offsetFile, String(this.offset)));
+      }
+
+      if (this.pending.length === 0) {
+        await this.compact();
+      }
+
+      if (replayed > 0) {
+        console.log(`💾 Replayed ${replayed} spooled writes (${this.pending.length} pending)`);
+      }
+
+    } finally {
+      this.isReplaying = false;
+    }
+
+    return replayed;
+  }
+
+  /**
+   * Vacía los archivos del spool cuando no quedan entradas pendientes
+   * @returns {Promise<void>}
+   */
+  async compact() {
+    await this.enqueueWrite(async () => {
+      // Una escritura nueva pudo llegar mientras se esperaba el turno
+      if (this.pending.length > 0) {
+        return;
+      }
+
+      await fs.promises.writeFile(this.dataFile, '');
+      await fs.promises.writeFile(this.offsetFile, '0');
+      this.offset = 0;
+    });
+  }
+
+  /**
+   * Obtiene el estado del spool
+   * @returns {object} Profundidad, antigüedad de la entrada más vieja y contadores
+   */
+  getStatus() {
+    const oldest = this.pending[0];
+
+    return {
+      depth: this.pending.length,
+      oldestEntryAge: oldest ? Date.now() - new Date(oldest.spooledAt).getTime() : null,
+      oldestEntryAt: oldest ? oldest.spooledAt : null,
+      isReplaying: this.isReplaying,
+      spooledCount: this.spooledCount,
+      replayedCount: this.replayedCount,
+      failedCount: this.failedCount,
+      dir: this.dir
+    };
+  }
+}
+
+module.exports = PersistenceSpool;
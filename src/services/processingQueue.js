@@ -0,0 +1,188 @@
+const EventEmitter = require('events');
+const config = require('../config/config');
+
+/**
+ * Cola de procesamiento con orden por clave y concurrencia acotada
+ * Principio: Single Responsibility - Solo ordena y limita la ejecución de tareas
+ *
+ * Las tareas con la misma clave (vehicleId) se ejecutan en orden de llegada y nunca
+ * en paralelo; hasta `concurrency` claves distintas se procesan a la vez. Al alcanzar
+ * highWaterMark tareas en cola emite 'pause' y waitForCapacity() retiene la entrada
+ * hasta bajar a lowWaterMark, cuando emite 'resume'.
+ */
+class ProcessingQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const processingConfig = config.getModule('processing');
+
+    this.concurrency = options.concurrency || processingConfig.concurrency;
+    this.highWaterMark = options.highWaterMark || processingConfig.highWaterMark;
+    this.lowWaterMark = options.lowWaterMark || processingConfig.lowWaterMark;
+
+    this.queues = new Map(); // clave -> tareas pendientes en orden
+    this.readyKeys = []; // claves con tareas pendientes y sin tarea en curso
+    this.activeKeys = new Set();
+    this.pendingCount = 0;
+    this.paused = false;
+    this.resumeWaiters = [];
+    this.idleWaiters = [];
+
+    this.processedCount = 0;
+    this.failedCount = 0;
+    this.pauseCount = 0;
+    this.maxDepth = 0;
+    this.totalWaitMs = 0;
+  }
+
+  /**
+   * Tareas pendientes más tareas en curso
+   * @returns {number} Profundidad de la cola
+   */
+  get depth() {
+    return this.pendingCount + this.activeKeys.size;
+  }
+
+  /**
+   * Encola una tarea
+   * @param {string} key - Clave de orden (las tareas de una misma clave no se solapan)
+   * @param {function} task - Función asíncrona a ejecutar
+   * @returns {Promise<any>} Resultado de la tarea
+   */
+  push(key, task) {
+    return new Promise((resolve, reject) => {
+      let queue = this.queues.get(key);
+
+      if (!queue) {
+        queue = [];
+        this.queues.set(key, queue);
+
+        if (!this.activeKeys.has(key)) {
+          this.readyKeys.push(key);
+        }
+      }
+
+      queue.push({ task, resolve, reject, enqueuedAt: Date.now() });
+      this.pendingCount++;
+      this.maxDepth = Math.max(this.maxDepth, this.depth);
+
+      this.checkWaterMarks();
+      this.schedule();
+    });
+  }
+
+  /**
+   * Inicia tareas mientras haya capacidad
+   */
+  schedule() {
+    while (this.activeKeys.size < this.concurrency && this.readyKeys.length > 0) {
+      this.run(this.readyKeys.shift());
+    }
+  }
+
+  /**
+   * Ejecuta la siguiente tarea de una clave
+   * @param {string} key - Clave a ejecutar
+   * @returns {Promise<void>}
+   */
+  async run(key) {
+    const queue = this.queues.get(key);
+    const item = queue.shift();
+
+    if (queue.length === 0) {
+      this.queues.delete(key);
+    }
+
+    this.pendingCount--;
+    this.activeKeys.add(key);
+    this.totalWaitMs += Date.now() - item.enqueuedAt;
+
+    try {
+      item.resolve(await item.task());
+      this.processedCount++;
+
+    } catch (error) {
+      this.failedCount++;
+      item.reject(error);
+
+    } finally {
+      this.activeKeys.delete(key);
+
+      // Al final de la fila de claves para no acaparar la concurrencia
+      if (this.queues.has(key)) {
+        this.readyKeys.push(key);
+      }
+
+      this.checkWaterMarks();
+      this.schedule();
+
+      if (this.depth === 0) {
+        this.idleWaiters.splice(0).forEach(resolve => resolve());
+      }
+    }
+  }
+
+  /**
+   * Pausa o reanuda la entrada según las marcas de agua
+   */
+  checkWaterMarks() {
+    if (!this.paused && this.depth >= this.highWaterMark) {
+      this.paused = true;
+      this.pauseCount++;
+      this.emit('pause', this.depth);
+    } else if (this.paused && this.depth <= this.lowWaterMark) {
+      this.paused = false;
+      this.emit('resume', this.depth);
+      this.resumeWaiters.splice(0).forEach(resolve => resolve());
+    }
+  }
+
+  /**
+   * Espera hasta que la cola acepte más trabajo
+   * @returns {Promise<void>}
+   */
+  waitForCapacity() {
+    if (!this.paused) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => this.resumeWaiters.push(resolve));
+  }
+
+  /**
+   * Espera a que se completen todas las tareas
+   * @returns {Promise<void>}
+   */
+  onIdle() {
+    if (this.depth === 0) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * Obtiene métricas de la cola
+   * @returns {object} Métricas
+   */
+  getMetrics() {
+    const started = this.processedCount + this.failedCount + this.activeKeys.size;
+
+    return {
+      depth: this.depth,
+      pending: this.pendingCount,
+      active: this.activeKeys.size,
+      waitingVehicles: this.queues.size,
+      concurrency: this.concurrency,
+      highWaterMark: this.highWaterMark,
+      lowWaterMark: this.lowWaterMark,
+      paused: this.paused,
+      pauseCount: this.pauseCount,
+      maxDepth: this.maxDepth,
+      processedCount: this.processedCount,
+      failedCount: this.failedCount,
+      averageWaitMs: started > 0 ? Math.round(this.totalWaitMs / started) : 0
+    };
+  }
+}
+
+module.exports = ProcessingQueue;
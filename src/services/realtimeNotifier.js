@@ -0,0 +1,224 @@
+const SEVERITY_LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+const ANY = '*';
+
+/**
+ * Notificador en tiempo real sobre Socket.IO
+ * Principio: Single Responsibility - Solo distribuye eventos a clientes WebSocket
+ * Principio: Interface Segregation - Implementa la interfaz de handler de notificaciones del AlertSystem
+ *
+ * Los clientes se suscriben con un filtro { vehicleId, vehicleType, minSeverity }.
+ * Cada filtro se traduce a una sala compuesta; al emitir un evento se calculan las
+ * salas cuyo filtro coincide, así un cliente solo recibe lo que pidió.
+ */
+class RealtimeNotifier {
+  constructor(io) {
+    this.io = io; // Inyección de dependencia
+    this.name = 'websocket';
+    this.emittedCount = 0;
+
+    this.io.on('connection', this.handleConnection.bind(this));
+  }
+
+  /**
+   * Configura un socket recién conectado
+   * @param {object} socket - Socket del cliente
+   */
+  handleConnection(socket) {
+    console.log(`🔌 Client connected: ${socket.id}`);
+
+    // Sin filtro explícito el cliente recibe todos los eventos
+    this.applySubscription(socket, {});
+
+    socket.on('subscribe', (filter = {}, ack) => {
+      const result = this.applySubscription(socket, filter);
+
+      if (typeof ack === 'function') {
+        ack(result);
+      }
+    });
+
+    socket.on('unsubscribe', (ack) => {
+      this.leaveFilterRooms(socket);
+      socket.data.filter = null;
+
+      if (typeof ack === 'function') {
+        ack({ success: true });
+      }
+    });
+
+    socket.on('disconnect', () => {
+      console.log(`🔌 Client disconnected: ${socket.id}`);
+    });
+  }
+
+  /**
+   * Reemplaza la suscripción de un socket por un nuevo filtro
+   * @param {object} socket - Socket del cliente
+   * @param {object} filter - Filtro { vehicleId, vehicleType, minSeverity }
+   * @returns {object} Resultado de la suscripción
+   */
+  applySubscription(socket, filter) {
+    const normalized = this.normalizeFilter(filter);
+
+    if (normalized.error) {
+      return { success: false, error: normalized.error, validSeverities: SEVERITY_LEVELS };
+    }
+
+    this.leaveFilterRooms(socket);
+    socket.join(this.buildRoomName(normalized.vehicleId, normalized.vehicleType, normalized.minSeverity));
+    socket.data.filter = normalized;
+
+    return { success: true, filter: normalized };
+  }
+
+  /**
+   * Normaliza el filtro recibido del cliente
+   * @param {object} filter - Filtro sin procesar
+   * @returns {object} Filtro normalizado o { error }
+   */
+  normalizeFilter(filter) {
+    const source = filter && typeof filter === 'object' ? filter : {};
+    const minSeverity = source.minSeverity ? String(source.minSeverity).toUpperCase() : ANY;
+
+    if (minSeverity !== ANY && !SEVERITY_LEVELS.includes(minSeverity)) {
+      return { error: `Invalid minSeverity: ${source.minSeverity}` };
+    }
+
+    return {
+      vehicleId: source.vehicleId ? String(source.vehicleId).trim() : ANY,
+      vehicleType: source.vehicleType ? String(source.vehicleType).trim() : ANY,
+      minSeverity
+    };
+  }
+
+  /**
+   * Sale de todas las salas de filtro del socket
+   * @param {object} socket - Socket del cliente
+   */
+  leaveFilterRooms(socket) {
+    for (const room of socket.rooms) {
+      if (room.startsWith('filter:')) {
+        socket.leave(room);
+      }
+    }
+  }
+
+  /**
+   * Construye el nombre de sala para una combinación de filtros
+   * @returns {string} Nombre de la sala
+   */
+  buildRoomName(vehicleId, vehicleType, minSeverity) {
+    return `filter:${vehicleId}|${vehicleType}|${minSeverity}`;
+  }
+
+  /**
+   * Calcula las salas que deben recibir un evento
+   * @param {object} target - { vehicleId, vehicleType, severity }
+   * @returns {Array} Nombres de sala
+   */
+  resolveRooms({ vehicleId, vehicleType, severity }) {
+    const vehicleIds = vehicleId ? [vehicleId, ANY] : [ANY];
+    const vehicleTypes = vehicleType ? [vehicleType, ANY] : [ANY];
+
+    // Eventos sin severidad (registros de velocidad) llegan a cualquier nivel mínimo
+    let severities = [ANY, ...SEVERITY_LEVELS];
+    if (severity && SEVERITY_LEVELS.includes(severity)) {
+      severities = [ANY, ...SEVERITY_LEVELS.slice(0, SEVERITY_LEVELS.indexOf(severity) + 1)];
+    }
+
+    const rooms = [];
+    for (const id of vehicleIds) {
+      for (const type of vehicleTypes) {
+        for (const level of severities) {
+          rooms.push(this.buildRoomName(id, type, level));
+        }
+      }
+    }
+
+    return rooms;
+  }
+
+  /**
+   * Emite un evento a las salas que coinciden con el objetivo
+   * @param {string} event - Nombre del evento
+   * @param {object} target - Datos de enrutamiento
+   * @param {object} payload - Datos del evento
+   */
+  emitFiltered(event, target, payload) {
+    this.io.to(this.resolveRooms(target)).emit(event, payload);
+    this.emittedCount++;
+  }
+
+  /**
+   * Emite un registro de velocidad procesado
+   * @param {object} speedData - Datos de velocidad validados
+   */
+  emitSpeedRecord(speedData) {
+    this.emitFiltered('speed:record', {
+      vehicleId: speedData.vehicleId,
+      vehicleType: speedData.vehicleType
+    }, speedData);
+  }
+
+  /**
+   * Emite una alerta recién creada
+   * @param {object} alert - Alerta creada
+   */
+  emitAlertCreated(alert) {
+    this.emitFiltered('alert:created', {
+      vehicleId: alert.vehicleId,
+      vehicleType: alert.vehicleType,
+      severity: alert.severity
+    }, alert);
+  }
+
+  /**
+   * Emite la actualización de una alerta existente
+   * @param {object} alert - Alerta actualizada (debe incluir vehicleId y severity)
+   */
+  emitAlertUpdated(alert) {
+    this.emitFiltered('alert:updated', {
+      vehicleId: alert.vehicleId || alert.vehicle_id,
+      vehicleType: alert.vehicleType || alert.vehicle_type,
+      severity: alert.severity
+    }, alert);
+  }
+
+  /**
+   * Emite el estado del procesador a todos los clientes
+   * @param {object} status - Estado del procesador
+   */
+  emitProcessorStatus(status) {
+    this.io.emit('processor:status', status);
+    this.emittedCount++;
+  }
+
+  /**
+   * Handler de notificaciones para el AlertSystem
+   * @param {object} alert - Alerta creada
+   */
+  async sendNotification(alert) {
+    this.emitAlertCreated(alert);
+  }
+
+  /**
+   * Handler de actualizaciones para el AlertSystem
+   * @param {object} alert - Alerta actualizada
+   */
+  async sendUpdate(alert) {
+    this.emitAlertUpdated(alert);
+  }
+
+  /**
+   * Obtiene estadísticas del notificador
+   * @returns {object} Estadísticas
+   */
+  getStats() {
+    return {
+      connectedClients: this.io.engine ? this.io.engine.clientsCount : 0,
+      emittedCount: this.emittedCount
+    };
+  }
+}
+
+module.exports = RealtimeNotifier;
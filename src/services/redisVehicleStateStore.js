@@ -0,0 +1,171 @@
+const { WatchError } = require('redis');
+const VehicleStateStore = require('./vehicleStateStore');
+const redisConnection = require('../config/redis');
+const config = require('../config/config');
+
+/**
+ * Almacén de estado de vehículos compartido en Redis
+ * Principio: Liskov Substitution - Sustituye al VehicleStateStore en memoria
+ * Principio: Dependency Inversion - Recibe el cliente Redis por inyección
+ *
+ * Permite que varias instancias del procesador (suscripciones compartidas MQTT 5)
+ * vean el mismo estado por vehículo. Las actualizaciones usan WATCH/MULTI y se
+ * reintentan si otra instancia modificó el mismo vehículo entre la lectura y la escritura.
+ */
+class RedisVehicleStateStore extends VehicleStateStore {
+  constructor(client = redisConnection.client) {
+    super();
+    this.type = 'redis';
+    this.client = client;
+    this.keyPrefix = `${config.get('redis.keyPrefix')}vehicle:state:`;
+    this.lastSeenPrefix = `${config.get('redis.keyPrefix')}vehicle:lastseen:`;
+    this.claimPrefix = `${config.get('redis.keyPrefix')}claim:`;
+    this.ttl = config.get('redis.ttl.vehicleState');
+    this.maxRetries = 10;
+    this.conflictCount = 0;
+  }
+
+  /**
+   * Conecta el cliente Redis si aún no está abierto
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    if (!this.client.isOpen) {
+      await this.client.connect();
+    }
+  }
+
+  /**
+   * Cierra el cliente Redis
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.client.isOpen) {
+      await this.client.quit();
+    }
+  }
+
+  /**
+   * Construye la clave Redis de un vehículo
+   * @param {string} vehicleId - ID del vehículo
+   * @returns {string} Clave Redis
+   */
+  buildKey(vehicleId) {
+    return `${this.keyPrefix}${vehicleId}`;
+  }
+
+  /**
+   * Obtiene el estado de un vehículo
+   * @param {string} vehicleId - ID del vehículo
+   * @returns {Promise<object|null>} Estado o null
+   */
+  async get(vehicleId) {
+    const raw = await this.client.get(this.buildKey(vehicleId));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * Actualiza el estado de un vehículo con control optimista de concurrencia
+   * @param {string} vehicleId - ID del vehículo
+   * @param {function} mutator - Recibe el estado actual (o null) y retorna el nuevo estado
+   * @returns {Promise<object>} Estado actualizado
+   */
+  async update(vehicleId, mutator) {
+    const key = this.buildKey(vehicleId);
+
+    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      try {
+        const next = await this.client.executeIsolated(async (isolatedClient) => {
+          await isolatedClient.watch(key);
+
+          const raw = await isolatedClient.get(key);
+          const state = mutator(raw ? JSON.parse(raw) : null);
+
+          await isolatedClient
+            .multi()
+            .set(key, JSON.stringify(state), { EX: this.ttl })
+            .exec();
+
+          return state;
+        });
+
+        // Registro local para estadísticas de esta instancia
+        this.states.set(vehicleId, true);
+        return next;
+
+      } catch (error) {
+        if (error instanceof WatchError) {
+          this.conflictCount++;
+          continue;
+        }
+        throw error;
+      }
+    }
+
+    throw new Error(`Could not update state for vehicle ${vehicleId}: too many concurrent updates`);
+  }
+
+  /**
+   * Obtiene todos los estados compartidos
+   * @returns {Promise<Array>} Estados de vehículos
+   */
+  async getAll() {
+    const keys = [];
+
+    for await (const key of this.client.scanIterator({ MATCH: `${this.keyPrefix}*`, COUNT: 100 })) {
+      keys.push(key);
+    }
+
+    if (keys.length === 0) {
+      return [];
+    }
+
+    const values = await this.client.mGet(keys);
+    return values.filter(Boolean).map(raw => JSON.parse(raw));
+  }
+
+  /**
+   * Registra el último reporte de un vehículo con su propio TTL
+   * @param {string} vehicleId - ID del vehículo
+   * @param {number} time - Momento del reporte (ms)
+   * @param {number} ttl - Milisegundos que se conserva el registro
+   * @returns {Promise<void>}
+   */
+  async setLastSeen(vehicleId, time, ttl) {
+    await this.client.set(`${this.lastSeenPrefix}${vehicleId}`, String(time), { PX: ttl });
+  }
+
+  /**
+   * Obtiene el último reporte registrado de un vehículo por cualquier instancia
+   * @param {string} vehicleId - ID del vehículo
+   * @returns {Promise<number|null>} Milisegundos o null
+   */
+  async getLastSeen(vehicleId) {
+    const raw = await this.client.get(`${this.lastSeenPrefix}${vehicleId}`);
+    return raw ? Number(raw) : null;
+  }
+
+  /**
+   * Reclama una acción con SET NX: solo una instancia la obtiene hasta que vence
+   * @param {string} name - Nombre único de la acción
+   * @param {number} ttl - Milisegundos que dura el reclamo
+   * @returns {Promise<boolean>} True si esta llamada obtuvo el reclamo
+   */
+  async claim(name, ttl) {
+    const result = await this.client.set(`${this.claimPrefix}${name}`, '1', { NX: true, PX: ttl });
+    return result === 'OK';
+  }
+
+  /**
+   * Elimina el estado de un vehículo
+   * @param {string} vehicleId - ID del vehículo
+   * @returns {Promise<boolean>} True si existía
+   */
+  async delete(vehicleId) {
+    this.states.delete(vehicleId);
+    const deleted = await this.client.del(this.buildKey(vehicleId));
+    return deleted > 0;
+  }
+}
+
+module.exports = RedisVehicleStateStore;
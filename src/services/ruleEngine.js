@@ -0,0 +1,285 @@
+const config = require('../config/config');
+const { getLocalTime, isWithinWindows } = require('../utils/timeWindows');
+
+const RANGE_OPERATORS = {
+  gt: (value, limit) => value > limit,
+  gte: (value, limit) => value >= limit,
+  lt: (value, limit) => value < limit,
+  lte: (value, limit) => value <= limit
+};
+
+/**
+ * Motor de reglas de alerta declarativas
+ * Principio: Single Responsibility - Solo decide qué regla aplica a una violación
+ * Principio: Open/Closed - Nuevos criterios de alerta se agregan como reglas, sin cambiar código
+ * Principio: Dependency Inversion - Recibe el repositorio por inyección
+ *
+ * Las reglas habilitadas se releen cada ALERT_RULES_REFRESH_INTERVAL ms o cuando la API de
+ * reglas las modifica, y se evalúan por evaluation_priority ascendente: la primera que
+ * coincide define severidad, prioridad, acción recomendada y descripción de la alerta.
+ * Sin repositorio (o si la base de datos no responde al iniciar) se usan las reglas
+ * predeterminadas, que también se siembran cuando la tabla alert_rules está vacía.
+ */
+class RuleEngine {
+  constructor(ruleRepository = null, options = {}) {
+    const rulesConfig = { ...config.getModule('rules'), ...options };
+
+    this.ruleRepository = ruleRepository; // Inyección de dependencia
+    this.timezone = options.timezone || config.get('fleet.timezone');
+    this.refreshInterval = rulesConfig.refreshInterval;
+    this.defaultRules = RuleEngine.buildDefaultRules(options.consecutiveLimit || config.get('alerts.consecutiveLimit'));
+    this.rules = this.defaultRules.map(rule => RuleEngine.toRow(rule));
+    this.source = 'defaults';
+    this.loadedAt = 0;
+    this.refreshing = null;
+  }
+
+  /**
+   * Reglas predeterminadas: reproducen las bandas de severidad históricas (10/25/50 %)
+   * y la escalada por violaciones consecutivas
+   * @param {number} consecutiveLimit - Violaciones consecutivas que escalan la alerta
+   * @returns {Array} Reglas en el formato de RuleValidator
+   */
+  static buildDefaultRules(consecutiveLimit = 3) {
+    const monitor = {
+      alertPriority: 'NORMAL',
+      recommendedAction: 'Monitor vehicle speed',
+      messageTemplate: 'Vehicle {vehicleId} exceeded speed limit by {exceedAmount} km/h{zoneText}'
+    };
+
+    return [
+      {
+        name: 'Critical speed',
+        evaluationPriority: 10,
+        conditions: { exceedPercentage: { gt: 50 } },
+        severity: 'CRITICAL',
+        alertPriority: 'CRITICAL',
+        recommendedAction: 'Emergency response required',
+        messageTemplate: 'CRITICAL: Vehicle {vehicleId} at {speed} km/h ({exceedPercentage}% over limit){zoneText}'
+      },
+      {
+        name: 'Consecutive violations',
+        evaluationPriority: 20,
+        conditions: { consecutiveCount: { gte: consecutiveLimit } },
+        severity: 'HIGH',
+        alertPriority: 'HIGH',
+        recommendedAction: 'Immediate intervention required',
+        messageTemplate: 'Vehicle {vehicleId} has {consecutiveCount} consecutive violations{zoneText}'
+      },
+      { name: 'High excess', evaluationPriority: 30, conditions: { exceedPercentage: { gt: 25 } }, severity: 'HIGH', ...monitor },
+      { name: 'Medium excess', evaluationPriority: 40, conditions: { exceedPercentage: { gt: 10 } }, severity: 'MEDIUM', ...monitor },
+      { name: 'Minor excess', evaluationPriority: 50, conditions: {}, severity: 'LOW', ...monitor }
+    ];
+  }
+
+  /**
+   * Convierte una regla en formato de RuleValidator a una fila como las de alert_rules
+   * @param {object} rule - Regla
+   * @returns {object} Fila sin rule_id ni versión
+   */
+  static toRow(rule) {
+    return {
+      rule_id: null,
+      version: null,
+      name: rule.name,
+      evaluation_priority: rule.evaluationPriority,
+      conditions: rule.conditions,
+      severity: rule.severity,
+      alert_priority: rule.alertPriority,
+      recommended_action: rule.recommendedAction,
+      message_template: rule.messageTemplate
+    };
+  }
+
+  /**
+   * Siembra las reglas predeterminadas si no hay reglas y carga la caché
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (!this.ruleRepository) {
+      return;
+    }
+
+    try {
+      const seeded = await this.ruleRepository.seedRules(this.defaultRules);
+      if (seeded > 0) {
+        console.log(`📐 Seeded ${seeded} default alert rules`);
+      }
+    } catch (error) {
+      console.warn(`⚠️  Unable to seed default alert rules: ${error.message}`);
+    }
+
+    await this.refresh();
+  }
+
+  /**
+   * Evalúa una violación contra las reglas en orden de prioridad
+   * @param {object} violation - Violación (speed, speedLimit, exceedAmount, exceedPercentage, consecutiveCount, late, vehicleType, zone, timestamp)
+   * @returns {Promise<object|null>} { id, version, name, severity, priority, recommendedAction, description, consecutive } o null si ninguna regla coincide
+   */
+  async evaluate(violation) {
+    if (this.ruleRepository && Date.now() - this.loadedAt >= this.refreshInterval) {
+      await this.refresh();
+    }
+
+    const facts = this.buildFacts(violation);
+    let localTime;
+    const getTime = () => {
+      if (localTime === undefined) {
+        localTime = getLocalTime(facts.timestamp, this.timezone);
+      }
+      return localTime;
+    };
+
+    const rule = this.rules.find(candidate => this.matches(candidate, facts, getTime));
+
+    if (!rule) {
+      return null;
+    }
+
+    return {
+      id: rule.rule_id,
+      version: rule.version,
+      name: rule.name,
+      severity: rule.severity,
+      priority: rule.alert_priority,
+      recommendedAction: rule.recommended_action,
+      description: this.render(rule.message_template, facts),
+      consecutive: Boolean((rule.conditions || {}).consecutiveCount) // La regla escala por violaciones consecutivas
+    };
+  }
+
+  /**
+   * Extrae de la violación los valores que usan condiciones y plantillas
+   * Las lecturas atrasadas no cuentan para la racha de violaciones consecutivas
+   * @param {object} violation - Violación
+   * @returns {object} Hechos a evaluar
+   */
+  buildFacts(violation) {
+    return {
+      vehicleId: violation.vehicleId,
+      vehicleType: (violation.vehicleType || 'unknown').toLowerCase(),
+      speed: violation.speed,
+      speedLimit: violation.speedLimit,
+      exceedAmount: violation.exceedAmount,
+      exceedPercentage: violation.exceedPercentage,
+      consecutiveCount: violation.late ? 0 : (violation.consecutiveCount || 0),
+      zoneId: violation.zone ? violation.zone.id : null,
+      zoneName: violation.zone ? violation.zone.name : null,
+      timestamp: violation.timestamp
+    };
+  }
+
+  /**
+   * Indica si una regla coincide con los hechos (todas sus condiciones se cumplen)
+   * @param {object} rule - Fila de alert_rules
+   * @param {object} facts - Hechos de la violación
+   * @param {function} getTime - Hora local del dispositivo (se calcula solo si hace falta)
+   * @returns {boolean} True si coincide
+   */
+  matches(rule, facts, getTime) {
+    const conditions = rule.conditions || {};
+
+    return Object.entries(conditions).every(([key, condition]) => {
+      switch (key) {
+        case 'vehicleTypes':
+          return condition.includes(facts.vehicleType);
+        case 'zoneIds':
+          return condition.includes(facts.zoneId);
+        case 'inZone':
+          return condition === Boolean(facts.zoneId);
+        case 'timeWindows':
+          return isWithinWindows(condition, getTime());
+        default:
+          return this.inRange(facts[key], condition);
+      }
+    });
+  }
+
+  /**
+   * Verifica un valor contra un rango { gt, gte, lt, lte }
+   * @param {number} value - Valor de la violación
+   * @param {object} range - Operadores del rango
+   * @returns {boolean} True si cumple todos los operadores
+   */
+  inRange(value, range) {
+    if (typeof value !== 'number' || isNaN(value)) {
+      return false;
+    }
+
+    return Object.entries(range).every(([operator, limit]) =>
+      RANGE_OPERATORS[operator] ? RANGE_OPERATORS[operator](value, limit) : false);
+  }
+
+  /**
+   * Completa la plantilla del mensaje con los datos de la violación
+   * @param {string} template - Plantilla con marcadores {campo}
+   * @param {object} facts - Hechos de la violación
+   * @returns {string} Descripción de la alerta
+   */
+  render(template, facts) {
+    const values = {
+      ...facts,
+      exceedAmount: typeof facts.exceedAmount === 'number' ? facts.exceedAmount.toFixed(1) : facts.exceedAmount,
+      zoneName: facts.zoneName || '',
+      zoneText: facts.zoneName ? ` in zone ${facts.zoneName}` : ''
+    };
+
+    return template.replace(/\{(\w+)\}/g, (placeholder, field) =>
+      values[field] !== undefined && values[field] !== null ? String(values[field]) : placeholder);
+  }
+
+  /**
+   * Fuerza la recarga en la próxima evaluación (tras cambios por la API)
+   */
+  invalidate() {
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Relee las reglas habilitadas (una sola lectura a la vez)
+   * @returns {Promise<void>}
+   */
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.load().finally(() => {
+        this.refreshing = null;
+      });
+    }
+
+    return this.refreshing;
+  }
+
+  /**
+   * Carga las reglas habilitadas desde el repositorio
+   * Si la lectura falla se conservan las últimas conocidas (al iniciar, las predeterminadas)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    try {
+      this.rules = await this.ruleRepository.getEnabledRules();
+      this.source = 'database';
+
+    } catch (error) {
+      console.warn(`⚠️  Unable to refresh alert rules, keeping ${this.rules.length} cached (${this.source}): ${error.message}`);
+
+    } finally {
+      this.loadedAt = Date.now();
+    }
+  }
+
+  /**
+   * Obtiene el estado de la caché de reglas
+   * @returns {object} Reglas cargadas y su origen
+   */
+  getStatus() {
+    return {
+      rules: this.rules.length,
+      source: this.source,
+      timezone: this.timezone,
+      loadedAt: this.loadedAt ? new Date(this.loadedAt) : null
+    };
+  }
+}
+
+module.exports = RuleEngine;
@@ -0,0 +1,209 @@
+const config = require('../config/config');
+
+const ALERT_TYPE = 'DATA_QUALITY';
+
+// Fallas de sensor detectadas
+const SENSOR_FAULTS = Object.freeze({
+  STUCK: 'STUCK_SENSOR',
+  SPIKE: 'SPEED_SPIKE',
+  ACCELERATION: 'IMPOSSIBLE_ACCELERATION'
+});
+
+/**
+ * Detector de fallas del sensor de velocidad sobre el historial del vehículo
+ * Principio: Single Responsibility - Solo clasifica lecturas sospechosas
+ * Principio: Open/Closed - Umbrales ajustables por configuración
+ *
+ * Trabaja sobre speedHistory (ordenado por timestamp del dispositivo) cada vez que
+ * llega una lectura en orden:
+ * - Sensor pegado: la misma velocidad distinta de cero durante SENSOR_STUCK_DURATION ms
+ * - Pico: una sola lectura que se aleja más de SENSOR_SPIKE_THRESHOLD km/h de sus dos
+ *   vecinas, que coinciden entre sí (ej: 40 → 180 → 40). Se confirma con la lectura siguiente
+ * - Aceleración imposible: cambio de velocidad mayor a SENSOR_MAX_ACCELERATION m/s²
+ * Las fallas son eventos de calidad de datos, no alertas de velocidad.
+ */
+class SensorFaultDetector {
+  constructor(options = {}) {
+    const faultConfig = { ...config.getModule('sensorFaults'), ...options };
+
+    this.enabled = faultConfig.enabled !== false;
+    this.stuckDuration = faultConfig.stuckDuration;
+    this.spikeThreshold = faultConfig.spikeThreshold;
+    this.maxAcceleration = faultConfig.maxAcceleration;
+    this.excludeSpikes = Boolean(faultConfig.excludeSpikes);
+  }
+
+  /**
+   * Evalúa la lectura más reciente del historial
+   * Marca en el historial los picos confirmados (spike: true) y, si SENSOR_EXCLUDE_SPIKES
+   * está activo, los excluye (excluded: true) del conteo de violaciones consecutivas.
+   * @param {Array} history - Buffer ordenado; la última entrada es la lectura nueva
+   * @param {object} faultState - Estado persistente del detector ({ stuckSpeed, stuckSince, stuckReported })
+   * @returns {Array} Fallas detectadas [{ fault, speed, timestamp, ...detalles, excludedViolation }]
+   */
+  detect(history, faultState) {
+    if (!this.enabled || history.length === 0) {
+      return [];
+    }
+
+    const faults = [];
+    const current = history[history.length - 1];
+    const previous = history.length > 1 ? history[history.length - 2] : null;
+    const beforePrevious = history.length > 2 ? history[history.length - 3] : null;
+
+    const stuck = this.detectStuck(current, faultState);
+    if (stuck) {
+      faults.push(stuck);
+    }
+
+    const spike = this.detectSpike(beforePrevious, previous, current);
+    if (spike) {
+      faults.push(spike);
+    }
+
+    // La vuelta de un pico ya explica el salto: no se reporta también como aceleración
+    const acceleration = spike ? null : this.detectAcceleration(previous, current);
+    if (acceleration) {
+      faults.push(acceleration);
+    }
+
+    return faults;
+  }
+
+  /**
+   * Detecta un sensor que repite el mismo valor distinto de cero
+   * @param {object} current - Lectura nueva
+   * @param {object} faultState - Estado persistente del detector (se modifica)
+   * @returns {object|null} Falla o null
+   */
+  detectStuck(current, faultState) {
+    if (current.speed <= 0 || current.speed !== faultState.stuckSpeed) {
+      faultState.stuckSpeed = current.speed > 0 ? current.speed : null;
+      faultState.stuckSince = current.timestamp;
+      faultState.stuckReported = false;
+      return null;
+    }
+
+    const duration = this.toTime(current.timestamp) - this.toTime(faultState.stuckSince);
+
+    if (faultState.stuckReported || duration < this.stuckDuration) {
+      return null;
+    }
+
+    // Una sola vez por episodio
+    faultState.stuckReported = true;
+
+    return {
+      fault: SENSOR_FAULTS.STUCK,
+      speed: current.speed,
+      timestamp: current.timestamp,
+      since: faultState.stuckSince,
+      durationMs: duration
+    };
+  }
+
+  /**
+   * Detecta un pico de una sola lectura (se evalúa la penúltima con sus dos vecinas)
+   * @param {object|null} before - Lectura anterior al candidato
+   * @param {object|null} candidate - Posible pico
+   * @param {object} after - Lectura nueva
+   * @returns {object|null} Falla o null
+   */
+  detectSpike(before, candidate, after) {
+    if (!before || !candidate || candidate.spike) {
+      return null;
+    }
+
+    const rise = candidate.speed - before.speed;
+    const fall = candidate.speed - after.speed;
+    const sameDirection = Math.sign(rise) === Math.sign(fall);
+    const neighboursAgree = Math.abs(before.speed - after.speed) <= this.spikeThreshold / 2;
+
+    if (!sameDirection || !neighboursAgree || Math.abs(rise) <= this.spikeThreshold || Math.abs(fall) <= this.spikeThreshold) {
+      return null;
+    }
+
+    const excludedViolation = this.excludeSpikes && candidate.violation;
+
+    candidate.spike = true;
+    candidate.excluded = this.excludeSpikes;
+
+    return {
+      fault: SENSOR_FAULTS.SPIKE,
+      speed: candidate.speed,
+      timestamp: candidate.timestamp,
+      neighbours: [before.speed, after.speed],
+      excludedViolation
+    };
+  }
+
+  /**
+   * Detecta un cambio de velocidad físicamente imposible entre dos lecturas
+   * @param {object|null} previous - Lectura anterior
+   * @param {object} current - Lectura nueva
+   * @returns {object|null} Falla o null
+   */
+  detectAcceleration(previous, current) {
+    if (!previous) {
+      return null;
+    }
+
+    // Los equipos suelen fechar con resolución de segundos: intervalo mínimo de 1 s
+    const seconds = Math.max(this.toTime(current.timestamp) - this.toTime(previous.timestamp), 1000) / 1000;
+    const acceleration = ((current.speed - previous.speed) / 3.6) / seconds;
+
+    if (Math.abs(acceleration) <= this.maxAcceleration) {
+      return null;
+    }
+
+    return {
+      fault: SENSOR_FAULTS.ACCELERATION,
+      speed: current.speed,
+      timestamp: current.timestamp,
+      previousSpeed: previous.speed,
+      accelerationMps2: Math.round(acceleration * 100) / 100
+    };
+  }
+
+  /**
+   * Construye los datos de la alerta DATA_QUALITY de una falla
+   * @param {object} speedData - Lectura que reveló la falla
+   * @param {object} fault - Falla detectada
+   * @returns {object} Datos para AlertSystem.raiseAlert
+   */
+  buildAlert(speedData, fault) {
+    const descriptions = {
+      [SENSOR_FAULTS.STUCK]: `Vehicle ${speedData.vehicleId} speed sensor stuck at ${fault.speed} km/h for ${Math.round((fault.durationMs || 0) / 60000)} min`,
+      [SENSOR_FAULTS.SPIKE]: `Vehicle ${speedData.vehicleId} reported a single-sample spike of ${fault.speed} km/h`,
+      [SENSOR_FAULTS.ACCELERATION]: `Vehicle ${speedData.vehicleId} changed speed at ${fault.accelerationMps2} m/s²`
+    };
+
+    return {
+      type: ALERT_TYPE,
+      severity: 'LOW',
+      vehicleId: speedData.vehicleId,
+      vehicleType: speedData.vehicleType || 'unknown',
+      speed: fault.speed,
+      // Un pico se confirma con la lectura siguiente: su posición no es la de speedData
+      location: fault.fault === SENSOR_FAULTS.SPIKE ? null : speedData.location || null,
+      timestamp: fault.timestamp,
+      recommendedAction: 'Check speed sensor calibration and wiring',
+      description: descriptions[fault.fault],
+      additionalData: fault
+    };
+  }
+
+  /**
+   * Convierte un timestamp a milisegundos
+   * @param {string|number|Date} timestamp - Timestamp del dispositivo
+   * @returns {number} Milisegundos desde epoch
+   */
+  toTime(timestamp) {
+    return new Date(timestamp).getTime();
+  }
+}
+
+SensorFaultDetector.ALERT_TYPE = ALERT_TYPE;
+SensorFaultDetector.SENSOR_FAULTS = SENSOR_FAULTS;
+
+module.exports = SensorFaultDetector;
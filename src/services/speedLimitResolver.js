@@ -0,0 +1,106 @@
+const config = require('../config/config');
+
+/**
+ * Resolución del límite de velocidad aplicable a una lectura
+ * Principio: Single Responsibility - Solo decide qué límite aplica a cada vehículo
+ * Principio: Dependency Inversion - Recibe la configuración de vehículos, las zonas y los horarios por inyección
+ *
+ * Límite del vehículo: vehicles.speed_limit_override, límite de su tipo según
+ * ALERT_SPEED_LIMITS o el límite general (ALERT_SPEED_LIMIT). El tipo es el registrado
+ * en la tabla vehicles; si el vehículo no está registrado, el informado en el payload.
+ * Si la lectura cae en una zona de velocidad activa, aplica el menor entre el límite
+ * de la zona más restrictiva y el del vehículo.
+ * Un horario vigente en el timestamp del dispositivo reemplaza el límite de su alcance
+ * (general, tipo de vehículo o zona); el override por vehículo no se programa.
+ */
+class SpeedLimitResolver {
+  constructor(vehicleSettings = null, zoneService = null, scheduleService = null, options = {}) {
+    this.vehicleSettings = vehicleSettings; // Inyección de dependencia
+    this.zoneService = zoneService; // Inyección de dependencia
+    this.scheduleService = scheduleService; // Inyección de dependencia
+    this.limitsByType = options.limitsByType || config.get('alerts.speedLimitsByType') || {};
+  }
+
+  /**
+   * Obtiene el límite de velocidad de una lectura
+   * @param {object} speedData - Datos de velocidad validados (vehicleId, vehicleType, location, timestamp)
+   * @param {number} defaultLimit - Límite general vigente
+   * @returns {Promise<object>} { speedLimit, source: 'zone' | 'vehicle' | 'type' | 'default', zone, schedule }
+   */
+  async resolve(speedData, defaultLimit) {
+    const schedules = this.scheduleService ? await this.scheduleService.getSchedulesInForce(speedData.timestamp) : [];
+    const vehicleLimit = await this.resolveVehicleLimit(speedData, defaultLimit, schedules);
+    const zone = this.zoneService
+      ? await this.zoneService.findTightestZone(speedData.location, speedData.timestamp, zoneRow => this.resolveZoneLimit(zoneRow, schedules))
+      : null;
+
+    // La zona queda registrada aunque el límite del vehículo sea más restrictivo
+    if (zone && zone.speedLimit < vehicleLimit.speedLimit) {
+      const scheduled = this.scheduledLimit(schedules, 'zone', zone.id);
+      return { speedLimit: zone.speedLimit, source: 'zone', zone, schedule: scheduled ? scheduled.schedule : null };
+    }
+
+    return { ...vehicleLimit, zone };
+  }
+
+  /**
+   * Obtiene el límite propio del vehículo, sin zonas
+   * @param {object} speedData - Datos de velocidad validados (vehicleId, vehicleType)
+   * @param {number} defaultLimit - Límite general vigente
+   * @param {Array} schedules - Horarios vigentes en el timestamp de la lectura
+   * @returns {Promise<object>} { speedLimit, source: 'vehicle' | 'type' | 'default', schedule }
+   */
+  async resolveVehicleLimit(speedData, defaultLimit, schedules = []) {
+    const settings = this.vehicleSettings ? await this.vehicleSettings.get(speedData.vehicleId) : null;
+
+    // DECIMAL llega como string desde pg; NULL significa sin override
+    const override = settings ? Number(settings.speed_limit_override) : 0;
+    if (override > 0) {
+      return { speedLimit: override, source: 'vehicle', schedule: null };
+    }
+
+    const vehicleType = settings && settings.vehicle_type ? settings.vehicle_type : speedData.vehicleType;
+    const scheduledType = this.scheduledLimit(schedules, 'vehicle_type', vehicleType);
+    if (scheduledType) {
+      return { speedLimit: scheduledType.speedLimit, source: 'type', schedule: scheduledType.schedule };
+    }
+
+    const typeLimit = Number(this.limitsByType[vehicleType]);
+    if (typeLimit > 0) {
+      return { speedLimit: typeLimit, source: 'type', schedule: null };
+    }
+
+    const scheduledDefault = this.scheduledLimit(schedules, 'global');
+    if (scheduledDefault) {
+      return { speedLimit: scheduledDefault.speedLimit, source: 'default', schedule: scheduledDefault.schedule };
+    }
+
+    return { speedLimit: defaultLimit, source: 'default', schedule: null };
+  }
+
+  /**
+   * Obtiene el límite vigente de una zona
+   * @param {object} zone - Fila de speed_zones
+   * @param {Array} schedules - Horarios vigentes en el timestamp de la lectura
+   * @returns {number} Límite en km/h
+   */
+  resolveZoneLimit(zone, schedules) {
+    const scheduled = this.scheduledLimit(schedules, 'zone', zone.id);
+
+    // DECIMAL llega como string desde pg
+    return scheduled ? scheduled.speedLimit : Number(zone.speed_limit);
+  }
+
+  /**
+   * Límite programado de un alcance
+   * @param {Array} schedules - Horarios vigentes
+   * @param {string} scope - 'global', 'vehicle_type' o 'zone'
+   * @param {string|null} key - Tipo de vehículo o ID de zona
+   * @returns {object|null} { speedLimit, schedule } o null
+   */
+  scheduledLimit(schedules, scope, key = null) {
+    return this.scheduleService && schedules.length > 0 ? this.scheduleService.limitFor(schedules, scope, key) : null;
+  }
+}
+
+module.exports = SpeedLimitResolver;
@@ -0,0 +1,139 @@
+const config = require('../config/config');
+const { getLocalTime, isWithinWindows } = require('../utils/timeWindows');
+
+/**
+ * Horarios de límites de velocidad en memoria
+ * Principio: Single Responsibility - Solo decide qué horarios están vigentes en un momento
+ * Principio: Dependency Inversion - Recibe el repositorio por inyección
+ *
+ * Los horarios habilitados y los feriados se releen cada SPEED_SCHEDULES_REFRESH_INTERVAL ms
+ * o cuando la API de horarios los modifica. La vigencia se evalúa con el timestamp del
+ * dispositivo en FLEET_TIMEZONE. En un feriado (según la fecha local de la lectura) solo
+ * aplican los horarios con apply_on_holidays.
+ */
+class SpeedLimitScheduleService {
+  constructor(scheduleRepository, options = {}) {
+    const schedulesConfig = { ...config.getModule('schedules'), ...options };
+
+    this.scheduleRepository = scheduleRepository; // Inyección de dependencia
+    this.enabled = schedulesConfig.enabled !== false;
+    this.timezone = options.timezone || config.get('fleet.timezone');
+    this.refreshInterval = schedulesConfig.refreshInterval;
+    this.schedules = [];
+    this.holidays = new Set(); // Fechas 'YYYY-MM-DD'
+    this.loadedAt = 0;
+    this.refreshing = null;
+  }
+
+  /**
+   * Obtiene los horarios vigentes en un momento
+   * @param {string|number|Date} timestamp - Momento de la lectura (del dispositivo)
+   * @returns {Promise<Array>} Filas de speed_limit_schedules
+   */
+  async getSchedulesInForce(timestamp) {
+    if (!this.enabled) {
+      return [];
+    }
+
+    if (Date.now() - this.loadedAt >= this.refreshInterval) {
+      await this.refresh();
+    }
+
+    if (this.schedules.length === 0) {
+      return [];
+    }
+
+    const localTime = getLocalTime(timestamp, this.timezone);
+    const isHoliday = Boolean(localTime) && this.holidays.has(localTime.date);
+
+    return this.schedules.filter(schedule =>
+      (!isHoliday || schedule.apply_on_holidays) && isWithinWindows(schedule.windows, localTime));
+  }
+
+  /**
+   * Límite programado de un alcance (el menor si hay varios horarios vigentes)
+   * @param {Array} schedules - Horarios vigentes (getSchedulesInForce)
+   * @param {string} scope - 'global', 'vehicle_type' o 'zone'
+   * @param {string|null} key - Tipo de vehículo o ID de zona (null para global)
+   * @returns {object|null} { speedLimit, schedule: { id, name } } o null si no hay horario vigente
+   */
+  limitFor(schedules, scope, key = null) {
+    const matching = schedules.filter(schedule =>
+      schedule.scope === scope &&
+      (scope !== 'vehicle_type' || schedule.vehicle_type === key) &&
+      (scope !== 'zone' || schedule.zone_id === key));
+
+    if (matching.length === 0) {
+      return null;
+    }
+
+    // DECIMAL llega como string desde pg
+    const tightest = matching.reduce((best, schedule) =>
+      Number(schedule.speed_limit) < Number(best.speed_limit) ? schedule : best);
+
+    return {
+      speedLimit: Number(tightest.speed_limit),
+      schedule: { id: tightest.id, name: tightest.name }
+    };
+  }
+
+  /**
+   * Fuerza la recarga en la próxima consulta (tras cambios por la API)
+   */
+  invalidate() {
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Relee horarios y feriados (una sola lectura a la vez)
+   * @returns {Promise<void>}
+   */
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.load().finally(() => {
+        this.refreshing = null;
+      });
+    }
+
+    return this.refreshing;
+  }
+
+  /**
+   * Carga horarios y feriados desde el repositorio
+   * Si la lectura falla se conservan los últimos conocidos
+   * @returns {Promise<void>}
+   */
+  async load() {
+    try {
+      const [schedules, holidays] = await Promise.all([
+        this.scheduleRepository.getActiveSchedules(),
+        this.scheduleRepository.listHolidays()
+      ]);
+
+      this.schedules = schedules;
+      this.holidays = new Set(holidays.map(holiday => holiday.date));
+
+    } catch (error) {
+      console.warn(`⚠️  Unable to refresh speed limit schedules, keeping ${this.schedules.length} cached: ${error.message}`);
+
+    } finally {
+      this.loadedAt = Date.now();
+    }
+  }
+
+  /**
+   * Obtiene el estado de la caché de horarios
+   * @returns {object} Horarios y feriados cargados
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      timezone: this.timezone,
+      schedules: this.schedules.length,
+      holidays: this.holidays.size,
+      loadedAt: this.loadedAt ? new Date(this.loadedAt) : null
+    };
+  }
+}
+
+module.exports = SpeedLimitScheduleService;
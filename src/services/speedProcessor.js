@@ -1,5 +1,18 @@
 const SimpleSpeedValidator = require('../validators/simpleSpeedValidator');
+const VehicleStateStore = require('./vehicleStateStore');
+const DuplicateDetector = require('./duplicateDetector');
+const GpsSpeedCrossCheck = require('./gpsSpeedCrossCheck');
+const SensorFaultDetector = require('./sensorFaultDetector');
+const SpeedLimitResolver = require('./speedLimitResolver');
+const RuleEngine = require('./ruleEngine');
+const SpeedingEpisodeTracker = require('./speedingEpisodeTracker');
+const MqttClient = require('./mqttClient');
 const config = require('../config/config');
+const { SPEED_UNITS, normalizeUnit } = require('../utils/speedUnits');
+const { toLatLng } = require('../utils/geo');
+
+// Máximo que admite alerts.exceed_percentage DECIMAL(7,2) (límites de zona u horario muy bajos)
+const MAX_EXCEED_PERCENTAGE = 99999.99;
 
 /**
  * Procesador de datos de velocidad siguiendo principios SOLID
@@ -8,27 +21,53 @@ const config = require('../config/config');
  * Principio: Dependency Inversion - Depende de abstracciones
  */
 class SpeedProcessor {
-  constructor(alertSystem = null, dataStore = null) {
+  constructor(alertSystem = null, dataStore = null, options = {}) {
     this.validator = new SimpleSpeedValidator();
     this.alertSystem = alertSystem; // Inyección de dependencia
     this.dataStore = dataStore; // Inyección de dependencia
-    this.vehicleStates = new Map(); // Estado en memoria de vehículos
+    // Estado por vehículo: en memoria o compartido entre instancias (Redis)
+    this.vehicleStates = options.stateStore || new VehicleStateStore();
+    this.spool = options.spool || null; // Spool en disco si la base de datos no está disponible
+    this.duplicateDetector = options.duplicateDetector || new DuplicateDetector();
+    this.vehicleSettings = options.vehicleSettings || null; // Configuración de la tabla vehicles (unidad y límite)
+    this.zoneService = options.zoneService || null; // Zonas de velocidad geocercadas
+    this.scheduleService = options.scheduleService || null; // Horarios de límites de velocidad
+    this.speedLimitResolver = options.speedLimitResolver ||
+      new SpeedLimitResolver(this.vehicleSettings, this.zoneService, this.scheduleService);
+    this.ruleEngine = options.ruleEngine || new RuleEngine(); // Reglas de alerta (predeterminadas sin repositorio)
+    this.crossCheck = options.crossCheck || new GpsSpeedCrossCheck();
+    this.faultDetector = options.faultDetector || new SensorFaultDetector();
+    this.episodeTracker = options.episodeTracker || new SpeedingEpisodeTracker();
+    this.episodeStore = options.episodeStore || null; // Repositorio de episodios de exceso de velocidad
+    this.alertMode = config.get('alerts.mode'); // reading | episode
+    this.topicUnits = config.get('units.topicDefaults') || {};
     this.speedLimit = config.get('alerts.speedLimit');
     this.consecutiveLimit = config.get('alerts.consecutiveLimit');
     this.timeWindow = config.get('alerts.timeWindow');
+    this.reorderWindow = config.get('alerts.reorderWindow');
+    this.reorderBufferSize = config.get('alerts.reorderBufferSize');
+    this.batchMaxSize = config.get('ingestion.batchMaxSize');
     this.processedCount = 0;
     this.violationCount = 0;
+    this.duplicateCount = 0;
+    this.lateCount = 0;
+    this.reorderedCount = 0;
+    this.sensorMismatchCount = 0;
+    this.sensorFaultCounts = {};
+    this.episodeCount = 0;
   }
 
   /**
    * Procesa un mensaje individual de velocidad
    * @param {object} rawData - Datos sin procesar
+   * @param {object} context - Contexto de recepción (ej: topicVehicleId, topic)
    * @returns {object} Resultado del procesamiento
    */
-  async processSpeedData(rawData) {
+  async processSpeedData(rawData, context = {}) {
     try {
-      // Validar datos
-      const validationResult = this.validator.validateSpeedData(rawData);
+      // Validar datos (la velocidad se convierte a km/h)
+      const defaultUnit = await this.resolveDefaultUnit(rawData, context);
+      const validationResult = this.validator.validateSpeedData(rawData, { ...context, defaultUnit });
       
       if (!validationResult.isValid) {
         return {
@@ -40,29 +79,65 @@ class SpeedProcessor {
       }
 
       const speedData = validationResult.data;
+      speedData.dedupKey = DuplicateDetector.buildKey(speedData);
+      // Límite vigente para el vehículo: se guarda en speed_records.speed_limit
+      await this.applySpeedLimit(speedData);
+
+      // Reentrega reciente: no se almacena ni modifica el estado del vehículo
+      if (this.duplicateDetector.isRecent(speedData.dedupKey)) {
+        return this.buildDuplicateResult(speedData);
+      }
+
+      // Almacenar primero: la restricción UNIQUE detecta duplicados fuera de la ventana en memoria
+      let spooled = false;
+      if (this.dataStore) {
+        const persisted = await this.persist('speed_record', speedData, () => this.dataStore.saveSpeedRecord(speedData));
+        spooled = persisted.spooled;
+
+        if (!spooled && !persisted.result) {
+          this.duplicateDetector.remember(speedData.dedupKey);
+          return this.buildDuplicateResult(speedData);
+        }
+      }
+
+      this.duplicateDetector.remember(speedData.dedupKey);
       this.processedCount++;
 
-      // Actualizar estado del vehículo
-      const vehicleState = this.updateVehicleState(speedData);
+      // Actualizar estado del vehículo (en orden de timestamp del dispositivo)
+      const vehicleState = await this.updateVehicleState(speedData);
+      speedData.late = vehicleState.reading.late;
+      await this.saveEpisode(vehicleState.reading.closedEpisode);
 
       // Verificar violaciones de velocidad
-      const violation = this.checkSpeedViolation(speedData, vehicleState);
+      const violation = await this.checkSpeedViolation(speedData, vehicleState);
 
-      // Almacenar en base de datos si hay dataStore disponible
-      if (this.dataStore) {
-        await this.dataStore.saveSpeedRecord(speedData);
-      }
+      // Contrastar la velocidad reportada con la posición GPS
+      const sensorMismatch = this.checkSensorMismatch(speedData, vehicleState);
 
-      // Generar alertas si es necesario
-      if (violation && this.alertSystem) {
+      // Generar alertas si es necesario (en modo episodio, solo al superar los umbrales)
+      if (violation && violation.alertable && this.alertSystem) {
         await this.alertSystem.processViolation(violation);
       }
 
+      if (sensorMismatch && this.alertSystem) {
+        await this.alertSystem.raiseAlert(sensorMismatch);
+      }
+
+      // Fallas del sensor: eventos de calidad de datos
+      const sensorFaults = this.checkSensorFaults(speedData, vehicleState);
+
+      for (const fault of this.alertSystem ? sensorFaults : []) {
+        await this.alertSystem.raiseAlert(fault);
+      }
+
       return {
         success: true,
         data: speedData,
         vehicleState,
         violation,
+        sensorMismatch,
+        sensorFaults,
+        spooled,
         stats: this.getProcessingStats()
       };
 
@@ -78,191 +153,697 @@ class SpeedProcessor {
     }
   }
 
+  /**
+   * Asigna a una lectura su límite de velocidad (zona, vehículo, tipo o general)
+   * El límite es el vigente en el timestamp del dispositivo, no al momento de recibirla
+   * @param {object} speedData - Datos de velocidad validados (se modifica: speedLimit y zone)
+   * @returns {Promise<void>}
+   */
+  async applySpeedLimit(speedData) {
+    const { speedLimit, zone } = await this.speedLimitResolver.resolve(speedData, this.speedLimit);
+    speedData.speedLimit = speedLimit;
+    speedData.zone = zone || null;
+  }
+
+  /**
+   * Determina la unidad de un payload que no incluye `unit`
+   * Prioridad: unidad del vehículo (tabla vehicles), unidad del tópico y km/h
+   * @param {object} rawData - Datos sin procesar
+   * @param {object} context - Contexto de recepción (topicVehicleId, topic)
+   * @returns {Promise<string>} Unidad canónica
+   */
+  async resolveDefaultUnit(rawData, context = {}) {
+    const vehicleId = rawData && typeof rawData.vehicleId === 'string'
+      ? rawData.vehicleId.trim()
+      : context.topicVehicleId;
+
+    if (this.vehicleSettings && vehicleId) {
+      const settings = await this.vehicleSettings.get(vehicleId);
+
+      if (settings && normalizeUnit(settings.speed_unit)) {
+        return normalizeUnit(settings.speed_unit);
+      }
+    }
+
+    if (context.topic) {
+      for (const [filter, unit] of Object.entries(this.topicUnits)) {
+        if (MqttClient.topicMatches(filter, context.topic)) {
+          return normalizeUnit(unit);
+        }
+      }
+    }
+
+    return SPEED_UNITS.KMH;
+  }
+
   /**
    * Procesa un lote de mensajes de velocidad
+   * Los items válidos se procesan en orden, se almacenan en una sola transacción
+   * y pasan por el sistema de alertas; los inválidos se reportan individualmente.
+   * @param {array} rawDataArray - Array de datos sin procesar
+   * @param {object} context - Contexto de recepción (ej: topic)
+   * @returns {object} Resultado del procesamiento en lote con reporte por item
+   */
+  async processBatch(rawDataArray, context = {}) {
+    const stored = await this.storeBatch(rawDataArray, context);
+
+    if (!stored.success) {
+      return stored;
+    }
+
+    try {
+      const processed = await this.processStoredRecords(stored.records);
+      return this.buildBatchReport(stored, processed);
+
+    } catch (error) {
+      console.error('Error processing batch:', error);
+      return this.buildBatchFailure(stored.total, error.message);
+    }
+  }
+
+  /**
+   * Valida un lote y almacena sus registros nuevos en una sola transacción
+   * No modifica el estado de los vehículos: eso lo hace processStoredRecords.
    * @param {array} rawDataArray - Array de datos sin procesar
-   * @returns {object} Resultado del procesamiento en lote
+   * @param {object} context - Contexto de recepción (ej: topic)
+   * @returns {Promise<object>} { success, total, items, records: [{ index, data, recordId }], duplicates, spooled }
    */
-  async processBatch(rawDataArray) {
+  async storeBatch(rawDataArray, context = {}) {
+    const totalCount = Array.isArray(rawDataArray) ? rawDataArray.length : 0;
+
     try {
-      const batchValidation = this.validator.validateBatch(rawDataArray);
+      const contexts = totalCount > 0 && totalCount <= this.batchMaxSize
+        ? await Promise.all(rawDataArray.map(async item => ({
+          ...context,
+          defaultUnit: await this.resolveDefaultUnit(item, context)
+        })))
+        : [];
+      const batchValidation = this.validator.validateBatch(rawDataArray, this.batchMaxSize, contexts);
       
       if (!batchValidation.isValid) {
         return {
           success: false,
           error: 'Batch validation failed',
           details: batchValidation.errors,
-          validCount: 0,
-          totalCount: rawDataArray.length
+          results: [],
+          stats: { total: totalCount, accepted: 0, rejected: totalCount, duplicates: 0, violations: 0 }
         };
       }
 
-      const results = [];
-      const violations = [];
+      // Descartar reentregas recientes y repetidos dentro del mismo lote
+      const candidates = [];
+      const duplicates = new Set();
+      const batchKeys = new Set();
 
-      for (const speedData of batchValidation.validItems) {
-        const result = await this.processSpeedData(speedData);
-        results.push(result);
+      for (const item of batchValidation.items.filter(item => item.isValid)) {
+        item.data.dedupKey = DuplicateDetector.buildKey(item.data);
 
-        if (result.violation) {
-          violations.push(result.violation);
+        if (this.duplicateDetector.isRecent(item.data.dedupKey) || batchKeys.has(item.data.dedupKey)) {
+          duplicates.add(item.index);
+          continue;
         }
+
+        batchKeys.add(item.data.dedupKey);
+        await this.applySpeedLimit(item.data);
+        candidates.push(item);
       }
 
-      return {
-        success: true,
-        results,
-        violations,
-        stats: {
-          total: rawDataArray.length,
-          processed: results.filter(r => r.success).length,
-          failed: results.filter(r => !r.success).length,
-          violations: violations.length
+      // Almacenar todos los registros nuevos en una sola transacción
+      let spooled = false;
+      let savedRecords = null;
+
+      if (this.dataStore && candidates.length > 0) {
+        const records = candidates.map(item => item.data);
+        const persisted = await this.persist('speed_batch', records, () => this.dataStore.saveBatch(records));
+
+        // Los registros en spool aún no tienen ID de base de datos
+        spooled = persisted.spooled;
+        savedRecords = spooled ? null : persisted.result;
+      }
+
+      const records = [];
+
+      for (const [position, item] of candidates.entries()) {
+        const savedRecord = savedRecords ? savedRecords[position] : null;
+
+        this.duplicateDetector.remember(item.data.dedupKey);
+
+        // null en la transacción: la fila ya existía (duplicado fuera de la ventana en memoria)
+        if (savedRecords && !savedRecord) {
+          duplicates.add(item.index);
+          continue;
         }
-      };
+
+        records.push({ index: item.index, data: item.data, recordId: savedRecord ? savedRecord.id : null });
+      }
+
+      this.duplicateCount += duplicates.size;
+
+      return { success: true, total: totalCount, items: batchValidation.items, records, duplicates, spooled };
 
     } catch (error) {
       console.error('Error processing batch:', error);
-      
-      return {
-        success: false,
-        error: 'Batch processing error',
-        details: error.message,
-        validCount: 0,
-        totalCount: rawDataArray.length
+      return this.buildBatchFailure(totalCount, error.message);
+    }
+  }
+
+  /**
+   * Actualiza el estado y genera alertas de registros de lote ya almacenados
+   * Los registros se procesan en el orden recibido; se puede llamar por vehículo.
+   * @param {Array} records - Registros almacenados por storeBatch ({ index, data, recordId })
+   * @returns {Promise<Array>} Resultado por registro ({ index, data, vehicleState, violation, ... })
+   */
+  async processStoredRecords(records) {
+    const processed = [];
+
+    for (const { index, data: speedData, recordId } of records) {
+      this.processedCount++;
+
+      const vehicleState = await this.updateVehicleState(speedData);
+      speedData.late = vehicleState.reading.late;
+      await this.saveEpisode(vehicleState.reading.closedEpisode);
+      const violation = await this.checkSpeedViolation(speedData, vehicleState);
+      const sensorMismatch = this.checkSensorMismatch(speedData, vehicleState);
+      const sensorFaults = this.checkSensorFaults(speedData, vehicleState);
+
+      processed.push({ index, data: speedData, vehicleState, violation, sensorMismatch, sensorFaults, recordId });
+    }
+
+    // Generar alertas si es necesario
+    for (const entry of this.alertSystem ? processed : []) {
+      if (entry.sensorMismatch) {
+        await this.alertSystem.raiseAlert(entry.sensorMismatch);
+      }
+
+      for (const fault of entry.sensorFaults) {
+        await this.alertSystem.raiseAlert(fault);
+      }
+
+      if (entry.violation && entry.violation.alertable) {
+        await this.alertSystem.processViolation(entry.violation);
+      }
+    }
+
+    return processed;
+  }
+
+  /**
+   * Construye el reporte por item de un lote almacenado
+   * Un registro cuyo procesamiento posterior falló sigue aceptado (ya está almacenado)
+   * y lleva el error en errors.
+   * @param {object} stored - Resultado de storeBatch
+   * @param {Array} processed - Resultados de processStoredRecords
+   * @param {Map} failures - Posición en el lote -> mensaje de error de procesamiento
+   * @returns {object} Reporte del lote
+   */
+  buildBatchReport(stored, processed, failures = new Map()) {
+    const processedByIndex = new Map(processed.map(entry => [entry.index, entry]));
+    const recordsByIndex = new Map(stored.records.map(record => [record.index, record]));
+    const violations = processed
+      .filter(entry => entry.violation)
+      .sort((a, b) => a.index - b.index)
+      .map(entry => entry.violation);
+
+    const results = stored.items.map(item => {
+      if (!item.isValid) {
+        return {
+          index: item.index,
+          status: 'rejected',
+          errors: item.errors
+        };
+      }
+
+      if (stored.duplicates.has(item.index)) {
+        return {
+          index: item.index,
+          status: 'duplicate',
+          vehicleId: item.data.vehicleId
+        };
+      }
+
+      const record = recordsByIndex.get(item.index);
+      const entry = processedByIndex.get(item.index);
+      const result = {
+        index: item.index,
+        status: 'accepted',
+        vehicleId: record.data.vehicleId,
+        recordId: record.recordId || null,
+        violation: entry && entry.violation ? entry.violation.severity : null
       };
+
+      if (failures.has(item.index)) {
+        result.errors = [{ field: 'processing', message: failures.get(item.index) }];
+      }
+
+      return result;
+    });
+
+    return {
+      success: true,
+      results,
+      processed,
+      violations,
+      spooled: stored.spooled,
+      stats: {
+        total: stored.total,
+        accepted: stored.records.length,
+        rejected: stored.total - stored.records.length - stored.duplicates.size,
+        duplicates: stored.duplicates.size,
+        violations: violations.length,
+        processingErrors: failures.size
+      }
+    };
+  }
+
+  /**
+   * Construye el resultado de un lote que no se pudo procesar
+   * @param {number} totalCount - Cantidad de items del lote
+   * @param {string} message - Mensaje de error
+   * @returns {object} Resultado fallido con todos los items rechazados
+   */
+  buildBatchFailure(totalCount, message) {
+    return {
+      success: false,
+      error: 'Batch processing error',
+      details: message,
+      results: [],
+      stats: { total: totalCount, accepted: 0, rejected: totalCount, duplicates: 0, violations: 0 }
+    };
+  }
+
+  /**
+   * Construye el resultado de un mensaje duplicado
+   * @param {object} speedData - Datos de velocidad validados
+   * @returns {object} Resultado exitoso sin efectos
+   */
+  buildDuplicateResult(speedData) {
+    this.duplicateCount++;
+
+    return {
+      success: true,
+      duplicate: true,
+      data: speedData,
+      vehicleState: null,
+      violation: null,
+      stats: this.getProcessingStats()
+    };
+  }
+
+  /**
+   * Persiste datos a través del spool si está configurado
+   * @param {string} kind - Tipo de escritura registrado en el spool
+   * @param {object} payload - Datos a persistir
+   * @param {function} write - Escritura directa cuando no hay spool
+   * @returns {Promise<object>} { spooled, result }
+   */
+  async persist(kind, payload, write) {
+    if (this.spool) {
+      return this.spool.persist(kind, payload);
+    }
+
+    return { spooled: false, result: await write() };
+  }
+
+  /**
+   * Guarda un episodio de exceso de velocidad cerrado
+   * @param {object|null} episode - Episodio cerrado (null si la lectura no cerró ninguno)
+   * @returns {Promise<void>}
+   */
+  async saveEpisode(episode) {
+    if (!episode) {
+      return;
+    }
+
+    this.episodeCount++;
+
+    if (this.episodeStore) {
+      await this.persist('speeding_episode', episode, () => this.episodeStore.saveEpisode(episode));
+    }
+  }
+
+  /**
+   * Cierra por GAP los episodios abiertos de vehículos que dejaron de reportar
+   * Sin lecturas nuevas track() nunca los cierra; VehicleWatchdog llama a este método en
+   * cada revisión. El cierre es atómico en el almacén: si varias instancias revisan a la
+   * vez, solo una encuentra el episodio abierto y lo persiste.
+   * @param {number} now - Hora de la revisión (ms)
+   * @returns {Promise<number>} Cantidad de episodios cerrados
+   */
+  async closeOverdueEpisodes(now = Date.now()) {
+    const states = await this.vehicleStates.getAll();
+    let closedCount = 0;
+
+    for (const state of states) {
+      if (!state || !state.speedingEpisode || !this.episodeTracker.isOverdue(state.speedingEpisode, now)) {
+        continue;
+      }
+
+      let closed = null;
+
+      await this.vehicleStates.update(state.vehicleId, (storedState) => {
+        closed = null;
+
+        // Otra instancia o una lectura nueva pudo cerrarlo o extenderlo mientras tanto
+        if (!storedState || !storedState.speedingEpisode || !this.episodeTracker.isOverdue(storedState.speedingEpisode, now)) {
+          return storedState;
+        }
+
+        const episode = storedState.speedingEpisode;
+        closed = this.episodeTracker.close(episode, episode.lastTime, SpeedingEpisodeTracker.END_REASONS.GAP);
+        storedState.speedingEpisode = null;
+        return storedState;
+      });
+
+      if (closed) {
+        await this.saveEpisode(closed);
+        closedCount++;
+      }
     }
+
+    return closedCount;
   }
 
   /**
    * Actualiza el estado de un vehículo
+   * La actualización es atómica en el almacén, por lo que es segura aunque los
+   * mensajes de un mismo vehículo lleguen a instancias distintas.
+   *
+   * speedHistory es un buffer de reordenamiento ordenado por timestamp del dispositivo:
+   * las lecturas que llegan desordenadas se insertan en su posición y las violaciones
+   * consecutivas se cuentan en ese orden. Al salir del buffer, la racha de la lectura
+   * expulsada queda en settledRun. Una lectura anterior a lo ya expulsado, o más vieja
+   * que reorderWindow respecto a la más reciente, se marca como tardía y no altera la racha.
    * @param {object} speedData - Datos de velocidad validados
-   * @returns {object} Estado actualizado del vehículo
+   * @returns {Promise<object>} Estado actualizado del vehículo con { reading: { late, reordered, consecutiveCount } }
    */
-  updateVehicleState(speedData) {
+  async updateVehicleState(speedData) {
     const { vehicleId } = speedData;
-    
-    const currentState = this.vehicleStates.get(vehicleId) || {
-      vehicleId,
-      lastSeen: null,
-      consecutiveViolations: 0,
-      totalViolations: 0,
-      averageSpeed: 0,
-      maxSpeed: 0,
-      recordCount: 0,
-      speedHistory: []
-    };
+    let reading = null;
+
+    const updatedState = await this.vehicleStates.update(vehicleId, (storedState) => {
+      const currentState = storedState || {
+        vehicleId,
+        lastSeen: null,
+        consecutiveViolations: 0,
+        totalViolations: 0,
+        averageSpeed: 0,
+        maxSpeed: 0,
+        recordCount: 0,
+        lateCount: 0,
+        speedHistory: []
+      };
 
-    // Actualizar estadísticas
-    currentState.lastSeen = speedData.timestamp;
-    currentState.recordCount++;
-    currentState.maxSpeed = Math.max(currentState.maxSpeed, speedData.speed);
+      const settledRun = currentState.settledRun || { runLength: 0, lastTimestamp: null, lastViolation: false };
+      const history = currentState.speedHistory;
+      const entry = {
+        speed: speedData.speed,
+        timestamp: speedData.timestamp,
+        location: toLatLng(speedData.location),
+        violation: speedData.speed > speedData.speedLimit
+      };
 
-    // Calcular velocidad promedio
-    const totalSpeed = (currentState.averageSpeed * (currentState.recordCount - 1)) + speedData.speed;
-    currentState.averageSpeed = totalSpeed / currentState.recordCount;
+      // Actualizar estadísticas
+      currentState.recordCount++;
+      currentState.maxSpeed = Math.max(currentState.maxSpeed, speedData.speed);
 
-    // Mantener historial de velocidades (últimas 10)
-    currentState.speedHistory.push({
-      speed: speedData.speed,
-      timestamp: speedData.timestamp
+      // Calcular velocidad promedio
+      const totalSpeed = (currentState.averageSpeed * (currentState.recordCount - 1)) + speedData.speed;
+      currentState.averageSpeed = totalSpeed / currentState.recordCount;
+
+      if (entry.violation) {
+        currentState.totalViolations++;
+      }
+
+      const readingTime = this.toTime(entry.timestamp);
+      const newestTime = history.length > 0 ? this.toTime(history[history.length - 1].timestamp) : null;
+      const isLate = (settledRun.lastTimestamp !== null && readingTime <= this.toTime(settledRun.lastTimestamp)) ||
+        (newestTime !== null && newestTime - readingTime > this.reorderWindow);
+
+      if (isLate) {
+        currentState.lateCount = (currentState.lateCount || 0) + 1;
+        reading = { late: true, reordered: false, consecutiveCount: entry.violation ? 1 : 0 };
+        return currentState;
+      }
+
+      // Insertar en orden de timestamp del dispositivo
+      let position = history.length;
+      while (position > 0 && this.toTime(history[position - 1].timestamp) > readingTime) {
+        position--;
+      }
+      history.splice(position, 0, entry);
+
+      // Fallas del sensor solo con lecturas en orden; un pico excluido deja de contar en las rachas
+      let sensorFaults = [];
+      if (position === history.length - 1) {
+        currentState.sensorFaultState = currentState.sensorFaultState || {};
+        sensorFaults = this.faultDetector.detect(history, currentState.sensorFaultState);
+
+        for (const fault of sensorFaults.filter(fault => fault.excludedViolation)) {
+          currentState.totalViolations = Math.max(0, currentState.totalViolations - 1);
+        }
+      }
+
+      // Episodios de exceso solo con lecturas en orden (el episodio abierto queda en el estado)
+      let episode = { episode: null, closed: null, thresholdReached: false };
+      if (position === history.length - 1) {
+        episode = this.episodeTracker.track(currentState.speedingEpisode || null, { ...speedData, location: entry.location });
+        currentState.speedingEpisode = episode.episode;
+      }
+
+      // Una lectura desordenada puede unir dos rachas: contar también las posteriores
+      let consecutiveCount = this.countViolationRun(history, position, settledRun);
+      let lastInRun = entry;
+      for (let i = position + 1; consecutiveCount > 0 && i < history.length; i++) {
+        if (history[i].excluded) {
+          continue;
+        }
+        if (!history[i].violation || this.toTime(history[i].timestamp) - this.toTime(lastInRun.timestamp) > this.timeWindow) {
+          break;
+        }
+        consecutiveCount++;
+        lastInRun = history[i];
+      }
+
+      reading = {
+        late: false,
+        reordered: position < history.length - 1,
+        consecutiveCount,
+        gpsCheck: null,
+        sensorFaults,
+        episode: episode.episode ? this.episodeTracker.summarize(episode.episode) : null,
+        closedEpisode: episode.closed,
+        episodeThresholdReached: episode.thresholdReached
+      };
+
+      // Contraste GPS solo con lecturas en orden: la racha de discrepancias sigue el orden del dispositivo
+      if (!reading.reordered && position > 0) {
+        const gpsCheck = this.crossCheck.compare(history[position - 1], entry);
+
+        if (gpsCheck) {
+          currentState.gpsMismatchRun = gpsCheck.mismatch ? (currentState.gpsMismatchRun || 0) + 1 : 0;
+          reading.gpsCheck = { ...gpsCheck, mismatchRun: currentState.gpsMismatchRun };
+        }
+      }
+
+      // Mantener el buffer acotado; la racha de lo expulsado queda asentada
+      while (history.length > this.reorderBufferSize) {
+        const evicted = history.shift();
+
+        if (evicted.excluded) {
+          continue;
+        }
+
+        const continuesRun = evicted.violation && settledRun.lastViolation &&
+          this.toTime(evicted.timestamp) - this.toTime(settledRun.lastTimestamp) <= this.timeWindow;
+
+        settledRun.runLength = evicted.violation ? (continuesRun ? settledRun.runLength + 1 : 1) : 0;
+        settledRun.lastTimestamp = evicted.timestamp;
+        settledRun.lastViolation = evicted.violation;
+      }
+
+      currentState.settledRun = settledRun;
+      currentState.lastSeen = history[history.length - 1].timestamp;
+      currentState.consecutiveViolations = this.countViolationRun(history, history.length - 1, settledRun);
+
+      return currentState;
     });
 
-    if (currentState.speedHistory.length > 10) {
-      currentState.speedHistory.shift();
+    if (reading.late) {
+      this.lateCount++;
+    } else if (reading.reordered) {
+      this.reorderedCount++;
+    }
+
+    return { ...updatedState, reading };
+  }
+
+  /**
+   * Cuenta la racha de violaciones que termina en una posición del buffer
+   * Dos violaciones son consecutivas solo si están dentro de timeWindow entre sí
+   * @param {Array} history - Buffer ordenado por timestamp
+   * @param {number} index - Posición de la lectura
+   * @param {object} settledRun - Racha de las lecturas ya expulsadas del buffer
+   * @returns {number} Violaciones consecutivas hasta la lectura (0 si no es violación)
+   */
+  countViolationRun(history, index, settledRun) {
+    if (!history[index].violation) {
+      return 0;
     }
 
-    // Verificar violación consecutiva
-    if (speedData.speed > this.speedLimit) {
-      currentState.consecutiveViolations++;
-      currentState.totalViolations++;
-    } else {
-      currentState.consecutiveViolations = 0; // Reset si no hay violación
+    let count = 1;
+    let current = history[index];
+
+    for (let i = index - 1; i >= 0; i--) {
+      const previous = history[i];
+
+      // Un pico excluido no suma ni corta la racha
+      if (previous.excluded) {
+        continue;
+      }
+
+      if (!previous.violation || this.toTime(current.timestamp) - this.toTime(previous.timestamp) > this.timeWindow) {
+        return count;
+      }
+
+      count++;
+      current = previous;
     }
 
-    // Actualizar en memoria
-    this.vehicleStates.set(vehicleId, currentState);
+    // La racha llega al inicio del buffer: continuar con la ya asentada
+    if (settledRun.lastViolation &&
+        this.toTime(current.timestamp) - this.toTime(settledRun.lastTimestamp) <= this.timeWindow) {
+      count += settledRun.runLength;
+    }
 
-    return { ...currentState };
+    return count;
+  }
+
+  /**
+   * Convierte un timestamp (string ISO, número o Date) a milisegundos
+   * @param {string|number|Date} timestamp - Timestamp del dispositivo
+   * @returns {number} Milisegundos desde epoch
+   */
+  toTime(timestamp) {
+    return new Date(timestamp).getTime();
   }
 
   /**
    * Verifica si hay violación de velocidad
+   * La severidad y los datos de la alerta los define la primera regla de alerta que coincide;
+   * si ninguna coincide la violación se contabiliza pero no genera alerta (rule = null).
+   * Con ALERT_MODE=episode solo alerta la lectura con la que el episodio supera los umbrales
    * @param {object} speedData - Datos de velocidad
    * @param {object} vehicleState - Estado del vehículo
-   * @returns {object|null} Datos de violación o null
+   * @returns {Promise<object|null>} Datos de violación o null
    */
-  checkSpeedViolation(speedData, vehicleState) {
-    if (speedData.speed <= this.speedLimit) {
+  async checkSpeedViolation(speedData, vehicleState) {
+    const speedLimit = speedData.speedLimit || this.speedLimit;
+
+    if (speedData.speed <= speedLimit) {
       return null; // No hay violación
     }
 
     this.violationCount++;
 
-    // Determinar severidad de la violación
-    const exceedAmount = speedData.speed - this.speedLimit;
-    const exceedPercentage = (exceedAmount / this.speedLimit) * 100;
-
-    let severity;
-    if (exceedPercentage > 50) {
-      severity = 'CRITICAL';
-    } else if (exceedPercentage > 25) {
-      severity = 'HIGH';
-    } else if (exceedPercentage > 10) {
-      severity = 'MEDIUM';
-    } else {
-      severity = 'LOW';
-    }
+    const exceedAmount = speedData.speed - speedLimit;
+    const exceedPercentage = (exceedAmount / speedLimit) * 100;
 
-    // Verificar si es violación consecutiva crítica
-    const isConsecutive = vehicleState.consecutiveViolations >= this.consecutiveLimit;
+    // Verificar si es violación consecutiva crítica (racha de la lectura en orden de dispositivo)
+    const reading = vehicleState.reading || { late: false, consecutiveCount: vehicleState.consecutiveViolations };
+    const isConsecutive = !reading.late && reading.consecutiveCount >= this.consecutiveLimit;
 
-    return {
+    const violation = {
       id: `violation_${Date.now()}_${speedData.vehicleId}`,
       vehicleId: speedData.vehicleId,
       speed: speedData.speed,
-      speedLimit: this.speedLimit,
+      speedLimit,
       exceedAmount,
-      exceedPercentage: parseFloat(exceedPercentage.toFixed(2)),
-      severity,
+      exceedPercentage: Math.min(parseFloat(exceedPercentage.toFixed(2)), MAX_EXCEED_PERCENTAGE),
+      severity: null,
       isConsecutive,
-      consecutiveCount: vehicleState.consecutiveViolations,
+      consecutiveCount: reading.consecutiveCount,
+      late: reading.late,
       timestamp: speedData.timestamp,
       location: speedData.location || null,
       vehicleType: speedData.vehicleType || 'unknown',
+      zone: speedData.zone || null,
+      episode: reading.episode || null,
       detectedAt: new Date()
     };
+
+    // Determinar severidad de la violación según las reglas de alerta
+    violation.rule = await this.ruleEngine.evaluate(violation);
+    violation.severity = violation.rule ? violation.rule.severity : null;
+    violation.alertable = Boolean(violation.rule) &&
+      (this.alertMode !== 'episode' || Boolean(reading.episodeThresholdReached));
+
+    return violation;
+  }
+
+  /**
+   * Verifica si la lectura completa una discrepancia entre velocidad reportada y GPS
+   * @param {object} speedData - Datos de velocidad
+   * @param {object} vehicleState - Estado del vehículo con { reading: { gpsCheck } }
+   * @returns {object|null} Datos de la alerta SENSOR_MISMATCH o null
+   */
+  checkSensorMismatch(speedData, vehicleState) {
+    const gpsCheck = vehicleState.reading ? vehicleState.reading.gpsCheck : null;
+
+    if (!this.crossCheck.shouldAlert(gpsCheck)) {
+      return null;
+    }
+
+    this.sensorMismatchCount++;
+
+    return this.crossCheck.buildAlert(speedData, gpsCheck, speedData.speedLimit || this.speedLimit);
+  }
+
+  /**
+   * Construye las alertas de calidad de datos para las fallas de sensor de la lectura
+   * @param {object} speedData - Datos de velocidad
+   * @param {object} vehicleState - Estado del vehículo con { reading: { sensorFaults } }
+   * @returns {Array} Datos de alertas DATA_QUALITY
+   */
+  checkSensorFaults(speedData, vehicleState) {
+    const faults = (vehicleState.reading && vehicleState.reading.sensorFaults) || [];
+
+    for (const fault of faults) {
+      this.sensorFaultCounts[fault.fault] = (this.sensorFaultCounts[fault.fault] || 0) + 1;
+    }
+
+    return faults.map(fault => this.faultDetector.buildAlert(speedData, fault));
   }
 
   /**
    * Obtiene el estado actual de un vehículo
    * @param {string} vehicleId - ID del vehículo
-   * @returns {object|null} Estado del vehículo o null
+   * @returns {Promise<object|null>} Estado del vehículo o null
    */
-  getVehicleState(vehicleId) {
-    return this.vehicleStates.get(vehicleId) || null;
+  async getVehicleState(vehicleId) {
+    return this.vehicleStates.get(vehicleId);
   }
 
   /**
    * Obtiene todos los estados de vehículos
-   * @returns {Array} Array de estados de vehículos
+   * @returns {Promise<Array>} Array de estados de vehículos
    */
-  getAllVehicleStates() {
-    return Array.from(this.vehicleStates.values());
+  async getAllVehicleStates() {
+    return this.vehicleStates.getAll();
   }
 
   /**
    * Limpia estados de vehículos antiguos
    * @param {number} maxAge - Edad máxima en milisegundos
-   * @returns {number} Número de estados eliminados
+   * @returns {Promise<number>} Número de estados eliminados
    */
-  cleanupOldStates(maxAge = 3600000) { // 1 hora por defecto
+  async cleanupOldStates(maxAge = 3600000) { // 1 hora por defecto
     const cutoffTime = new Date(Date.now() - maxAge);
     let cleanedCount = 0;
 
-    for (const [vehicleId, state] of this.vehicleStates.entries()) {
-      if (state.lastSeen < cutoffTime) {
-        this.vehicleStates.delete(vehicleId);
+    for (const state of await this.vehicleStates.getAll()) {
+      // lastSeen se serializa como string en el almacén
+      if (new Date(state.lastSeen) < cutoffTime) {
+        await this.vehicleStates.delete(state.vehicleId);
         cleanedCount++;
       }
     }
@@ -282,8 +863,17 @@ class SpeedProcessor {
     return {
       processedCount: this.processedCount,
       violationCount: this.violationCount,
+      duplicateCount: this.duplicateCount,
+      lateCount: this.lateCount,
+      reorderedCount: this.reorderedCount,
+      sensorMismatchCount: this.sensorMismatchCount,
+      sensorFaultCounts: this.sensorFaultCounts,
+      episodeCount: this.episodeCount,
+      alertMode: this.alertMode,
+      duplicateWindow: this.duplicateDetector.getStats(),
       activeVehicles: this.vehicleStates.size,
       speedLimit: this.speedLimit,
+      speedLimitsByType: this.speedLimitResolver.limitsByType,
       violationRate: this.processedCount > 0 ? 
         parseFloat(((this.violationCount / this.processedCount) * 100).toFixed(2)) : 0
     };
@@ -295,6 +885,9 @@ class SpeedProcessor {
   resetStats() {
     this.processedCount = 0;
     this.violationCount = 0;
+    this.duplicateCount = 0;
+    this.lateCount = 0;
+    this.reorderedCount = 0;
     console.log('Processing statistics reset');
   }
 
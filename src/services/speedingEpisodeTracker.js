@@ -0,0 +1,194 @@
+const { randomUUID } = require('crypto');
+const config = require('../config/config');
+const { haversineDistance } = require('../utils/geo');
+
+// Motivos de cierre de un episodio
+const END_REASONS = Object.freeze({
+  SPEED_DROP: 'SPEED_DROP', // Una lectura volvió a estar dentro del límite
+  GAP: 'GAP' // El vehículo dejó de reportar más de SPEEDING_EPISODE_MAX_GAP ms
+});
+
+/**
+ * Seguimiento de episodios de exceso de velocidad por vehículo
+ * Principio: Single Responsibility - Solo agrupa lecturas en episodios
+ * Principio: Open/Closed - Umbrales ajustables por configuración
+ *
+ * Un episodio empieza con la primera lectura por encima del límite y termina con la
+ * primera lectura dentro del límite (o tras SPEEDING_EPISODE_MAX_GAP ms sin lecturas: al llegar
+ * la lectura siguiente o en la revisión periódica si el vehículo dejó de reportar).
+ * Solo avanza con lecturas en orden; el episodio abierto vive en el estado del vehículo
+ * para compartirse entre instancias. Supera los umbrales cuando lleva al menos
+ * SPEEDING_EPISODE_MIN_DURATION ms con un exceso promedio de SPEEDING_EPISODE_MIN_EXCESS km/h.
+ */
+class SpeedingEpisodeTracker {
+  constructor(options = {}) {
+    const episodeConfig = { ...config.getModule('episodes'), ...options };
+
+    this.minDuration = episodeConfig.minDuration;
+    this.minExcess = episodeConfig.minExcess;
+    this.maxGap = episodeConfig.maxGap;
+  }
+
+  /**
+   * Avanza el episodio abierto del vehículo con una lectura en orden
+   * @param {object|null} episode - Episodio abierto (se modifica)
+   * @param {object} reading - { vehicleId, vehicleType, speed, speedLimit, timestamp, location, zone }
+   * @returns {object} { episode: abierto o null, closed: episodio terminado o null, thresholdReached }
+   */
+  track(episode, reading) {
+    let closed = null;
+    const time = new Date(reading.timestamp).getTime();
+
+    if (episode && time - new Date(episode.lastTime).getTime() > this.maxGap) {
+      closed = this.close(episode, episode.lastTime, END_REASONS.GAP);
+      episode = null;
+    }
+
+    if (reading.speed <= reading.speedLimit) {
+      if (episode) {
+        this.addSegment(episode, reading);
+        closed = this.close(episode, reading.timestamp, END_REASONS.SPEED_DROP);
+      }
+
+      return { episode: null, closed, thresholdReached: false };
+    }
+
+    if (episode) {
+      this.addSegment(episode, reading);
+    } else {
+      episode = this.open(reading);
+    }
+
+    episode.lastReceivedAt = Date.now();
+    const excess = reading.speed - reading.speedLimit;
+    episode.readingCount++;
+    episode.excessSum += excess;
+    episode.peakSpeed = Math.max(episode.peakSpeed, reading.speed);
+    episode.peakExcess = Math.max(episode.peakExcess, excess);
+
+    const thresholdReached = !episode.thresholdReached && this.passesThresholds(episode);
+    if (thresholdReached) {
+      episode.thresholdReached = true;
+    }
+
+    return { episode, closed, thresholdReached };
+  }
+
+  /**
+   * Indica si un episodio abierto lleva más de maxGap sin lecturas
+   * Se mide en hora del servidor desde que llegó la última lectura: sin lecturas nuevas no hay
+   * hora del dispositivo, y así un reloj atrasado no cierra antes de tiempo un episodio en curso
+   * @param {object} episode - Episodio abierto
+   * @param {number} now - Hora actual (ms)
+   * @returns {boolean} True si debe cerrarse por GAP
+   */
+  isOverdue(episode, now = Date.now()) {
+    const lastReceived = episode.lastReceivedAt || new Date(episode.lastTime).getTime();
+    return now - lastReceived > this.maxGap;
+  }
+
+  /**
+   * Crea un episodio con su primera lectura
+   * @param {object} reading - Lectura por encima del límite
+   * @returns {object} Episodio abierto
+   */
+  open(reading) {
+    return {
+      id: randomUUID(),
+      vehicleId: reading.vehicleId,
+      vehicleType: reading.vehicleType || 'unknown',
+      startTime: reading.timestamp,
+      lastTime: reading.timestamp,
+      speedLimit: reading.speedLimit,
+      zone: reading.zone ? { id: reading.zone.id, name: reading.zone.name } : null,
+      readingCount: 0,
+      excessSum: 0,
+      peakSpeed: reading.speed,
+      peakExcess: 0,
+      distance: 0,
+      lastSpeed: reading.speed,
+      lastLocation: reading.location || null,
+      thresholdReached: false
+    };
+  }
+
+  /**
+   * Suma el tramo desde la lectura anterior del episodio
+   * Sin posiciones GPS la distancia se estima con la velocidad media del tramo
+   * @param {object} episode - Episodio abierto (se modifica)
+   * @param {object} reading - Lectura nueva
+   */
+  addSegment(episode, reading) {
+    const elapsed = (new Date(reading.timestamp).getTime() - new Date(episode.lastTime).getTime()) / 1000;
+    const gpsDistance = haversineDistance(episode.lastLocation, reading.location);
+
+    episode.distance += gpsDistance !== null
+      ? gpsDistance
+      : Math.max(0, elapsed) * ((episode.lastSpeed + reading.speed) / 2) / 3.6;
+    episode.lastTime = reading.timestamp;
+    episode.lastSpeed = reading.speed;
+    episode.lastLocation = reading.location || null;
+  }
+
+  /**
+   * Indica si el episodio supera los umbrales de duración y exceso promedio
+   * @param {object} episode - Episodio abierto
+   * @returns {boolean} True si debe alertar
+   */
+  passesThresholds(episode) {
+    return this.getDuration(episode, episode.lastTime) >= this.minDuration &&
+      episode.excessSum / episode.readingCount >= this.minExcess;
+  }
+
+  /**
+   * Duración del episodio hasta un momento
+   * @param {object} episode - Episodio
+   * @param {string|number|Date} until - Fin del intervalo
+   * @returns {number} Milisegundos
+   */
+  getDuration(episode, until) {
+    return new Date(until).getTime() - new Date(episode.startTime).getTime();
+  }
+
+  /**
+   * Resume el episodio (para alertas y respuestas)
+   * @param {object} episode - Episodio abierto o cerrado
+   * @returns {object} { id, startTime, endTime, durationMs, peakSpeed, averageExcess, distance, readingCount }
+   */
+  summarize(episode) {
+    return {
+      id: episode.id,
+      startTime: episode.startTime,
+      endTime: episode.endTime || null,
+      durationMs: this.getDuration(episode, episode.endTime || episode.lastTime),
+      peakSpeed: episode.peakSpeed,
+      averageExcess: parseFloat((episode.excessSum / episode.readingCount).toFixed(2)),
+      distance: Math.round(episode.distance),
+      readingCount: episode.readingCount
+    };
+  }
+
+  /**
+   * Cierra un episodio
+   * @param {object} episode - Episodio abierto
+   * @param {string|number|Date} endTime - Fin del episodio
+   * @param {string} endReason - Motivo (END_REASONS)
+   * @returns {object} Episodio cerrado listo para persistir
+   */
+  close(episode, endTime, endReason) {
+    return {
+      ...this.summarize({ ...episode, endTime }),
+      vehicleId: episode.vehicleId,
+      vehicleType: episode.vehicleType,
+      speedLimit: episode.speedLimit,
+      zone: episode.zone,
+      peakExcess: episode.peakExcess,
+      endReason,
+      thresholdReached: episode.thresholdReached
+    };
+  }
+}
+
+SpeedingEpisodeTracker.END_REASONS = END_REASONS;
+
+module.exports = SpeedingEpisodeTracker;
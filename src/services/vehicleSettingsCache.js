@@ -0,0 +1,86 @@
+const config = require('../config/config');
+
+/**
+ * Caché de la configuración por vehículo (tabla vehicles)
+ * Principio: Single Responsibility - Solo mantiene la configuración de vehículos en memoria
+ * Principio: Dependency Inversion - Recibe el repositorio por inyección
+ *
+ * La tabla se relee completa cada VEHICLE_SETTINGS_REFRESH_INTERVAL ms para no
+ * consultar la base de datos por cada mensaje. Si la lectura falla se conserva
+ * la última configuración conocida.
+ */
+class VehicleSettingsCache {
+  constructor(vehicleRepository, options = {}) {
+    this.vehicleRepository = vehicleRepository; // Inyección de dependencia
+    this.refreshInterval = options.refreshInterval || config.get('vehicles.settingsRefreshInterval');
+    this.settings = new Map();
+    this.loadedAt = 0;
+    this.refreshing = null;
+  }
+
+  /**
+   * Obtiene la configuración de un vehículo
+   * @param {string} vehicleId - ID del vehículo
+   * @returns {Promise<object|null>} Fila de vehicles o null si no está registrado
+   */
+  async get(vehicleId) {
+    if (Date.now() - this.loadedAt >= this.refreshInterval) {
+      await this.refresh();
+    }
+
+    return this.settings.get(vehicleId) || null;
+  }
+
+  /**
+   * Obtiene la configuración de todos los vehículos activos
+   * @returns {Promise<Array>} Filas de vehicles
+   */
+  async getAll() {
+    if (Date.now() - this.loadedAt >= this.refreshInterval) {
+      await this.refresh();
+    }
+
+    return [...this.settings.values()];
+  }
+
+  /**
+   * Relee la configuración de todos los vehículos (una sola lectura a la vez)
+   * @returns {Promise<void>}
+   */
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.load().finally(() => {
+        this.refreshing = null;
+      });
+    }
+
+    return this.refreshing;
+  }
+
+  /**
+   * Carga la configuración desde el repositorio
+   * @returns {Promise<void>}
+   */
+  async load() {
+    try {
+      const rows = await this.vehicleRepository.getVehicleSettings();
+      this.settings = new Map(rows.map(row => [row.vehicle_id, row]));
+
+    } catch (error) {
+      console.warn(`⚠️  Unable to refresh vehicle settings, keeping ${this.settings.size} cached: ${error.message}`);
+
+    } finally {
+      this.loadedAt = Date.now();
+    }
+  }
+
+  /**
+   * Número de vehículos en caché
+   * @returns {number} Vehículos registrados
+   */
+  get size() {
+    return this.settings.size;
+  }
+}
+
+module.exports = VehicleSettingsCache;
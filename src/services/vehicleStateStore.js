@@ -0,0 +1,126 @@
+/**
+ * Almacén de estado de vehículos en memoria
+ * Principio: Single Responsibility - Solo guarda el estado por vehículo
+ * Principio: Liskov Substitution - RedisVehicleStateStore puede sustituirlo
+ *
+ * El estado se clona vía JSON en cada lectura/escritura para que el comportamiento
+ * sea idéntico al del almacén compartido (el estado debe ser serializable).
+ */
+class VehicleStateStore {
+  constructor() {
+    this.type = 'memory';
+    this.states = new Map();
+    this.lastSeen = new Map(); // vehicleId -> ms del último reporte
+    this.claims = new Map(); // nombre -> ms en que vence el reclamo
+  }
+
+  /**
+   * Prepara el almacén para su uso
+   * @returns {Promise<void>}
+   */
+  async connect() {}
+
+  /**
+   * Libera los recursos del almacén
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Obtiene el estado de un vehículo
+   * @param {string} vehicleId - ID del vehículo
+   * @returns {Promise<object|null>} Estado o null
+   */
+  async get(vehicleId) {
+    const state = this.states.get(vehicleId);
+    return state ? this.clone(state) : null;
+  }
+
+  /**
+   * Actualiza el estado de un vehículo de forma atómica
+   * @param {string} vehicleId - ID del vehículo
+   * @param {function} mutator - Recibe el estado actual (o null) y retorna el nuevo estado
+   * @returns {Promise<object>} Estado actualizado
+   */
+  async update(vehicleId, mutator) {
+    const current = this.states.get(vehicleId);
+    const next = mutator(current ? this.clone(current) : null);
+
+    this.states.set(vehicleId, this.clone(next));
+    return next;
+  }
+
+  /**
+   * Obtiene todos los estados
+   * @returns {Promise<Array>} Estados de vehículos
+   */
+  async getAll() {
+    return Array.from(this.states.values()).map(state => this.clone(state));
+  }
+
+  /**
+   * Elimina el estado de un vehículo
+   * @param {string} vehicleId - ID del vehículo
+   * @returns {Promise<boolean>} True si existía
+   */
+  async delete(vehicleId) {
+    return this.states.delete(vehicleId);
+  }
+
+  /**
+   * Registra el último reporte de un vehículo
+   * Se guarda aparte del estado porque debe durar más que su TTL (umbral del watchdog)
+   * @param {string} vehicleId - ID del vehículo
+   * @param {number} time - Momento del reporte (ms)
+   * @param {number} ttl - Milisegundos que se conserva el registro
+   * @returns {Promise<void>}
+   */
+  async setLastSeen(vehicleId, time, ttl) {
+    this.lastSeen.set(vehicleId, time);
+  }
+
+  /**
+   * Obtiene el último reporte registrado de un vehículo
+   * @param {string} vehicleId - ID del vehículo
+   * @returns {Promise<number|null>} Milisegundos o null
+   */
+  async getLastSeen(vehicleId) {
+    return this.lastSeen.get(vehicleId) || null;
+  }
+
+  /**
+   * Reclama una acción para que la haga una sola instancia
+   * @param {string} name - Nombre único de la acción
+   * @param {number} ttl - Milisegundos que dura el reclamo
+   * @returns {Promise<boolean>} True si esta llamada obtuvo el reclamo
+   */
+  async claim(name, ttl) {
+    const now = Date.now();
+
+    if ((this.claims.get(name) || 0) > now) {
+      return false;
+    }
+
+    this.claims.set(name, now + ttl);
+    return true;
+  }
+
+  /**
+   * Número de vehículos con estado conocido por esta instancia
+   * @returns {number} Cantidad de vehículos
+   */
+  get size() {
+    return this.states.size;
+  }
+
+  /**
+   * Clona un estado serializable
+   * @param {object} state - Estado a clonar
+   * @returns {object} Copia independiente
+   */
+  clone(state) {
+    return JSON.parse(JSON.stringify(state));
+  }
+}
+
+module.exports = VehicleStateStore;
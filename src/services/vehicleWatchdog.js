@@ -0,0 +1,287 @@
+const config = require('../config/config');
+
+const ALERT_TYPE = 'VEHICLE_OFFLINE';
+const RESOLUTION_REASON = 'VEHICLE_RESUMED';
+
+/**
+ * Watchdog de vehículos sin reportar
+ * Principio: Single Responsibility - Solo detecta silencios y su recuperación
+ * Principio: Dependency Inversion - Recibe estado, configuración y alertas por inyección
+ *
+ * Cada OFFLINE_CHECK_INTERVAL ms revisa los vehículos activos de la tabla vehicles y
+ * genera una alerta VEHICLE_OFFLINE cuando llevan más del umbral de su tipo sin
+ * reportar. La alerta se resuelve en cuanto el vehículo vuelve a enviar lecturas.
+ * El último reporte se guarda en el almacén de estado (compartido con Redis) con un TTL
+ * mayor que el umbral más largo, porque el estado del vehículo expira antes. Con varias
+ * instancias, cada revisión sincroniza las alertas abiertas desde la base de datos y la
+ * alerta de un silencio se reclama en el almacén, así se genera una sola vez.
+ *
+ * Cada revisión cierra también los episodios de exceso de velocidad abiertos de los
+ * vehículos que dejaron de reportar (episodeCloser, el SpeedProcessor).
+ */
+class VehicleWatchdog {
+  constructor(stateStore, vehicleSettings, alertSystem, alertRepository = null, options = {}) {
+    const watchdogConfig = config.getModule('watchdog');
+
+    this.stateStore = stateStore; // Inyección de dependencia
+    this.vehicleSettings = vehicleSettings; // Inyección de dependencia
+    this.alertSystem = alertSystem; // Inyección de dependencia
+    this.alertRepository = alertRepository; // Inyección de dependencia
+    this.enabled = options.enabled !== undefined ? options.enabled : watchdogConfig.enabled;
+    this.checkInterval = options.checkInterval || watchdogConfig.checkInterval;
+    this.offlineThreshold = options.offlineThreshold || watchdogConfig.offlineThreshold;
+    this.thresholdsByType = options.thresholdsByType || watchdogConfig.thresholdsByType || {};
+    this.episodeCloser = options.episodeCloser || null; // Cierra episodios vencidos (closeOverdueEpisodes)
+    // El último reporte debe sobrevivir al umbral más largo
+    this.lastSeenTtl = 2 * Math.max(this.offlineThreshold, ...Object.values(this.thresholdsByType).map(Number).filter(value => value > 0));
+
+    this.timer = null;
+    this.checking = null;
+    this.startedAt = null;
+    this.offlineAlerts = new Map(); // vehicleId -> alerta VEHICLE_OFFLINE activa
+    this.stats = { checks: 0, raised: 0, resolved: 0, episodesClosed: 0, lastCheckAt: null };
+  }
+
+  /**
+   * Inicia las revisiones periódicas
+   * Las alertas VEHICLE_OFFLINE que quedaron activas se recuperan para poder resolverlas.
+   * Con el watchdog deshabilitado las revisiones siguen si hay episodios que cerrar.
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if ((!this.enabled && !this.episodeCloser) || this.timer) {
+      return;
+    }
+
+    this.startedAt = Date.now();
+
+    if (this.enabled) {
+      await this.loadActiveAlerts();
+    }
+
+    this.timer = setInterval(() => this.check(), this.checkInterval);
+    console.log(this.enabled
+      ? `🐕 Vehicle watchdog started (threshold ${this.offlineThreshold}ms, every ${this.checkInterval}ms)`
+      : `🐕 Vehicle watchdog disabled, closing overdue speeding episodes every ${this.checkInterval}ms`);
+  }
+
+  /**
+   * Detiene las revisiones y espera la revisión en curso
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    await this.checking;
+  }
+
+  /**
+   * Sincroniza con la base de datos las alertas VEHICLE_OFFLINE abiertas
+   * Incluye las generadas por otras instancias y descarta las que ya se cerraron
+   * @returns {Promise<void>}
+   */
+  async loadActiveAlerts() {
+    if (!this.alertRepository) {
+      return;
+    }
+
+    try {
+      const alerts = await this.alertRepository.getActiveByType(ALERT_TYPE);
+
+      this.offlineAlerts = new Map(alerts.map(row => [row.vehicle_id, {
+        id: row.alert_id,
+        type: row.type,
+        severity: row.severity,
+        vehicleId: row.vehicle_id,
+        vehicleType: row.vehicle_type,
+        timestamp: row.violation_timestamp,
+        status: row.status
+      }]));
+
+    } catch (error) {
+      console.warn(`⚠️  Unable to load active offline alerts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registra una lectura de un vehículo y resuelve su alerta si estaba sin reportar
+   * @param {string} vehicleId - ID del vehículo
+   * @returns {Promise<void>}
+   */
+  async recordActivity(vehicleId) {
+    await this.stateStore.setLastSeen(vehicleId, Date.now(), this.lastSeenTtl);
+
+    const alert = this.offlineAlerts.get(vehicleId);
+
+    if (!alert) {
+      return;
+    }
+
+    this.offlineAlerts.delete(vehicleId);
+    await this.alertSystem.resolveAlert(alert, { reason: RESOLUTION_REASON, notes: 'Vehicle resumed reporting' });
+    this.stats.resolved++;
+
+    console.log(`🐕 Vehicle ${vehicleId} is reporting again, offline alert ${alert.id} resolved`);
+  }
+
+  /**
+   * Ejecuta una revisión (una sola a la vez)
+   * @returns {Promise<void>}
+   */
+  check() {
+    if (!this.checking) {
+      this.checking = this.checkVehicles()
+        .catch(error => console.error('Error checking offline vehicles:', error))
+        .finally(() => {
+          this.checking = null;
+        });
+    }
+
+    return this.checking;
+  }
+
+  /**
+   * Revisa los vehículos activos y genera alertas para los que superan su umbral
+   * @returns {Promise<void>}
+   */
+  async checkVehicles() {
+    const now = Date.now();
+
+    await this.closeOverdueEpisodes(now);
+
+    if (this.enabled) {
+      await this.checkOfflineVehicles(now);
+    }
+
+    this.stats.checks++;
+    this.stats.lastCheckAt = new Date(now);
+  }
+
+  /**
+   * Cierra los episodios de exceso de velocidad de vehículos que dejaron de reportar
+   * Un error no impide la revisión de vehículos sin reportar
+   * @param {number} now - Hora de la revisión (ms)
+   * @returns {Promise<void>}
+   */
+  async closeOverdueEpisodes(now) {
+    if (!this.episodeCloser) {
+      return;
+    }
+
+    try {
+      const closed = await this.episodeCloser.closeOverdueEpisodes(now);
+      this.stats.episodesClosed += closed;
+
+      if (closed > 0) {
+        console.log(`🐕 Closed ${closed} speeding episode(s) of vehicles that stopped reporting`);
+      }
+
+    } catch (error) {
+      console.error('Error closing overdue speeding episodes:', error);
+    }
+  }
+
+  /**
+   * Genera alertas para los vehículos activos que superan su umbral sin reportar
+   * @param {number} now - Hora de la revisión (ms)
+   * @returns {Promise<void>}
+   */
+  async checkOfflineVehicles(now) {
+    await this.loadActiveAlerts();
+    const vehicles = await this.vehicleSettings.getAll();
+
+    for (const vehicle of vehicles) {
+      if (this.offlineAlerts.has(vehicle.vehicle_id)) {
+        continue;
+      }
+
+      const lastSeen = await this.getLastSeen(vehicle.vehicle_id);
+      const threshold = this.getThreshold(vehicle.vehicle_type);
+      // El silencio se cuenta como máximo desde el inicio del proceso (sin alertas masivas al arrancar)
+      const silentFor = now - Math.max(lastSeen || 0, this.startedAt || now);
+
+      // Un silencio se identifica por su último reporte: una sola instancia genera su alerta
+      if (silentFor > threshold && await this.stateStore.claim(`offline:${vehicle.vehicle_id}:${lastSeen || 'never'}`, this.lastSeenTtl)) {
+        await this.raiseOfflineAlert(vehicle, lastSeen, silentFor, threshold);
+      }
+    }
+  }
+
+  /**
+   * Obtiene el momento del último reporte de un vehículo
+   * Se usa la hora de recepción del servidor: el timestamp del equipo puede venir con el reloj
+   * adelantado o atrasado y no indica cuándo se escuchó al vehículo por última vez.
+   * @param {string} vehicleId - ID del vehículo
+   * @returns {Promise<number|null>} Milisegundos o null si no hay registro
+   */
+  async getLastSeen(vehicleId) {
+    return this.stateStore.getLastSeen(vehicleId);
+  }
+
+  /**
+   * Umbral de silencio para un tipo de vehículo
+   * @param {string} vehicleType - Tipo de vehículo
+   * @returns {number} Milisegundos
+   */
+  getThreshold(vehicleType) {
+    const threshold = Number(this.thresholdsByType[vehicleType]);
+    return threshold > 0 ? threshold : this.offlineThreshold;
+  }
+
+  /**
+   * Genera la alerta VEHICLE_OFFLINE de un vehículo
+   * @param {object} vehicle - Fila de vehicles
+   * @param {number|null} lastSeen - Último reporte (ms) o null
+   * @param {number} silentFor - Tiempo sin reportar (ms)
+   * @param {number} threshold - Umbral aplicado (ms)
+   * @returns {Promise<void>}
+   */
+  async raiseOfflineAlert(vehicle, lastSeen, silentFor, threshold) {
+    const minutes = Math.round(silentFor / 60000);
+    const alert = await this.alertSystem.raiseAlert({
+      type: ALERT_TYPE,
+      severity: 'MEDIUM',
+      priority: 'HIGH',
+      vehicleId: vehicle.vehicle_id,
+      vehicleType: vehicle.vehicle_type || 'unknown',
+      // La alerta se fecha con el último reporte conocido
+      timestamp: new Date(lastSeen || this.startedAt).toISOString(),
+      recommendedAction: 'Check tracker power and connectivity',
+      description: lastSeen
+        ? `Vehicle ${vehicle.vehicle_id} has not reported for ${minutes} min`
+        : `Vehicle ${vehicle.vehicle_id} has not reported since monitoring started (${minutes} min)`,
+      additionalData: {
+        lastSeen: lastSeen ? new Date(lastSeen).toISOString() : null,
+        silentForMs: silentFor,
+        thresholdMs: threshold
+      }
+    });
+
+    this.offlineAlerts.set(vehicle.vehicle_id, alert);
+    this.stats.raised++;
+
+    console.warn(`🐕 Vehicle ${vehicle.vehicle_id} offline for ${minutes} min (threshold ${Math.round(threshold / 60000)} min)`);
+  }
+
+  /**
+   * Obtiene el estado del watchdog
+   * @returns {object} Configuración, vehículos sin reportar y contadores
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      running: this.timer !== null,
+      offlineThreshold: this.offlineThreshold,
+      thresholdsByType: this.thresholdsByType,
+      offlineVehicles: [...this.offlineAlerts.keys()],
+      ...this.stats
+    };
+  }
+}
+
+VehicleWatchdog.ALERT_TYPE = ALERT_TYPE;
+
+module.exports = VehicleWatchdog;
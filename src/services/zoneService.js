@@ -0,0 +1,205 @@
+const config = require('../config/config');
+const { toLatLng, haversineDistance, pointInPolygon } = require('../utils/geo');
+const { getLocalTime, isWithinWindows } = require('../utils/timeWindows');
+
+const METERS_PER_DEGREE = 111320; // Aproximado, solo para la caja envolvente de los círculos
+
+/**
+ * Zonas de velocidad geocercadas en memoria
+ * Principio: Single Responsibility - Solo resuelve qué zonas contienen una posición
+ * Principio: Dependency Inversion - Recibe el repositorio por inyección
+ *
+ * Las zonas habilitadas (speed_zones.is_active) se releen cada SPEED_ZONES_REFRESH_INTERVAL ms
+ * o cuando la API de zonas las modifica. Cada zona guarda su caja envolvente para
+ * descartar rápido las que no pueden contener la posición. El horario activo se evalúa
+ * con el timestamp del dispositivo en la zona horaria FLEET_TIMEZONE.
+ */
+class ZoneService {
+  constructor(zoneRepository, options = {}) {
+    const zonesConfig = { ...config.getModule('zones'), ...options };
+
+    this.zoneRepository = zoneRepository; // Inyección de dependencia
+    this.enabled = zonesConfig.enabled !== false;
+    this.timezone = options.timezone || config.get('fleet.timezone');
+    this.refreshInterval = zonesConfig.refreshInterval;
+    this.zones = [];
+    this.loadedAt = 0;
+    this.refreshing = null;
+  }
+
+  /**
+   * Obtiene las zonas activas que contienen una posición en un momento dado
+   * @param {object} location - Posición de la lectura
+   * @param {string|number|Date} timestamp - Momento de la lectura (del dispositivo)
+   * @returns {Promise<Array>} Filas de speed_zones
+   */
+  async findZones(location, timestamp) {
+    const point = toLatLng(location);
+
+    if (!this.enabled || !point) {
+      return [];
+    }
+
+    if (Date.now() - this.loadedAt >= this.refreshInterval) {
+      await this.refresh();
+    }
+
+    const localTime = getLocalTime(timestamp, this.timezone);
+
+    return this.zones
+      .filter(entry => this.inBounds(entry.bounds, point) && this.contains(entry.zone.geometry, point))
+      .filter(entry => this.isActiveAt(entry.zone, localTime))
+      .map(entry => entry.zone);
+  }
+
+  /**
+   * Obtiene la zona de menor límite que contiene una posición
+   * @param {object} location - Posición de la lectura
+   * @param {string|number|Date} timestamp - Momento de la lectura
+   * @param {function} limitFor - Límite vigente de una zona (por defecto speed_limit; ej: horarios de límites)
+   * @returns {Promise<object|null>} { id, name, speedLimit } o null si no está en ninguna zona
+   */
+  async findTightestZone(location, timestamp, limitFor = zone => Number(zone.speed_limit)) {
+    const zones = await this.findZones(location, timestamp);
+
+    if (zones.length === 0) {
+      return null;
+    }
+
+    // DECIMAL llega como string desde pg
+    const limits = zones.map(zone => ({ zone, speedLimit: limitFor(zone) }));
+    const tightest = limits.reduce((best, entry) => entry.speedLimit < best.speedLimit ? entry : best);
+
+    return {
+      id: tightest.zone.id,
+      name: tightest.zone.name,
+      speedLimit: tightest.speedLimit
+    };
+  }
+
+  /**
+   * Indica si una geometría contiene una posición
+   * @param {object} geometry - Polygon, MultiPolygon o Circle
+   * @param {object} point - Posición { lat, lng }
+   * @returns {boolean} True si la contiene
+   */
+  contains(geometry, point) {
+    switch (geometry.type) {
+      case 'Circle':
+        return haversineDistance({ lng: geometry.center[0], lat: geometry.center[1] }, point) <= geometry.radius;
+      case 'Polygon':
+        return pointInPolygon(point, geometry.coordinates);
+      case 'MultiPolygon':
+        return geometry.coordinates.some(rings => pointInPolygon(point, rings));
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Indica si una zona está en horario activo
+   * @param {object} zone - Fila de speed_zones
+   * @param {object|null} localTime - Hora local de la lectura (getLocalTime)
+   * @returns {boolean} True si la zona aplica
+   */
+  isActiveAt(zone, localTime) {
+    const windows = zone.active_hours;
+
+    if (!Array.isArray(windows) || windows.length === 0) {
+      return true;
+    }
+
+    return isWithinWindows(windows, localTime);
+  }
+
+  /**
+   * Fuerza la recarga en la próxima búsqueda (tras cambios por la API)
+   */
+  invalidate() {
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Relee las zonas habilitadas (una sola lectura a la vez)
+   * @returns {Promise<void>}
+   */
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.load().finally(() => {
+        this.refreshing = null;
+      });
+    }
+
+    return this.refreshing;
+  }
+
+  /**
+   * Carga las zonas desde el repositorio
+   * Si la lectura falla se conservan las últimas zonas conocidas
+   * @returns {Promise<void>}
+   */
+  async load() {
+    try {
+      const rows = await this.zoneRepository.getActiveZones();
+      this.zones = rows.map(zone => ({ zone, bounds: this.getBounds(zone.geometry) }));
+
+    } catch (error) {
+      console.warn(`⚠️  Unable to refresh speed zones, keeping ${this.zones.length} cached: ${error.message}`);
+
+    } finally {
+      this.loadedAt = Date.now();
+    }
+  }
+
+  /**
+   * Calcula la caja envolvente de una geometría
+   * @param {object} geometry - Polygon, MultiPolygon o Circle
+   * @returns {object} { minLat, maxLat, minLng, maxLng }
+   */
+  getBounds(geometry) {
+    if (geometry.type === 'Circle') {
+      const [lng, lat] = geometry.center;
+      const latDelta = geometry.radius / METERS_PER_DEGREE;
+      const lngDelta = geometry.radius / (METERS_PER_DEGREE * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+
+      return { minLat: lat - latDelta, maxLat: lat + latDelta, minLng: lng - lngDelta, maxLng: lng + lngDelta };
+    }
+
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    // Basta el anillo exterior de cada polígono
+    const positions = polygons.flatMap(rings => rings[0] || []);
+
+    return {
+      minLat: Math.min(...positions.map(position => position[1])),
+      maxLat: Math.max(...positions.map(position => position[1])),
+      minLng: Math.min(...positions.map(position => position[0])),
+      maxLng: Math.max(...positions.map(position => position[0]))
+    };
+  }
+
+  /**
+   * Indica si una posición cae dentro de una caja envolvente
+   * @param {object} bounds - Caja envolvente
+   * @param {object} point - Posición { lat, lng }
+   * @returns {boolean} True si está dentro
+   */
+  inBounds(bounds, point) {
+    return point.lat >= bounds.minLat && point.lat <= bounds.maxLat &&
+      point.lng >= bounds.minLng && point.lng <= bounds.maxLng;
+  }
+
+  /**
+   * Obtiene el estado de la caché de zonas
+   * @returns {object} Zonas cargadas y configuración
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      timezone: this.timezone,
+      zones: this.zones.length,
+      loadedAt: this.loadedAt ? new Date(this.loadedAt) : null
+    };
+  }
+}
+
+module.exports = ZoneService;
@@ -0,0 +1,96 @@
+/**
+ * Utilidades geográficas (distancias entre posiciones GPS y pertenencia a polígonos)
+ * Las posiciones se aceptan como { lat, lng }, { latitude, longitude } o { lat, lon }.
+ * Los polígonos siguen GeoJSON: anillos de posiciones [lng, lat], el primero exterior
+ * y los siguientes huecos.
+ */
+
+const EARTH_RADIUS_METERS = 6371008.8; // Radio medio de la Tierra
+
+/**
+ * Normaliza una posición a { lat, lng }
+ * @param {object} location - Posición en cualquiera de los formatos aceptados
+ * @returns {object|null} { lat, lng } o null si no tiene coordenadas numéricas
+ */
+function toLatLng(location) {
+  if (!location || typeof location !== 'object') {
+    return null;
+  }
+
+  const lat = location.lat !== undefined ? location.lat : location.latitude;
+  const lngValue = location.lng !== undefined ? location.lng : location.longitude;
+  const lng = lngValue !== undefined ? lngValue : location.lon;
+
+  if (typeof lat !== 'number' || typeof lng !== 'number' || isNaN(lat) || isNaN(lng)) {
+    return null;
+  }
+
+  return { lat, lng };
+}
+
+/**
+ * Distancia sobre la superficie terrestre entre dos posiciones (fórmula de haversine)
+ * @param {object} from - Posición inicial
+ * @param {object} to - Posición final
+ * @returns {number|null} Distancia en metros o null si falta alguna posición
+ */
+function haversineDistance(from, to) {
+  const a = toLatLng(from);
+  const b = toLatLng(to);
+
+  if (!a || !b) {
+    return null;
+  }
+
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Indica si una posición está dentro de un anillo (ray casting)
+ * @param {object} point - Posición { lat, lng }
+ * @param {Array} ring - Posiciones [lng, lat]
+ * @returns {boolean} True si está dentro
+ */
+function pointInRing(point, ring) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [lngI, latI] = ring[i];
+    const [lngJ, latJ] = ring[j];
+
+    if ((latI > point.lat) !== (latJ > point.lat) &&
+        point.lng < (lngJ - lngI) * (point.lat - latI) / (latJ - latI) + lngI) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Indica si una posición está dentro de un polígono GeoJSON (fuera de sus huecos)
+ * @param {object} location - Posición en cualquiera de los formatos aceptados
+ * @param {Array} rings - coordinates de un Polygon GeoJSON
+ * @returns {boolean} True si está dentro
+ */
+function pointInPolygon(location, rings) {
+  const point = toLatLng(location);
+
+  if (!point || !Array.isArray(rings) || rings.length === 0 || !pointInRing(point, rings[0])) {
+    return false;
+  }
+
+  return !rings.slice(1).some(hole => pointInRing(point, hole));
+}
+
+module.exports = {
+  toLatLng,
+  haversineDistance,
+  pointInPolygon
+};
@@ -0,0 +1,173 @@
+/**
+ * Parser de sentencias NMEA 0183 ($xxRMC y $xxVTG)
+ * Solo extrae lo necesario para el monitoreo: velocidad sobre el suelo, posición y hora UTC.
+ */
+
+// Motivos de rechazo de una sentencia
+const NMEA_ERRORS = Object.freeze({
+  CHECKSUM: 'CHECKSUM',
+  MALFORMED: 'MALFORMED',
+  UNSUPPORTED: 'UNSUPPORTED'
+});
+
+const SENTENCE_PATTERN = /^\$([A-Z]{2})([A-Z]{3}),([^*]*)\*([0-9A-Fa-f]{2})$/;
+const LOGIN_PATTERN = /^#?(?:LOGIN|ID)\s*[,:=]\s*([A-Za-z0-9]+)$/i;
+
+/**
+ * Calcula el checksum NMEA (XOR de los caracteres entre $ y *)
+ * @param {string} body - Contenido de la sentencia sin $ ni *hh
+ * @returns {string} Checksum en hexadecimal (2 dígitos, mayúsculas)
+ */
+function computeChecksum(body) {
+  let checksum = 0;
+
+  for (let i = 0; i < body.length; i++) {
+    checksum ^= body.charCodeAt(i);
+  }
+
+  return checksum.toString(16).toUpperCase().padStart(2, '0');
+}
+
+/**
+ * Obtiene el identificador de una línea de login (LOGIN,<id> o ID:<id>)
+ * @param {string} line - Línea recibida
+ * @returns {string|null} Identificador del equipo o null si no es una línea de login
+ */
+function parseLogin(line) {
+  const match = LOGIN_PATTERN.exec(String(line).trim());
+  return match ? match[1] : null;
+}
+
+/**
+ * Convierte una coordenada NMEA (ddmm.mmmm / dddmm.mmmm) a grados decimales
+ * @param {string} value - Coordenada
+ * @param {string} hemisphere - N, S, E u O/W
+ * @returns {number|null} Grados decimales o null si falta
+ */
+function parseCoordinate(value, hemisphere) {
+  if (!value || !hemisphere) {
+    return null;
+  }
+
+  const number = Number(value);
+  if (isNaN(number)) {
+    return NaN;
+  }
+
+  const degrees = Math.floor(number / 100);
+  const decimal = degrees + (number - degrees * 100) / 60;
+  const sign = hemisphere === 'S' || hemisphere === 'W' ? -1 : 1;
+
+  return Math.round(sign * decimal * 1e6) / 1e6;
+}
+
+/**
+ * Convierte fecha (ddmmyy) y hora (hhmmss.sss) UTC a ISO 8601
+ * @param {string} date - Fecha NMEA
+ * @param {string} time - Hora NMEA
+ * @returns {string|null} Fecha ISO o null si no es válida
+ */
+function parseDateTime(date, time) {
+  if (!/^\d{6}$/.test(date || '') || !/^\d{6}(\.\d+)?$/.test(time || '')) {
+    return null;
+  }
+
+  const milliseconds = time.length > 7 ? Math.round(Number(`0${time.slice(6)}`) * 1000) : 0;
+  const year = Number(date.slice(4, 6));
+  const timestamp = Date.UTC(
+    year < 80 ? 2000 + year : 1900 + year, // Año de 2 dígitos (pivote en 1980, inicio de GPS)
+    Number(date.slice(2, 4)) - 1,
+    Number(date.slice(0, 2)),
+    Number(time.slice(0, 2)),
+    Number(time.slice(2, 4)),
+    Number(time.slice(4, 6)),
+    milliseconds
+  );
+
+  return isNaN(timestamp) ? null : new Date(timestamp).toISOString();
+}
+
+/**
+ * Convierte un campo numérico opcional
+ * @param {string} value - Campo de la sentencia
+ * @returns {number|null} Número o null si está vacío
+ */
+function parseNumber(value) {
+  return value === undefined || value === '' ? null : Number(value);
+}
+
+/**
+ * Parsea una sentencia RMC (mínimo recomendado)
+ * $GPRMC,hhmmss.ss,A,llll.ll,a,yyyyy.yy,a,x.x,x.x,ddmmyy,x.x,a*hh
+ * @param {Array} fields - Campos de la sentencia
+ * @returns {object} Datos de la sentencia
+ */
+function parseRmc(fields) {
+  const lat = parseCoordinate(fields[2], fields[3]);
+  const lng = parseCoordinate(fields[4], fields[5]);
+
+  return {
+    status: fields[1], // A = fix válido, V = sin fix
+    timestamp: parseDateTime(fields[8], fields[0]),
+    location: lat !== null && lng !== null ? { lat, lng } : null,
+    speedKnots: parseNumber(fields[6]),
+    course: parseNumber(fields[7])
+  };
+}
+
+/**
+ * Parsea una sentencia VTG (rumbo y velocidad sobre el suelo)
+ * $GPVTG,x.x,T,x.x,M,x.x,N,x.x,K,a*hh
+ * @param {Array} fields - Campos de la sentencia
+ * @returns {object} Datos de la sentencia
+ */
+function parseVtg(fields) {
+  return {
+    course: parseNumber(fields[0]),
+    speedKnots: parseNumber(fields[4]),
+    speedKmh: parseNumber(fields[6])
+  };
+}
+
+/**
+ * Parsea y verifica una sentencia NMEA
+ * @param {string} line - Sentencia completa ($...*hh)
+ * @returns {object} { valid: true, type, talker, ... } o { valid: false, error, message }
+ */
+function parseSentence(line) {
+  const match = SENTENCE_PATTERN.exec(String(line).trim());
+
+  if (!match) {
+    return { valid: false, error: NMEA_ERRORS.MALFORMED, message: 'Not an NMEA sentence with checksum' };
+  }
+
+  const [, talker, type, data, checksum] = match;
+  const expected = computeChecksum(`${talker}${type},${data}`);
+
+  if (checksum.toUpperCase() !== expected) {
+    return { valid: false, error: NMEA_ERRORS.CHECKSUM, message: `Checksum ${checksum} does not match ${expected}` };
+  }
+
+  const fields = data.split(',');
+
+  if (type === 'RMC' && fields.length >= 9) {
+    return { valid: true, type, talker, ...parseRmc(fields) };
+  }
+
+  if (type === 'VTG' && fields.length >= 7) {
+    return { valid: true, type, talker, ...parseVtg(fields) };
+  }
+
+  if (type === 'RMC' || type === 'VTG') {
+    return { valid: false, error: NMEA_ERRORS.MALFORMED, message: `${type} sentence has too few fields` };
+  }
+
+  return { valid: false, error: NMEA_ERRORS.UNSUPPORTED, message: `Unsupported sentence type ${type}` };
+}
+
+module.exports = {
+  NMEA_ERRORS,
+  computeChecksum,
+  parseLogin,
+  parseSentence
+};
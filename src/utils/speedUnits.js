@@ -0,0 +1,109 @@
+/**
+ * Unidades de velocidad y conversión a km/h
+ * Internamente todas las velocidades se almacenan y comparan en km/h.
+ */
+
+// Unidades canónicas
+const SPEED_UNITS = Object.freeze({
+  KMH: 'kmh',
+  MPH: 'mph',
+  MPS: 'mps',
+  KNOTS: 'knots'
+});
+
+// km/h equivalentes a una unidad
+const KMH_PER_UNIT = Object.freeze({
+  kmh: 1,
+  mph: 1.609344,
+  mps: 3.6,
+  knots: 1.852
+});
+
+// Variantes aceptadas en payloads, configuración y query strings
+const UNIT_ALIASES = Object.freeze({
+  'kmh': SPEED_UNITS.KMH,
+  'km/h': SPEED_UNITS.KMH,
+  'kph': SPEED_UNITS.KMH,
+  'mph': SPEED_UNITS.MPH,
+  'mps': SPEED_UNITS.MPS,
+  'm/s': SPEED_UNITS.MPS,
+  'ms': SPEED_UNITS.MPS,
+  'knots': SPEED_UNITS.KNOTS,
+  'knot': SPEED_UNITS.KNOTS,
+  'kn': SPEED_UNITS.KNOTS,
+  'kt': SPEED_UNITS.KNOTS,
+  'kts': SPEED_UNITS.KNOTS
+});
+
+/**
+ * Normaliza el nombre de una unidad
+ * @param {string} unit - Unidad en cualquiera de sus variantes
+ * @returns {string|null} Unidad canónica o null si no se reconoce
+ */
+function normalizeUnit(unit) {
+  if (typeof unit !== 'string') {
+    return null;
+  }
+
+  return UNIT_ALIASES[unit.trim().toLowerCase()] || null;
+}
+
+/**
+ * Redondea a 2 decimales (precisión de speed_records.speed)
+ * @param {number} value - Valor a redondear
+ * @returns {number} Valor redondeado
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Convierte una velocidad a km/h
+ * @param {number} value - Velocidad en la unidad indicada
+ * @param {string} unit - Unidad canónica
+ * @returns {number} Velocidad en km/h
+ */
+function toKmh(value, unit = SPEED_UNITS.KMH) {
+  return unit === SPEED_UNITS.KMH ? value : round(value * KMH_PER_UNIT[unit]);
+}
+
+/**
+ * Convierte una velocidad desde km/h
+ * @param {number} value - Velocidad en km/h
+ * @param {string} unit - Unidad canónica de destino
+ * @returns {number} Velocidad en la unidad indicada
+ */
+function fromKmh(value, unit = SPEED_UNITS.KMH) {
+  return round(value / KMH_PER_UNIT[unit]);
+}
+
+/**
+ * Convierte los campos de velocidad de una fila (valores numéricos o DECIMAL como texto)
+ * @param {object} row - Fila con velocidades en km/h
+ * @param {Array} fields - Campos a convertir
+ * @param {string} unit - Unidad canónica de destino
+ * @returns {object} Copia de la fila con los campos convertidos
+ */
+function convertSpeedFields(row, fields, unit) {
+  if (!row || unit === SPEED_UNITS.KMH) {
+    return row;
+  }
+
+  const converted = { ...row };
+
+  for (const field of fields) {
+    if (converted[field] !== null && converted[field] !== undefined && !isNaN(Number(converted[field]))) {
+      converted[field] = fromKmh(Number(converted[field]), unit);
+    }
+  }
+
+  return converted;
+}
+
+module.exports = {
+  SPEED_UNITS,
+  normalizeUnit,
+  toKmh,
+  fromKmh,
+  convertSpeedFields
+};
@@ -0,0 +1,144 @@
+/**
+ * Utilidades de ventanas horarias semanales (horarios de zonas y de límites)
+ * Una ventana es { days: ['mon', ...] | null, start: 'HH:MM', end: 'HH:MM' } en la zona
+ * horaria de la flota; sin days aplica todos los días y si end es anterior a start
+ * cruza la medianoche y pertenece al día en que empieza.
+ */
+
+const WEEK_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const clocks = new Map(); // timezone -> Intl.DateTimeFormat
+
+/**
+ * Obtiene (y reutiliza) el formateador de una zona horaria
+ * @param {string} timezone - Zona horaria IANA
+ * @returns {Intl.DateTimeFormat} Formateador
+ */
+function getClock(timezone) {
+  if (!clocks.has(timezone)) {
+    clocks.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+
+  return clocks.get(timezone);
+}
+
+/**
+ * Fecha, día de la semana y minuto del día de un momento en una zona horaria
+ * @param {string|number|Date} timestamp - Momento a convertir
+ * @param {string} timezone - Zona horaria IANA
+ * @returns {object|null} { date: 'YYYY-MM-DD', day: 'mon', minutes } o null si el momento es inválido
+ */
+function getLocalTime(timestamp, timezone) {
+  const date = new Date(timestamp);
+
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+
+  const parts = Object.fromEntries(getClock(timezone).formatToParts(date).map(part => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: parts.weekday.toLowerCase(),
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+}
+
+/**
+ * Convierte 'HH:MM' a minutos del día
+ * @param {string} time - Hora
+ * @returns {number} Minutos
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Indica si una hora local cae en alguna de las ventanas
+ * @param {Array} windows - Ventanas horarias
+ * @param {object} localTime - Resultado de getLocalTime
+ * @returns {boolean} True si está dentro de alguna ventana
+ */
+function isWithinWindows(windows, localTime) {
+  if (!localTime) {
+    return false;
+  }
+
+  const { day, minutes } = localTime;
+  const previousDay = WEEK_DAYS[(WEEK_DAYS.indexOf(day) + 6) % 7];
+  const appliesTo = (window, weekDay) => !window.days || window.days.includes(weekDay);
+
+  return windows.some(window => {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+
+    if (start < end) {
+      return appliesTo(window, day) && minutes >= start && minutes < end;
+    }
+
+    return (appliesTo(window, day) && minutes >= start) || (appliesTo(window, previousDay) && minutes < end);
+  });
+}
+
+/**
+ * Valida y normaliza ventanas horarias (mismo formato de errores que los validadores)
+ * @param {Array} windowsData - Ventanas horarias
+ * @param {Array} errors - Errores acumulados { field, message, value } (se modifica)
+ * @param {string} fieldName - Campo para los mensajes de error
+ * @returns {Array|undefined} Ventanas normalizadas o undefined si son inválidas
+ */
+function validateTimeWindows(windowsData, errors, fieldName) {
+  if (!Array.isArray(windowsData) || windowsData.length === 0) {
+    errors.push({ field: fieldName, message: `${fieldName} must be a non-empty array of time windows`, value: windowsData });
+    return undefined;
+  }
+
+  const windows = [];
+
+  for (const [index, window] of windowsData.entries()) {
+    const field = `${fieldName}[${index}]`;
+
+    if (!window || typeof window !== 'object') {
+      errors.push({ field, message: 'Time window must be an object', value: window });
+      return undefined;
+    }
+
+    if (!TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end) || window.start === window.end) {
+      errors.push({ field, message: 'start and end must be different HH:MM times', value: window });
+      return undefined;
+    }
+
+    let days = null;
+    if (window.days !== undefined && window.days !== null) {
+      days = Array.isArray(window.days) ? window.days.map(day => String(day).toLowerCase().substring(0, 3)) : [];
+
+      if (days.length === 0 || !days.every(day => WEEK_DAYS.includes(day))) {
+        errors.push({ field: `${field}.days`, message: `days must be a non-empty array of ${WEEK_DAYS.join(', ')}`, value: window.days });
+        return undefined;
+      }
+    }
+
+    windows.push({ days, start: window.start, end: window.end });
+  }
+
+  return windows;
+}
+
+module.exports = {
+  WEEK_DAYS,
+  getLocalTime,
+  toMinutes,
+  isWithinWindows,
+  validateTimeWindows
+};
@@ -0,0 +1,95 @@
+const STATUSES = ['ACTIVE', 'ACKNOWLEDGED', 'RESOLVED', 'DISMISSED'];
+const CLOSED_STATUSES = ['RESOLVED', 'DISMISSED'];
+
+// Estado actual -> estados a los que puede pasar (volver a ACTIVE es reabrir)
+const TRANSITIONS = Object.freeze({
+  ACTIVE: ['ACKNOWLEDGED', 'RESOLVED', 'DISMISSED'],
+  ACKNOWLEDGED: ['RESOLVED', 'DISMISSED'],
+  RESOLVED: ['ACTIVE'],
+  DISMISSED: ['ACTIVE']
+});
+
+// Quién hizo el cambio de estado
+const ACTOR_TYPES = Object.freeze({
+  USER: 'USER',
+  SYSTEM: 'SYSTEM'
+});
+
+/**
+ * Validador de cambios de estado de alertas
+ * Sin dependencias de Joi - mismo manejo manual que SimpleSpeedValidator
+ *
+ * Ciclo de vida: ACTIVE → ACKNOWLEDGED → RESOLVED | DISMISSED, y RESOLVED | DISMISSED → ACTIVE
+ * para reabrir. Una alerta activa también puede resolverse o descartarse sin reconocerse.
+ */
+class AlertTransitionValidator {
+  /**
+   * Valida un cambio de estado pedido por un usuario
+   * @param {object} data - Datos a validar (status, user, notes)
+   * @returns {object} Resultado de validación { isValid, errors, data }
+   */
+  validateTransition(data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return {
+        isValid: false,
+        errors: [{ field: 'root', message: 'Status change must be an object', value: data }],
+        data: null
+      };
+    }
+
+    const normalized = {};
+
+    if (!STATUSES.includes(data.status)) {
+      errors.push({ field: 'status', message: `status is required and must be one of ${STATUSES.join(', ')}`, value: data.status });
+    } else {
+      normalized.status = data.status;
+    }
+
+    if (typeof data.user !== 'string' || data.user.trim().length === 0 || data.user.trim().length > 100) {
+      errors.push({ field: 'user', message: 'user is required (body or X-User header) and must be a string of up to 100 characters', value: data.user });
+    } else {
+      normalized.user = data.user.trim();
+    }
+
+    if (data.notes !== undefined && data.notes !== null) {
+      if (typeof data.notes !== 'string' || data.notes.length > 1000) {
+        errors.push({ field: 'notes', message: 'notes must be a string of up to 1000 characters', value: data.notes });
+      } else {
+        normalized.notes = data.notes;
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      data: errors.length === 0 ? normalized : null
+    };
+  }
+
+  /**
+   * Indica si una alerta puede pasar de un estado a otro
+   * @param {string} from - Estado actual
+   * @param {string} to - Estado pedido
+   * @returns {boolean} True si el cambio está permitido
+   */
+  static canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Indica si un estado cierra la alerta
+   * @param {string} status - Estado
+   * @returns {boolean} True si es RESOLVED o DISMISSED
+   */
+  static isClosed(status) {
+    return CLOSED_STATUSES.includes(status);
+  }
+}
+
+AlertTransitionValidator.STATUSES = STATUSES;
+AlertTransitionValidator.TRANSITIONS = TRANSITIONS;
+AlertTransitionValidator.ACTOR_TYPES = ACTOR_TYPES;
+
+module.exports = AlertTransitionValidator;
@@ -0,0 +1,230 @@
+const { validateTimeWindows } = require('../utils/timeWindows');
+
+const SEVERITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+const PRIORITIES = ['LOW', 'NORMAL', 'MEDIUM', 'HIGH', 'CRITICAL'];
+const NUMERIC_CONDITIONS = ['speed', 'speedLimit', 'exceedAmount', 'exceedPercentage', 'consecutiveCount'];
+const OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const CONDITION_KEYS = [...NUMERIC_CONDITIONS, 'vehicleTypes', 'zoneIds', 'inZone', 'timeWindows'];
+const TEMPLATE_FIELDS = [
+  'vehicleId', 'vehicleType', 'speed', 'speedLimit', 'exceedAmount', 'exceedPercentage',
+  'consecutiveCount', 'zoneName', 'zoneText', 'timestamp'
+];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+/**
+ * Validador de reglas de alerta
+ * Sin dependencias de Joi - mismo manejo manual que SimpleSpeedValidator
+ *
+ * Las condiciones numéricas usan operadores { gt, gte, lt, lte } y todas las condiciones
+ * presentes deben cumplirse. Una regla sin condiciones coincide con cualquier violación.
+ */
+class RuleValidator {
+  /**
+   * Valida los datos de una regla
+   * @param {object} data - Datos a validar (name, evaluationPriority, conditions, severity, alertPriority, recommendedAction, messageTemplate, isEnabled)
+   * @param {object} options - partial: solo valida los campos presentes (actualizaciones)
+   * @returns {object} Resultado de validación { isValid, errors, data }
+   */
+  validateRule(data, options = {}) {
+    const partial = Boolean(options.partial);
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return {
+        isValid: false,
+        errors: [{ field: 'root', message: 'Rule must be an object', value: data }],
+        data: null
+      };
+    }
+
+    const normalized = {};
+    const isPresent = field => data[field] !== undefined;
+
+    if (isPresent('name') || !partial) {
+      if (typeof data.name !== 'string' || data.name.trim().length === 0 || data.name.trim().length > 100) {
+        errors.push({ field: 'name', message: 'name is required and must be a string of up to 100 characters', value: data.name });
+      } else {
+        normalized.name = data.name.trim();
+      }
+    }
+
+    if (isPresent('evaluationPriority') || !partial) {
+      if (!Number.isInteger(data.evaluationPriority)) {
+        errors.push({ field: 'evaluationPriority', message: 'evaluationPriority is required and must be an integer (lower is evaluated first)', value: data.evaluationPriority });
+      } else {
+        normalized.evaluationPriority = data.evaluationPriority;
+      }
+    }
+
+    if (isPresent('conditions')) {
+      const conditions = this.validateConditions(data.conditions, errors);
+      if (conditions) {
+        normalized.conditions = conditions;
+      }
+    } else if (!partial) {
+      normalized.conditions = {};
+    }
+
+    if (isPresent('severity') || !partial) {
+      if (!SEVERITIES.includes(data.severity)) {
+        errors.push({ field: 'severity', message: `severity is required and must be one of ${SEVERITIES.join(', ')}`, value: data.severity });
+      } else {
+        normalized.severity = data.severity;
+      }
+    }
+
+    if (isPresent('alertPriority')) {
+      if (!PRIORITIES.includes(data.alertPriority)) {
+        errors.push({ field: 'alertPriority', message: `alertPriority must be one of ${PRIORITIES.join(', ')}`, value: data.alertPriority });
+      } else {
+        normalized.alertPriority = data.alertPriority;
+      }
+    }
+
+    if (isPresent('recommendedAction')) {
+      if (data.recommendedAction !== null && typeof data.recommendedAction !== 'string') {
+        errors.push({ field: 'recommendedAction', message: 'recommendedAction must be a string or null', value: data.recommendedAction });
+      } else {
+        normalized.recommendedAction = data.recommendedAction;
+      }
+    }
+
+    if (isPresent('messageTemplate') || !partial) {
+      this.validateTemplate(data.messageTemplate, normalized, errors);
+    }
+
+    if (isPresent('isEnabled')) {
+      if (typeof data.isEnabled !== 'boolean') {
+        errors.push({ field: 'isEnabled', message: 'isEnabled must be a boolean', value: data.isEnabled });
+      } else {
+        normalized.isEnabled = data.isEnabled;
+      }
+    }
+
+    if (partial && errors.length === 0 && Object.keys(normalized).length === 0) {
+      errors.push({ field: 'root', message: 'At least one rule field must be provided', value: data });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      data: errors.length === 0 ? normalized : null
+    };
+  }
+
+  /**
+   * Valida y normaliza las condiciones de una regla
+   * @param {object} conditions - Condiciones recibidas
+   * @param {Array} errors - Errores acumulados (se modifica)
+   * @returns {object|undefined} Condiciones normalizadas o undefined si son inválidas
+   */
+  validateConditions(conditions, errors) {
+    if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+      errors.push({ field: 'conditions', message: 'conditions must be an object', value: conditions });
+      return undefined;
+    }
+
+    const initialErrors = errors.length;
+    const normalized = {};
+
+    for (const [key, value] of Object.entries(conditions)) {
+      const field = `conditions.${key}`;
+
+      if (!CONDITION_KEYS.includes(key)) {
+        errors.push({ field, message: `Unknown condition (valid: ${CONDITION_KEYS.join(', ')})`, value });
+
+      } else if (NUMERIC_CONDITIONS.includes(key)) {
+        const range = this.validateRange(value);
+        if (range) {
+          normalized[key] = range;
+        } else {
+          errors.push({ field, message: `${key} must be an object with numeric ${OPERATORS.join(', ')} operators`, value });
+        }
+
+      } else if (key === 'vehicleTypes') {
+        if (!Array.isArray(value) || value.length === 0 || !value.every(type => typeof type === 'string' && type.trim().length > 0)) {
+          errors.push({ field, message: 'vehicleTypes must be a non-empty array of vehicle types', value });
+        } else {
+          normalized.vehicleTypes = value.map(type => type.trim().toLowerCase());
+        }
+
+      } else if (key === 'zoneIds') {
+        if (!Array.isArray(value) || value.length === 0 || !value.every(id => typeof id === 'string' && UUID_PATTERN.test(id))) {
+          errors.push({ field, message: 'zoneIds must be a non-empty array of zone UUIDs', value });
+        } else {
+          normalized.zoneIds = value;
+        }
+
+      } else if (key === 'inZone') {
+        if (typeof value !== 'boolean') {
+          errors.push({ field, message: 'inZone must be a boolean', value });
+        } else {
+          normalized.inZone = value;
+        }
+
+      } else {
+        const windows = validateTimeWindows(value, errors, field);
+        if (windows) {
+          normalized.timeWindows = windows;
+        }
+      }
+    }
+
+    return errors.length === initialErrors ? normalized : undefined;
+  }
+
+  /**
+   * Valida un rango numérico { gt, gte, lt, lte }
+   * @param {object} range - Rango recibido
+   * @returns {object|null} Rango normalizado o null si es inválido
+   */
+  validateRange(range) {
+    if (!range || typeof range !== 'object' || Array.isArray(range)) {
+      return null;
+    }
+
+    const operators = Object.keys(range);
+
+    if (operators.length === 0 || !operators.every(operator =>
+      OPERATORS.includes(operator) && typeof range[operator] === 'number' && isFinite(range[operator]))) {
+      return null;
+    }
+
+    return { ...range };
+  }
+
+  /**
+   * Valida la plantilla del mensaje y sus marcadores
+   * @param {string} template - Plantilla recibida
+   * @param {object} normalized - Datos normalizados (se modifica)
+   * @param {Array} errors - Errores acumulados (se modifica)
+   */
+  validateTemplate(template, normalized, errors) {
+    if (typeof template !== 'string' || template.trim().length === 0) {
+      errors.push({ field: 'messageTemplate', message: 'messageTemplate is required and must be a non-empty string', value: template });
+      return;
+    }
+
+    const unknown = [...template.matchAll(PLACEHOLDER_PATTERN)]
+      .map(match => match[1])
+      .filter(placeholder => !TEMPLATE_FIELDS.includes(placeholder));
+
+    if (unknown.length > 0) {
+      errors.push({
+        field: 'messageTemplate',
+        message: `Unknown placeholders: ${unknown.join(', ')} (valid: ${TEMPLATE_FIELDS.join(', ')})`,
+        value: template
+      });
+      return;
+    }
+
+    normalized.messageTemplate = template;
+  }
+}
+
+RuleValidator.SEVERITIES = SEVERITIES;
+RuleValidator.PRIORITIES = PRIORITIES;
+RuleValidator.TEMPLATE_FIELDS = TEMPLATE_FIELDS;
+
+module.exports = RuleValidator;
@@ -0,0 +1,161 @@
+const { validateTimeWindows } = require('../utils/timeWindows');
+
+const SCOPES = ['global', 'vehicle_type', 'zone'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validador de horarios de límites de velocidad y feriados
+ * Sin dependencias de Joi - mismo manejo manual que SimpleSpeedValidator
+ *
+ * Un horario tiene alcance global, vehicle_type (requiere vehicleType) o zone
+ * (requiere zoneId). En actualizaciones, scope, vehicleType y zoneId se envían juntos.
+ */
+class ScheduleValidator {
+  /**
+   * Valida los datos de un horario
+   * @param {object} data - Datos a validar (name, scope, vehicleType, zoneId, speedLimit, windows, applyOnHolidays, isActive)
+   * @param {object} options - partial: solo valida los campos presentes (actualizaciones)
+   * @returns {object} Resultado de validación { isValid, errors, data }
+   */
+  validateSchedule(data, options = {}) {
+    const partial = Boolean(options.partial);
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return {
+        isValid: false,
+        errors: [{ field: 'root', message: 'Schedule must be an object', value: data }],
+        data: null
+      };
+    }
+
+    const normalized = {};
+    const isPresent = field => data[field] !== undefined;
+
+    if (isPresent('name') || !partial) {
+      if (typeof data.name !== 'string' || data.name.trim().length === 0 || data.name.trim().length > 100) {
+        errors.push({ field: 'name', message: 'name is required and must be a string of up to 100 characters', value: data.name });
+      } else {
+        normalized.name = data.name.trim();
+      }
+    }
+
+    if (['scope', 'vehicleType', 'zoneId'].some(isPresent) || !partial) {
+      this.validateScope(data, normalized, errors);
+    }
+
+    if (isPresent('speedLimit') || !partial) {
+      const speedLimit = typeof data.speedLimit === 'string' ? parseFloat(data.speedLimit) : data.speedLimit;
+
+      if (typeof speedLimit !== 'number' || isNaN(speedLimit) || speedLimit <= 0 || speedLimit >= 1000) {
+        errors.push({ field: 'speedLimit', message: 'speedLimit is required and must be a number between 0 and 1000 km/h', value: data.speedLimit });
+      } else {
+        normalized.speedLimit = speedLimit;
+      }
+    }
+
+    if (isPresent('windows') || !partial) {
+      const windows = validateTimeWindows(data.windows, errors, 'windows');
+      if (windows) {
+        normalized.windows = windows;
+      }
+    }
+
+    for (const field of ['applyOnHolidays', 'isActive']) {
+      if (isPresent(field)) {
+        if (typeof data[field] !== 'boolean') {
+          errors.push({ field, message: `${field} must be a boolean`, value: data[field] });
+        } else {
+          normalized[field] = data[field];
+        }
+      }
+    }
+
+    if (partial && errors.length === 0 && Object.keys(normalized).length === 0) {
+      errors.push({ field: 'root', message: 'At least one schedule field must be provided', value: data });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      data: errors.length === 0 ? normalized : null
+    };
+  }
+
+  /**
+   * Valida el alcance del horario y su clave (tipo de vehículo o zona)
+   * @param {object} data - Datos recibidos
+   * @param {object} normalized - Datos normalizados (se modifica)
+   * @param {Array} errors - Errores acumulados (se modifica)
+   */
+  validateScope(data, normalized, errors) {
+    if (!SCOPES.includes(data.scope)) {
+      errors.push({ field: 'scope', message: `scope is required and must be one of ${SCOPES.join(', ')}`, value: data.scope });
+      return;
+    }
+
+    normalized.scope = data.scope;
+    normalized.vehicleType = null;
+    normalized.zoneId = null;
+
+    if (data.scope === 'vehicle_type') {
+      if (typeof data.vehicleType !== 'string' || data.vehicleType.trim().length === 0 || data.vehicleType.trim().length > 20) {
+        errors.push({ field: 'vehicleType', message: 'vehicleType is required for vehicle_type schedules (up to 20 characters)', value: data.vehicleType });
+      } else {
+        normalized.vehicleType = data.vehicleType.trim().toLowerCase();
+      }
+    }
+
+    if (data.scope === 'zone') {
+      if (typeof data.zoneId !== 'string' || !UUID_PATTERN.test(data.zoneId)) {
+        errors.push({ field: 'zoneId', message: 'zoneId is required for zone schedules and must be a UUID', value: data.zoneId });
+      } else {
+        normalized.zoneId = data.zoneId;
+      }
+    }
+  }
+
+  /**
+   * Valida un feriado
+   * @param {object} data - Datos a validar (date 'YYYY-MM-DD', name)
+   * @returns {object} Resultado de validación { isValid, errors, data }
+   */
+  validateHoliday(data) {
+    const errors = [];
+    const date = data && data.date;
+    const name = data && data.name;
+
+    if (!this.isValidDate(date)) {
+      errors.push({ field: 'date', message: 'date is required and must be a valid YYYY-MM-DD date', value: date });
+    }
+
+    if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 100) {
+      errors.push({ field: 'name', message: 'name is required and must be a string of up to 100 characters', value: name });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      data: errors.length === 0 ? { date, name: name.trim() } : null
+    };
+  }
+
+  /**
+   * Indica si un valor es una fecha 'YYYY-MM-DD' existente
+   * @param {string} date - Fecha
+   * @returns {boolean} True si es válida
+   */
+  isValidDate(date) {
+    if (typeof date !== 'string' || !DATE_PATTERN.test(date)) {
+      return false;
+    }
+
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date);
+  }
+}
+
+ScheduleValidator.SCOPES = SCOPES;
+
+module.exports = ScheduleValidator;
@@ -1,3 +1,5 @@
+const { SPEED_UNITS, normalizeUnit, toKmh } = require('../utils/speedUnits');
+
 /**
  * Validador simple y directo para datos de velocidad
  * Sin dependencias de Joi - manejo manual más controlado
@@ -10,9 +12,10 @@ class SimpleSpeedValidator {
   /**
    * Valida un mensaje de velocidad
    * @param {object} data - Datos a validar
+   * @param {object} context - Contexto de recepción (topicVehicleId: vehicleId del tópico, defaultUnit: unidad si el payload no la indica)
    * @returns {object} Resultado de validación
    */
-  validateSpeedData(data) {
+  validateSpeedData(data, context = {}) {
     const errors = [];
 
     try {
@@ -46,6 +49,30 @@ class SimpleSpeedValidator {
         });
       }
 
+      // Validar que el vehicleId del payload coincida con el del tópico
+      if (context.topicVehicleId && typeof data.vehicleId === 'string' &&
+          data.vehicleId.trim() !== context.topicVehicleId) {
+        errors.push({
+          field: 'vehicleId',
+          message: `vehicleId does not match topic vehicleId ${context.topicVehicleId}`,
+          value: data.vehicleId
+        });
+      }
+
+      // Validar unit (opcional) - la velocidad se almacena siempre en km/h
+      let unit = normalizeUnit(context.defaultUnit) || SPEED_UNITS.KMH;
+      if (data.unit !== undefined && data.unit !== null) {
+        unit = normalizeUnit(data.unit);
+
+        if (!unit) {
+          errors.push({
+            field: 'unit',
+            message: `unit must be one of ${Object.values(SPEED_UNITS).join(', ')}`,
+            value: data.unit
+          });
+        }
+      }
+
       // Validar speed (requerido)
       if (data.speed === undefined || data.speed === null) {
         errors.push({
@@ -59,7 +86,7 @@ class SimpleSpeedValidator {
           message: 'speed must be a valid number',
           value: data.speed
         });
-      } else if (data.speed < 0 || data.speed > 500) {
+      } else if (data.speed < 0 || toKmh(data.speed, unit || SPEED_UNITS.KMH) > 500) {
         errors.push({
           field: 'speed',
           message: 'speed must be between 0 and 500 km/h',
@@ -67,6 +94,21 @@ class SimpleSpeedValidator {
         });
       }
 
+      // Validar messageId (opcional) - identificador del dispositivo para deduplicar
+      let normalizedMessageId = null;
+      if (data.messageId !== undefined && data.messageId !== null) {
+        if ((typeof data.messageId !== 'string' && typeof data.messageId !== 'number') ||
+            String(data.messageId).trim().length === 0 || String(data.messageId).length > 100) {
+          errors.push({
+            field: 'messageId',
+            message: 'messageId must be a non-empty string or number of at most 100 characters',
+            value: data.messageId
+          });
+        } else {
+          normalizedMessageId = String(data.messageId).trim();
+        }
+      }
+
       // Validar timestamp (opcional)
       let normalizedTimestamp = data.timestamp;
       if (data.timestamp) {
@@ -153,6 +195,11 @@ class SimpleSpeedValidator {
         }
       }
 
+      // Conservar la velocidad y unidad originales si hubo conversión
+      if (unit !== SPEED_UNITS.KMH) {
+        normalizedMetadata = { ...(normalizedMetadata || {}), originalSpeed: data.speed, originalUnit: unit };
+      }
+
       // Si hay errores críticos, retornar error
       if (errors.length > 0) {
         return {
@@ -165,11 +212,12 @@ class SimpleSpeedValidator {
       // Construir datos normalizados
       const normalizedData = {
         vehicleId: data.vehicleId.trim(),
-        speed: Number(data.speed),
+        speed: toKmh(Number(data.speed), unit),
         timestamp: normalizedTimestamp,
         location: normalizedLocation,
         vehicleType: normalizedVehicleType,
         metadata: normalizedMetadata,
+        messageId: normalizedMessageId,
         receivedAt: new Date()
       };
 
@@ -189,6 +237,56 @@ class SimpleSpeedValidator {
     }
   }
 
+  /**
+   * Valida un lote de mensajes de velocidad item por item
+   * @param {array} dataArray - Array de datos a validar
+   * @param {number} maxSize - Tamaño máximo permitido del lote
+   * @param {array} contexts - Contexto de recepción de cada item (opcional)
+   * @returns {object} Resultado de validación con reporte por item
+   */
+  validateBatch(dataArray, maxSize = 500, contexts = []) {
+    if (!Array.isArray(dataArray)) {
+      return {
+        isValid: false,
+        errors: [{ field: 'root', message: 'Batch must be an array', value: typeof dataArray }],
+        items: [],
+        validItems: []
+      };
+    }
+
+    if (dataArray.length === 0 || dataArray.length > maxSize) {
+      return {
+        isValid: false,
+        errors: [{
+          field: 'root',
+          message: `Batch must contain between 1 and ${maxSize} items`,
+          value: dataArray.length
+        }],
+        items: [],
+        validItems: []
+      };
+    }
+
+    const items = dataArray.map((item, index) => ({
+      index,
+      ...this.validateSpeedData(item, contexts[index])
+    }));
+
+    const validItems = items.filter(item => item.isValid);
+
+    return {
+      isValid: true,
+      errors: [],
+      items,
+      validItems: validItems.map(item => item.data),
+      stats: {
+        total: dataArray.length,
+        valid: validItems.length,
+        invalid: dataArray.length - validItems.length
+      }
+    };
+  }
+
   /**
    * Verifica si los datos representan una violación de velocidad
    * @param {object} data - Datos de velocidad validados
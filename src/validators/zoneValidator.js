@@ -0,0 +1,231 @@
+const { validateTimeWindows } = require('../utils/timeWindows');
+
+const GEOMETRY_TYPES = ['Polygon', 'MultiPolygon', 'Circle'];
+
+/**
+ * Validador de zonas de velocidad
+ * Sin dependencias de Joi - mismo manejo manual que SimpleSpeedValidator
+ *
+ * Geometrías aceptadas (posiciones GeoJSON [lng, lat]):
+ * - { type: 'Polygon', coordinates: [[...anillo exterior], [...huecos]] }
+ * - { type: 'MultiPolygon', coordinates: [polígono, ...] }
+ * - { type: 'Circle', center: [lng, lat], radius: metros }
+ * Horario activo: null (siempre) o [{ days: ['mon', ...], start: 'HH:MM', end: 'HH:MM' }];
+ * si end es anterior a start la ventana cruza la medianoche.
+ */
+class ZoneValidator {
+  /**
+   * Valida los datos de una zona
+   * @param {object} data - Datos a validar (name, speedLimit, geometry, activeHours, description, isActive)
+   * @param {object} options - partial: solo valida los campos presentes (actualizaciones)
+   * @returns {object} Resultado de validación { isValid, errors, data }
+   */
+  validateZone(data, options = {}) {
+    const partial = Boolean(options.partial);
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return {
+        isValid: false,
+        errors: [{ field: 'root', message: 'Zone must be an object', value: data }],
+        data: null
+      };
+    }
+
+    const normalized = {};
+    const isPresent = field => data[field] !== undefined;
+
+    if (isPresent('name') || !partial) {
+      if (typeof data.name !== 'string' || data.name.trim().length === 0 || data.name.trim().length > 100) {
+        errors.push({ field: 'name', message: 'name is required and must be a string of up to 100 characters', value: data.name });
+      } else {
+        normalized.name = data.name.trim();
+      }
+    }
+
+    if (isPresent('speedLimit') || !partial) {
+      const speedLimit = typeof data.speedLimit === 'string' ? parseFloat(data.speedLimit) : data.speedLimit;
+
+      if (typeof speedLimit !== 'number' || isNaN(speedLimit) || speedLimit <= 0 || speedLimit >= 1000) {
+        errors.push({ field: 'speedLimit', message: 'speedLimit is required and must be a number between 0 and 1000 km/h', value: data.speedLimit });
+      } else {
+        normalized.speedLimit = speedLimit;
+      }
+    }
+
+    if (isPresent('geometry') || !partial) {
+      const geometry = this.validateGeometry(data.geometry, errors);
+      if (geometry) {
+        normalized.geometry = geometry;
+      }
+    }
+
+    if (isPresent('activeHours')) {
+      const activeHours = data.activeHours === null ? null : validateTimeWindows(data.activeHours, errors, 'activeHours');
+      if (activeHours !== undefined) {
+        normalized.activeHours = activeHours;
+      }
+    } else if (!partial) {
+      normalized.activeHours = null;
+    }
+
+    if (isPresent('description')) {
+      if (data.description !== null && typeof data.description !== 'string') {
+        errors.push({ field: 'description', message: 'description must be a string or null', value: data.description });
+      } else {
+        normalized.description = data.description;
+      }
+    }
+
+    if (isPresent('isActive')) {
+      if (typeof data.isActive !== 'boolean') {
+        errors.push({ field: 'isActive', message: 'isActive must be a boolean', value: data.isActive });
+      } else {
+        normalized.isActive = data.isActive;
+      }
+    }
+
+    if (partial && errors.length === 0 && Object.keys(normalized).length === 0) {
+      errors.push({ field: 'root', message: 'At least one zone field must be provided', value: data });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      data: errors.length === 0 ? normalized : null
+    };
+  }
+
+  /**
+   * Valida y normaliza una geometría
+   * @param {object} geometry - Geometría de la zona
+   * @param {Array} errors - Errores acumulados (se modifica)
+   * @returns {object|null} Geometría normalizada o null si es inválida
+   */
+  validateGeometry(geometry, errors) {
+    if (!geometry || typeof geometry !== 'object' || !GEOMETRY_TYPES.includes(geometry.type)) {
+      errors.push({ field: 'geometry', message: `geometry is required and its type must be one of ${GEOMETRY_TYPES.join(', ')}`, value: geometry });
+      return null;
+    }
+
+    if (geometry.type === 'Circle') {
+      const radius = geometry.radius;
+
+      if (!this.isPosition(geometry.center)) {
+        errors.push({ field: 'geometry.center', message: 'center must be a [longitude, latitude] position', value: geometry.center });
+        return null;
+      }
+
+      if (typeof radius !== 'number' || !(radius > 0)) {
+        errors.push({ field: 'geometry.radius', message: 'radius must be a positive number of meters', value: radius });
+        return null;
+      }
+
+      return { type: 'Circle', center: geometry.center.slice(0, 2), radius };
+    }
+
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+
+    if (!Array.isArray(polygons) || polygons.length === 0) {
+      errors.push({ field: 'geometry.coordinates', message: `${geometry.type} coordinates must be a non-empty array`, value: geometry.coordinates });
+      return null;
+    }
+
+    const normalizedPolygons = [];
+
+    for (const rings of polygons) {
+      if (!Array.isArray(rings) || rings.length === 0) {
+        errors.push({ field: 'geometry.coordinates', message: 'Each polygon must be an array of linear rings', value: rings });
+        return null;
+      }
+
+      const normalizedRings = [];
+
+      for (const ring of rings) {
+        const normalizedRing = this.normalizeRing(ring);
+
+        if (!normalizedRing) {
+          errors.push({ field: 'geometry.coordinates', message: 'Each ring must have at least 3 distinct [longitude, latitude] positions', value: ring });
+          return null;
+        }
+
+        normalizedRings.push(normalizedRing);
+      }
+
+      normalizedPolygons.push(normalizedRings);
+    }
+
+    return {
+      type: geometry.type,
+      coordinates: geometry.type === 'Polygon' ? normalizedPolygons[0] : normalizedPolygons
+    };
+  }
+
+  /**
+   * Valida un anillo y lo cierra si hace falta
+   * @param {Array} ring - Posiciones [lng, lat]
+   * @returns {Array|null} Anillo cerrado o null si es inválido
+   */
+  normalizeRing(ring) {
+    if (!Array.isArray(ring) || !ring.every(position => this.isPosition(position))) {
+      return null;
+    }
+
+    const positions = ring.map(position => position.slice(0, 2));
+    const first = positions[0];
+    const last = positions[positions.length - 1];
+    const closed = positions.length > 1 && first[0] === last[0] && first[1] === last[1];
+
+    if (!closed) {
+      positions.push(first);
+    }
+
+    // Un anillo cerrado necesita al menos 4 posiciones (3 vértices)
+    return positions.length >= 4 ? positions : null;
+  }
+
+  /**
+   * Convierte un Feature GeoJSON a los datos de una zona
+   * Un Point con properties.radius se interpreta como círculo
+   * @param {object} feature - Feature GeoJSON
+   * @returns {object} Datos de zona para validateZone
+   */
+  featureToZone(feature) {
+    const properties = (feature && feature.properties) || {};
+    let geometry = feature ? feature.geometry : null;
+
+    if (geometry && geometry.type === 'Point') {
+      geometry = { type: 'Circle', center: geometry.coordinates, radius: Number(properties.radius) };
+    }
+
+    const zone = {
+      name: properties.name,
+      speedLimit: properties.speedLimit !== undefined ? properties.speedLimit : properties.speed_limit,
+      geometry
+    };
+
+    const activeHours = properties.activeHours !== undefined ? properties.activeHours : properties.active_hours;
+    if (activeHours !== undefined) {
+      zone.activeHours = activeHours;
+    }
+
+    if (properties.description !== undefined) {
+      zone.description = properties.description;
+    }
+
+    return zone;
+  }
+
+  /**
+   * Indica si un valor es una posición [lng, lat] válida
+   * @param {Array} position - Posición GeoJSON
+   * @returns {boolean} True si es válida
+   */
+  isPosition(position) {
+    return Array.isArray(position) && position.length >= 2 &&
+      typeof position[0] === 'number' && position[0] >= -180 && position[0] <= 180 &&
+      typeof position[1] === 'number' && position[1] >= -90 && position[1] <= 90;
+  }
+}
+
+module.exports = ZoneValidator;
@@ -0,0 +1,85 @@
+const AlertAutoResolver = require('../src/services/alertAutoResolver');
+
+const RESOLVE_AFTER = 60000;
+const T0 = Date.parse('2024-01-02T10:00:00Z'); // Reloj del dispositivo, muy anterior a la hora del servidor
+
+const reading = (speed, offsetMs, overrides = {}) => ({
+  vehicleId: 'VEH001',
+  speed,
+  speedLimit: 60,
+  timestamp: new Date(T0 + offsetMs).toISOString(),
+  ...overrides
+});
+
+const speedAlert = { id: 'a1', type: 'SPEED_VIOLATION', vehicleId: 'VEH001', timestamp: new Date(T0).toISOString() };
+
+describe('AlertAutoResolver', () => {
+  let alertSystem;
+  let resolver;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    alertSystem = { resolveAlert: jest.fn(async () => {}) };
+    resolver = new AlertAutoResolver(alertSystem, null, { enabled: true, after: RESOLVE_AFTER });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('resolves open speed alerts after N ms under the limit in device time', async () => {
+    await resolver.sendNotification(speedAlert);
+
+    await resolver.recordReading(reading(75, 10000));
+    await resolver.recordReading(reading(50, 60000)); // 50 s desde la última violación
+    expect(alertSystem.resolveAlert).not.toHaveBeenCalled();
+
+    await resolver.recordReading(reading(50, 70000));
+    expect(alertSystem.resolveAlert).toHaveBeenCalledTimes(1);
+    expect(alertSystem.resolveAlert).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'a1' }),
+      expect.objectContaining({ reason: AlertAutoResolver.RESOLUTION_REASON })
+    );
+    expect(resolver.getStatus()).toMatchObject({ openAlerts: 0, resolved: 1 });
+  });
+
+  test('ignores late readings and alerts of other types', async () => {
+    await resolver.sendNotification({ ...speedAlert, id: 'o1', type: 'VEHICLE_OFFLINE' });
+    await resolver.sendNotification(speedAlert);
+
+    await resolver.recordReading(reading(50, 120000, { late: true }));
+
+    expect(alertSystem.resolveAlert).not.toHaveBeenCalled();
+    expect(resolver.getStatus().openAlerts).toBe(1);
+  });
+
+  test('keeps acknowledged alerts and counts a reopened alert from the last device reading', async () => {
+    await resolver.sendNotification(speedAlert);
+    await resolver.sendUpdate({ ...speedAlert, status: 'ACKNOWLEDGED', change: 'ACKNOWLEDGED' });
+    expect(resolver.getStatus().openAlerts).toBe(1);
+
+    await resolver.sendUpdate({ ...speedAlert, status: 'RESOLVED', change: 'RESOLVED' });
+    expect(resolver.getStatus().openAlerts).toBe(0);
+
+    await resolver.recordReading(reading(50, 300000));
+    await resolver.sendUpdate({ ...speedAlert, status: 'ACTIVE', change: 'ACTIVE' });
+    expect(resolver.getStatus().openAlerts).toBe(1);
+
+    await resolver.recordReading(reading(50, 330000));
+    expect(alertSystem.resolveAlert).not.toHaveBeenCalled();
+
+    // Con la hora del servidor (años después del reloj del dispositivo) nunca se resolvería
+    await resolver.recordReading(reading(50, 300000 + RESOLVE_AFTER));
+    expect(alertSystem.resolveAlert).toHaveBeenCalledTimes(1);
+  });
+
+  test('stops resolving and forgets tracked alerts when stopped', async () => {
+    await resolver.sendNotification(speedAlert);
+
+    await resolver.stop();
+    await resolver.recordReading(reading(50, 120000));
+
+    expect(alertSystem.resolveAlert).not.toHaveBeenCalled();
+    expect(resolver.getStatus().openAlerts).toBe(0);
+  });
+});
@@ -0,0 +1,101 @@
+const AlertController = require('../src/controllers/alertController');
+const AlertSystem = require('../src/services/alertSystem');
+const AlertAutoResolver = require('../src/services/alertAutoResolver');
+const AlertTransitionValidator = require('../src/validators/alertTransitionValidator');
+
+/**
+ * Repositorio en memoria con las mismas reglas de transición que alertRepository.transitionStatus
+ */
+const createRepository = rows => ({
+  rows,
+  transitions: [],
+  async transitionStatus(alertId, status, transition) {
+    const current = this.rows.get(alertId);
+
+    if (!current) {
+      return null;
+    }
+
+    if (!AlertTransitionValidator.canTransition(current.status, status)) {
+      return { alert: current, transition: null };
+    }
+
+    const entry = { alert_id: alertId, from_status: current.status, to_status: status, actor_type: transition.actorType, actor: transition.actor };
+    current.status = status;
+    this.transitions.push(entry);
+
+    return { alert: { ...current }, transition: entry };
+  }
+});
+
+const request = (alertId, body = {}) => ({
+  params: { alertId },
+  body,
+  get: () => undefined
+});
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  return res;
+};
+
+describe('AlertController status changes', () => {
+  let controller;
+  let resolver;
+  let repository;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const alertSystem = new AlertSystem();
+    resolver = new AlertAutoResolver(alertSystem, null, { enabled: true, after: 60000 });
+    alertSystem.addNotificationHandler(resolver);
+
+    repository = createRepository(new Map([
+      ['a1', { alert_id: 'a1', type: 'SPEED_VIOLATION', vehicle_id: 'VEH001', status: 'ACTIVE', violation_timestamp: '2024-01-02T10:00:00Z' }]
+    ]));
+    controller = new AlertController(null, () => ({ alertSystem }));
+    controller.alertRepository = repository;
+    resolver.track({ id: 'a1', type: 'SPEED_VIOLATION', vehicleId: 'VEH001', timestamp: '2024-01-02T10:00:00Z' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('acknowledges, resolves and reopens an alert as the user', async () => {
+    const acknowledged = response();
+    await controller.acknowledge(request('a1', { user: 'ops' }), acknowledged);
+    expect(acknowledged.json).toHaveBeenCalledWith(expect.objectContaining({ success: true, data: expect.objectContaining({ status: 'ACKNOWLEDGED' }) }));
+
+    // Una alerta reconocida no se reabre: primero se cierra
+    const early = response();
+    await controller.reopen(request('a1', { user: 'ops' }), early);
+    expect(early.status).toHaveBeenCalledWith(409);
+    expect(early.json).toHaveBeenCalledWith(expect.objectContaining({ validValues: ['RESOLVED', 'DISMISSED'] }));
+
+    await controller.resolve(request('a1', { user: 'ops' }), response());
+    expect(resolver.getStatus().openAlerts).toBe(0);
+
+    const reopened = response();
+    await controller.reopen(request('a1', { user: 'ops', notes: 'still speeding' }), reopened);
+
+    expect(reopened.json).toHaveBeenCalledWith(expect.objectContaining({ success: true, message: 'Alert status updated to ACTIVE' }));
+    expect(repository.transitions.map(entry => `${entry.from_status}->${entry.to_status}`))
+      .toEqual(['ACTIVE->ACKNOWLEDGED', 'ACKNOWLEDGED->RESOLVED', 'RESOLVED->ACTIVE']);
+    expect(repository.transitions.every(entry => entry.actor_type === 'USER' && entry.actor === 'ops')).toBe(true);
+    expect(resolver.getStatus().openAlerts).toBe(1); // La reabierta vuelve a resolverse sola
+  });
+
+  test('requires the user and reports unknown alerts', async () => {
+    const anonymous = response();
+    await controller.acknowledge(request('a1'), anonymous);
+    expect(anonymous.status).toHaveBeenCalledWith(400);
+
+    const missing = response();
+    await controller.acknowledge(request('a404', { user: 'ops' }), missing);
+    expect(missing.status).toHaveBeenCalledWith(404);
+  });
+});
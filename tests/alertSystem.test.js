@@ -0,0 +1,69 @@
+const AlertSystem = require('../src/services/alertSystem');
+
+/**
+ * Repositorio en memoria que, como la tabla alerts, rechaza alert_id repetidos
+ */
+const createRepository = () => {
+  const saved = new Map();
+
+  return {
+    saved,
+    withRetry: fn => fn(),
+    saveAlert: jest.fn(async alert => {
+      if (saved.has(alert.id)) {
+        const error = new Error('duplicate key value violates unique constraint "alerts_alert_id_key"');
+        error.code = '23505';
+        throw error;
+      }
+      saved.set(alert.id, alert);
+      return alert;
+    })
+  };
+};
+
+const speedViolation = {
+  vehicleId: 'VEH001',
+  vehicleType: 'car',
+  speed: 90,
+  speedLimit: 60,
+  timestamp: '2024-01-02T10:00:00Z',
+  rule: { id: null, version: null, name: 'High excess', severity: 'HIGH', priority: 'NORMAL', description: 'x' }
+};
+
+describe('AlertSystem', () => {
+  let nowSpy;
+
+  beforeEach(() => {
+    nowSpy = jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2024-01-02T10:00:00Z'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    nowSpy.mockRestore();
+    jest.restoreAllMocks();
+  });
+
+  test('keeps every alert raised for one vehicle in the same millisecond', async () => {
+    const repository = createRepository();
+    const alertSystem = new AlertSystem(null, [], repository);
+
+    const speedResult = await alertSystem.processViolation(speedViolation);
+    const mismatch = await alertSystem.raiseAlert({ type: 'SENSOR_MISMATCH', severity: 'MEDIUM', vehicleId: 'VEH001' });
+    const fault = await alertSystem.raiseAlert({ type: 'DATA_QUALITY', severity: 'LOW', vehicleId: 'VEH001' });
+
+    const ids = [speedResult.alert.id, mismatch.id, fault.id];
+    expect(new Set(ids).size).toBe(3);
+    expect(repository.saved.size).toBe(3);
+  });
+
+  test('keeps offline alerts raised in the same watchdog tick', async () => {
+    const repository = createRepository();
+    const alertSystem = new AlertSystem(null, [], repository);
+
+    await alertSystem.raiseAlert({ type: 'VEHICLE_OFFLINE', severity: 'MEDIUM', vehicleId: 'VEH001' });
+    await alertSystem.raiseAlert({ type: 'VEHICLE_OFFLINE', severity: 'MEDIUM', vehicleId: 'VEH001' });
+
+    expect(repository.saveAlert).toHaveBeenCalledTimes(2);
+    expect(repository.saved.size).toBe(2);
+  });
+});
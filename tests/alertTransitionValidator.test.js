@@ -0,0 +1,33 @@
+const AlertTransitionValidator = require('../src/validators/alertTransitionValidator');
+
+const validator = new AlertTransitionValidator();
+
+describe('AlertTransitionValidator', () => {
+  test('allows the documented lifecycle', () => {
+    expect(AlertTransitionValidator.canTransition('ACTIVE', 'ACKNOWLEDGED')).toBe(true);
+    expect(AlertTransitionValidator.canTransition('ACKNOWLEDGED', 'RESOLVED')).toBe(true);
+    expect(AlertTransitionValidator.canTransition('ACTIVE', 'DISMISSED')).toBe(true);
+    expect(AlertTransitionValidator.canTransition('RESOLVED', 'ACTIVE')).toBe(true);
+    expect(AlertTransitionValidator.canTransition('DISMISSED', 'ACTIVE')).toBe(true);
+  });
+
+  test('rejects invalid transitions', () => {
+    expect(AlertTransitionValidator.canTransition('ACTIVE', 'ACTIVE')).toBe(false);
+    expect(AlertTransitionValidator.canTransition('ACKNOWLEDGED', 'ACTIVE')).toBe(false);
+    expect(AlertTransitionValidator.canTransition('ACKNOWLEDGED', 'ACKNOWLEDGED')).toBe(false);
+    expect(AlertTransitionValidator.canTransition('RESOLVED', 'ACKNOWLEDGED')).toBe(false);
+    expect(AlertTransitionValidator.canTransition('RESOLVED', 'DISMISSED')).toBe(false);
+    expect(AlertTransitionValidator.canTransition('UNKNOWN', 'ACTIVE')).toBe(false);
+  });
+
+  test('validates status, user and notes of a status change', () => {
+    expect(validator.validateTransition({ status: 'RESOLVED', user: ' ops ', notes: 'checked' }))
+      .toEqual({ isValid: true, errors: [], data: { status: 'RESOLVED', user: 'ops', notes: 'checked' } });
+
+    const result = validator.validateTransition({ status: 'CLOSED', user: '', notes: 5 });
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors.map(error => error.field)).toEqual(['status', 'user', 'notes']);
+    expect(validator.validateTransition(null).errors[0].field).toBe('root');
+  });
+});
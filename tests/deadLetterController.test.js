@@ -0,0 +1,205 @@
+const express = require('express');
+const request = require('supertest');
+const DeadLetterRoutes = require('../src/routes/deadLetterRoutes');
+const DeadLetterService = require('../src/services/deadLetterService');
+
+const FIRST_ID = '0b6f7f8e-8a4e-4c39-9f0a-1d2e3f4a5b6c';
+const SECOND_ID = '7c1d2e3f-4a5b-4c6d-8e9f-0a1b2c3d4e5f';
+const UNKNOWN_ID = 'ffffffff-ffff-4fff-bfff-ffffffffffff';
+
+/**
+ * Repositorio en memoria con filas ya formateadas como las retorna DeadLetterRepository
+ */
+const createRepository = () => {
+  const rows = new Map([
+    [FIRST_ID, {
+      id: FIRST_ID,
+      source_topic: 'vehicles/speed',
+      reason_code: 'VALIDATION_FAILED',
+      errors: [{ field: 'speed', message: 'Speed exceeds maximum' }],
+      vehicle_id: 'VEH001',
+      batch_index: null,
+      status: 'PENDING',
+      payload: '{"vehicleId":"VEH001","speed":900}',
+      payload_encoding: 'utf8'
+    }],
+    [SECOND_ID, {
+      id: SECOND_ID,
+      source_topic: 'vehicles/VEH002/speed',
+      reason_code: 'MALFORMED_JSON',
+      errors: [{ field: 'payload', message: 'Unexpected end of JSON input' }],
+      vehicle_id: 'VEH002',
+      batch_index: null,
+      status: 'PENDING',
+      payload: '{"speed":',
+      payload_encoding: 'utf8'
+    }]
+  ]);
+
+  return {
+    rows,
+    listDeadLetters: jest.fn(async filters => [...rows.values()].filter(row =>
+      (!filters.reasonCode || row.reason_code === filters.reasonCode) &&
+      (!filters.vehicleId || row.vehicle_id === filters.vehicleId))),
+    getDeadLetter: async id => rows.get(id) || null,
+    markResubmitted: async id => {
+      rows.get(id).status = 'RESUBMITTED';
+    },
+    recordResubmitFailure: async () => {}
+  };
+};
+
+/**
+ * Procesador falso que reenvía con el DeadLetterService real y acepta solo JSON válido
+ */
+const createProcessor = repository => {
+  const service = new DeadLetterService(null, repository);
+
+  return {
+    isRunning: true,
+    reprocessed: [],
+    resubmitDeadLetters(ids) {
+      return service.resubmit(ids, async payload => {
+        this.reprocessed.push(payload.toString());
+
+        try {
+          JSON.parse(payload.toString());
+          return { success: true };
+        } catch (error) {
+          return { success: false, reasonCode: 'MALFORMED_JSON', errors: [{ field: 'payload', message: error.message }] };
+        }
+      });
+    }
+  };
+};
+
+describe('DeadLetterController', () => {
+  let repository;
+  let processor;
+  let app;
+
+  beforeEach(() => {
+    repository = createRepository();
+    processor = createProcessor(repository);
+
+    const routes = new DeadLetterRoutes(() => processor);
+    routes.deadLetterController.deadLetterRepository = repository;
+    app = express();
+    app.use(express.json());
+    app.use('/api/deadletters', routes.getRouter());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('list', () => {
+    test('lists dead letters with the applied filters and pagination', async () => {
+      const response = await request(app).get('/api/deadletters').query({ reasonCode: 'MALFORMED_JSON', limit: '10' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        success: true,
+        count: 1,
+        filters: { status: 'all', reasonCode: 'MALFORMED_JSON', sourceTopic: 'all', vehicleId: 'all' },
+        pagination: { limit: 10, offset: 0 }
+      });
+      expect(response.body.data[0].id).toBe(SECOND_ID);
+    });
+
+    test('rejects unknown reason codes', async () => {
+      const response = await request(app).get('/api/deadletters').query({ reasonCode: 'TOO_FAST' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ success: false, error: 'Invalid reason code' });
+      expect(response.body.validValues).toContain('VALIDATION_FAILED');
+      expect(repository.listDeadLetters).not.toHaveBeenCalled();
+    });
+
+    test('returns 500 when the repository fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      repository.listDeadLetters.mockRejectedValueOnce(new Error('connection terminated'));
+
+      const response = await request(app).get('/api/deadletters');
+
+      expect(response.status).toBe(500);
+      expect(response.body).toMatchObject({ success: false, error: 'Internal server error', message: 'connection terminated' });
+    });
+  });
+
+  describe('inspect', () => {
+    test('returns a dead letter with its original payload and field errors', async () => {
+      const response = await request(app).get(`/api/deadletters/${FIRST_ID}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        source_topic: 'vehicles/speed',
+        reason_code: 'VALIDATION_FAILED',
+        errors: [{ field: 'speed', message: 'Speed exceeds maximum' }],
+        payload: '{"vehicleId":"VEH001","speed":900}'
+      });
+    });
+
+    test('rejects malformed ids and reports unknown ones', async () => {
+      const malformed = await request(app).get('/api/deadletters/42');
+      const unknown = await request(app).get(`/api/deadletters/${UNKNOWN_ID}`);
+
+      expect(malformed.status).toBe(400);
+      expect(malformed.body.error).toBe('Invalid dead letter ID');
+      expect(unknown.status).toBe(404);
+      expect(unknown.body.error).toBe('Dead letter not found');
+    });
+  });
+
+  describe('resubmit', () => {
+    test('resubmits one dead letter through the processor', async () => {
+      const response = await request(app).post(`/api/deadletters/${FIRST_ID}/resubmit`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        success: true,
+        data: [{ id: FIRST_ID, status: 'accepted' }],
+        message: '1 of 1 dead letters resubmitted'
+      });
+      expect(processor.reprocessed).toEqual(['{"vehicleId":"VEH001","speed":900}']);
+      expect(repository.rows.get(FIRST_ID).status).toBe('RESUBMITTED');
+    });
+
+    test('reports the outcome of each id when resubmitting several', async () => {
+      const response = await request(app).post('/api/deadletters/resubmit').send({ ids: [FIRST_ID, SECOND_ID, UNKNOWN_ID] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('1 of 3 dead letters resubmitted');
+      expect(response.body.data.map(result => result.status)).toEqual(['accepted', 'rejected', 'not_found']);
+      expect(response.body.data[1].reasonCode).toBe('MALFORMED_JSON');
+      expect(repository.rows.get(SECOND_ID).status).toBe('PENDING');
+    });
+
+    test('validates the ids before resubmitting', async () => {
+      const empty = await request(app).post('/api/deadletters/resubmit').send({ ids: [] });
+      const invalid = await request(app).post('/api/deadletters/resubmit').send({ ids: [FIRST_ID, 'abc'] });
+
+      expect(empty.status).toBe(400);
+      expect(empty.body.error).toBe('Request body must include a non-empty ids array');
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.invalidIds).toEqual(['abc']);
+      expect(processor.reprocessed).toEqual([]);
+    });
+
+    test('returns 404 for a single unknown id', async () => {
+      const response = await request(app).post(`/api/deadletters/${UNKNOWN_ID}/resubmit`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Dead letter not found');
+    });
+
+    test('returns 503 when the processor is not running', async () => {
+      processor.isRunning = false;
+
+      const response = await request(app).post(`/api/deadletters/${FIRST_ID}/resubmit`);
+
+      expect(response.status).toBe(503);
+      expect(repository.rows.get(FIRST_ID).status).toBe('PENDING');
+    });
+  });
+});
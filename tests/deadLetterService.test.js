@@ -0,0 +1,209 @@
+const DeadLetterService = require('../src/services/deadLetterService');
+const DeadLetterRepository = require('../src/repositories/deadLetterRepository');
+const MqttSpeedProcessor = require('../src/services/mqttSpeedProcessor');
+
+const { REASON_CODES } = DeadLetterService;
+
+/**
+ * Repositorio en memoria que guarda los mensajes con el formato de dead_letter_messages
+ */
+const createRepository = () => {
+  const rows = new Map();
+  const formatter = Object.create(DeadLetterRepository.prototype);
+
+  return {
+    rows,
+    withRetry: fn => fn(),
+    saveDeadLetter: jest.fn(async entry => {
+      const row = {
+        id: `dl-${rows.size + 1}`,
+        source_topic: entry.sourceTopic,
+        reason_code: entry.reasonCode,
+        errors: entry.errors || null,
+        raw_payload: entry.rawPayload,
+        content_type: entry.contentType || null,
+        batch_index: Number.isInteger(entry.batchIndex) ? entry.batchIndex : null,
+        vehicle_id: entry.vehicleId || null,
+        status: 'PENDING',
+        resubmit_count: 0,
+        last_resubmit_error: null
+      };
+      rows.set(row.id, row);
+      return formatter.formatRow(row);
+    }),
+    getDeadLetter: async id => (rows.has(id) ? formatter.formatRow(rows.get(id)) : null),
+    markResubmitted: jest.fn(async id => {
+      Object.assign(rows.get(id), { status: 'RESUBMITTED', resubmit_count: rows.get(id).resubmit_count + 1 });
+    }),
+    recordResubmitFailure: jest.fn(async (id, failure) => {
+      Object.assign(rows.get(id), { resubmit_count: rows.get(id).resubmit_count + 1, last_resubmit_error: failure });
+    })
+  };
+};
+
+/**
+ * Cliente MQTT falso que registra las publicaciones
+ */
+const createMqttClient = () => ({
+  isConnected: true,
+  publish: jest.fn(async () => {})
+});
+
+describe('DeadLetterService', () => {
+  let repository;
+  let mqttClient;
+  let service;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    repository = createRepository();
+    mqttClient = createMqttClient();
+    service = new DeadLetterService(mqttClient, repository);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('record', () => {
+    test('stores the raw payload, topic, reason code and field errors', async () => {
+      const errors = [{ field: 'speed', message: 'speed must be a number', value: 'fast' }];
+
+      const saved = await service.record({
+        sourceTopic: 'vehicles/speed',
+        rawPayload: Buffer.from('{"vehicleId":"VEH001","speed":"fast"}'),
+        contentType: 'application/json',
+        reasonCode: REASON_CODES.INVALID_STRUCTURE,
+        errors,
+        vehicleId: 'VEH001'
+      });
+
+      expect(saved).toMatchObject({
+        id: 'dl-1',
+        source_topic: 'vehicles/speed',
+        reason_code: 'INVALID_STRUCTURE',
+        errors,
+        vehicle_id: 'VEH001',
+        payload: '{"vehicleId":"VEH001","speed":"fast"}',
+        payload_encoding: 'utf8'
+      });
+      expect(Buffer.isBuffer(repository.rows.get('dl-1').raw_payload)).toBe(true);
+    });
+
+    test('publishes the rejection to the dead-letter topic with the stored id', async () => {
+      await service.record({
+        sourceTopic: 'vehicles/speed/batch',
+        rawPayload: { vehicleId: 'VEH002', speed: -5 },
+        reasonCode: REASON_CODES.VALIDATION_FAILED,
+        errors: [{ field: 'speed', message: 'Speed cannot be negative' }],
+        batchIndex: 3
+      });
+
+      expect(mqttClient.publish).toHaveBeenCalledWith('vehicles/speed/deadletter', expect.objectContaining({
+        id: 'dl-1',
+        sourceTopic: 'vehicles/speed/batch',
+        reasonCode: 'VALIDATION_FAILED',
+        errors: [{ field: 'speed', message: 'Speed cannot be negative' }],
+        batchIndex: 3,
+        payload: '{"vehicleId":"VEH002","speed":-5}',
+        payloadEncoding: 'utf8'
+      }));
+    });
+
+    test('keeps binary payloads byte for byte and publishes them as base64', async () => {
+      const binary = Buffer.from([0x08, 0x96, 0x01, 0xff, 0xfe]);
+
+      const saved = await service.record({ sourceTopic: 'vehicles/speed', rawPayload: binary, reasonCode: REASON_CODES.UNDECODABLE_PAYLOAD });
+
+      expect(repository.rows.get('dl-1').raw_payload.equals(binary)).toBe(true);
+      expect(saved).toMatchObject({ payload: binary.toString('base64'), payload_encoding: 'base64' });
+      expect(mqttClient.publish.mock.calls[0][1]).toMatchObject({ payload: binary.toString('base64'), payloadEncoding: 'base64', errors: [] });
+    });
+
+    test('still publishes and counts when storing fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      repository.saveDeadLetter.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+
+      await expect(service.record({ sourceTopic: 'vehicles/speed', rawPayload: '', reasonCode: REASON_CODES.EMPTY_PAYLOAD })).resolves.toBeNull();
+      await service.record({ sourceTopic: 'vehicles/speed', rawPayload: '{', reasonCode: REASON_CODES.MALFORMED_JSON });
+
+      expect(mqttClient.publish.mock.calls[0][1]).toMatchObject({ id: null, reasonCode: 'EMPTY_PAYLOAD', payload: '' });
+      expect(service.getStats()).toEqual({ deadLetterCount: 2, byReason: { EMPTY_PAYLOAD: 1, MALFORMED_JSON: 1 } });
+    });
+
+    test('records what the processor rejects with the original payload', async () => {
+      const processor = Object.create(MqttSpeedProcessor.prototype);
+      Object.assign(processor, { messageCount: 0, errorCount: 0, deadLetterService: service });
+      const raw = Buffer.from('{"vehicleId":"VEH001","speed":"fast"}');
+
+      await processor.handleSpeedMessage('vehicles/speed', raw.toString(), raw, { contentType: 'application/json' });
+
+      expect(repository.saveDeadLetter).toHaveBeenCalledWith(expect.objectContaining({
+        sourceTopic: 'vehicles/speed',
+        rawPayload: raw,
+        contentType: 'application/json',
+        reasonCode: 'INVALID_STRUCTURE',
+        errors: [{ field: 'speed', message: 'speed must be a number', value: 'fast' }],
+        vehicleId: 'VEH001'
+      }));
+      expect(processor.errorCount).toBe(1);
+    });
+  });
+
+  describe('resubmit', () => {
+    /**
+     * Guarda un mensaje rechazado y retorna su id
+     */
+    const recordMessage = async payload => {
+      const saved = await service.record({ sourceTopic: 'vehicles/speed', rawPayload: payload, reasonCode: REASON_CODES.VALIDATION_FAILED });
+      return saved.id;
+    };
+
+    test('reprocesses the original payload and marks accepted messages', async () => {
+      const id = await recordMessage('{"vehicleId":"VEH001","speed":50}');
+      const reprocess = jest.fn(async () => ({ success: true }));
+
+      await expect(service.resubmit([id], reprocess)).resolves.toEqual([{ id, status: 'accepted' }]);
+
+      const [payload, entry] = reprocess.mock.calls[0];
+      expect(payload.toString()).toBe('{"vehicleId":"VEH001","speed":50}');
+      expect(entry.source_topic).toBe('vehicles/speed');
+      expect(repository.rows.get(id).status).toBe('RESUBMITTED');
+    });
+
+    test('passes binary payloads back as the same bytes', async () => {
+      const binary = Buffer.from([0x08, 0x96, 0x01, 0xff]);
+      const id = await recordMessage(binary);
+      const reprocess = jest.fn(async () => ({ success: true }));
+
+      await service.resubmit([id], reprocess);
+
+      expect(reprocess.mock.calls[0][0].equals(binary)).toBe(true);
+    });
+
+    test('keeps rejected messages pending with the new failure', async () => {
+      const id = await recordMessage('{"vehicleId":"VEH001","speed":900}');
+      const errors = [{ field: 'speed', message: 'Speed exceeds maximum' }];
+
+      const results = await service.resubmit([id], async () => ({ success: false, reasonCode: 'VALIDATION_FAILED', errors }));
+
+      expect(results).toEqual([{ id, status: 'rejected', reasonCode: 'VALIDATION_FAILED', errors }]);
+      expect(repository.rows.get(id)).toMatchObject({ status: 'PENDING', last_resubmit_error: { reasonCode: 'VALIDATION_FAILED', errors } });
+    });
+
+    test('skips resubmitted messages and reports unknown ids', async () => {
+      const id = await recordMessage('{"vehicleId":"VEH001","speed":50}');
+      const reprocess = jest.fn(async () => ({ success: true }));
+      await service.resubmit([id], reprocess);
+
+      const results = await service.resubmit([id, 'dl-99'], reprocess);
+
+      expect(results).toEqual([
+        { id, status: 'skipped', reason: 'Message was already resubmitted' },
+        { id: 'dl-99', status: 'not_found' }
+      ]);
+      expect(reprocess).toHaveBeenCalledTimes(1);
+    });
+  });
+});
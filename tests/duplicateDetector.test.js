@@ -0,0 +1,79 @@
+const DuplicateDetector = require('../src/services/duplicateDetector');
+const SpeedProcessor = require('../src/services/speedProcessor');
+
+describe('DuplicateDetector', () => {
+  let now;
+
+  beforeEach(() => {
+    now = Date.parse('2024-01-02T10:00:00Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keys by messageId when present and by vehicle, timestamp and speed otherwise', () => {
+    expect(DuplicateDetector.buildKey({ vehicleId: 'VEH001', messageId: 'm-1', timestamp: '2024-01-02T10:00:00Z', speed: 70 }))
+      .toBe('msg:VEH001:m-1');
+    expect(DuplicateDetector.buildKey({ vehicleId: 'VEH001', timestamp: '2024-01-02T07:00:00-03:00', speed: 70 }))
+      .toBe('rec:VEH001:2024-01-02T10:00:00.000Z:70');
+    // El mismo messageId de otro vehículo no es un duplicado
+    expect(DuplicateDetector.buildKey({ vehicleId: 'VEH002', messageId: 'm-1' }))
+      .not.toBe(DuplicateDetector.buildKey({ vehicleId: 'VEH001', messageId: 'm-1' }));
+  });
+
+  test('forgets keys older than the window', () => {
+    const detector = new DuplicateDetector({ windowSize: 10, windowMs: 60000 });
+    detector.remember('a');
+
+    now += 60000;
+    expect(detector.isRecent('a')).toBe(true);
+
+    now += 1;
+    expect(detector.isRecent('a')).toBe(false);
+    expect(detector.getStats().windowEntries).toBe(0);
+  });
+
+  test('evicts the least recently seen keys beyond the window size', () => {
+    const detector = new DuplicateDetector({ windowSize: 2, windowMs: 60000 });
+
+    detector.remember('a');
+    detector.remember('b');
+    detector.remember('a'); // Vuelve a ser la más reciente
+    detector.remember('c');
+
+    expect(detector.isRecent('a')).toBe(true);
+    expect(detector.isRecent('b')).toBe(false);
+    expect(detector.isRecent('c')).toBe(true);
+    expect(detector.getStats()).toMatchObject({ windowEntries: 2, windowSize: 2 });
+  });
+});
+
+describe('SpeedProcessor duplicates', () => {
+  const reading = { vehicleId: 'VEH001', speed: 50, timestamp: '2024-01-02T10:00:00Z', messageId: 'm-1' };
+
+  test('counts redeliveries inside the window without storing them again', async () => {
+    const dataStore = { saveSpeedRecord: jest.fn(async record => ({ id: 1, ...record })) };
+    const processor = new SpeedProcessor(null, dataStore);
+
+    await processor.processSpeedData(reading);
+    const redelivery = await processor.processSpeedData(reading);
+
+    expect(redelivery).toMatchObject({ success: true, duplicate: true });
+    expect(dataStore.saveSpeedRecord).toHaveBeenCalledTimes(1);
+    expect(processor.getProcessingStats().duplicateCount).toBe(1);
+  });
+
+  test('counts a row rejected by the dedup_key constraint as a duplicate', async () => {
+    // Otra instancia o un reinicio ya guardó la lectura: ON CONFLICT no retorna fila
+    const dataStore = { saveSpeedRecord: jest.fn(async () => null) };
+    const processor = new SpeedProcessor(null, dataStore);
+
+    const result = await processor.processSpeedData(reading);
+
+    expect(result).toMatchObject({ success: true, duplicate: true, vehicleState: null });
+    expect(processor.getProcessingStats()).toMatchObject({ duplicateCount: 1 });
+    expect(await processor.vehicleStates.get('VEH001')).toBeNull();
+  });
+});
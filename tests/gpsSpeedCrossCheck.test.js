@@ -0,0 +1,105 @@
+const GpsSpeedCrossCheck = require('../src/services/gpsSpeedCrossCheck');
+const AlertSystem = require('../src/services/alertSystem');
+
+const crossCheck = new GpsSpeedCrossCheck({
+  enabled: true,
+  tolerance: 20,
+  tolerancePercent: 30,
+  minInterval: 5000,
+  maxInterval: 120000,
+  sustainedCount: 3,
+  maxPlausibleSpeed: 300
+});
+
+/**
+ * Lectura con posición; 0.01° de latitud son ~1112 m
+ */
+const reading = (speed, timestamp, latitude, overrides = {}) => ({
+  vehicleId: 'VEH001',
+  vehicleType: 'car',
+  speed,
+  timestamp,
+  location: { latitude, longitude: -58.38 },
+  ...overrides
+});
+
+describe('GpsSpeedCrossCheck', () => {
+  test('accepts speeds that agree with the GPS movement', () => {
+    // ~1112 m en 60 s ≈ 66.7 km/h
+    const check = crossCheck.compare(
+      reading(65, '2024-01-02T10:00:00Z', -34.60),
+      reading(68, '2024-01-02T10:01:00Z', -34.61)
+    );
+
+    expect(check.impliedSpeed).toBeCloseTo(66.7, 0);
+    expect(check.mismatch).toBe(false);
+    expect(check.jump).toBe(false);
+  });
+
+  test('flags a mismatch beyond the tolerance and alerts once it is sustained', () => {
+    const check = crossCheck.compare(
+      reading(20, '2024-01-02T10:00:00Z', -34.60),
+      reading(20, '2024-01-02T10:01:00Z', -34.61)
+    );
+
+    expect(check.mismatch).toBe(true);
+    expect(check.difference).toBeGreaterThan(20);
+    expect(crossCheck.shouldAlert({ ...check, mismatchRun: 1 })).toBe(false);
+    expect(crossCheck.shouldAlert({ ...check, mismatchRun: 3 })).toBe(true);
+
+    // El GPS implica exceso pero el velocímetro reporta dentro del límite
+    const alert = crossCheck.buildAlert(reading(20, '2024-01-02T10:01:00Z', -34.61), { ...check, mismatchRun: 3 }, 60);
+    expect(alert).toMatchObject({ type: 'SENSOR_MISMATCH', severity: 'HIGH', vehicleId: 'VEH001' });
+  });
+
+  test('reports impossible position jumps right away', () => {
+    // ~11 km en 10 s
+    const check = crossCheck.compare(
+      reading(60, '2024-01-02T10:00:00Z', -34.60),
+      reading(60, '2024-01-02T10:00:10Z', -34.70)
+    );
+
+    expect(check.jump).toBe(true);
+    expect(crossCheck.shouldAlert(check)).toBe(true);
+  });
+
+  test('skips readings without a usable previous position', () => {
+    const current = reading(60, '2024-01-02T10:01:00Z', -34.61);
+
+    expect(crossCheck.compare(null, current)).toBeNull();
+    expect(crossCheck.compare(reading(60, '2024-01-02T10:00:00Z', -34.60, { location: null }), current)).toBeNull();
+    // Anterior demasiado vieja (más de maxInterval) o posterior a la actual
+    expect(crossCheck.compare(reading(60, '2024-01-02T09:50:00Z', -34.60), current)).toBeNull();
+    expect(crossCheck.compare(reading(60, '2024-01-02T10:02:00Z', -34.60), current)).toBeNull();
+    // Intervalo demasiado corto para comparar sin salto
+    expect(crossCheck.compare(reading(60, '2024-01-02T10:00:58Z', -34.6099), current)).toBeNull();
+  });
+
+  test('keeps both the speed alert and the mismatch alert of the same reading', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const saved = new Set();
+    const repository = {
+      withRetry: fn => fn(),
+      saveAlert: jest.fn(async alert => {
+        if (saved.has(alert.id)) {
+          throw Object.assign(new Error('duplicate key'), { code: '23505' });
+        }
+        saved.add(alert.id);
+        return alert;
+      })
+    };
+    const alertSystem = new AlertSystem(null, [], repository);
+    const current = reading(90, '2024-01-02T10:01:00Z', -34.61);
+    const check = crossCheck.compare(reading(90, '2024-01-02T10:00:00Z', -34.60), current);
+
+    await alertSystem.processViolation({
+      ...current,
+      speedLimit: 60,
+      rule: { id: null, version: null, name: 'High excess', severity: 'HIGH', priority: 'NORMAL', description: 'x' }
+    });
+    await alertSystem.raiseAlert(crossCheck.buildAlert(current, { ...check, mismatchRun: 3 }, 60));
+
+    expect(saved.size).toBe(2);
+    jest.restoreAllMocks();
+  });
+});
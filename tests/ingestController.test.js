@@ -0,0 +1,117 @@
+const express = require('express');
+const request = require('supertest');
+const IngestRoutes = require('../src/routes/ingestRoutes');
+const SimpleSpeedValidator = require('../src/validators/simpleSpeedValidator');
+
+/**
+ * Procesador falso que valida como el real y guarda los mensajes recibidos
+ */
+const createProcessor = () => {
+  const validator = new SimpleSpeedValidator();
+
+  return {
+    isRunning: true,
+    messages: [],
+    async ingestMessage(topic, message) {
+      this.messages.push({ topic, message });
+      const result = validator.validateSpeedData(message);
+
+      return result.isValid
+        ? { success: true, data: result.data }
+        : { success: false, reasonCode: 'VALIDATION_FAILED', errors: result.errors };
+    }
+  };
+};
+
+/**
+ * App mínima con el mismo parseo de body que src/index.js
+ */
+const createApp = processor => {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use('/api/ingest', new IngestRoutes(() => processor).getRouter());
+  return app;
+};
+
+describe('IngestController OsmAnd', () => {
+  let processor;
+  let app;
+
+  beforeEach(() => {
+    processor = createProcessor();
+    app = createApp(processor);
+  });
+
+  test('parses a GET query string and converts knots to km/h', async () => {
+    const response = await request(app)
+      .get('/api/ingest/osmand')
+      .query({ id: 'PHONE01', lat: '-33.45', lon: '-70.66', speed: '20', timestamp: '1705314600', bearing: '90', batt: '80' });
+
+    expect(response.status).toBe(200);
+    expect(processor.messages[0].topic).toBe('http/osmand');
+    expect(processor.messages[0].message).toEqual({
+      vehicleId: 'PHONE01',
+      speed: 20,
+      unit: 'knots',
+      timestamp: '2024-01-15T10:30:00.000Z',
+      location: { lat: -33.45, lng: -70.66 },
+      metadata: { source: 'osmand', bearing: 90, battery: 80 }
+    });
+    // 20 nudos ≈ 37.04 km/h
+    expect(response.body.data.speed).toBe(37.04);
+    expect(response.body.data.metadata).toMatchObject({ originalSpeed: 20, originalUnit: 'knots' });
+  });
+
+  test('parses a form body, which takes precedence over the query string', async () => {
+    const response = await request(app)
+      .post('/api/ingest/osmand?id=QUERY01&speed=5')
+      .type('form')
+      .send({ id: 'FORM01', location: '-33.45,-70.66', speed: '10', timestamp: '1705314600000' });
+
+    expect(response.status).toBe(200);
+    expect(processor.messages[0].message).toMatchObject({
+      vehicleId: 'FORM01',
+      speed: 10,
+      timestamp: '2024-01-15T10:30:00.000Z',
+      location: { lat: -33.45, lng: -70.66 }
+    });
+    expect(response.body.data.speed).toBe(18.52);
+  });
+
+  test('rejects positions without a device id', async () => {
+    const response = await request(app).get('/api/ingest/osmand').query({ lat: '-33.45', lon: '-70.66', speed: '10' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Device id is required (id or deviceid)');
+    expect(processor.messages).toHaveLength(0);
+  });
+
+  test('rejects positions without lat or lon', async () => {
+    const withoutLon = await request(app).get('/api/ingest/osmand').query({ id: 'PHONE01', lat: '-33.45', speed: '10' });
+    const withoutLat = await request(app).post('/api/ingest/osmand').type('form').send({ id: 'PHONE01', lon: '-70.66', speed: '10' });
+
+    for (const response of [withoutLon, withoutLat]) {
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Position is required (lat and lon, or location)');
+    }
+    expect(processor.messages).toHaveLength(0);
+  });
+
+  test('returns validation errors for non-numeric speeds', async () => {
+    const response = await request(app)
+      .get('/api/ingest/osmand')
+      .query({ id: 'PHONE01', lat: '-33.45', lon: '-70.66', speed: 'fast', timestamp: '1705314600' });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({ success: false, error: 'Validation failed', reasonCode: 'VALIDATION_FAILED' });
+  });
+
+  test('returns 503 when the processor is not running', async () => {
+    processor.isRunning = false;
+
+    const response = await request(app).get('/api/ingest/osmand').query({ id: 'PHONE01', lat: '-33.45', lon: '-70.66', speed: '10' });
+
+    expect(response.status).toBe(503);
+  });
+});
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const mqtt = require('mqtt');
+const MqttClient = require('../src/services/mqttClient');
+const config = require('../src/config/config');
+
+jest.mock('mqtt', () => ({ connect: jest.fn() }));
+
+/**
+ * Cliente mqtt.js falso que se conecta en cuanto se registran los handlers
+ */
+const fakeConnection = () => {
+  const connection = new EventEmitter();
+  connection.publish = jest.fn((topic, payload, options, callback) => callback());
+  connection.subscribe = jest.fn((topic, options, callback) => callback());
+  connection.end = jest.fn();
+  return connection;
+};
+
+describe('MqttClient', () => {
+
+  describe('topicMatches', () => {
+    it('should match exact topics', () => {
+      expect(MqttClient.topicMatches('vehicles/speed', 'vehicles/speed')).toBe(true);
+      expect(MqttClient.topicMatches('vehicles/speed', 'vehicles/alerts')).toBe(false);
+    });
+
+    it('should match single-level wildcards', () => {
+      expect(MqttClient.topicMatches('vehicles/+/speed', 'vehicles/VEH001/speed')).toBe(true);
+      expect(MqttClient.topicMatches('vehicles/+/speed', 'vehicles/speed')).toBe(false);
+      expect(MqttClient.topicMatches('vehicles/+/speed', 'vehicles/VEH001/speed/raw')).toBe(false);
+    });
+
+    it('should match multi-level wildcards including the parent level', () => {
+      expect(MqttClient.topicMatches('vehicles/#', 'vehicles/VEH001/speed')).toBe(true);
+      expect(MqttClient.topicMatches('vehicles/#', 'vehicles')).toBe(true);
+      expect(MqttClient.topicMatches('vehicles/#', 'system/health')).toBe(false);
+    });
+
+    it('should not match system topics with leading wildcards', () => {
+      expect(MqttClient.topicMatches('#', '$SYS/broker/uptime')).toBe(false);
+      expect(MqttClient.topicMatches('+/broker/uptime', '$SYS/broker/uptime')).toBe(false);
+    });
+
+    it('should strip shared subscription prefixes', () => {
+      expect(MqttClient.topicMatches('$share/processors/vehicles/+/speed', 'vehicles/VEH001/speed')).toBe(true);
+    });
+  });
+
+  describe('findHandler', () => {
+    it('should prefer exact handlers over wildcard handlers', () => {
+      const client = new MqttClient();
+      const exactHandler = jest.fn();
+      const wildcardHandler = jest.fn();
+
+      client.messageHandlers.set('vehicles/+/speed', wildcardHandler);
+      client.messageHandlers.set('vehicles/VEH001/speed', exactHandler);
+
+      expect(client.findHandler('vehicles/VEH001/speed')).toBe(exactHandler);
+      expect(client.findHandler('vehicles/VEH002/speed')).toBe(wildcardHandler);
+      expect(client.findHandler('vehicles/alerts')).toBeNull();
+    });
+  });
+
+  describe('connect', () => {
+    let dir;
+    let mqttConfig;
+
+    /**
+     * Conecta con la configuración mqtt indicada y retorna las opciones pasadas a mqtt.connect
+     */
+    const connectWith = async overrides => {
+      const connection = fakeConnection();
+      mqtt.connect.mockReturnValue(connection);
+      jest.spyOn(config, 'getModule').mockImplementation(name => (name === 'mqtt' ? { ...mqttConfig, ...overrides } : {}));
+
+      const client = new MqttClient();
+      const connected = client.connect();
+      connection.emit('connect');
+      await connected;
+
+      const [url, options] = mqtt.connect.mock.calls[mqtt.connect.mock.calls.length - 1];
+      return { url, options };
+    };
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mqtt-tls-'));
+      for (const file of ['ca.pem', 'client.crt', 'client.key']) {
+        fs.writeFileSync(path.join(dir, file), `${file} contents`);
+      }
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      mqttConfig = {
+        ...config.getModule('mqtt'),
+        protocol: 'mqtt',
+        broker: 'broker.local',
+        port: 1883,
+        username: null,
+        password: null,
+        clientId: 'test-client',
+        tls: {}
+      };
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      mqtt.connect.mockReset();
+    });
+
+    it('should connect without credentials or TLS by default', async () => {
+      const { url, options } = await connectWith({});
+
+      expect(url).toBe('mqtt://broker.local:1883');
+      expect(options).toMatchObject({ clientId: 'test-client', clean: true });
+      expect(options).not.toHaveProperty('username');
+      expect(options).not.toHaveProperty('ca');
+    });
+
+    it('should pass the configured credentials', async () => {
+      const { options } = await connectWith({ username: 'fleet', password: 's3cret' });
+
+      expect(options).toMatchObject({ username: 'fleet', password: 's3cret' });
+    });
+
+    it('should load the CA, client certificate and key for mqtts', async () => {
+      const { url, options } = await connectWith({
+        protocol: 'mqtts',
+        port: 8883,
+        tls: {
+          caFile: path.join(dir, 'ca.pem'),
+          certFile: path.join(dir, 'client.crt'),
+          keyFile: path.join(dir, 'client.key'),
+          keyPassphrase: 'phrase',
+          rejectUnauthorized: true,
+          servername: 'broker.example.com'
+        }
+      });
+
+      expect(url).toBe('mqtts://broker.local:8883');
+      expect(options.ca.toString()).toBe('ca.pem contents');
+      expect(options.cert.toString()).toBe('client.crt contents');
+      expect(options.key.toString()).toBe('client.key contents');
+      expect(options).toMatchObject({ passphrase: 'phrase', rejectUnauthorized: true, servername: 'broker.example.com' });
+    });
+
+    it('should only skip certificate verification when explicitly disabled', async () => {
+      const { options } = await connectWith({ protocol: 'mqtts', tls: { rejectUnauthorized: false } });
+
+      expect(options.rejectUnauthorized).toBe(false);
+      expect(options).not.toHaveProperty('cert');
+    });
+  });
+
+  describe('buildSharedTopic', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const withSharedGroup = group => {
+      const get = config.get.bind(config);
+      jest.spyOn(config, 'get').mockImplementation(key => (key === 'mqtt.sharedGroup' ? group : get(key)));
+    };
+
+    it('should prefix filters with $share/<group>/ when a group is configured', () => {
+      withSharedGroup('processors');
+      const client = new MqttClient();
+
+      expect(client.buildSharedTopic('vehicles/speed')).toBe('$share/processors/vehicles/speed');
+      expect(client.buildSharedTopic('vehicles/+/speed')).toBe('$share/processors/vehicles/+/speed');
+      expect(client.buildSharedTopic('$share/other/vehicles/speed')).toBe('$share/other/vehicles/speed');
+    });
+
+    it('should keep filters unchanged without a group', () => {
+      withSharedGroup(null);
+
+      expect(new MqttClient().buildSharedTopic('vehicles/speed')).toBe('vehicles/speed');
+    });
+  });
+
+});
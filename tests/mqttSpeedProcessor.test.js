@@ -0,0 +1,228 @@
+const MqttSpeedProcessor = require('../src/services/mqttSpeedProcessor');
+const ProcessingQueue = require('../src/services/processingQueue');
+const SpeedProcessor = require('../src/services/speedProcessor');
+
+/**
+ * Resultado de procesamiento con la regla que coincidió
+ */
+const result = (rule, overrides = {}) => ({
+  data: { vehicleId: 'VEH001', speed: 80, timestamp: '2024-01-02T10:00:00Z' },
+  violation: {
+    vehicleId: 'VEH001',
+    speed: 80,
+    speedLimit: 60,
+    consecutiveCount: 4,
+    isConsecutive: true,
+    alertable: true,
+    rule,
+    ...overrides
+  }
+});
+
+describe('MqttSpeedProcessor', () => {
+  describe('generateAlerts', () => {
+    const generateAlerts = MqttSpeedProcessor.prototype.generateAlerts;
+    let processor;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      processor = { publishAlert: jest.fn(async () => {}) };
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('publishes one alert with the type, severity and message of the matched rule', async () => {
+      const rule = { name: 'Trucks at night', severity: 'HIGH', description: 'truck VEH001 at 80 km/h at night', consecutive: false };
+
+      await generateAlerts.call(processor, result(rule));
+
+      expect(processor.publishAlert).toHaveBeenCalledTimes(1);
+      expect(processor.publishAlert).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'SIMPLE',
+        severity: 'HIGH',
+        rule: 'Trucks at night',
+        message: 'truck VEH001 at 80 km/h at night'
+      }));
+    });
+
+    test('publishes CRITICAL only for rules with a consecutive condition', async () => {
+      const rule = { name: 'Consecutive violations', severity: 'HIGH', description: 'Vehicle VEH001 has 4 consecutive violations', consecutive: true };
+
+      await generateAlerts.call(processor, result(rule));
+
+      expect(processor.publishAlert).toHaveBeenCalledTimes(1);
+      expect(processor.publishAlert.mock.calls[0][0]).toMatchObject({ type: 'CRITICAL', consecutiveCount: 4, message: rule.description });
+    });
+
+    test('publishes nothing for violations that are not alertable', async () => {
+      await generateAlerts.call(processor, result({ name: 'x', consecutive: true }, { alertable: false }));
+
+      expect(processor.publishAlert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('batch ingestion', () => {
+    /**
+     * Procesador sin conexiones: la cola, un SpeedProcessor real y un repositorio que
+     * guarda cada lote en una sola llamada (una transacción)
+     */
+    const createProcessor = (queueOptions = {}) => {
+      const processor = Object.create(MqttSpeedProcessor.prototype);
+      const speedProcessor = new SpeedProcessor(null, {
+        saveBatch: jest.fn(async batch => batch.map((record, index) => ({ id: index + 1, ...record })))
+      });
+      speedProcessor.speedLimitResolver.limitsByType = {};
+
+      Object.assign(processor, {
+        batchCount: 0,
+        errorCount: 0,
+        processingQueue: new ProcessingQueue({ concurrency: 5, highWaterMark: 100, lowWaterMark: 50, ...queueOptions }),
+        speedProcessor,
+        realtimeNotifier: null,
+        vehicleWatchdog: { recordActivity: jest.fn(async () => {}) },
+        alertResolver: { recordReading: jest.fn(async () => {}) },
+        generateAlerts: jest.fn(async () => {})
+      });
+
+      return processor;
+    };
+
+    const records = [
+      { vehicleId: 'VEH001', speed: 50, timestamp: '2024-01-02T10:00:00Z' },
+      { vehicleId: 'VEH002', speed: 70, timestamp: '2024-01-02T10:00:05Z' },
+      { vehicleId: 'VEH001', speed: 55, timestamp: '2024-01-02T10:00:10Z' }
+    ];
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('stores the batch in one transaction and queues the state work of each vehicle under its own key', async () => {
+      const processor = createProcessor();
+      const push = jest.spyOn(processor.processingQueue, 'push');
+      const processStoredRecords = jest.spyOn(processor.speedProcessor, 'processStoredRecords');
+
+      const report = await processor.ingestBatch(records);
+
+      expect(processor.speedProcessor.dataStore.saveBatch).toHaveBeenCalledTimes(1);
+      expect(processor.speedProcessor.dataStore.saveBatch.mock.calls[0][0].map(record => record.speed)).toEqual([50, 70, 55]);
+      expect(push.mock.calls.map(([key]) => key)).toEqual(['VEH001', 'VEH002']);
+      expect(processStoredRecords.mock.calls.map(([group]) => group.map(record => record.data.speed)))
+        .toEqual([[50, 55], [70]]);
+      expect(report.results.map(({ index, vehicleId, recordId }) => [index, vehicleId, recordId]))
+        .toEqual([[0, 'VEH001', 1], [1, 'VEH002', 2], [2, 'VEH001', 3]]);
+      expect(report.stats).toMatchObject({ total: 3, accepted: 3, violations: 1, processingErrors: 0 });
+      expect(report.violations.map(violation => violation.vehicleId)).toEqual(['VEH002']);
+      expect(processor.batchCount).toBe(1);
+    });
+
+    test('waits behind the messages already queued for the vehicle', async () => {
+      const processor = createProcessor();
+      const order = [];
+      let release;
+
+      const single = processor.processingQueue.push('VEH001', async () => {
+        await new Promise(resolve => { release = resolve; });
+        order.push('single');
+      });
+      const batch = processor.ingestBatch(records).then(() => order.push('batch'));
+
+      await new Promise(resolve => setTimeout(resolve, 10));
+      // Solo VEH002 actualizó su estado; VEH001 espera su turno en la cola
+      expect(processor.vehicleWatchdog.recordActivity.mock.calls).toEqual([['VEH002']]);
+      release();
+      await Promise.all([single, batch]);
+
+      expect(order).toEqual(['single', 'batch']);
+    });
+
+    test('reports busy over HTTP while the queue is paused', async () => {
+      const processor = createProcessor({ highWaterMark: 1, lowWaterMark: 0 });
+      let release;
+      const pending = processor.processingQueue.push('VEH003', () => new Promise(resolve => { release = resolve; }));
+
+      expect(await processor.ingestBatch(records)).toEqual({ success: false, busy: true });
+      expect(processor.speedProcessor.dataStore.saveBatch).not.toHaveBeenCalled();
+
+      release();
+      await pending;
+    });
+
+    test('keeps the batch stored when the state work of one vehicle fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const processor = createProcessor();
+      const processStoredRecords = processor.speedProcessor.processStoredRecords.bind(processor.speedProcessor);
+      jest.spyOn(processor.speedProcessor, 'processStoredRecords').mockImplementation(async group => {
+        if (group[0].data.vehicleId === 'VEH001') {
+          throw new Error('state store unavailable');
+        }
+        return processStoredRecords(group);
+      });
+
+      const report = await processor.ingestBatch(records);
+
+      expect(processor.speedProcessor.dataStore.saveBatch).toHaveBeenCalledTimes(1);
+      expect(report.success).toBe(true);
+      expect(report.results.map(({ index, status }) => [index, status]))
+        .toEqual([[0, 'accepted'], [1, 'accepted'], [2, 'accepted']]);
+      expect(report.results[0].errors).toEqual([{ field: 'processing', message: 'state store unavailable' }]);
+      expect(report.results[1]).not.toHaveProperty('errors');
+      expect(report.stats).toMatchObject({ total: 3, accepted: 3, rejected: 0, processingErrors: 2 });
+      expect(processor.vehicleWatchdog.recordActivity.mock.calls).toEqual([['VEH002']]);
+    });
+
+    test('rejects the whole batch when its transaction fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const processor = createProcessor();
+      const push = jest.spyOn(processor.processingQueue, 'push');
+      processor.speedProcessor.dataStore.saveBatch.mockRejectedValueOnce(new Error('value too long for VEH002'));
+
+      const report = await processor.ingestBatch(records);
+
+      expect(report).toMatchObject({ success: false, error: 'Batch processing error', stats: { total: 3, accepted: 0, rejected: 3 } });
+      expect(push).not.toHaveBeenCalled();
+      expect(processor.errorCount).toBe(3);
+    });
+  });
+
+  describe('stop', () => {
+    test('stops the auto-resolver after draining the queue and before closing the repositories', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const calls = [];
+      const stub = name => ({
+        stop: jest.fn(async () => calls.push(`${name}.stop`)),
+        close: jest.fn(async () => calls.push(`${name}.close`))
+      });
+      const processor = Object.create(MqttSpeedProcessor.prototype);
+
+      Object.assign(processor, {
+        isRunning: true,
+        vehicleWatchdog: stub('watchdog'),
+        patternDetector: stub('patterns'),
+        alertResolver: stub('resolver'),
+        mqttClient: { disconnect: jest.fn(async () => {}) },
+        processingQueue: { onIdle: jest.fn(async () => calls.push('queue.idle')) },
+        stopStatusBroadcast: jest.fn(),
+        broadcastStatus: jest.fn(),
+        showProcessingStats: jest.fn()
+      });
+      for (const repository of ['speedRepository', 'alertRepository', 'episodeRepository', 'deadLetterRepository',
+        'vehicleRepository', 'zoneRepository', 'scheduleRepository', 'ruleRepository', 'stateStore', 'spool']) {
+        processor[repository] = stub(repository);
+      }
+
+      await processor.stop();
+
+      expect(processor.alertResolver.stop).toHaveBeenCalledTimes(1);
+      expect(calls.indexOf('resolver.stop')).toBeGreaterThan(calls.indexOf('queue.idle'));
+      expect(calls.indexOf('resolver.stop')).toBeLessThan(calls.indexOf('alertRepository.close'));
+      jest.restoreAllMocks();
+    });
+  });
+});
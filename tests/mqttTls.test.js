@@ -0,0 +1,94 @@
+const path = require('path');
+
+/**
+ * Pruebas de conexión TLS + usuario/contraseña contra un Mosquitto local.
+ * Requieren el broker de docker-compose.tls.yml, por eso solo corren con MQTT_TLS_TEST=true:
+ *   ./scripts/generate-mqtt-certs.sh
+ *   docker-compose -f docker-compose.tls.yml up -d
+ *   npm run test:mqtt-tls
+ */
+const describeTls = process.env.MQTT_TLS_TEST === 'true' ? describe : describe.skip;
+
+const certsDir = process.env.MQTT_TEST_CERTS_DIR || path.join(__dirname, '..', 'mosquitto', 'certs');
+
+const baseEnv = {
+  MQTT_PROTOCOL: 'mqtts',
+  MQTT_BROKER: process.env.MQTT_TEST_BROKER || 'localhost',
+  MQTT_PORT: process.env.MQTT_TEST_PORT || '8883',
+  MQTT_USERNAME: process.env.MQTT_TEST_USER || 'gaus_test',
+  MQTT_PASSWORD: process.env.MQTT_TEST_PASSWORD || 'gaus_test_password',
+  MQTT_CA_FILE: path.join(certsDir, 'ca.crt')
+};
+
+/**
+ * Crea un MqttClient con una configuración aislada para la prueba
+ * @param {object} env - Variables de entorno adicionales
+ * @returns {object} Instancia de MqttClient
+ */
+function createClient(env = {}) {
+  const previousEnv = process.env;
+  process.env = { ...previousEnv, ...baseEnv, ...env, MQTT_CLIENT_ID: `gaus-tls-test-${Date.now()}` };
+
+  let MqttClient;
+  try {
+    jest.isolateModules(() => {
+      MqttClient = require('../src/services/mqttClient');
+    });
+  } finally {
+    process.env = previousEnv;
+  }
+
+  return new MqttClient();
+}
+
+describeTls('MqttClient TLS and password authentication', () => {
+  jest.setTimeout(20000);
+
+  let client;
+
+  afterEach(async () => {
+    if (client && client.isConnected) {
+      await client.disconnect();
+    } else if (client && client.client) {
+      client.client.end(true);
+    }
+    client = null;
+  });
+
+  it('should connect over mqtts with username and password and round-trip a message', async () => {
+    client = createClient();
+    await client.connect();
+
+    let resolveMessage;
+    const received = new Promise((resolve) => {
+      resolveMessage = resolve;
+    });
+
+    await client.subscribe('gaus/tls-test', (topic, message) => resolveMessage(message));
+    await client.publish('gaus/tls-test', { ok: true });
+
+    await expect(received).resolves.toEqual({ ok: true });
+    expect(client.getConnectionStatus()).toMatchObject({ protocol: 'mqtts', authenticated: true });
+  });
+
+  it('should connect with a client certificate in addition to the password', async () => {
+    client = createClient({
+      MQTT_CERT_FILE: path.join(certsDir, 'client.crt'),
+      MQTT_KEY_FILE: path.join(certsDir, 'client.key')
+    });
+
+    await expect(client.connect()).resolves.toBe(true);
+  });
+
+  it('should reject a wrong password', async () => {
+    client = createClient({ MQTT_PASSWORD: 'wrong-password' });
+
+    await expect(client.connect()).rejects.toThrow();
+  });
+
+  it('should reject a broker certificate not signed by the configured CA', async () => {
+    client = createClient({ MQTT_CA_FILE: '' });
+
+    await expect(client.connect()).rejects.toThrow();
+  });
+});
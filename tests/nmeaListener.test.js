@@ -0,0 +1,143 @@
+const { EventEmitter } = require('events');
+const NmeaListener = require('../src/services/nmeaListener');
+const { computeChecksum } = require('../src/utils/nmeaParser');
+
+/**
+ * Construye una sentencia con checksum válido
+ * @param {string} body - Contenido entre $ y *
+ * @returns {string} Sentencia completa
+ */
+const sentence = (body) => `$${body}*${computeChecksum(body)}`;
+
+const RMC = sentence('GPRMC,103000,A,3327.000,S,07039.600,W,20.0,180.0,150124,,,A');
+const RMC_BAD_CHECKSUM = RMC.replace(/\*[0-9A-F]{2}$/, '*00');
+
+/**
+ * Socket TCP falso: las líneas se entregan con emit('data') como en net.Socket
+ */
+const createSocket = (remoteAddress, remotePort = 40000) => Object.assign(new EventEmitter(), {
+  remoteAddress,
+  remotePort,
+  setTimeout: jest.fn(),
+  pause: jest.fn(),
+  resume: jest.fn(),
+  destroy: jest.fn()
+});
+
+/**
+ * Envía datos por el socket y espera a que el listener lo reanude (líneas procesadas)
+ */
+const send = (socket, text) => new Promise(resolve => {
+  socket.resume.mockImplementationOnce(resolve);
+  socket.emit('data', Buffer.from(text));
+});
+
+/**
+ * Procesador falso que acepta todas las lecturas
+ */
+const createProcessor = () => ({
+  isRunning: true,
+  messages: [],
+  async ingestMessage(topic, message) {
+    this.messages.push({ topic, message });
+    return { success: true };
+  }
+});
+
+describe('NmeaListener', () => {
+  let processor;
+  let listener;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    processor = createProcessor();
+    listener = new NmeaListener(() => processor, {
+      deviceMap: { '10.0.0.5': 'MAPPED01', '10.0.0.6:5000': 'PORT01' }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('device identification', () => {
+    test('identifies a TCP device by its login line', async () => {
+      const socket = createSocket('::ffff:192.168.1.20');
+      listener.handleTcpConnection(socket);
+
+      await send(socket, `${RMC}\r\nLOGIN,GPS042\r\n${RMC}\r\n`);
+
+      expect(listener.stats.unidentified).toBe(1);
+      expect(processor.messages).toHaveLength(1);
+      expect(processor.messages[0]).toMatchObject({ topic: 'nmea/tcp', message: { vehicleId: 'GPS042', speed: 20, unit: 'knots' } });
+    });
+
+    test('identifies a TCP device by its source address', async () => {
+      const byAddress = createSocket('::ffff:10.0.0.5');
+      const byPort = createSocket('10.0.0.6', 5000);
+      const otherPort = createSocket('10.0.0.6', 5001);
+      [byAddress, byPort, otherPort].forEach(socket => listener.handleTcpConnection(socket));
+
+      await send(byAddress, `${RMC}\n`);
+      await send(byPort, `${RMC}\n`);
+      await send(otherPort, `${RMC}\n`);
+
+      expect(processor.messages.map(entry => entry.message.vehicleId)).toEqual(['MAPPED01', 'PORT01']);
+      expect(listener.stats.unidentified).toBe(1);
+    });
+
+    test('prefers the login line over the mapped address', async () => {
+      const socket = createSocket('10.0.0.5');
+      listener.handleTcpConnection(socket);
+
+      await send(socket, `ID:TRUCK07\n${RMC}\n`);
+
+      expect(processor.messages[0].message.vehicleId).toBe('TRUCK07');
+    });
+
+    test('remembers a UDP login for later datagrams from the same address and port', async () => {
+      const remote = { address: '192.168.1.30', port: 6000 };
+
+      listener.handleUdpMessage(Buffer.from('LOGIN,BOAT01'), remote);
+      listener.handleUdpMessage(Buffer.from(RMC), remote);
+      listener.handleUdpMessage(Buffer.from(RMC), { ...remote, port: 6001 });
+      await listener.udpChain;
+
+      expect(processor.messages).toHaveLength(1);
+      expect(processor.messages[0]).toMatchObject({ topic: 'nmea/udp', message: { vehicleId: 'BOAT01' } });
+      expect(listener.stats.unidentified).toBe(1);
+    });
+  });
+
+  describe('rejected sentences', () => {
+    test('counts sentences with a bad checksum without ingesting them', async () => {
+      const socket = createSocket('10.0.0.5');
+      listener.handleTcpConnection(socket);
+
+      await send(socket, `${RMC_BAD_CHECKSUM}\n${RMC}\n${RMC_BAD_CHECKSUM}\n`);
+
+      expect(listener.getStatus()).toMatchObject({ sentences: 3, checksumErrors: 2, readings: 1, malformed: 0 });
+      expect(processor.messages).toHaveLength(1);
+    });
+
+    test('counts unsupported and malformed sentences separately from checksum errors', async () => {
+      const socket = createSocket('10.0.0.5');
+      listener.handleTcpConnection(socket);
+
+      await send(socket, `${sentence('GPGGA,103000,3327.000,S,07039.600,W,1,08,0.9,545.4,M,46.9,M,,')}\nnot nmea\n`);
+
+      expect(listener.stats).toMatchObject({ sentences: 2, unsupported: 1, malformed: 1, checksumErrors: 0 });
+      expect(processor.messages).toHaveLength(0);
+    });
+
+    test('joins a sentence split across TCP chunks before checking it', async () => {
+      const socket = createSocket('10.0.0.5');
+      listener.handleTcpConnection(socket);
+
+      await send(socket, RMC.slice(0, 20));
+      await send(socket, `${RMC.slice(20)}\r\n`);
+
+      expect(listener.stats).toMatchObject({ sentences: 1, checksumErrors: 0, readings: 1 });
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const { NMEA_ERRORS, computeChecksum, parseLogin, parseSentence } = require('../src/utils/nmeaParser');
+
+/**
+ * Construye una sentencia con checksum válido
+ * @param {string} body - Contenido entre $ y *
+ * @returns {string} Sentencia completa
+ */
+const sentence = (body) => `$${body}*${computeChecksum(body)}`;
+
+describe('nmeaParser', () => {
+
+  describe('parseSentence', () => {
+    it('should parse RMC speed, position and UTC time', () => {
+      const result = parseSentence('$GPRMC,123519,A,4807.038,N,01131.000,E,022.4,084.4,230394,003.1,W*6A');
+
+      expect(result).toEqual({
+        valid: true,
+        type: 'RMC',
+        talker: 'GP',
+        status: 'A',
+        timestamp: '1994-03-23T12:35:19.000Z',
+        location: { lat: 48.1173, lng: 11.516667 },
+        speedKnots: 22.4,
+        course: 84.4
+      });
+    });
+
+    it('should parse GNRMC with fractional seconds and southern/western coordinates', () => {
+      const result = parseSentence(sentence('GNRMC,103000.50,A,3327.000,S,07039.600,W,10.0,180.0,150124,,,A'));
+
+      expect(result.talker).toBe('GN');
+      expect(result.timestamp).toBe('2024-01-15T10:30:00.500Z');
+      expect(result.location).toEqual({ lat: -33.45, lng: -70.66 });
+    });
+
+    it('should parse VTG speed in knots and km/h', () => {
+      const result = parseSentence('$GPVTG,054.7,T,034.4,M,005.5,N,010.2,K*48');
+
+      expect(result).toMatchObject({ valid: true, type: 'VTG', course: 54.7, speedKnots: 5.5, speedKmh: 10.2 });
+    });
+
+    it('should reject sentences with an invalid checksum', () => {
+      const result = parseSentence('$GPRMC,123519,A,4807.038,N,01131.000,E,022.4,084.4,230394,003.1,W*6B');
+
+      expect(result.valid).toBe(false);
+      expect(result.error).toBe(NMEA_ERRORS.CHECKSUM);
+    });
+
+    it('should reject lines without checksum and unsupported sentence types', () => {
+      expect(parseSentence('$GPRMC,123519,A,4807.038,N').error).toBe(NMEA_ERRORS.MALFORMED);
+      expect(parseSentence(sentence('GPGGA,123519,4807.038,N,01131.000,E,1,08,0.9,545.4,M,46.9,M,,')).error)
+        .toBe(NMEA_ERRORS.UNSUPPORTED);
+    });
+  });
+
+  describe('parseLogin', () => {
+    it('should extract the device id from login lines', () => {
+      expect(parseLogin('LOGIN,VEH001')).toBe('VEH001');
+      expect(parseLogin('id: TRK42')).toBe('TRK42');
+      expect(parseLogin('$GPRMC,123519,A')).toBeNull();
+    });
+  });
+
+});
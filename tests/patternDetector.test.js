@@ -0,0 +1,218 @@
+const PatternDetector = require('../src/services/patternDetector');
+
+const { PATTERNS } = PatternDetector;
+const NOW = Date.parse('2024-03-20T12:00:00Z'); // Miércoles
+
+let nextId = 1;
+
+/**
+ * Fila de speed_records como la devuelve getViolations
+ */
+const record = (timestamp, overrides = {}) => ({
+  id: nextId++,
+  vehicle_id: 'VEH001',
+  speed: 75,
+  speed_limit: 60,
+  location: { latitude: -34.6037, longitude: -58.3816 },
+  timestamp,
+  ...overrides
+});
+
+/**
+ * Repositorio en memoria con las consultas que usa el detector (de a un vehículo)
+ */
+const createRepository = (violations, crossings = []) => ({
+  getViolatingVehicles: jest.fn(async () => [...new Set(violations.map(row => row.vehicle_id))].sort()),
+  getViolations: jest.fn(async ({ vehicleId }) => violations.filter(row => row.vehicle_id === vehicleId)),
+  getLimitCrossings: jest.fn(async (startDate, band, vehicleId) => crossings.filter(row => row.vehicle_id === vehicleId))
+});
+
+const createDetector = (repository, alertRepository = null) => {
+  const alertSystem = { raiseAlert: jest.fn(async alert => alert) };
+  const detector = new PatternDetector(repository, alertSystem, alertRepository, null, {
+    lookbackDays: 14,
+    minDays: 3,
+    placeRadius: 200,
+    sawtoothCrossings: 6,
+    risingWeeks: 3,
+    timezone: 'UTC'
+  });
+
+  return { detector, alertSystem };
+};
+
+describe('PatternDetector', () => {
+  test('detects the same place on several days but not on a single day', () => {
+    const { detector } = createDetector(createRepository([]));
+    const nearby = { latitude: -34.6038, longitude: -58.3817 };
+
+    const repeated = detector.findRepeatedPlaces([
+      record('2024-03-11T08:00:00Z'),
+      record('2024-03-12T17:30:00Z', { location: nearby }),
+      record('2024-03-14T08:10:00Z')
+    ]);
+    const sameDay = detector.findRepeatedPlaces([
+      record('2024-03-11T08:00:00Z'),
+      record('2024-03-11T09:00:00Z'),
+      record('2024-03-11T10:00:00Z')
+    ]);
+
+    expect(repeated).toHaveLength(1);
+    expect(repeated[0].pattern).toBe(PATTERNS.PLACE);
+    expect(repeated[0].details.days).toEqual(['2024-03-11', '2024-03-12', '2024-03-14']);
+    expect(repeated[0].recordCount).toBe(3);
+    expect(sameDay).toHaveLength(0);
+  });
+
+  test('groups places by distance across grid cell boundaries', () => {
+    const { detector } = createDetector(createRepository([]));
+    // Borde de una celda de 200 m de latitud; cada lado a ~0.1 m de él
+    const edge = Math.ceil(-34.6037 / (200 / 111320)) * (200 / 111320);
+    const below = { latitude: edge - 0.000001, longitude: -58.3816 };
+    const above = { latitude: edge + 0.000001, longitude: -58.3816 };
+
+    const patterns = detector.findRepeatedPlaces([
+      record('2024-03-11T08:00:00Z', { location: below }),
+      record('2024-03-12T08:00:00Z', { location: above }),
+      record('2024-03-13T08:00:00Z', { location: below })
+    ]);
+
+    expect(patterns).toHaveLength(1);
+    expect(patterns[0].details.days).toEqual(['2024-03-11', '2024-03-12', '2024-03-13']);
+  });
+
+  test('keeps places farther apart than the radius separate', () => {
+    const { detector } = createDetector(createRepository([]));
+    // ~1.1 km al norte
+    const far = { latitude: -34.5937, longitude: -58.3816 };
+
+    const patterns = detector.findRepeatedPlaces([
+      record('2024-03-11T08:00:00Z'),
+      record('2024-03-12T08:00:00Z', { location: far }),
+      record('2024-03-13T08:00:00Z'),
+      record('2024-03-14T08:00:00Z', { location: far })
+    ]);
+
+    expect(patterns).toHaveLength(0);
+  });
+
+  test('does not alert a place again when its center moves within the radius', async () => {
+    const violations = [
+      record('2024-03-11T08:00:00Z'),
+      record('2024-03-12T09:20:00Z'),
+      record('2024-03-14T10:10:00Z')
+    ];
+    const { detector, alertSystem } = createDetector(createRepository(violations));
+
+    await detector.detectPatterns(NOW);
+    // Una violación nueva a ~50 m corre el centro del lugar
+    violations.push(record('2024-03-19T16:00:00Z', { location: { latitude: -34.6041, longitude: -58.3816 } }));
+    await detector.detectPatterns(NOW + 3600000);
+
+    const places = alertSystem.raiseAlert.mock.calls.filter(([alert]) => alert.additionalData.pattern === PATTERNS.PLACE);
+    expect(places).toHaveLength(1);
+  });
+
+  test('detects the same local hour on several days', () => {
+    const { detector } = createDetector(createRepository([]));
+    const patterns = detector.findRepeatedTimes([
+      record('2024-03-11T07:05:00Z', { location: { latitude: -34.5, longitude: -58.4 } }),
+      record('2024-03-13T07:40:00Z', { location: { latitude: -34.7, longitude: -58.5 } }),
+      record('2024-03-15T07:55:00Z', { location: { latitude: -34.8, longitude: -58.6 } }),
+      record('2024-03-15T15:00:00Z')
+    ]);
+
+    expect(patterns).toHaveLength(1);
+    expect(patterns[0].pattern).toBe(PATTERNS.TIME);
+    expect(patterns[0].details.hour).toBe(7);
+    expect(patterns[0].key).toBe('VEH001:REPEATED_TIME:7');
+  });
+
+  test('detects sawtooth crossings only when they are close together', () => {
+    const { detector } = createDetector(createRepository([]));
+    const start = Date.parse('2024-03-20T10:00:00Z');
+    const crossings = (spacing) => Array.from({ length: 6 }, (_, i) =>
+      record(new Date(start + i * spacing).toISOString(), { speed: i % 2 === 0 ? 62 : 58 }));
+
+    const fast = detector.findSawtooth(crossings(60000));
+    const slow = detector.findSawtooth(crossings(300000));
+
+    expect(fast).toHaveLength(1);
+    expect(fast[0].pattern).toBe(PATTERNS.SAWTOOTH);
+    expect(fast[0].details.crossings).toBe(6);
+    expect(slow).toHaveLength(0);
+  });
+
+  test('detects violations rising over complete weeks', () => {
+    const { detector } = createDetector(createRepository([]));
+    const week = (monday, count) => Array.from({ length: count }, (_, i) =>
+      record(`${monday}T0${i}:00:00Z`, { location: { latitude: -30 - i, longitude: -60 - i } }));
+
+    // Semanas completas anteriores a NOW: 26/02, 04/03, 11/03; la semana en curso no cuenta
+    const rising = [...week('2024-02-26', 1), ...week('2024-03-04', 3), ...week('2024-03-11', 6), ...week('2024-03-18', 1)];
+    const flat = [...week('2024-02-26', 6), ...week('2024-03-04', 6), ...week('2024-03-11', 6)];
+
+    const patterns = detector.findRisingFrequency(rising, NOW);
+
+    expect(patterns).toHaveLength(1);
+    expect(patterns[0].details).toEqual({ weeks: ['2024-02-26', '2024-03-04', '2024-03-11'], counts: [1, 3, 6] });
+    expect(patterns[0].recordCount).toBe(6);
+    expect(detector.findRisingFrequency(flat, NOW)).toHaveLength(0);
+  });
+
+  test('raises one MEDIUM PATTERN alert per pattern linking its records', async () => {
+    const violations = [
+      record('2024-03-11T08:00:00Z'),
+      record('2024-03-12T08:20:00Z'),
+      record('2024-03-14T08:10:00Z')
+    ];
+    const { detector, alertSystem } = createDetector(createRepository(violations));
+
+    const raised = await detector.detectPatterns(NOW);
+    await detector.detectPatterns(NOW + 3600000);
+
+    expect(raised.map(pattern => pattern.pattern).sort()).toEqual([PATTERNS.PLACE, PATTERNS.TIME]);
+    expect(alertSystem.raiseAlert).toHaveBeenCalledTimes(2);
+
+    const alert = alertSystem.raiseAlert.mock.calls[0][0];
+    expect(alert).toMatchObject({ type: 'PATTERN', severity: 'MEDIUM', priority: 'MEDIUM', vehicleId: 'VEH001' });
+    expect(alert.additionalData.recordIds).toEqual(violations.map(row => row.id));
+  });
+
+  test('loads the history of one vehicle at a time', async () => {
+    const days = ['2024-03-11T08:00:00Z', '2024-03-12T08:20:00Z', '2024-03-14T08:10:00Z'];
+    const violations = [
+      ...days.map(timestamp => record(timestamp)),
+      ...days.map(timestamp => record(timestamp, { vehicle_id: 'VEH002', location: { latitude: -34.7, longitude: -58.5 } }))
+    ];
+    const repository = createRepository(violations);
+    const { detector } = createDetector(repository);
+
+    const raised = await detector.detectPatterns(NOW);
+
+    expect(repository.getViolatingVehicles).toHaveBeenCalledTimes(1);
+    expect(repository.getViolations.mock.calls.map(([options]) => options.vehicleId)).toEqual(['VEH001', 'VEH002']);
+    expect(repository.getLimitCrossings.mock.calls.map(([, , vehicleId]) => vehicleId)).toEqual(['VEH001', 'VEH002']);
+    expect(raised.map(pattern => `${pattern.vehicleId}:${pattern.pattern}`).sort()).toEqual([
+      'VEH001:REPEATED_PLACE', 'VEH001:REPEATED_TIME', 'VEH002:REPEATED_PLACE', 'VEH002:REPEATED_TIME'
+    ]);
+  });
+
+  test('skips patterns that already have an active alert', async () => {
+    const violations = [
+      record('2024-03-11T08:00:00Z'),
+      record('2024-03-12T08:20:00Z'),
+      record('2024-03-14T08:10:00Z')
+    ];
+    const alertRepository = {
+      getActiveByType: jest.fn(async () => [{ additional_data: { patternKey: 'VEH001:REPEATED_TIME:8' } }])
+    };
+    const { detector, alertSystem } = createDetector(createRepository(violations), alertRepository);
+
+    await detector.detectPatterns(NOW);
+
+    expect(alertRepository.getActiveByType).toHaveBeenCalledWith('PATTERN');
+    expect(alertSystem.raiseAlert).toHaveBeenCalledTimes(1);
+    expect(alertSystem.raiseAlert.mock.calls[0][0].additionalData.pattern).toBe(PATTERNS.PLACE);
+  });
+});
@@ -0,0 +1,72 @@
+const { encode } = require('cbor-x');
+const protobuf = require('protobufjs');
+const PayloadDecoder = require('../src/services/payloadDecoder');
+
+describe('PayloadDecoder', () => {
+  const decoder = new PayloadDecoder({
+    'vehicles/+/speed': 'cbor',
+    'oem/+/speed': 'protobuf'
+  });
+  const root = protobuf.loadSync(PayloadDecoder.SCHEMA_PATH);
+  const SpeedMessage = root.lookupType('gaus.SpeedMessage');
+  const SpeedBatch = root.lookupType('gaus.SpeedBatch');
+
+  describe('resolveFormat', () => {
+    it('should prefer the MQTT 5 content type over the topic map', () => {
+      expect(decoder.resolveFormat('vehicles/VEH001/speed', 'application/x-protobuf')).toBe('protobuf');
+      expect(decoder.resolveFormat('vehicles/VEH001/speed', 'application/json; charset=utf-8')).toBe('json');
+    });
+
+    it('should fall back to the topic map and then to JSON', () => {
+      expect(decoder.resolveFormat('vehicles/VEH001/speed')).toBe('cbor');
+      expect(decoder.resolveFormat('oem/BOX1/speed', 'text/plain')).toBe('protobuf');
+      expect(decoder.resolveFormat('vehicles/speed')).toBe('json');
+    });
+  });
+
+  describe('decode', () => {
+    it('should decode CBOR maps and convert dates to ISO strings', () => {
+      const payload = encode({ vehicleId: 'VEH001', speed: 72.5, timestamp: new Date('2024-01-15T10:30:00Z') });
+
+      expect(decoder.decode(payload, { topic: 'vehicles/VEH001/speed' })).toEqual({
+        success: true,
+        format: 'cbor',
+        message: { vehicleId: 'VEH001', speed: 72.5, timestamp: '2024-01-15T10:30:00.000Z' }
+      });
+    });
+
+    it('should map protobuf speed messages onto the JSON field names', () => {
+      const payload = SpeedMessage.encode(SpeedMessage.create({
+        vehicleId: 'VEH002',
+        speed: 0,
+        timestamp: Date.parse('2024-01-15T10:30:00Z'),
+        location: { lat: -33.45, lng: -70.66 },
+        messageId: 'm-1'
+      })).finish();
+
+      expect(decoder.decode(payload, { topic: 'oem/BOX1/speed' }).message).toEqual({
+        vehicleId: 'VEH002',
+        speed: 0,
+        timestamp: '2024-01-15T10:30:00.000Z',
+        location: { lat: -33.45, lng: -70.66 },
+        messageId: 'm-1'
+      });
+    });
+
+    it('should decode protobuf batches as { records }', () => {
+      const payload = SpeedBatch.encode({ records: [{ vehicleId: 'VEH003', speed: 45 }] }).finish();
+      const result = decoder.decode(payload, { topic: 'vehicles/speed/batch', contentType: 'application/protobuf', batch: true });
+
+      expect(result.message).toEqual({ records: [{ vehicleId: 'VEH003', speed: 45 }] });
+    });
+
+    it('should report payloads that cannot be decoded', () => {
+      const result = decoder.decode(Buffer.from([0xff, 0x01]), { topic: 'vehicles/VEH001/speed' });
+
+      expect(result.success).toBe(false);
+      expect(result.format).toBe('cbor');
+      expect(result.error).toMatch(/Unable to decode cbor payload/);
+    });
+  });
+
+});
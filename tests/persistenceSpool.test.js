@@ -0,0 +1,203 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PersistenceSpool = require('../src/services/persistenceSpool');
+
+/**
+ * Error de conexión como los que pg reporta con la base de datos caída
+ */
+const connectionError = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+/**
+ * Base de datos falsa: guarda los payloads en orden y falla mientras está caída
+ */
+const createDatabase = () => {
+  const database = {
+    down: false,
+    saved: [],
+    save: jest.fn(async payload => {
+      if (database.down) {
+        throw connectionError();
+      }
+      database.saved.push(payload.id);
+      return payload;
+    })
+  };
+  return database;
+};
+
+describe('PersistenceSpool', () => {
+  let dir;
+
+  const createSpool = database => {
+    const spool = new PersistenceSpool({ dir, replayInterval: 60000, isTransientError: error => error.code === 'ECONNREFUSED' });
+    spool.registerHandler('speed_record', database.save);
+    return spool;
+  };
+
+  const readSpoolFile = name => fs.readFileSync(path.join(dir, name), 'utf8');
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spool-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes directly while the database is up', async () => {
+    const database = createDatabase();
+    const spool = createSpool(database);
+    await spool.load();
+
+    await expect(spool.persist('speed_record', { id: 1 })).resolves.toEqual({ spooled: false, result: { id: 1 } });
+    expect(spool.getStatus().depth).toBe(0);
+  });
+
+  test('spools during an outage and replays in the original order', async () => {
+    const database = createDatabase();
+    const spool = createSpool(database);
+    await spool.load();
+
+    database.down = true;
+    await spool.persist('speed_record', { id: 1 });
+    // Con entradas pendientes las escrituras siguientes van al spool aunque la base vuelva
+    database.down = false;
+    await spool.persist('speed_record', { id: 2 });
+    await spool.persist('speed_record', { id: 3 });
+
+    expect(database.saved).toEqual([]);
+    expect(readSpoolFile('spool.jsonl').trim().split('\n').map(line => JSON.parse(line).payload.id)).toEqual([1, 2, 3]);
+
+    await expect(spool.replay()).resolves.toBe(3);
+    expect(database.saved).toEqual([1, 2, 3]);
+    expect(spool.getStatus()).toMatchObject({ depth: 0, spooledCount: 3, replayedCount: 3, failedCount: 0 });
+  });
+
+  test('stops replaying on a transient error and keeps the entry', async () => {
+    const database = createDatabase();
+    const spool = createSpool(database);
+    await spool.load();
+
+    database.down = true;
+    for (const id of [1, 2, 3]) {
+      await spool.persist('speed_record', { id });
+    }
+
+    database.save.mockImplementationOnce(async payload => {
+      database.saved.push(payload.id);
+    }).mockImplementationOnce(async () => {
+      throw connectionError();
+    });
+
+    await expect(spool.replay()).resolves.toBe(1);
+    expect(database.saved).toEqual([1]);
+    expect(spool.pending.map(entry => entry.payload.id)).toEqual([2, 3]);
+    expect(readSpoolFile('spool.offset')).toBe('1');
+  });
+
+  test('resumes from the offset file after a restart', async () => {
+    const database = createDatabase();
+    const spool = createSpool(database);
+    await spool.load();
+
+    database.down = true;
+    for (const id of [1, 2, 3]) {
+      await spool.persist('speed_record', { id });
+    }
+    database.save.mockImplementationOnce(async payload => {
+      database.saved.push(payload.id);
+    });
+    await spool.replay();
+
+    // Nuevo proceso sobre el mismo directorio, con una última línea truncada por la caída
+    fs.appendFileSync(path.join(dir, 'spool.jsonl'), '{"kind":"speed_rec');
+    database.down = false;
+    const restarted = createSpool(database);
+    await restarted.load();
+
+    expect(restarted.pending.map(entry => entry.payload.id)).toEqual([2, 3]);
+    // Al cargar se reescribe solo lo pendiente
+    expect(readSpoolFile('spool.jsonl').trim().split('\n')).toHaveLength(2);
+    expect(readSpoolFile('spool.offset')).toBe('0');
+
+    await restarted.replay();
+    expect(database.saved).toEqual([1, 2, 3]);
+  });
+
+  test('drops an entry on a permanent error and replays the rest', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const database = createDatabase();
+    const spool = createSpool(database);
+    await spool.load();
+
+    database.down = true;
+    for (const id of [1, 2, 3]) {
+      await spool.persist('speed_record', { id });
+    }
+    database.down = false;
+    database.save.mockImplementationOnce(async payload => {
+      database.saved.push(payload.id);
+    }).mockImplementationOnce(async () => {
+      throw Object.assign(new Error('numeric field overflow'), { code: '22003' });
+    });
+
+    await expect(spool.replay()).resolves.toBe(2);
+    expect(database.saved).toEqual([1, 3]);
+    expect(spool.getStatus()).toMatchObject({ depth: 0, replayedCount: 2, failedCount: 1 });
+  });
+
+  test('rethrows permanent errors on direct writes instead of spooling them', async () => {
+    const spool = createSpool({ save: async () => { throw new Error('invalid input syntax'); } });
+    await spool.load();
+
+    await expect(spool.persist('speed_record', { id: 1 })).rejects.toThrow('invalid input syntax');
+    expect(spool.getStatus().depth).toBe(0);
+  });
+
+  test('compacts the files once the spool is drained', async () => {
+    const database = createDatabase();
+    const spool = createSpool(database);
+    await spool.load();
+
+    database.down = true;
+    await spool.persist('speed_record', { id: 1 });
+    await spool.persist('speed_record', { id: 2 });
+    database.down = false;
+    await spool.replay();
+
+    expect(readSpoolFile('spool.jsonl')).toBe('');
+    expect(readSpoolFile('spool.offset')).toBe('0');
+    expect(spool.offset).toBe(0);
+  });
+
+  test('reports the depth and the age of the oldest entry', async () => {
+    const database = createDatabase();
+    const spool = createSpool(database);
+    await spool.load();
+
+    expect(spool.getStatus()).toMatchObject({ depth: 0, oldestEntryAge: null, oldestEntryAt: null, dir });
+
+    const spooledAt = Date.parse('2024-01-02T10:00:00Z');
+    jest.useFakeTimers({ now: spooledAt, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    try {
+      database.down = true;
+      await spool.persist('speed_record', { id: 1 });
+      jest.setSystemTime(spooledAt + 5000);
+      await spool.persist('speed_record', { id: 2 });
+      jest.setSystemTime(spooledAt + 45000);
+
+      expect(spool.getStatus()).toMatchObject({
+        depth: 2,
+        oldestEntryAge: 45000,
+        oldestEntryAt: '2024-01-02T10:00:00.000Z',
+        spooledCount: 2
+      });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
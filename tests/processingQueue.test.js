@@ -0,0 +1,100 @@
+const ProcessingQueue = require('../src/services/processingQueue');
+
+/**
+ * Tarea que termina cuando el test la libera
+ */
+const deferred = () => {
+  let release;
+  const promise = new Promise(resolve => { release = resolve; });
+  return { promise, release };
+};
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('ProcessingQueue', () => {
+  test('runs tasks of the same key one at a time in arrival order', async () => {
+    const queue = new ProcessingQueue({ concurrency: 5, highWaterMark: 100, lowWaterMark: 50 });
+    const order = [];
+    const first = deferred();
+
+    const done = Promise.all([
+      queue.push('VEH001', async () => { order.push('start 1'); await first.promise; order.push('end 1'); }),
+      queue.push('VEH001', async () => { order.push('start 2'); }),
+      queue.push('VEH001', async () => { order.push('start 3'); })
+    ]);
+
+    await tick();
+    expect(order).toEqual(['start 1']);
+    expect(queue.getMetrics()).toMatchObject({ active: 1, pending: 2 });
+
+    first.release();
+    await done;
+
+    expect(order).toEqual(['start 1', 'end 1', 'start 2', 'start 3']);
+    expect(queue.getMetrics()).toMatchObject({ depth: 0, processedCount: 3 });
+  });
+
+  test('never runs more keys at once than the concurrency limit', async () => {
+    const queue = new ProcessingQueue({ concurrency: 2, highWaterMark: 100, lowWaterMark: 50 });
+    const gates = ['VEH001', 'VEH002', 'VEH003'].map(() => deferred());
+    const started = [];
+
+    const done = Promise.all(['VEH001', 'VEH002', 'VEH003'].map((key, i) =>
+      queue.push(key, async () => { started.push(key); await gates[i].promise; })
+    ));
+
+    await tick();
+    expect(started).toEqual(['VEH001', 'VEH002']);
+    expect(queue.getMetrics()).toMatchObject({ active: 2, waitingVehicles: 1 });
+
+    gates[0].release();
+    await tick();
+    expect(started).toEqual(['VEH001', 'VEH002', 'VEH003']);
+
+    gates[1].release();
+    gates[2].release();
+    await done;
+  });
+
+  test('pauses at the high water mark and resumes at the low water mark', async () => {
+    const queue = new ProcessingQueue({ concurrency: 1, highWaterMark: 3, lowWaterMark: 1 });
+    const events = [];
+    const gates = [deferred(), deferred(), deferred()];
+
+    queue.on('pause', depth => events.push(['pause', depth]));
+    queue.on('resume', depth => events.push(['resume', depth]));
+
+    const done = Promise.all(gates.map(gate => queue.push('VEH001', () => gate.promise)));
+
+    expect(queue.paused).toBe(true);
+    expect(events).toEqual([['pause', 3]]);
+
+    let resumed = false;
+    const capacity = queue.waitForCapacity().then(() => { resumed = true; });
+
+    // Con 2 en la cola sigue por encima de la marca baja
+    gates[0].release();
+    await tick();
+    expect(resumed).toBe(false);
+
+    gates[1].release();
+    await capacity;
+    expect(resumed).toBe(true);
+    expect(events).toEqual([['pause', 3], ['resume', 1]]);
+
+    gates[2].release();
+    await done;
+    expect(queue.getMetrics()).toMatchObject({ paused: false, pauseCount: 1, maxDepth: 3 });
+  });
+
+  test('rejects the caller of a failed task and keeps processing the key', async () => {
+    const queue = new ProcessingQueue({ concurrency: 1, highWaterMark: 100, lowWaterMark: 50 });
+
+    const failed = queue.push('VEH001', async () => { throw new Error('boom'); });
+    const next = queue.push('VEH001', async () => 'ok');
+
+    await expect(failed).rejects.toThrow('boom');
+    await expect(next).resolves.toBe('ok');
+    expect(queue.getMetrics()).toMatchObject({ failedCount: 1, processedCount: 1 });
+  });
+});
@@ -0,0 +1,162 @@
+const RealtimeNotifier = require('../src/services/realtimeNotifier');
+
+/**
+ * Servidor Socket.IO falso que registra a qué salas se emite cada evento
+ */
+const createIo = () => {
+  const io = {
+    handlers: {},
+    emitted: [],
+    engine: { clientsCount: 0 },
+    on: (event, handler) => {
+      io.handlers[event] = handler;
+    },
+    to: rooms => ({
+      emit: (event, payload) => io.emitted.push({ rooms, event, payload })
+    }),
+    emit: (event, payload) => io.emitted.push({ rooms: null, event, payload })
+  };
+  return io;
+};
+
+/**
+ * Socket falso con salas y handlers de eventos del cliente
+ */
+const createSocket = (id = 'socket-1') => {
+  const socket = {
+    id,
+    rooms: new Set([id]),
+    data: {},
+    handlers: {},
+    join: room => socket.rooms.add(room),
+    leave: room => socket.rooms.delete(room),
+    on: (event, handler) => {
+      socket.handlers[event] = handler;
+    }
+  };
+  return socket;
+};
+
+/**
+ * Conecta un socket y, si se indica, lo suscribe con un filtro
+ */
+const connect = (io, filter) => {
+  const socket = createSocket();
+  io.handlers.connection(socket);
+
+  let result = null;
+  if (filter) {
+    socket.handlers.subscribe(filter, ack => {
+      result = ack;
+    });
+  }
+
+  return { socket, result };
+};
+
+const filterRooms = socket => [...socket.rooms].filter(room => room.startsWith('filter:'));
+
+describe('RealtimeNotifier', () => {
+  let io;
+  let notifier;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    io = createIo();
+    notifier = new RealtimeNotifier(io);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('joins the catch-all room on connection', () => {
+    const { socket } = connect(io);
+
+    expect(filterRooms(socket)).toEqual(['filter:*|*|*']);
+    expect(socket.data.filter).toEqual({ vehicleId: '*', vehicleType: '*', minSeverity: '*' });
+  });
+
+  test('replaces the room when the client subscribes with a filter', () => {
+    const { socket, result } = connect(io, { vehicleId: ' VEH001 ', minSeverity: 'high' });
+
+    expect(result).toEqual({ success: true, filter: { vehicleId: 'VEH001', vehicleType: '*', minSeverity: 'HIGH' } });
+    expect(filterRooms(socket)).toEqual(['filter:VEH001|*|HIGH']);
+    expect(socket.rooms.has('socket-1')).toBe(true);
+  });
+
+  test('rejects an unknown minSeverity and keeps the previous room', () => {
+    const { socket, result } = connect(io, { minSeverity: 'urgent' });
+
+    expect(result).toMatchObject({ success: false, error: 'Invalid minSeverity: urgent' });
+    expect(filterRooms(socket)).toEqual(['filter:*|*|*']);
+  });
+
+  test('leaves every filter room on unsubscribe', () => {
+    const { socket } = connect(io, { vehicleType: 'truck' });
+    const ack = jest.fn();
+
+    socket.handlers.unsubscribe(ack);
+
+    expect(filterRooms(socket)).toEqual([]);
+    expect(socket.data.filter).toBeNull();
+    expect(ack).toHaveBeenCalledWith({ success: true });
+  });
+
+  test('resolves alert rooms by vehicle, type and severities up to the alert', () => {
+    const rooms = notifier.resolveRooms({ vehicleId: 'VEH001', vehicleType: 'truck', severity: 'MEDIUM' });
+
+    expect(rooms).toHaveLength(12);
+    expect(rooms).toEqual(expect.arrayContaining([
+      'filter:*|*|*',
+      'filter:VEH001|*|LOW',
+      'filter:*|truck|MEDIUM',
+      'filter:VEH001|truck|MEDIUM'
+    ]));
+    expect(rooms).not.toContain('filter:VEH001|truck|HIGH');
+    expect(rooms).not.toContain('filter:VEH002|truck|LOW');
+    expect(rooms).not.toContain('filter:*|car|LOW');
+  });
+
+  test('sends speed records to every severity level', () => {
+    notifier.emitSpeedRecord({ vehicleId: 'VEH001', vehicleType: 'car', speed: 70 });
+
+    const [{ rooms, event, payload }] = io.emitted;
+    expect(event).toBe('speed:record');
+    expect(payload.speed).toBe(70);
+    expect(rooms).toHaveLength(20);
+    expect(rooms).toEqual(expect.arrayContaining(['filter:VEH001|car|*', 'filter:VEH001|car|CRITICAL', 'filter:*|*|HIGH']));
+  });
+
+  test('routes a subscribed client only the alerts its filter matches', async () => {
+    const { socket } = connect(io, { vehicleId: 'VEH001', minSeverity: 'HIGH' });
+    const [room] = filterRooms(socket);
+
+    await notifier.sendNotification({ vehicleId: 'VEH001', vehicleType: 'car', severity: 'MEDIUM' });
+    await notifier.sendNotification({ vehicleId: 'VEH002', vehicleType: 'car', severity: 'CRITICAL' });
+    await notifier.sendNotification({ vehicleId: 'VEH001', vehicleType: 'car', severity: 'CRITICAL' });
+
+    const received = io.emitted.filter(emitted => emitted.rooms.includes(room));
+    expect(received).toHaveLength(1);
+    expect(received[0]).toMatchObject({ event: 'alert:created', payload: { vehicleId: 'VEH001', severity: 'CRITICAL' } });
+  });
+
+  test('routes alert updates that use database column names', async () => {
+    await notifier.sendUpdate({ id: 7, vehicle_id: 'VEH001', vehicle_type: 'truck', severity: 'LOW', status: 'ACKNOWLEDGED' });
+
+    const [{ rooms, event }] = io.emitted;
+    expect(event).toBe('alert:updated');
+    expect(rooms).toContain('filter:VEH001|truck|LOW');
+    expect(rooms).not.toContain('filter:VEH001|truck|MEDIUM');
+  });
+
+  test('broadcasts processor status to all clients and counts emissions', () => {
+    io.engine.clientsCount = 2;
+
+    notifier.emitSpeedRecord({ vehicleId: 'VEH001' });
+    notifier.emitProcessorStatus({ isRunning: true });
+
+    expect(io.emitted[1]).toEqual({ rooms: null, event: 'processor:status', payload: { isRunning: true } });
+    expect(notifier.getStats()).toEqual({ connectedClients: 2, emittedCount: 2 });
+  });
+});
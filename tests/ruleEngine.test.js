@@ -0,0 +1,133 @@
+const RuleEngine = require('../src/services/ruleEngine');
+const RuleValidator = require('../src/validators/ruleValidator');
+
+const validator = new RuleValidator();
+
+/**
+ * Construye una fila actual de alert_rules a partir de datos validados
+ * @param {string} ruleId - ID estable de la regla
+ * @param {object} data - Datos para RuleValidator
+ * @returns {object} Fila como la devuelve pg
+ */
+const ruleRow = (ruleId, data) => {
+  const { data: rule } = validator.validateRule(data);
+
+  return {
+    ...RuleEngine.toRow({ alertPriority: 'NORMAL', recommendedAction: null, ...rule }),
+    rule_id: ruleId,
+    version: 1
+  };
+};
+
+/**
+ * Violación base: 80 km/h con límite de 60 (33 % de exceso), martes 10:00 UTC
+ */
+const violation = (overrides = {}) => ({
+  vehicleId: 'VEH001',
+  vehicleType: 'truck',
+  speed: 80,
+  speedLimit: 60,
+  exceedAmount: 20,
+  exceedPercentage: 33.33,
+  consecutiveCount: 1,
+  late: false,
+  zone: null,
+  timestamp: '2024-01-02T10:00:00Z',
+  ...overrides
+});
+
+describe('RuleEngine', () => {
+  describe('default rules', () => {
+    const engine = new RuleEngine(null, { consecutiveLimit: 3 });
+
+    it('reproduces the historical severity bands', async () => {
+      const severityFor = async exceedPercentage =>
+        (await engine.evaluate(violation({ exceedPercentage }))).severity;
+
+      expect(await severityFor(60)).toBe('CRITICAL');
+      expect(await severityFor(30)).toBe('HIGH');
+      expect(await severityFor(15)).toBe('MEDIUM');
+      expect(await severityFor(5)).toBe('LOW');
+    });
+
+    it('escalates consecutive violations unless the reading is late', async () => {
+      const streak = await engine.evaluate(violation({ exceedPercentage: 5, consecutiveCount: 4 }));
+      const late = await engine.evaluate(violation({ exceedPercentage: 5, consecutiveCount: 4, late: true }));
+
+      expect(streak).toMatchObject({ name: 'Consecutive violations', priority: 'HIGH' });
+      expect(streak.description).toBe('Vehicle VEH001 has 4 consecutive violations');
+      expect(late.name).toBe('Minor excess');
+    });
+
+    it('flags the rules that escalate by consecutive violations', async () => {
+      const streak = await engine.evaluate(violation({ exceedPercentage: 5, consecutiveCount: 4 }));
+      const single = await engine.evaluate(violation({ exceedPercentage: 60 }));
+
+      expect(streak.consecutive).toBe(true);
+      expect(single.consecutive).toBe(false);
+    });
+
+    it('renders the zone into the message template', async () => {
+      const outcome = await engine.evaluate(violation({ zone: { id: 'z1', name: 'School' } }));
+
+      expect(outcome.description).toBe('Vehicle VEH001 exceeded speed limit by 20.0 km/h in zone School');
+    });
+  });
+
+  describe('stored rules', () => {
+    const nightTrucks = ruleRow('night-trucks', {
+      name: 'Trucks at night',
+      evaluationPriority: 5,
+      conditions: {
+        vehicleTypes: ['Truck'],
+        speed: { gte: 70 },
+        timeWindows: [{ start: '22:00', end: '06:00' }]
+      },
+      severity: 'CRITICAL',
+      alertPriority: 'HIGH',
+      messageTemplate: '{vehicleType} {vehicleId} at {speed} km/h at night'
+    });
+    const schoolZone = ruleRow('school', {
+      name: 'School zone',
+      evaluationPriority: 10,
+      conditions: { inZone: true, exceedAmount: { gt: 5 } },
+      severity: 'HIGH',
+      messageTemplate: 'Vehicle {vehicleId} speeding in {zoneName}'
+    });
+
+    const engine = new RuleEngine(
+      { getEnabledRules: async () => [nightTrucks, schoolZone] },
+      { timezone: 'UTC', refreshInterval: 60000 }
+    );
+
+    it('returns the first matching rule in evaluation order', async () => {
+      const atNight = await engine.evaluate(violation({ timestamp: '2024-01-02T23:30:00Z', zone: { id: 'z1', name: 'School' } }));
+
+      expect(atNight).toMatchObject({ id: 'night-trucks', version: 1, severity: 'CRITICAL', priority: 'HIGH' });
+      expect(atNight.description).toBe('truck VEH001 at 80 km/h at night');
+
+      const inZone = await engine.evaluate(violation({ zone: { id: 'z1', name: 'School' } }));
+      expect(inZone).toMatchObject({ id: 'school', description: 'Vehicle VEH001 speeding in School' });
+    });
+
+    it('returns null when no rule matches', async () => {
+      expect(await engine.evaluate(violation())).toBeNull();
+      expect(engine.getStatus()).toMatchObject({ rules: 2, source: 'database' });
+    });
+  });
+
+  describe('RuleValidator', () => {
+    it('rejects unknown conditions, operators and placeholders', () => {
+      const result = validator.validateRule({
+        name: 'Broken',
+        evaluationPriority: 1,
+        conditions: { speed: { above: 100 }, weather: 'rain' },
+        severity: 'HIGH',
+        messageTemplate: 'Vehicle {vehicleId} in {city}'
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors.map(error => error.field)).toEqual(['conditions.speed', 'conditions.weather', 'messageTemplate']);
+    });
+  });
+});
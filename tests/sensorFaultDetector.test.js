@@ -0,0 +1,91 @@
+const SensorFaultDetector = require('../src/services/sensorFaultDetector');
+
+const { SENSOR_FAULTS } = SensorFaultDetector;
+
+const options = { enabled: true, stuckDuration: 600000, spikeThreshold: 60, maxAcceleration: 12, excludeSpikes: false };
+
+/**
+ * Entrada de speedHistory a partir de segundos desde las 10:00 UTC
+ */
+const entry = (speed, seconds, overrides = {}) => ({
+  speed,
+  timestamp: new Date(Date.parse('2024-01-02T10:00:00Z') + seconds * 1000).toISOString(),
+  violation: speed > 60,
+  ...overrides
+});
+
+/**
+ * Pasa las lecturas por el detector como llegan en orden y junta las fallas
+ */
+const run = (detector, entries) => {
+  const history = [];
+  const faultState = {};
+  const faults = [];
+
+  for (const item of entries) {
+    history.push(item);
+    faults.push(...detector.detect(history, faultState));
+  }
+
+  return { history, faults };
+};
+
+describe('SensorFaultDetector', () => {
+  test('reports a sensor stuck on the same non-zero value once', () => {
+    const detector = new SensorFaultDetector(options);
+    const readings = Array.from({ length: 12 }, (_, i) => entry(72, i * 60));
+
+    const { faults } = run(detector, readings);
+
+    expect(faults).toHaveLength(1);
+    expect(faults[0]).toMatchObject({ fault: SENSOR_FAULTS.STUCK, speed: 72, durationMs: 600000 });
+  });
+
+  test('does not treat a stopped vehicle as a stuck sensor', () => {
+    const detector = new SensorFaultDetector(options);
+
+    const { faults } = run(detector, Array.from({ length: 12 }, (_, i) => entry(0, i * 60)));
+
+    expect(faults).toHaveLength(0);
+  });
+
+  test('confirms a single-sample out-of-range spike with the next reading', () => {
+    const detector = new SensorFaultDetector({ ...options, excludeSpikes: true });
+
+    const { history, faults } = run(detector, [entry(40, 0), entry(180, 30), entry(42, 60)]);
+
+    expect(faults).toHaveLength(1);
+    expect(faults[0]).toMatchObject({ fault: SENSOR_FAULTS.SPIKE, speed: 180, neighbours: [40, 42], excludedViolation: true });
+    expect(history[1]).toMatchObject({ spike: true, excluded: true });
+  });
+
+  test('reports impossible acceleration between two readings', () => {
+    const detector = new SensorFaultDetector(options);
+
+    // 0 → 100 km/h en 2 s ≈ 13.9 m/s²
+    const { faults } = run(detector, [entry(0, 0), entry(100, 2)]);
+
+    expect(faults).toHaveLength(1);
+    expect(faults[0]).toMatchObject({ fault: SENSOR_FAULTS.ACCELERATION, previousSpeed: 0 });
+    expect(faults[0].accelerationMps2).toBeGreaterThan(12);
+  });
+
+  test('accepts plausible speed changes', () => {
+    const detector = new SensorFaultDetector(options);
+
+    // 0 → 100 km/h en 10 s ≈ 2.8 m/s²
+    const { faults } = run(detector, [entry(0, 0), entry(50, 5), entry(100, 10), entry(95, 15)]);
+
+    expect(faults).toHaveLength(0);
+  });
+
+  test('builds LOW DATA_QUALITY alerts', () => {
+    const detector = new SensorFaultDetector(options);
+    const alert = detector.buildAlert(
+      { vehicleId: 'VEH001', vehicleType: 'car', location: { latitude: 1, longitude: 2 } },
+      { fault: SENSOR_FAULTS.SPIKE, speed: 180, timestamp: '2024-01-02T10:00:30Z' }
+    );
+
+    expect(alert).toMatchObject({ type: 'DATA_QUALITY', severity: 'LOW', vehicleId: 'VEH001', location: null });
+  });
+});
@@ -0,0 +1,111 @@
+const SpeedLimitResolver = require('../src/services/speedLimitResolver');
+const SpeedLimitScheduleService = require('../src/services/speedLimitScheduleService');
+
+const limitsByType = { car: 90, truck: 70 };
+
+// Lunes 15 de enero de 2024
+const morning = '2024-01-15T08:00:00Z';
+const evening = '2024-01-15T20:00:00Z';
+
+const reading = overrides => ({ vehicleId: 'VEH001', vehicleType: 'truck', location: { lat: -34.6, lng: -58.38 }, timestamp: morning, ...overrides });
+
+/**
+ * Configuración de la tabla vehicles como la devuelve pg (DECIMAL como string)
+ */
+const vehicleSettings = row => ({ get: jest.fn(async () => row) });
+
+/**
+ * Servicio de zonas que siempre encuentra la misma zona y resuelve su límite como ZoneService
+ */
+const zoneService = row => ({
+  findTightestZone: jest.fn(async (location, timestamp, limitFor) => ({ id: row.id, name: row.name, speedLimit: limitFor(row) }))
+});
+
+/**
+ * Horarios vigentes de 07:00 a 09:00 UTC todos los días
+ */
+const scheduleService = schedules => new SpeedLimitScheduleService({
+  getActiveSchedules: async () => schedules.map(schedule => ({ windows: [{ days: null, start: '07:00', end: '09:00' }], apply_on_holidays: true, ...schedule })),
+  listHolidays: async () => []
+}, { timezone: 'UTC', refreshInterval: 60000 });
+
+describe('SpeedLimitResolver', () => {
+  test('falls back to the default limit for unknown types without settings', async () => {
+    const resolver = new SpeedLimitResolver(null, null, null, { limitsByType });
+
+    await expect(resolver.resolve(reading({ vehicleType: 'bus' }), 60))
+      .resolves.toEqual({ speedLimit: 60, source: 'default', schedule: null, zone: null });
+  });
+
+  test('uses the type limit over the default, preferring the registered type', async () => {
+    const resolver = new SpeedLimitResolver(vehicleSettings({ vehicle_type: 'car', speed_limit_override: null }), null, null, { limitsByType });
+
+    await expect(resolver.resolve(reading({ vehicleType: 'truck' }), 60)).resolves.toMatchObject({ speedLimit: 90, source: 'type' });
+  });
+
+  test('coerces a DECIMAL override to a number and prefers it over type limits and schedules', async () => {
+    const resolver = new SpeedLimitResolver(
+      vehicleSettings({ vehicle_type: 'truck', speed_limit_override: '55.50' }),
+      null,
+      scheduleService([
+        { id: 1, name: 'Truck mornings', scope: 'vehicle_type', vehicle_type: 'truck', speed_limit: '40.00' },
+        { id: 2, name: 'Global mornings', scope: 'global', speed_limit: '30.00' }
+      ]),
+      { limitsByType }
+    );
+
+    const result = await resolver.resolve(reading(), 60);
+
+    expect(result).toEqual({ speedLimit: 55.5, source: 'vehicle', schedule: null, zone: null });
+    expect(typeof result.speedLimit).toBe('number');
+  });
+
+  test('ignores NULL and zero overrides', async () => {
+    for (const override of [null, '0.00']) {
+      const resolver = new SpeedLimitResolver(vehicleSettings({ vehicle_type: 'truck', speed_limit_override: override }), null, null, { limitsByType });
+
+      await expect(resolver.resolve(reading(), 60)).resolves.toMatchObject({ speedLimit: 70, source: 'type' });
+    }
+  });
+
+  test('prefers a type schedule in force over the type limit', async () => {
+    const schedules = scheduleService([{ id: 1, name: 'Truck mornings', scope: 'vehicle_type', vehicle_type: 'truck', speed_limit: '40.00' }]);
+    const resolver = new SpeedLimitResolver(null, null, schedules, { limitsByType });
+
+    await expect(resolver.resolve(reading(), 60))
+      .resolves.toMatchObject({ speedLimit: 40, source: 'type', schedule: { id: 1, name: 'Truck mornings' } });
+    await expect(resolver.resolve(reading({ timestamp: evening }), 60))
+      .resolves.toMatchObject({ speedLimit: 70, source: 'type', schedule: null });
+  });
+
+  test('applies a global schedule only to vehicles without a type limit', async () => {
+    const schedules = scheduleService([{ id: 2, name: 'Global mornings', scope: 'global', speed_limit: '30.00' }]);
+    const resolver = new SpeedLimitResolver(null, null, schedules, { limitsByType });
+
+    await expect(resolver.resolve(reading({ vehicleType: 'bus' }), 60))
+      .resolves.toMatchObject({ speedLimit: 30, source: 'default', schedule: { id: 2 } });
+    await expect(resolver.resolve(reading(), 60)).resolves.toMatchObject({ speedLimit: 70, source: 'type' });
+  });
+
+  test('applies a tighter zone over the vehicle limit and records a looser one', async () => {
+    const school = { id: 'school', name: 'School', speed_limit: '30.00' };
+    const highway = { id: 'highway', name: 'Highway', speed_limit: '120.00' };
+
+    const inSchool = await new SpeedLimitResolver(null, zoneService(school), null, { limitsByType }).resolve(reading(), 60);
+    const onHighway = await new SpeedLimitResolver(null, zoneService(highway), null, { limitsByType }).resolve(reading(), 60);
+
+    expect(inSchool).toEqual({ speedLimit: 30, source: 'zone', zone: { id: 'school', name: 'School', speedLimit: 30 }, schedule: null });
+    expect(onHighway).toMatchObject({ speedLimit: 70, source: 'type', zone: { id: 'highway', speedLimit: 120 } });
+  });
+
+  test('uses the zone schedule in force instead of the zone limit', async () => {
+    const depot = { id: 'depot', name: 'Depot', speed_limit: '50.00' };
+    const schedules = scheduleService([{ id: 3, name: 'Depot mornings', scope: 'zone', zone_id: 'depot', speed_limit: '20.00' }]);
+    const resolver = new SpeedLimitResolver(null, zoneService(depot), schedules, { limitsByType });
+
+    await expect(resolver.resolve(reading(), 60))
+      .resolves.toMatchObject({ speedLimit: 20, source: 'zone', schedule: { id: 3, name: 'Depot mornings' } });
+    await expect(resolver.resolve(reading({ timestamp: evening }), 60))
+      .resolves.toMatchObject({ speedLimit: 50, source: 'zone', schedule: null });
+  });
+});
@@ -0,0 +1,100 @@
+const SpeedLimitScheduleService = require('../src/services/speedLimitScheduleService');
+
+const timezone = 'America/Argentina/Buenos_Aires';
+
+/**
+ * Repositorio en memoria de horarios y feriados (speed_limit como string, como pg)
+ */
+const createRepository = (schedules, holidays = []) => ({
+  getActiveSchedules: jest.fn(async () => schedules),
+  listHolidays: jest.fn(async () => holidays.map(date => ({ date })))
+});
+
+const schoolMornings = {
+  id: 1,
+  name: 'School mornings',
+  scope: 'zone',
+  zone_id: 'school',
+  speed_limit: '30.00',
+  apply_on_holidays: false,
+  windows: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '07:00', end: '09:00' }]
+};
+
+const yardNights = {
+  id: 2,
+  name: 'Yard nights',
+  scope: 'zone',
+  zone_id: 'yard',
+  speed_limit: '20.00',
+  apply_on_holidays: true,
+  windows: [{ days: null, start: '22:00', end: '06:00' }]
+};
+
+const ids = schedules => schedules.map(schedule => schedule.id);
+
+describe('SpeedLimitScheduleService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('evaluates schedules at the device timestamp in the fleet timezone', async () => {
+    // La lectura llega por la tarde pero el dispositivo la tomó a las 08:00 locales
+    jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2024-01-15T20:00:00Z'));
+    const service = new SpeedLimitScheduleService(createRepository([schoolMornings]), { timezone, refreshInterval: 60000 });
+
+    expect(ids(await service.getSchedulesInForce('2024-01-15T11:00:00Z'))).toEqual([1]);
+    // 08:00 UTC son las 05:00 en Buenos Aires
+    expect(ids(await service.getSchedulesInForce('2024-01-15T08:00:00Z'))).toEqual([]);
+  });
+
+  test('keeps a night schedule in force after midnight', async () => {
+    const service = new SpeedLimitScheduleService(createRepository([yardNights]), { timezone, refreshInterval: 60000 });
+
+    expect(ids(await service.getSchedulesInForce('2024-01-16T02:00:00Z'))).toEqual([2]); // lun 23:00
+    expect(ids(await service.getSchedulesInForce('2024-01-16T07:00:00Z'))).toEqual([2]); // mar 04:00
+    expect(ids(await service.getSchedulesInForce('2024-01-16T10:00:00Z'))).toEqual([]); // mar 07:00
+  });
+
+  test('applies only holiday-enabled schedules on holidays', async () => {
+    const allDay = { ...yardNights, id: 3, windows: [{ days: null, start: '00:00', end: '23:59' }] };
+    const service = new SpeedLimitScheduleService(
+      createRepository([schoolMornings, allDay], ['2024-01-15']),
+      { timezone, refreshInterval: 60000 }
+    );
+
+    // Lunes 15 feriado a las 08:00 locales; el martes 16 es día hábil
+    expect(ids(await service.getSchedulesInForce('2024-01-15T11:00:00Z'))).toEqual([3]);
+    expect(ids(await service.getSchedulesInForce('2024-01-16T11:00:00Z'))).toEqual([1, 3]);
+  });
+
+  test('decides holidays by the local date of the reading', async () => {
+    const evenings = { ...schoolMornings, windows: [{ days: null, start: '21:00', end: '23:00' }] };
+    const service = new SpeedLimitScheduleService(createRepository([evenings], ['2024-01-15']), { timezone, refreshInterval: 60000 });
+
+    // 01:00 UTC del martes 16 es el lunes 15 (feriado) a las 22:00 locales
+    expect(ids(await service.getSchedulesInForce('2024-01-16T01:00:00Z'))).toEqual([]);
+    expect(ids(await service.getSchedulesInForce('2024-01-17T01:00:00Z'))).toEqual([1]);
+  });
+
+  test('returns the tightest scheduled limit of a scope as a number', () => {
+    const service = new SpeedLimitScheduleService(createRepository([]), { timezone });
+    const schedules = [schoolMornings, { ...schoolMornings, id: 4, name: 'Exams', speed_limit: '25.50' }, yardNights];
+
+    expect(service.limitFor(schedules, 'zone', 'school')).toEqual({ speedLimit: 25.5, schedule: { id: 4, name: 'Exams' } });
+    expect(service.limitFor(schedules, 'zone', 'depot')).toBeNull();
+    expect(service.limitFor(schedules, 'global')).toBeNull();
+  });
+
+  test('keeps the cached schedules when a refresh fails', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const repository = createRepository([yardNights]);
+    const service = new SpeedLimitScheduleService(repository, { timezone, refreshInterval: 60000 });
+
+    await service.refresh();
+    repository.getActiveSchedules.mockRejectedValueOnce(new Error('connection lost'));
+    service.invalidate();
+
+    expect(ids(await service.getSchedulesInForce('2024-01-16T02:00:00Z'))).toEqual([2]);
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+});
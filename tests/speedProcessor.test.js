@@ -0,0 +1,211 @@
+const SpeedProcessor = require('../src/services/speedProcessor');
+const AlertSystem = require('../src/services/alertSystem');
+const SpeedLimitScheduleService = require('../src/services/speedLimitScheduleService');
+
+/**
+ * Procesador sin base de datos con límite general de 60 km/h para todos los tipos
+ */
+const createProcessor = (overrides = {}) => {
+  const processor = new SpeedProcessor();
+  processor.speedLimitResolver.limitsByType = {};
+  Object.assign(processor, {
+    speedLimit: 60,
+    consecutiveLimit: 3,
+    timeWindow: 60000,
+    reorderWindow: 30000,
+    reorderBufferSize: 10,
+    ...overrides
+  });
+  return processor;
+};
+
+/**
+ * Lectura a partir de segundos desde las 10:00 UTC
+ */
+const reading = (speed, seconds) => ({
+  vehicleId: 'VEH001',
+  vehicleType: 'car',
+  speed,
+  timestamp: new Date(Date.parse('2024-01-02T10:00:00Z') + seconds * 1000).toISOString()
+});
+
+/**
+ * Procesa las lecturas en el orden en que llegan y retorna los resultados
+ */
+const run = async (processor, readings) => {
+  const results = [];
+
+  for (const item of readings) {
+    results.push(await processor.processSpeedData(item));
+  }
+
+  return results;
+};
+
+describe('SpeedProcessor consecutive violations', () => {
+  test('counts out-of-order readings in device-timestamp order', async () => {
+    const processor = createProcessor();
+
+    // Llegan 0 s, 20 s y después 10 s: la tercera completa una racha de tres
+    const results = await run(processor, [reading(70, 0), reading(72, 20), reading(71, 10)]);
+    const last = results[2];
+
+    expect(last.vehicleState.reading).toMatchObject({ late: false, reordered: true, consecutiveCount: 3 });
+    expect(last.vehicleState.speedHistory.map(entry => entry.speed)).toEqual([70, 71, 72]);
+    expect(last.violation).toMatchObject({ isConsecutive: true, consecutiveCount: 3 });
+    expect(processor.getProcessingStats().reorderedCount).toBe(1);
+  });
+
+  test('splits a run when a reading within the limit arrives out of order', async () => {
+    const processor = createProcessor();
+
+    const results = await run(processor, [reading(70, 0), reading(72, 20), reading(50, 10)]);
+
+    expect(results[1].vehicleState.consecutiveViolations).toBe(2);
+    expect(results[2].vehicleState.consecutiveViolations).toBe(1);
+  });
+
+  test('flags readings older than reorderWindow as late without changing the run', async () => {
+    const processor = createProcessor();
+
+    // 35 s más vieja que la más reciente (reorderWindow de 30 s)
+    const results = await run(processor, [reading(70, 20), reading(71, 40), reading(72, 60), reading(73, 25)]);
+    const late = results[3];
+
+    expect(late.vehicleState.reading).toMatchObject({ late: true, consecutiveCount: 1 });
+    expect(late.vehicleState.consecutiveViolations).toBe(3);
+    expect(late.vehicleState.speedHistory).toHaveLength(3);
+    expect(late.data.late).toBe(true);
+    expect(late.violation).toMatchObject({ late: true, isConsecutive: false });
+    expect(processor.getProcessingStats().lateCount).toBe(1);
+  });
+
+  test('flags readings before the settled run as late', async () => {
+    const processor = createProcessor({ reorderWindow: 600000, reorderBufferSize: 3 });
+
+    // Las lecturas de 0 s y 10 s salen del buffer; 5 s queda antes de lo asentado
+    const results = await run(processor, [0, 10, 20, 30, 40].map(seconds => reading(70, seconds)).concat(reading(75, 5)));
+    const late = results[5];
+
+    expect(late.vehicleState.settledRun).toMatchObject({ runLength: 2, lastTimestamp: reading(70, 10).timestamp });
+    expect(late.vehicleState.reading.late).toBe(true);
+    expect(late.vehicleState.consecutiveViolations).toBe(5);
+  });
+
+  test('does not count violations further apart than timeWindow as consecutive', async () => {
+    const processor = createProcessor();
+
+    const apart = await run(processor, [reading(70, 0), reading(70, 90), reading(70, 180)]);
+    expect(apart.map(result => result.vehicleState.reading.consecutiveCount)).toEqual([1, 1, 1]);
+    expect(apart[2].violation.isConsecutive).toBe(false);
+
+    const close = await run(createProcessor(), [reading(70, 0), reading(70, 50), reading(70, 100)]);
+    expect(close.map(result => result.vehicleState.reading.consecutiveCount)).toEqual([1, 2, 3]);
+  });
+
+  test('continues a run across eviction from the reorder buffer', async () => {
+    const processor = createProcessor({ reorderBufferSize: 3 });
+
+    const results = await run(processor, [0, 10, 20, 30, 40].map(seconds => reading(70 + seconds / 10, seconds)));
+    const last = results[4];
+
+    expect(last.vehicleState.speedHistory).toHaveLength(3);
+    expect(last.vehicleState.settledRun).toMatchObject({ runLength: 2, lastViolation: true });
+    expect(last.vehicleState.reading.consecutiveCount).toBe(5);
+    expect(last.vehicleState.consecutiveViolations).toBe(5);
+
+    // Una lectura dentro del límite corta la racha aunque la anterior ya esté asentada
+    const [next] = await run(processor, [reading(50, 50)]);
+    expect(next.vehicleState.consecutiveViolations).toBe(0);
+  });
+});
+
+describe('SpeedProcessor low speed limits', () => {
+  /**
+   * Repositorio de alertas que, como pg, rechaza valores fuera de alerts.exceed_percentage DECIMAL(7,2)
+   */
+  const createAlertRepository = () => {
+    const saved = [];
+
+    return {
+      saved,
+      withRetry: fn => fn(),
+      saveAlert: jest.fn(async alert => {
+        if (Math.abs(alert.exceedPercentage) >= 1e5) {
+          throw Object.assign(new Error('numeric field overflow'), { code: '22003' });
+        }
+        saved.push(alert);
+        return alert;
+      })
+    };
+  };
+
+  /**
+   * Servicio de zonas que ubica todas las lecturas en la misma zona
+   */
+  const zoneService = speedLimit => ({
+    findTightestZone: async (location, timestamp, limitFor) => {
+      const zone = { id: 'depot', name: 'Depot', speed_limit: speedLimit };
+      return { id: zone.id, name: zone.name, speedLimit: limitFor(zone) };
+    }
+  });
+
+  const located = (speed, seconds) => ({ ...reading(speed, seconds), location: { lat: -34.6, lng: -58.38 } });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('stores alerts exceeding a low zone limit by 1000% or more', async () => {
+    const repository = createAlertRepository();
+    const processor = createProcessor();
+    processor.speedLimitResolver.zoneService = zoneService('10.00');
+    processor.alertSystem = new AlertSystem(null, [], repository);
+
+    const result = await processor.processSpeedData(located(110, 0));
+
+    expect(result.violation).toMatchObject({ speedLimit: 10, exceedAmount: 100, exceedPercentage: 1000, zone: { id: 'depot' } });
+    expect(repository.saved).toHaveLength(1);
+    expect(repository.saved[0]).toMatchObject({ exceedPercentage: 1000, severity: 'CRITICAL' });
+  });
+
+  test('stores schedule-driven alerts exceeding a night limit by 1000% or more', async () => {
+    const repository = createAlertRepository();
+    const processor = createProcessor();
+    processor.speedLimitResolver.scheduleService = new SpeedLimitScheduleService({
+      getActiveSchedules: async () => [{
+        id: 1,
+        name: 'Yard nights',
+        scope: 'global',
+        speed_limit: '20.00',
+        apply_on_holidays: true,
+        windows: [{ days: null, start: '22:00', end: '06:00' }]
+      }],
+      listHolidays: async () => []
+    }, { timezone: 'UTC', refreshInterval: 60000 });
+    processor.alertSystem = new AlertSystem(null, [], repository);
+
+    // 02:00 UTC del día siguiente (dentro del horario nocturno)
+    const result = await processor.processSpeedData(reading(220, 16 * 3600));
+
+    expect(result.violation).toMatchObject({ speedLimit: 20, exceedPercentage: 1000 });
+    expect(repository.saved).toHaveLength(1);
+    expect(repository.saved[0]).toMatchObject({ speedLimit: 20, exceedPercentage: 1000 });
+  });
+
+  test('caps the exceed percentage at what the alerts column holds', async () => {
+    const repository = createAlertRepository();
+    const processor = createProcessor();
+    processor.speedLimitResolver.zoneService = zoneService('0.01');
+    processor.alertSystem = new AlertSystem(null, [], repository);
+
+    const result = await processor.processSpeedData(located(120, 0));
+
+    expect(result.violation.exceedPercentage).toBe(99999.99);
+    expect(repository.saved).toHaveLength(1);
+  });
+});
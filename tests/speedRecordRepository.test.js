@@ -0,0 +1,76 @@
+const SpeedRecordRepository = require('../src/repositories/speedRecordRepository');
+
+const record = (overrides = {}) => ({
+  vehicleId: 'VEH001',
+  vehicleType: 'car',
+  speed: 70,
+  speedLimit: 60,
+  timestamp: '2024-01-02T10:00:00Z',
+  dedupKey: 'msg:VEH001:m-1',
+  ...overrides
+});
+
+describe('SpeedRecordRepository deduplication', () => {
+  test('saveSpeedRecord inserts with ON CONFLICT (dedup_key) and returns null for a duplicate', async () => {
+    const repository = new SpeedRecordRepository();
+    repository.query = jest.fn()
+      .mockResolvedValueOnce({ rows: [{ id: 1, vehicle_id: 'VEH001', location: null, metadata: null }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    expect(await repository.saveSpeedRecord(record())).toMatchObject({ id: 1 });
+    expect(await repository.saveSpeedRecord(record())).toBeNull();
+
+    const [sql, values] = repository.query.mock.calls[0];
+    expect(sql).toMatch(/ON CONFLICT \(dedup_key\) DO NOTHING/);
+    expect(values).toContain('msg:VEH001:m-1');
+  });
+
+  test('saveBatch keeps a null in the position of each duplicate', async () => {
+    const repository = new SpeedRecordRepository();
+    const client = {
+      query: jest.fn()
+        .mockResolvedValueOnce({ rows: [{ id: 1, location: null, metadata: null }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 3, location: null, metadata: null }] })
+    };
+    repository.transaction = jest.fn(callback => callback(client));
+
+    const saved = await repository.saveBatch([
+      record({ dedupKey: 'a' }),
+      record({ dedupKey: 'b' }),
+      record({ dedupKey: 'c' })
+    ]);
+
+    expect(saved.map(row => row && row.id)).toEqual([1, null, 3]);
+    expect(client.query.mock.calls.every(([sql]) => /ON CONFLICT \(dedup_key\) DO NOTHING/.test(sql))).toBe(true);
+  });
+});
+
+describe('SpeedRecordRepository pattern queries', () => {
+  test('getViolatingVehicles returns the vehicle ids with violations in the period', async () => {
+    const repository = new SpeedRecordRepository();
+    repository.query = jest.fn().mockResolvedValue({ rows: [{ vehicle_id: 'VEH001' }, { vehicle_id: 'VEH002' }] });
+    const startDate = new Date('2024-03-01T00:00:00Z');
+    const endDate = new Date('2024-03-20T00:00:00Z');
+
+    expect(await repository.getViolatingVehicles(startDate, endDate)).toEqual(['VEH001', 'VEH002']);
+
+    const [sql, values] = repository.query.mock.calls[0];
+    expect(sql).toMatch(/SELECT DISTINCT vehicle_id/);
+    expect(values).toEqual([startDate, endDate]);
+  });
+
+  test('getLimitCrossings filters by vehicle only when one is given', async () => {
+    const repository = new SpeedRecordRepository();
+    repository.query = jest.fn().mockResolvedValue({ rows: [] });
+    const startDate = new Date('2024-03-19T12:00:00Z');
+
+    await repository.getLimitCrossings(startDate, 0.1, 'VEH001');
+    await repository.getLimitCrossings(startDate, 0.1);
+
+    expect(repository.query.mock.calls[0][0]).toMatch(/AND vehicle_id = \$3/);
+    expect(repository.query.mock.calls[0][1]).toEqual([startDate, 0.1, 'VEH001']);
+    expect(repository.query.mock.calls[1][0]).not.toMatch(/vehicle_id = \$3/);
+    expect(repository.query.mock.calls[1][1]).toEqual([startDate, 0.1]);
+  });
+});
@@ -0,0 +1,86 @@
+const { SPEED_UNITS, normalizeUnit, toKmh, fromKmh, convertSpeedFields } = require('../src/utils/speedUnits');
+const SimpleSpeedValidator = require('../src/validators/simpleSpeedValidator');
+const SpeedProcessor = require('../src/services/speedProcessor');
+
+describe('speedUnits', () => {
+  test('converts mph, knots and m/s to km/h with two decimals', () => {
+    expect(toKmh(50, SPEED_UNITS.MPH)).toBe(80.47);
+    expect(toKmh(20, SPEED_UNITS.KNOTS)).toBe(37.04);
+    expect(toKmh(25, SPEED_UNITS.MPS)).toBe(90);
+    expect(toKmh(72.456, SPEED_UNITS.KMH)).toBe(72.456);
+  });
+
+  test('converts back from km/h', () => {
+    expect(fromKmh(80.47, SPEED_UNITS.MPH)).toBe(50);
+    expect(fromKmh(90, SPEED_UNITS.MPS)).toBe(25);
+    expect(fromKmh(37.04, SPEED_UNITS.KNOTS)).toBe(20);
+  });
+
+  test('normalizes aliases and rejects unknown units', () => {
+    expect(normalizeUnit(' KM/H ')).toBe('kmh');
+    expect(normalizeUnit('m/s')).toBe('mps');
+    expect(normalizeUnit('kt')).toBe('knots');
+    expect(normalizeUnit('furlongs')).toBeNull();
+    expect(normalizeUnit(5)).toBeNull();
+  });
+
+  test('converts DECIMAL columns returned as text', () => {
+    const row = { speed: '96.56', speed_limit: '80.00', exceed_amount: null, vehicle_id: 'VEH001' };
+
+    expect(convertSpeedFields(row, ['speed', 'speed_limit', 'exceed_amount'], SPEED_UNITS.MPH))
+      .toEqual({ speed: 60, speed_limit: 49.71, exceed_amount: null, vehicle_id: 'VEH001' });
+    expect(convertSpeedFields(row, ['speed'], SPEED_UNITS.KMH)).toBe(row);
+  });
+});
+
+describe('SimpleSpeedValidator units', () => {
+  const validator = new SimpleSpeedValidator();
+  const reading = overrides => ({ vehicleId: 'VEH001', speed: 50, timestamp: '2024-01-02T10:00:00Z', ...overrides });
+
+  test('stores the speed in km/h and keeps the original value in metadata', () => {
+    const result = validator.validateSpeedData(reading({ unit: 'mph' }));
+
+    expect(result.isValid).toBe(true);
+    expect(result.data.speed).toBe(80.47);
+    expect(result.data.metadata).toEqual({ originalSpeed: 50, originalUnit: 'mph' });
+  });
+
+  test('uses the default unit only when the payload has none', () => {
+    expect(validator.validateSpeedData(reading(), { defaultUnit: 'knots' }).data.speed).toBe(92.6);
+    expect(validator.validateSpeedData(reading({ unit: 'kmh' }), { defaultUnit: 'knots' }).data.speed).toBe(50);
+  });
+
+  test('rejects unknown units and speeds over 500 km/h after conversion', () => {
+    const unknown = validator.validateSpeedData(reading({ unit: 'furlongs' }));
+    expect(unknown.isValid).toBe(false);
+    expect(unknown.errors[0]).toMatchObject({ field: 'unit', value: 'furlongs' });
+
+    // 320 mph ≈ 515 km/h
+    expect(validator.validateSpeedData(reading({ speed: 320, unit: 'mph' })).errors[0].field).toBe('speed');
+    expect(validator.validateSpeedData(reading({ speed: 300, unit: 'mph' })).isValid).toBe(true);
+  });
+});
+
+describe('SpeedProcessor per-vehicle unit', () => {
+  const vehicleSettings = {
+    get: async vehicleId => (vehicleId === 'BOAT01' ? { vehicle_id: 'BOAT01', speed_unit: 'knots' } : null)
+  };
+  const processor = new SpeedProcessor(null, null, { vehicleSettings });
+
+  test('applies the vehicle speed_unit when the payload has no unit', async () => {
+    const result = await processor.processSpeedData({ vehicleId: 'BOAT01', speed: 20, timestamp: '2024-01-02T10:00:00Z' });
+
+    expect(result.data.speed).toBe(37.04);
+    expect(result.data.metadata).toMatchObject({ originalUnit: 'knots' });
+  });
+
+  test('lets the payload unit override the vehicle setting', async () => {
+    const result = await processor.processSpeedData({ vehicleId: 'BOAT01', speed: 20, unit: 'kmh', timestamp: '2024-01-02T10:01:00Z' });
+
+    expect(result.data.speed).toBe(20);
+  });
+
+  test('falls back to km/h for vehicles without a setting', async () => {
+    expect(await processor.resolveDefaultUnit({ vehicleId: 'VEH001' })).toBe('kmh');
+  });
+});
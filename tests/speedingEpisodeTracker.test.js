@@ -0,0 +1,118 @@
+const SpeedingEpisodeTracker = require('../src/services/speedingEpisodeTracker');
+const SpeedProcessor = require('../src/services/speedProcessor');
+
+const { END_REASONS } = SpeedingEpisodeTracker;
+
+const options = { minDuration: 30000, minExcess: 5, maxGap: 60000 };
+
+/**
+ * Lectura a partir de segundos desde las 10:00 UTC; 0.001° de latitud son ~111 m
+ */
+const reading = (speed, seconds, location = null) => ({
+  vehicleId: 'VEH001',
+  vehicleType: 'car',
+  speed,
+  speedLimit: 60,
+  timestamp: new Date(Date.parse('2024-01-02T10:00:00Z') + seconds * 1000).toISOString(),
+  location
+});
+
+/**
+ * Pasa las lecturas por el tracker como lo hace el estado del vehículo
+ */
+const run = (tracker, readings) => {
+  let episode = null;
+  const steps = [];
+
+  for (const item of readings) {
+    const step = tracker.track(episode, item);
+    episode = step.episode;
+    steps.push(step);
+  }
+
+  return { episode, steps };
+};
+
+describe('SpeedingEpisodeTracker', () => {
+  test('opens with the first reading over the limit, reaches the thresholds once and closes on a speed drop', () => {
+    const tracker = new SpeedingEpisodeTracker(options);
+
+    const { episode, steps } = run(tracker, [reading(70, 0), reading(75, 20), reading(72, 40), reading(74, 50), reading(55, 60)]);
+
+    expect(steps[0].episode).toMatchObject({ vehicleId: 'VEH001', startTime: reading(70, 0).timestamp });
+    expect(steps.map(step => step.thresholdReached)).toEqual([false, false, true, false, false]);
+    expect(episode).toBeNull();
+    expect(steps[4].closed).toMatchObject({
+      endReason: END_REASONS.SPEED_DROP,
+      endTime: reading(55, 60).timestamp,
+      durationMs: 60000,
+      peakSpeed: 75,
+      averageExcess: 12.75,
+      readingCount: 4,
+      thresholdReached: true
+    });
+  });
+
+  test('closes with GAP at the last reading when the next one arrives after maxGap', () => {
+    const tracker = new SpeedingEpisodeTracker(options);
+
+    const { episode, steps } = run(tracker, [reading(70, 0), reading(72, 10), reading(80, 100)]);
+
+    expect(steps[2].closed).toMatchObject({
+      endReason: END_REASONS.GAP,
+      endTime: reading(72, 10).timestamp,
+      durationMs: 10000,
+      thresholdReached: false
+    });
+    // La lectura que llegó tarde abre un episodio nuevo
+    expect(episode).toMatchObject({ startTime: reading(80, 100).timestamp, readingCount: 1 });
+  });
+
+  test('uses GPS distance and falls back to the average speed without positions', () => {
+    const tracker = new SpeedingEpisodeTracker(options);
+
+    const withGps = run(tracker, [reading(72, 0, { lat: -34.6, lng: -58.38 }), reading(72, 10, { lat: -34.601, lng: -58.38 })]);
+    // Sin GPS: 10 s a (72 + 90) / 2 km/h = 225 m
+    const withoutGps = run(tracker, [reading(72, 0), reading(90, 10)]);
+
+    expect(withGps.episode.distance).toBeCloseTo(111, 0);
+    expect(withoutGps.episode.distance).toBeCloseTo(225, 5);
+  });
+
+  test('is overdue after maxGap since the last reading was received', () => {
+    const tracker = new SpeedingEpisodeTracker(options);
+    const { episode } = run(tracker, [reading(70, 0)]);
+
+    expect(tracker.isOverdue(episode, episode.lastReceivedAt + 60000)).toBe(false);
+    expect(tracker.isOverdue(episode, episode.lastReceivedAt + 60001)).toBe(true);
+  });
+});
+
+describe('SpeedProcessor.closeOverdueEpisodes', () => {
+  test('closes and stores the episode of a vehicle that stopped reporting, only once', async () => {
+    const episodeStore = { saveEpisode: jest.fn(async episode => episode) };
+    const processor = new SpeedProcessor(null, null, {
+      episodeStore,
+      episodeTracker: new SpeedingEpisodeTracker(options)
+    });
+
+    await processor.processSpeedData({ vehicleId: 'VEH001', speed: 80, timestamp: '2024-01-02T10:00:00Z' });
+    await processor.processSpeedData({ vehicleId: 'VEH001', speed: 85, timestamp: '2024-01-02T10:00:20Z' });
+    await processor.processSpeedData({ vehicleId: 'VEH002', speed: 40, timestamp: '2024-01-02T10:00:20Z' });
+
+    expect(await processor.closeOverdueEpisodes(Date.now())).toBe(0);
+
+    const later = Date.now() + options.maxGap + 1;
+    expect(await processor.closeOverdueEpisodes(later)).toBe(1);
+    expect(await processor.closeOverdueEpisodes(later)).toBe(0);
+
+    expect(episodeStore.saveEpisode).toHaveBeenCalledTimes(1);
+    expect(episodeStore.saveEpisode.mock.calls[0][0]).toMatchObject({
+      vehicleId: 'VEH001',
+      endReason: END_REASONS.GAP,
+      endTime: '2024-01-02T10:00:20.000Z',
+      readingCount: 2
+    });
+    expect((await processor.vehicleStates.get('VEH001')).speedingEpisode).toBeNull();
+  });
+});
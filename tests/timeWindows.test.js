@@ -0,0 +1,57 @@
+const { getLocalTime, isWithinWindows, validateTimeWindows } = require('../src/utils/timeWindows');
+
+// Buenos Aires: UTC-3 todo el año, sin horario de verano
+const timezone = 'America/Argentina/Buenos_Aires';
+
+/**
+ * Indica si un momento UTC cae en las ventanas según la hora local de Buenos Aires
+ */
+const within = (windows, timestamp) => isWithinWindows(windows, getLocalTime(timestamp, timezone));
+
+describe('timeWindows', () => {
+  test('converts device timestamps to the local date, week day and minute', () => {
+    // 02:30 UTC del lunes 15 es el domingo 14 a las 23:30 en Buenos Aires
+    expect(getLocalTime('2024-01-15T02:30:00Z', timezone)).toEqual({ date: '2024-01-14', day: 'sun', minutes: 1410 });
+    expect(getLocalTime('2024-01-15T02:30:00Z', 'UTC')).toEqual({ date: '2024-01-15', day: 'mon', minutes: 150 });
+    expect(getLocalTime('not a date', timezone)).toBeNull();
+  });
+
+  test('evaluates windows in the local time, not in UTC', () => {
+    const mornings = [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '07:00', end: '09:00' }];
+
+    // 11:00 UTC = 08:00 local; 08:00 UTC = 05:00 local
+    expect(within(mornings, '2024-01-15T11:00:00Z')).toBe(true);
+    expect(within(mornings, '2024-01-15T08:00:00Z')).toBe(false);
+    // El fin de la ventana es exclusivo
+    expect(within(mornings, '2024-01-15T12:00:00Z')).toBe(false);
+  });
+
+  test('keeps a window crossing midnight on the day it starts', () => {
+    const fridayNights = [{ days: ['fri'], start: '22:00', end: '06:00' }];
+
+    // Viernes 19 de enero, hora local
+    expect(within(fridayNights, '2024-01-20T02:30:00Z')).toBe(true); // vie 23:30
+    expect(within(fridayNights, '2024-01-20T05:00:00Z')).toBe(true); // sáb 02:00
+    expect(within(fridayNights, '2024-01-20T09:00:00Z')).toBe(false); // sáb 06:00
+    expect(within(fridayNights, '2024-01-21T02:30:00Z')).toBe(false); // sáb 23:30
+    expect(within(fridayNights, '2024-01-19T06:00:00Z')).toBe(false); // vie 03:00, la noche del jueves
+  });
+
+  test('applies a midnight window without days every night', () => {
+    const nights = [{ days: null, start: '23:00', end: '05:00' }];
+
+    expect(within(nights, '2024-01-15T02:30:00Z')).toBe(true); // dom 23:30
+    expect(within(nights, '2024-01-15T06:00:00Z')).toBe(true); // lun 03:00
+    expect(within(nights, '2024-01-15T15:00:00Z')).toBe(false); // lun 12:00
+  });
+
+  test('validates and normalizes windows', () => {
+    const errors = [];
+
+    expect(validateTimeWindows([{ days: ['Friday'], start: '22:00', end: '06:00' }], errors, 'windows'))
+      .toEqual([{ days: ['fri'], start: '22:00', end: '06:00' }]);
+    expect(validateTimeWindows([{ start: '07:00', end: '07:00' }], errors, 'windows')).toBeUndefined();
+    expect(validateTimeWindows([{ days: ['xyz'], start: '07:00', end: '09:00' }], errors, 'windows')).toBeUndefined();
+    expect(errors.map(error => error.field)).toEqual(['windows[0]', 'windows[0].days']);
+  });
+});
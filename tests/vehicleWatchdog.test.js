@@ -0,0 +1,181 @@
+const VehicleWatchdog = require('../src/services/vehicleWatchdog');
+const VehicleStateStore = require('../src/services/vehicleStateStore');
+const RedisVehicleStateStore = require('../src/services/redisVehicleStateStore');
+
+const THRESHOLD = 600000;
+const T0 = Date.parse('2024-01-02T10:00:00Z');
+
+/**
+ * Tabla alerts y AlertSystem compartidos por todas las instancias
+ */
+const createAlerts = () => {
+  const rows = new Map();
+
+  return {
+    rows,
+    repository: {
+      getActiveByType: jest.fn(async type => [...rows.values()]
+        .filter(row => row.type === type && ['ACTIVE', 'ACKNOWLEDGED'].includes(row.status)))
+    },
+    system: {
+      raiseAlert: jest.fn(async alert => {
+        const id = `alert-${rows.size + 1}`;
+        rows.set(id, { alert_id: id, type: alert.type, vehicle_id: alert.vehicleId, status: 'ACTIVE' });
+        return { ...alert, id };
+      }),
+      resolveAlert: jest.fn(async alert => {
+        rows.get(alert.id).status = 'RESOLVED';
+      })
+    }
+  };
+};
+
+const vehicleSettings = { getAll: async () => [{ vehicle_id: 'VEH001', vehicle_type: 'car' }] };
+
+/**
+ * Instancia del procesador: watchdog propio sobre el almacén y las alertas compartidos
+ */
+const createInstance = (stateStore, alerts, options = {}) => {
+  const watchdog = new VehicleWatchdog(stateStore, vehicleSettings, alerts.system, alerts.repository, {
+    enabled: true,
+    checkInterval: 60000,
+    offlineThreshold: THRESHOLD,
+    thresholdsByType: {},
+    ...options
+  });
+  watchdog.startedAt = T0 - THRESHOLD * 10;
+  return watchdog;
+};
+
+describe('VehicleWatchdog', () => {
+  let now;
+
+  beforeEach(() => {
+    now = T0;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('measures the silence from the last report seen by any instance', async () => {
+    const stateStore = new VehicleStateStore();
+    const alerts = createAlerts();
+    const receiving = createInstance(stateStore, alerts);
+    const checking = createInstance(stateStore, alerts);
+
+    await receiving.recordActivity('VEH001');
+
+    now = T0 + THRESHOLD;
+    await checking.check();
+    expect(alerts.system.raiseAlert).not.toHaveBeenCalled();
+
+    now = T0 + THRESHOLD + 1;
+    await checking.check();
+    expect(alerts.system.raiseAlert).toHaveBeenCalledTimes(1);
+    expect(alerts.system.raiseAlert.mock.calls[0][0]).toMatchObject({
+      type: 'VEHICLE_OFFLINE',
+      vehicleId: 'VEH001',
+      timestamp: new Date(T0).toISOString()
+    });
+  });
+
+  test('measures the silence from the receive time, not the device clock', async () => {
+    const stateStore = new VehicleStateStore();
+    const alerts = createAlerts();
+    const watchdog = createInstance(stateStore, alerts);
+
+    // Equipo con el reloj un día adelantado: su última lectura parece futura
+    await stateStore.update('VEH001', () => ({ vehicleId: 'VEH001', lastSeen: new Date(T0 + 86400000).toISOString() }));
+    await watchdog.recordActivity('VEH001');
+
+    now = T0 + THRESHOLD + 1;
+    await watchdog.check();
+
+    expect(alerts.system.raiseAlert).toHaveBeenCalledTimes(1);
+    expect(alerts.system.raiseAlert.mock.calls[0][0].timestamp).toBe(new Date(T0).toISOString());
+  });
+
+  test('ignores a device clock running behind while the vehicle keeps reporting', async () => {
+    const stateStore = new VehicleStateStore();
+    const alerts = createAlerts();
+    const watchdog = createInstance(stateStore, alerts);
+
+    await stateStore.update('VEH001', () => ({ vehicleId: 'VEH001', lastSeen: new Date(T0 - 86400000).toISOString() }));
+    now = T0 + THRESHOLD;
+    await watchdog.recordActivity('VEH001');
+
+    now = T0 + THRESHOLD + 1;
+    await watchdog.check();
+
+    expect(alerts.system.raiseAlert).not.toHaveBeenCalled();
+  });
+
+  test('raises one offline alert per silence across instances and resolves it from any of them', async () => {
+    const stateStore = new VehicleStateStore();
+    const alerts = createAlerts();
+    const first = createInstance(stateStore, alerts);
+    const second = createInstance(stateStore, alerts);
+
+    await first.recordActivity('VEH001');
+    now = T0 + THRESHOLD + 1;
+
+    await Promise.all([first.check(), second.check()]);
+    await Promise.all([first.check(), second.check()]);
+    expect(alerts.system.raiseAlert).toHaveBeenCalledTimes(1);
+    expect(second.getStatus().offlineVehicles).toEqual(['VEH001']);
+
+    // El vehículo vuelve a reportar a la otra instancia
+    await second.recordActivity('VEH001');
+    expect(alerts.system.resolveAlert).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'alert-1' }),
+      expect.objectContaining({ reason: 'VEHICLE_RESUMED' })
+    );
+
+    await first.check();
+    expect(first.getStatus().offlineVehicles).toEqual([]);
+
+    // Un silencio nuevo genera una alerta nueva
+    now = T0 + 3 * THRESHOLD;
+    await Promise.all([first.check(), second.check()]);
+    expect(alerts.system.raiseAlert).toHaveBeenCalledTimes(2);
+  });
+
+  test('keeps the last report longer than the largest threshold in Redis', async () => {
+    const client = { set: jest.fn(async () => 'OK'), get: jest.fn(async () => String(T0)) };
+    const stateStore = new RedisVehicleStateStore(client);
+    const watchdog = createInstance(stateStore, createAlerts(), { thresholdsByType: { truck: 900000 } });
+
+    await watchdog.recordActivity('VEH001');
+
+    const [key, value, options] = client.set.mock.calls[0];
+    expect(key).toMatch(/vehicle:lastseen:VEH001$/);
+    expect(value).toBe(String(T0));
+    expect(options.PX).toBeGreaterThan(900000);
+    expect(await stateStore.getLastSeen('VEH001')).toBe(T0);
+  });
+
+  test('claims each offline alert with SET NX in Redis', async () => {
+    const client = { set: jest.fn().mockResolvedValueOnce('OK').mockResolvedValueOnce(null) };
+    const stateStore = new RedisVehicleStateStore(client);
+
+    expect(await stateStore.claim('offline:VEH001:123', 1000)).toBe(true);
+    expect(await stateStore.claim('offline:VEH001:123', 1000)).toBe(false);
+    expect(client.set).toHaveBeenCalledWith(expect.stringMatching(/claim:offline:VEH001:123$/), '1', { NX: true, PX: 1000 });
+  });
+
+  test('closes overdue speeding episodes on every tick, even when disabled', async () => {
+    const alerts = createAlerts();
+    const episodeCloser = { closeOverdueEpisodes: jest.fn(async () => 2) };
+    const watchdog = createInstance(new VehicleStateStore(), alerts, { enabled: false, episodeCloser });
+
+    await watchdog.check();
+
+    expect(episodeCloser.closeOverdueEpisodes).toHaveBeenCalledWith(T0);
+    expect(watchdog.getStatus()).toMatchObject({ checks: 1, episodesClosed: 2 });
+    expect(alerts.system.raiseAlert).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,121 @@
+const ZoneService = require('../src/services/zoneService');
+const ZoneValidator = require('../src/validators/zoneValidator');
+
+const validator = new ZoneValidator();
+
+/**
+ * Construye una fila de speed_zones a partir de datos validados
+ * @param {string} id - ID de la zona
+ * @param {object} data - Datos para ZoneValidator
+ * @returns {object} Fila como la devuelve pg (speed_limit como string)
+ */
+const zoneRow = (id, data) => {
+  const { data: zone } = validator.validateZone(data);
+
+  return {
+    id,
+    name: zone.name,
+    speed_limit: zone.speedLimit.toFixed(2),
+    geometry: zone.geometry,
+    active_hours: zone.activeHours
+  };
+};
+
+describe('ZoneService', () => {
+  const school = zoneRow('school', {
+    name: 'School',
+    speedLimit: 30,
+    geometry: { type: 'Circle', center: [-58.38, -34.6], radius: 200 },
+    activeHours: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '07:00', end: '18:00' }]
+  });
+  const downtown = zoneRow('downtown', {
+    name: 'Downtown',
+    speedLimit: 40,
+    geometry: {
+      type: 'Polygon',
+      coordinates: [
+        [[-58.4, -34.62], [-58.36, -34.62], [-58.36, -34.58], [-58.4, -34.58]],
+        [[-58.365, -34.585], [-58.361, -34.585], [-58.361, -34.581], [-58.365, -34.581]]
+      ]
+    }
+  });
+  const nightWorks = zoneRow('works', {
+    name: 'Night works',
+    speedLimit: 20,
+    geometry: { type: 'Polygon', coordinates: [[[-58.39, -34.61], [-58.385, -34.61], [-58.385, -34.605], [-58.39, -34.605]]] },
+    activeHours: [{ start: '22:00', end: '06:00' }]
+  });
+
+  const zoneService = new ZoneService(
+    { getActiveZones: async () => [school, downtown, nightWorks] },
+    { timezone: 'America/Argentina/Buenos_Aires', refreshInterval: 60000 }
+  );
+
+  // Miércoles 21/10/2026 10:00 en Buenos Aires (UTC-3)
+  const wednesdayMorning = '2026-10-21T13:00:00Z';
+
+  it('should return the tightest active zone containing the location', async () => {
+    const zone = await zoneService.findTightestZone({ lat: -34.6, lng: -58.38 }, wednesdayMorning);
+
+    expect(zone).toEqual({ id: 'school', name: 'School', speedLimit: 30 });
+  });
+
+  it('should ignore zones outside their active hours', async () => {
+    // Sábado 10:00: la escuela no aplica
+    const zones = await zoneService.findZones({ lat: -34.6, lng: -58.38 }, '2026-10-24T13:00:00Z');
+
+    expect(zones.map(zone => zone.id)).toEqual(['downtown']);
+  });
+
+  it('should apply windows that cross midnight on both days', async () => {
+    const location = { latitude: -34.607, longitude: -58.387 };
+
+    const lateEvening = await zoneService.findTightestZone(location, '2026-10-22T02:30:00Z'); // Mié 23:30
+    const earlyMorning = await zoneService.findTightestZone(location, '2026-10-22T08:00:00Z'); // Jue 05:00
+    const afternoon = await zoneService.findTightestZone(location, '2026-10-21T18:00:00Z'); // Mié 15:00
+
+    expect(lateEvening.id).toBe('works');
+    expect(earlyMorning.id).toBe('works');
+    expect(afternoon.id).toBe('downtown');
+  });
+
+  it('should exclude polygon holes and locations outside every zone', async () => {
+    expect(await zoneService.findZones({ lat: -34.583, lng: -58.363 }, wednesdayMorning)).toEqual([]);
+    expect(await zoneService.findTightestZone({ lat: -34.5, lng: -58.38 }, wednesdayMorning)).toBeNull();
+    expect(await zoneService.findZones(null, wednesdayMorning)).toEqual([]);
+  });
+});
+
+describe('ZoneValidator', () => {
+  it('should close open rings and report invalid fields', () => {
+    const valid = validator.validateZone({
+      name: 'Triangle',
+      speedLimit: '25',
+      geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1]]] }
+    });
+    const invalid = validator.validateZone({
+      name: '',
+      speedLimit: 0,
+      geometry: { type: 'LineString', coordinates: [] },
+      activeHours: [{ start: '7:00', end: '09:00' }]
+    });
+
+    expect(valid.data.speedLimit).toBe(25);
+    expect(valid.data.geometry.coordinates[0]).toHaveLength(4);
+    expect(invalid.errors.map(error => error.field)).toEqual(['name', 'speedLimit', 'geometry', 'activeHours[0]']);
+  });
+
+  it('should convert GeoJSON points with a radius to circles', () => {
+    const zone = validator.featureToZone({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [-58.38, -34.6] },
+      properties: { name: 'Hospital', speed_limit: 20, radius: 150 }
+    });
+
+    expect(validator.validateZone(zone).data).toMatchObject({
+      name: 'Hospital',
+      speedLimit: 20,
+      geometry: { type: 'Circle', center: [-58.38, -34.6], radius: 150 }
+    });
+  });
+});